@@ -1,6 +1,9 @@
 // audio/synth.js - sets up AudioContext, AudioWorklet, and exposes a simple API
 import { logger } from '../utils/logger.js';
-import { getParameterData } from '../utils/parameter-registry.js';
+import {
+  getParameterData,
+  getSmoothingTimes,
+} from '../utils/parameter-registry.js';
 
 // Check browser compatibility for required features
 export function checkBrowserCompatibility() {
@@ -135,6 +138,10 @@ export class Synth {
         );
       }
 
+      // The dev-mode worklet doesn't inline the registry, so it gets its
+      // smoothing times from here
+      this.setSmoothingTimes(getSmoothingTimes());
+
       // Connect directly to destination as fallback
       // This will be disconnected if FX chain is successfully initialized
       this.node.connect(this.ctx.destination);
@@ -175,6 +182,7 @@ export class Synth {
       // Disconnect fallback connection before inserting FX chain
       this.node.disconnect();
       await this.fxController.init(this.ctx, this.node);
+      this.fxController.connectModulationSource(this.node);
       logger.info('FX chain initialized and connected');
       return this.fxController;
     } catch (err) {
@@ -236,7 +244,24 @@ export class Synth {
     }
   }
 
-  noteOn(midi, velocity = 0.9) {
+  /**
+   * Read the current value of a synth parameter
+   * @param {string} name - Parameter name from the parameter registry
+   * @returns {number|null} Current AudioParam value, or null if unknown
+   */
+  getParam(name) {
+    const p = this.node?.parameters.get(name);
+    return p ? p.value : null;
+  }
+
+  /**
+   * Start a note
+   * @param {number} midi - MIDI note (0-127)
+   * @param {number} [velocity=0.9] - Velocity (0-1)
+   * @param {Object} [expression] - MPE member channel state for the note
+   *   (see noteExpression); omitted for ordinary notes
+   */
+  noteOn(midi, velocity = 0.9, expression = undefined) {
     // Validate MIDI note range (0-127)
     if (midi < 0 || midi > 127) {
       logger.warn(`Invalid MIDI note: ${midi} (must be 0-127)`);
@@ -246,17 +271,24 @@ export class Synth {
     // Clamp velocity to valid range [0, 1]
     velocity = Math.max(0, Math.min(1, velocity));
 
-    this.node.port.postMessage({ type: 'noteOn', midi, velocity });
+    this.node.port.postMessage(
+      expression
+        ? { type: 'noteOn', midi, velocity, expression }
+        : { type: 'noteOn', midi, velocity }
+    );
   }
 
-  noteOff(midi) {
+  noteOff(midi, velocity = 0.5) {
     // Validate MIDI note range (0-127)
     if (midi < 0 || midi > 127) {
       logger.warn(`Invalid MIDI note: ${midi} (must be 0-127)`);
       return;
     }
 
-    this.node.port.postMessage({ type: 'noteOff', midi });
+    // Release velocity feeds the Release Vel matrix source
+    velocity = Math.max(0, Math.min(1, velocity));
+
+    this.node.port.postMessage({ type: 'noteOff', midi, velocity });
   }
 
   aftertouch(value) {
@@ -264,6 +296,71 @@ export class Synth {
     this.node.port.postMessage({ type: 'aftertouch', value });
   }
 
+  polyPressure(midi, value) {
+    // Polyphonic key pressure for one note, value 0-127
+    if (midi < 0 || midi > 127) {
+      logger.warn(`Invalid MIDI note: ${midi} (must be 0-127)`);
+      return;
+    }
+    this.node.port.postMessage({ type: 'polyPressure', midi, value });
+  }
+
+  /**
+   * Update the per-note expression of an MPE member channel
+   * @param {{channel: number, bend: number, bendRange: number,
+   *   pressure: number, slide: number}} expression - Channel (0-15), pitch
+   *   bend (-1..1) and its range in semitones, pressure and slide (0-1)
+   */
+  noteExpression(expression) {
+    this.node.port.postMessage({ type: 'noteExpression', ...expression });
+  }
+
+  controlChange(cc, value) {
+    // Raw MIDI CC (0-127) for the matrix's MIDI CC source
+    this.node.port.postMessage({ type: 'controlChange', cc, value });
+  }
+
+  /**
+   * Send a wavetable to the worklet for oscillator 2's wavetable mode
+   * The level buffers are transferred, so the table can't be reused afterwards.
+   * @param {{name: string, frameCount: number, size: number,
+   *   levels: Float32Array[]}} table - Table from audio/wavetables.js
+   */
+  setWavetable(table) {
+    this.node.port.postMessage(
+      {
+        type: 'wavetable',
+        name: table.name,
+        frameCount: table.frameCount,
+        size: table.size,
+        levels: table.levels,
+      },
+      table.levels.map((level) => level.buffer)
+    );
+  }
+
+  /**
+   * Send a tuning table to the worklet
+   * @param {{name: string, table: Float64Array}|null} tuning - Tuning from
+   *   audio/tuning.js, or null for 12-TET
+   */
+  setTuning(tuning) {
+    this.node.port.postMessage({
+      type: 'tuning',
+      name: tuning?.name ?? '12-TET',
+      table: tuning?.table ?? null,
+    });
+  }
+
+  /**
+   * Set parameter smoothing times in the worklet
+   * @param {Object<string, number>} times - Seconds by parameter name
+   *   (0 turns smoothing off); parameters not listed keep theirs
+   */
+  setSmoothingTimes(times) {
+    this.node.port.postMessage({ type: 'smoothing', times });
+  }
+
   /**
    * All Notes Off - MIDI panic function
    * Releases all active voices immediately
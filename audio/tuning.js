@@ -0,0 +1,256 @@
+// audio/tuning.js - microtuning: Scala .scl/.kbm import and built-in tunings
+// Tunings are turned into a note -> pitch table on the main thread and sent to
+// the worklet, which maps each voice's (gliding) note through it before adding
+// pitch bend, detune and modulation in plain semitones.
+
+export const TUNING_NOTES = 128;
+
+/**
+ * Convert a frequency ratio to cents
+ * @param {number} ratio - Frequency ratio
+ * @returns {number} Cents
+ */
+function ratioToCents(ratio) {
+  return 1200 * Math.log2(ratio);
+}
+
+const ratios = (list) => list.map(([num, den]) => ratioToCents(num / den));
+
+/**
+ * Built-in tunings (scale degrees in cents, the last one is the period)
+ */
+export const BUILTIN_TUNINGS = [
+  {
+    name: '12-TET',
+    cents: Array.from({ length: 12 }, (_, i) => (i + 1) * 100),
+  },
+  {
+    name: 'Just Intonation',
+    // 5-limit, C major based
+    cents: ratios([
+      [16, 15],
+      [9, 8],
+      [6, 5],
+      [5, 4],
+      [4, 3],
+      [45, 32],
+      [3, 2],
+      [8, 5],
+      [5, 3],
+      [9, 5],
+      [15, 8],
+      [2, 1],
+    ]),
+  },
+  {
+    name: 'Pythagorean',
+    // Stacked pure fifths, wolf fifth between G# and D#
+    cents: ratios([
+      [256, 243],
+      [9, 8],
+      [32, 27],
+      [81, 64],
+      [4, 3],
+      [729, 512],
+      [3, 2],
+      [128, 81],
+      [27, 16],
+      [16, 9],
+      [243, 128],
+      [2, 1],
+    ]),
+  },
+  {
+    name: '19-EDO',
+    cents: Array.from({ length: 19 }, (_, i) => ((i + 1) * 1200) / 19),
+  },
+];
+
+/**
+ * Keyboard mapping used when no .kbm is loaded: every key is the next scale
+ * degree, degree 0 on middle C, A4 at 440 Hz
+ */
+export const DEFAULT_KEYBOARD_MAPPING = {
+  size: 0,
+  firstNote: 0,
+  lastNote: TUNING_NOTES - 1,
+  middleNote: 60,
+  referenceNote: 69,
+  referenceFrequency: 440,
+  octaveDegree: 0,
+  mapping: [],
+};
+
+// Scala files: lines starting with '!' are comments
+function contentLines(text) {
+  return text.split(/\r?\n/).filter((line) => !line.startsWith('!'));
+}
+
+function parsePitch(token) {
+  // Cents values contain a period; anything else is a ratio or an integer
+  if (token.includes('.')) {
+    const cents = Number(token);
+    if (!Number.isFinite(cents)) throw new Error(`Bad pitch: ${token}`);
+    return cents;
+  }
+  const [num, den = '1'] = token.split('/');
+  const ratio = Number(num) / Number(den);
+  if (!(ratio > 0) || !Number.isFinite(ratio)) {
+    throw new Error(`Bad pitch: ${token}`);
+  }
+  return ratioToCents(ratio);
+}
+
+/**
+ * Parse a Scala scale (.scl) file
+ * @param {string} text - File contents
+ * @returns {{description: string, cents: number[]}} Scale degrees 1..n in
+ *   cents (degree 0 is the implicit 1/1); the last one is the period
+ * @throws {Error} If the file is malformed
+ */
+export function parseScl(text) {
+  const lines = contentLines(text);
+  if (lines.length < 2) throw new Error('Not a Scala scale file');
+
+  const description = lines[0].trim();
+  const count = parseInt(lines[1], 10);
+  if (!(count >= 1)) throw new Error('Scale has no notes');
+
+  const cents = [];
+  for (const line of lines.slice(2)) {
+    if (cents.length === count) break;
+    const token = line.trim().split(/\s+/)[0];
+    if (token) cents.push(parsePitch(token));
+  }
+  if (cents.length < count) {
+    throw new Error(`Scale lists ${cents.length} of ${count} notes`);
+  }
+  return { description, cents };
+}
+
+/**
+ * Parse a Scala keyboard mapping (.kbm) file
+ * @param {string} text - File contents
+ * @returns {object} Mapping (see DEFAULT_KEYBOARD_MAPPING); unmapped keys
+ *   ('x') are null in `mapping`
+ * @throws {Error} If the file is malformed
+ */
+export function parseKbm(text) {
+  const values = contentLines(text)
+    .map((line) => line.trim().split(/\s+/)[0])
+    .filter(Boolean);
+  if (values.length < 7) throw new Error('Not a Scala keyboard mapping file');
+
+  const header = values.slice(0, 7).map(Number);
+  if (header.some((v) => !Number.isFinite(v))) {
+    throw new Error('Bad keyboard mapping header');
+  }
+  const [
+    size,
+    firstNote,
+    lastNote,
+    middleNote,
+    referenceNote,
+    referenceFrequency,
+    octaveDegree,
+  ] = header;
+  if (size < 0 || !(referenceFrequency > 0)) {
+    throw new Error('Bad keyboard mapping header');
+  }
+
+  // Missing entries at the end are unmapped
+  const mapping = Array.from({ length: size }, (_, i) => {
+    const entry = values[7 + i];
+    if (entry === undefined || entry === 'x') return null;
+    const degree = parseInt(entry, 10);
+    if (!Number.isFinite(degree))
+      throw new Error(`Bad mapping entry: ${entry}`);
+    return degree;
+  });
+
+  return {
+    size,
+    firstNote,
+    lastNote,
+    middleNote,
+    referenceNote,
+    referenceFrequency,
+    octaveDegree,
+    mapping,
+  };
+}
+
+/**
+ * Build the note -> pitch table the worklet uses
+ * Pitches are in 12-TET semitones relative to A4, so the worklet can keep
+ * adding bend and detune in semitones and tuningReference alone sets the
+ * frequency. The mapping's reference note keeps its 12-TET pitch; its
+ * referenceFrequency is applied through tuningReference (see
+ * getMappingReference). Unmapped keys and keys outside the mapping's range
+ * are NaN, and the worklet doesn't sound them.
+ * @param {{cents: number[]}} scale - Scale (see parseScl)
+ * @param {object} [keyboard] - Keyboard mapping (see parseKbm)
+ * @returns {Float64Array} Pitch for each MIDI note (NaN if unmapped)
+ * @throws {Error} If the reference note is unmapped
+ */
+export function buildTuningTable(scale, keyboard = DEFAULT_KEYBOARD_MAPPING) {
+  const { cents } = scale;
+  const degreeCents = (degree) => {
+    const octave = Math.floor(degree / cents.length);
+    const index = degree - octave * cents.length;
+    return (
+      octave * cents[cents.length - 1] + (index > 0 ? cents[index - 1] : 0)
+    );
+  };
+
+  // Cents above the middle note's degree 0, or null if the key is unmapped
+  const keyCents = (key) => {
+    if (key < keyboard.firstNote || key > keyboard.lastNote) return null;
+    const offset = key - keyboard.middleNote;
+    if (keyboard.size === 0) return degreeCents(offset);
+
+    const repeat = Math.floor(offset / keyboard.size);
+    const degree = keyboard.mapping[offset - repeat * keyboard.size];
+    if (degree === null) return null;
+    const period = degreeCents(keyboard.octaveDegree || cents.length);
+    return degreeCents(degree) + repeat * period;
+  };
+
+  const referenceCents = keyCents(keyboard.referenceNote);
+  if (referenceCents === null) {
+    throw new Error('Keyboard mapping leaves the reference note unmapped');
+  }
+  const table = new Float64Array(TUNING_NOTES);
+  for (let key = 0; key < TUNING_NOTES; key++) {
+    const c = keyCents(key);
+    table[key] =
+      c === null ? NaN : keyboard.referenceNote + (c - referenceCents) / 100;
+  }
+  return table;
+}
+
+/**
+ * A4 frequency that puts a keyboard mapping's reference note at its
+ * referenceFrequency, for the tuningReference parameter
+ * @param {object} [keyboard] - Keyboard mapping (see parseKbm)
+ * @returns {number} Frequency of A4 in Hz
+ */
+export function getMappingReference(keyboard = DEFAULT_KEYBOARD_MAPPING) {
+  return (
+    keyboard.referenceFrequency * 2 ** ((69 - keyboard.referenceNote) / 12)
+  );
+}
+
+/**
+ * Build a built-in tuning by index
+ * @param {number} index - Index into BUILTIN_TUNINGS
+ * @returns {{name: string, table: Float64Array}} Tuning
+ * @throws {Error} If the index is out of range
+ */
+export function createBuiltinTuning(index) {
+  const entry = BUILTIN_TUNINGS[Math.round(index)];
+  if (!entry) {
+    throw new Error(`Unknown built-in tuning: ${index}`);
+  }
+  return { name: entry.name, table: buildTuningTable(entry) };
+}
@@ -0,0 +1,376 @@
+// audio/wavetables.js - wavetable building, built-in tables and WAV import
+// Tables are band-limited on the main thread (one mipmap level per octave) and
+// sent to the worklet, which only picks a level and interpolates.
+
+export const WAVETABLE_SIZE = 2048; // Samples per frame
+export const WAVETABLE_MAX_FRAMES = 64;
+// Level k keeps harmonics 1..(WAVETABLE_SIZE / 2) >> k, down to a pure sine
+export const WAVETABLE_LEVELS = Math.log2(WAVETABLE_SIZE);
+
+/**
+ * In-place iterative radix-2 FFT
+ * @param {Float64Array} re - Real part (length must be a power of two)
+ * @param {Float64Array} im - Imaginary part
+ * @param {boolean} [inverse=false] - Inverse transform (scaled by 1/n)
+ */
+function fft(re, im, inverse = false) {
+  const n = re.length;
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let len = 2; len <= n; len <<= 1) {
+    const angle = ((inverse ? 2 : -2) * Math.PI) / len;
+    const wRe = Math.cos(angle);
+    const wIm = Math.sin(angle);
+    for (let i = 0; i < n; i += len) {
+      let uRe = 1;
+      let uIm = 0;
+      for (let k = 0; k < len / 2; k++) {
+        const a = i + k;
+        const b = a + len / 2;
+        const tRe = re[b] * uRe - im[b] * uIm;
+        const tIm = re[b] * uIm + im[b] * uRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        const nextRe = uRe * wRe - uIm * wIm;
+        uIm = uRe * wIm + uIm * wRe;
+        uRe = nextRe;
+      }
+    }
+  }
+
+  if (inverse) {
+    for (let i = 0; i < n; i++) {
+      re[i] /= n;
+      im[i] /= n;
+    }
+  }
+}
+
+/**
+ * Resample one single-cycle frame to WAVETABLE_SIZE (linear, wrapping)
+ * @param {ArrayLike<number>} frame - Source samples (one cycle)
+ * @param {Float64Array} out - Destination (WAVETABLE_SIZE samples)
+ */
+function resampleFrame(frame, out) {
+  const length = frame.length;
+  for (let i = 0; i < WAVETABLE_SIZE; i++) {
+    const position = (i * length) / WAVETABLE_SIZE;
+    const index = Math.floor(position);
+    const frac = position - index;
+    const a = frame[index % length];
+    const b = frame[(index + 1) % length];
+    out[i] = a + (b - a) * frac;
+  }
+}
+
+/**
+ * Pick at most WAVETABLE_MAX_FRAMES frames, evenly spread across the input
+ * @param {Array<ArrayLike<number>>} frames - Source frames
+ * @returns {Array<ArrayLike<number>>} Selected frames
+ */
+function limitFrames(frames) {
+  if (frames.length <= WAVETABLE_MAX_FRAMES) return frames;
+  const step = (frames.length - 1) / (WAVETABLE_MAX_FRAMES - 1);
+  return Array.from(
+    { length: WAVETABLE_MAX_FRAMES },
+    (_, i) => frames[Math.round(i * step)]
+  );
+}
+
+/**
+ * Build a band-limited, mipmapped wavetable from single-cycle frames
+ * @param {Array<ArrayLike<number>>} frames - One or more single-cycle frames
+ *   (any length; resampled to WAVETABLE_SIZE)
+ * @param {string} [name='User'] - Table name
+ * @returns {{name: string, frameCount: number, size: number,
+ *   levels: Float32Array[]}} Table with one Float32Array per mipmap level,
+ *   frames stored back to back
+ * @throws {Error} If no usable frames are given
+ */
+export function buildWavetable(frames, name = 'User') {
+  if (!Array.isArray(frames) || frames.length === 0) {
+    throw new Error('A wavetable needs at least one frame');
+  }
+  if (frames.some((frame) => !frame || frame.length < 2)) {
+    throw new Error('Wavetable frames need at least two samples');
+  }
+
+  const selected = limitFrames(frames);
+  const frameCount = selected.length;
+  const levels = Array.from(
+    { length: WAVETABLE_LEVELS },
+    () => new Float32Array(frameCount * WAVETABLE_SIZE)
+  );
+
+  const spectrumRe = new Float64Array(WAVETABLE_SIZE);
+  const spectrumIm = new Float64Array(WAVETABLE_SIZE);
+  const re = new Float64Array(WAVETABLE_SIZE);
+  const im = new Float64Array(WAVETABLE_SIZE);
+  let peak = 0;
+
+  selected.forEach((frame, f) => {
+    resampleFrame(frame, spectrumRe);
+    spectrumIm.fill(0);
+    fft(spectrumRe, spectrumIm);
+    // Remove DC so crossfades and table scanning don't thump
+    spectrumRe[0] = 0;
+    spectrumIm[0] = 0;
+
+    for (let level = 0; level < WAVETABLE_LEVELS; level++) {
+      const maxHarmonic = (WAVETABLE_SIZE / 2) >> level;
+      re.set(spectrumRe);
+      im.set(spectrumIm);
+      for (
+        let bin = maxHarmonic + 1;
+        bin < WAVETABLE_SIZE - maxHarmonic;
+        bin++
+      ) {
+        re[bin] = 0;
+        im[bin] = 0;
+      }
+      fft(re, im, true);
+
+      const offset = f * WAVETABLE_SIZE;
+      for (let i = 0; i < WAVETABLE_SIZE; i++) {
+        levels[level][offset + i] = re[i];
+        if (level === 0) peak = Math.max(peak, Math.abs(re[i]));
+      }
+    }
+  });
+
+  // Normalize the whole table (not per frame) so scanning keeps relative levels
+  if (peak > 0) {
+    const gain = 1 / peak;
+    for (const level of levels) {
+      for (let i = 0; i < level.length; i++) level[i] *= gain;
+    }
+  }
+
+  return { name, frameCount, size: WAVETABLE_SIZE, levels };
+}
+
+/**
+ * Generate frames from a shape function
+ * @param {number} count - Number of frames
+ * @param {(phase: number, t: number) => number} shape - Sample at phase 0-1
+ *   for table position t 0-1
+ * @returns {Float32Array[]} Frames
+ */
+function generateFrames(count, shape) {
+  return Array.from({ length: count }, (_, f) => {
+    const t = count > 1 ? f / (count - 1) : 0;
+    const frame = new Float32Array(WAVETABLE_SIZE);
+    for (let i = 0; i < WAVETABLE_SIZE; i++) {
+      frame[i] = shape(i / WAVETABLE_SIZE, t);
+    }
+    return frame;
+  });
+}
+
+const sine = (p) => Math.sin(2 * Math.PI * p);
+const triangle = (p) => (p < 0.5 ? 4 * p - 1 : 3 - 4 * p);
+const saw = (p) => 2 * p - 1;
+const square = (p) => (p < 0.5 ? 1 : -1);
+
+/**
+ * Built-in tables (frames are generated on demand)
+ */
+export const BUILTIN_WAVETABLES = [
+  {
+    name: 'Basic Shapes',
+    // Sine -> triangle -> saw -> square
+    generate: () =>
+      generateFrames(16, (p, t) => {
+        const shapes = [sine, triangle, saw, square];
+        const position = t * (shapes.length - 1);
+        const index = Math.min(shapes.length - 2, Math.floor(position));
+        const blend = position - index;
+        return shapes[index](p) * (1 - blend) + shapes[index + 1](p) * blend;
+      }),
+  },
+  {
+    name: 'PWM Sweep',
+    generate: () => generateFrames(16, (p, t) => (p < 0.5 - t * 0.45 ? 1 : -1)),
+  },
+  {
+    name: 'Harmonic Sweep',
+    // Adds harmonics one by one, from a sine to a 32-harmonic saw
+    generate: () =>
+      generateFrames(16, (p, t) => {
+        const harmonics = 1 + Math.round(t * 31);
+        let sum = 0;
+        for (let h = 1; h <= harmonics; h++) {
+          sum += Math.sin(2 * Math.PI * h * p) / h;
+        }
+        return sum;
+      }),
+  },
+  {
+    name: 'Sync Sweep',
+    // Saw hard-synced to the fundamental, slave ratio 1 -> 8
+    generate: () => generateFrames(16, (p, t) => saw((p * (1 + t * 7)) % 1)),
+  },
+  {
+    name: 'Formant',
+    // Windowed sine burst sweeping through formant ratios 1 -> 12
+    generate: () =>
+      generateFrames(16, (p, t) => {
+        const window = 0.5 - 0.5 * Math.cos(2 * Math.PI * p);
+        return window * Math.sin(2 * Math.PI * p * (1 + t * 11));
+      }),
+  },
+];
+
+/**
+ * Build a built-in wavetable by index
+ * @param {number} index - Index into BUILTIN_WAVETABLES
+ * @returns {object} Wavetable (see buildWavetable)
+ * @throws {Error} If the index is out of range
+ */
+export function createBuiltinWavetable(index) {
+  const entry = BUILTIN_WAVETABLES[Math.round(index)];
+  if (!entry) {
+    throw new Error(`Unknown built-in wavetable: ${index}`);
+  }
+  return buildWavetable(entry.generate(), entry.name);
+}
+
+function readTag(view, offset) {
+  return String.fromCharCode(
+    view.getUint8(offset),
+    view.getUint8(offset + 1),
+    view.getUint8(offset + 2),
+    view.getUint8(offset + 3)
+  );
+}
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+/**
+ * Parse a RIFF/WAVE file into mono samples
+ * Supports 8/16/24/32-bit PCM and 32/64-bit float; channels are averaged.
+ * A Serum-style 'clm ' chunk ("<!>2048 ...") sets the frame size.
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {{sampleRate: number, samples: Float32Array, frameSize: number}}
+ *   frameSize is 0 when the file doesn't declare one
+ * @throws {Error} If the file isn't a supported WAV file
+ */
+export function parseWav(buffer) {
+  const view = new DataView(buffer);
+  if (
+    view.byteLength < 12 ||
+    readTag(view, 0) !== 'RIFF' ||
+    readTag(view, 8) !== 'WAVE'
+  ) {
+    throw new Error('Not a WAV file');
+  }
+
+  let format = null;
+  let data = null;
+  let frameSize = 0;
+  let offset = 12;
+  while (offset + 8 <= view.byteLength) {
+    const id = readTag(view, offset);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+
+    if (id === 'fmt ') {
+      format = {
+        audioFormat: view.getUint16(body, true),
+        channels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        bitsPerSample: view.getUint16(body + 14, true),
+      };
+      if (format.audioFormat === WAVE_FORMAT_EXTENSIBLE && size >= 26) {
+        format.audioFormat = view.getUint16(body + 24, true);
+      }
+    } else if (id === 'data') {
+      data = { offset: body, size: Math.min(size, view.byteLength - body) };
+    } else if (id === 'clm ') {
+      let text = '';
+      for (let i = 0; i < Math.min(size, 32); i++) {
+        text += String.fromCharCode(view.getUint8(body + i));
+      }
+      const match = /<!>(\d+)/.exec(text);
+      if (match) frameSize = parseInt(match[1], 10);
+    }
+
+    offset = body + size + (size & 1); // Chunks are word-aligned
+  }
+
+  if (!format || !data) {
+    throw new Error('WAV file is missing its fmt or data chunk');
+  }
+
+  const { audioFormat, channels, bitsPerSample } = format;
+  const bytes = bitsPerSample / 8;
+  const readers = {
+    [`${WAVE_FORMAT_PCM}:8`]: (o) => (view.getUint8(o) - 128) / 128,
+    [`${WAVE_FORMAT_PCM}:16`]: (o) => view.getInt16(o, true) / 32768,
+    [`${WAVE_FORMAT_PCM}:24`]: (o) =>
+      (view.getUint8(o) |
+        (view.getUint8(o + 1) << 8) |
+        (view.getInt8(o + 2) << 16)) /
+      8388608,
+    [`${WAVE_FORMAT_PCM}:32`]: (o) => view.getInt32(o, true) / 2147483648,
+    [`${WAVE_FORMAT_FLOAT}:32`]: (o) => view.getFloat32(o, true),
+    [`${WAVE_FORMAT_FLOAT}:64`]: (o) => view.getFloat64(o, true),
+  };
+  const read = readers[`${audioFormat}:${bitsPerSample}`];
+  if (!read || channels < 1) {
+    throw new Error(
+      `Unsupported WAV format (format ${audioFormat}, ${bitsPerSample}-bit)`
+    );
+  }
+
+  const length = Math.floor(data.size / (bytes * channels));
+  const samples = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    let sum = 0;
+    for (let c = 0; c < channels; c++) {
+      sum += read(data.offset + (i * channels + c) * bytes);
+    }
+    samples[i] = sum / channels;
+  }
+
+  return { sampleRate: format.sampleRate, samples, frameSize };
+}
+
+/**
+ * Split a WAV file into wavetable frames
+ * Files with a 'clm ' chunk use its frame size. Otherwise files up to two
+ * table lengths are a single cycle, and longer files are read as consecutive
+ * WAVETABLE_SIZE-sample frames (the common multi-frame wavetable layout).
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Float32Array[]} Frames
+ * @throws {Error} If the file can't be parsed or is too short
+ */
+export function wavToFrames(buffer) {
+  const { samples, frameSize } = parseWav(buffer);
+  const size =
+    frameSize ||
+    (samples.length <= WAVETABLE_SIZE * 2 ? samples.length : WAVETABLE_SIZE);
+  const count = size > 0 ? Math.floor(samples.length / size) : 0;
+
+  if (size < 8 || count < 1) {
+    throw new Error('WAV file is too short for a wavetable');
+  }
+
+  return Array.from({ length: count }, (_, i) =>
+    samples.subarray(i * size, (i + 1) * size)
+  );
+}
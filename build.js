@@ -11,7 +11,8 @@
  * 2. Converts ES modules to base64 data URLs to preserve module semantics
  * 3. Patches all relative imports to use data URLs (3-pass iterative algorithm)
  * 4. Inlines CSS directly into HTML
- * 5. Embeds AudioWorklet processors as Blob URLs
+ * 5. Embeds AudioWorklet processors as Blob URLs (the FX chain worklet is
+ *    generated from the registered fx/effects modules)
  * 6. Pre-loads and globally exposes all FX effect classes
  * 7. Validates the final output for completeness
  *
@@ -43,6 +44,8 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { EFFECT_REGISTRY } from './fx/effect-registry.js';
+import { generateFxWorklet } from './fx/worklet-source.js';
 
 const DEBUG = process.env.BUILD_DEBUG === '1';
 const debugLog = (...args) => {
@@ -159,9 +162,6 @@ function patchModuleFromCode(filePath, code, moduleMap, options = {}) {
       if (workletPath.includes('synth-processor.js')) {
         return `addModule(window.__workletURLs['synth-processor'])`;
       }
-      if (workletPath.includes('fx-chain-processor.js')) {
-        return `addModule(window.__workletURLs['fx-chain-processor'])`;
-      }
       return match;
     }
   );
@@ -169,25 +169,25 @@ function patchModuleFromCode(filePath, code, moduleMap, options = {}) {
   // Special handling for fx-controller.js - replace dynamic imports with static ones
   if (filePath.includes('fx-controller.js')) {
     // Replace the entire loadMetadata function with inline version
+    const metadataLines = EFFECT_REGISTRY.map(
+      (effect) =>
+        `    this.effectsMetadata.set('${effect.id}', window.${effect.class}.getMetadata());`
+    ).join('\n');
     code = code.replace(
       /async loadMetadata\(\) \{[\s\S]*?\n  \}/,
       `async loadMetadata() {
     // Static imports are already available in monolithic build
-    this.effectsMetadata.set('hardclip', window.HardClipEffect.getMetadata());
-    this.effectsMetadata.set('phaser', window.PhaserEffect.getMetadata());
-    this.effectsMetadata.set('bitcrusher', window.BitCrusherEffect.getMetadata());
-    this.effectsMetadata.set('chorus', window.ChorusEffect.getMetadata());
-    this.effectsMetadata.set('delay', window.DelayEffect.getMetadata());
-    this.effectsMetadata.set('reverb', window.ReverbEffect.getMetadata());
-    this.effectsMetadata.set('flanger', window.FlangerEffect.getMetadata());
-    this.effectsMetadata.set('tremolo', window.TremoloEffect.getMetadata());
-    this.effectsMetadata.set('autowah', window.AutoWahEffect.getMetadata());
-    this.effectsMetadata.set('freqshifter', window.FreqShifterEffect.getMetadata());
-    this.effectsMetadata.set('pitchshifter', window.PitchShifterEffect.getMetadata());
+${metadataLines}
 
     this.metadataLoaded = true;
   }`
     );
+
+    // The FX worklet is generated at build time and embedded as a Blob URL
+    code = code.replace(
+      /await createFxWorkletURL\(\)/,
+      `window.__workletURLs['fx-chain-processor']`
+    );
   }
 
   return code;
@@ -344,9 +344,14 @@ let workletSynthProcessor = fs.readFileSync(
   path.join(__dirname, 'worklet/synth-processor.js'),
   'utf-8'
 );
-let workletFxChainProcessor = fs.readFileSync(
-  path.join(__dirname, 'worklet/fx-chain-processor.js'),
-  'utf-8'
+
+// Generate the FX chain worklet with the registered effects inlined
+console.log('Generating FX chain worklet from fx/effects...');
+const workletFxChainProcessor = await generateFxWorklet((file) =>
+  fs.readFileSync(path.join(__dirname, file), 'utf-8')
+);
+console.log(
+  `✓ Inlined ${EFFECT_REGISTRY.length} effects into fx-chain-processor.js`
 );
 
 // Inline parameter registry into worklet processors
@@ -645,7 +650,7 @@ console.log('📝 Single-file monolithic distribution with:');
 console.log('   • Inline CSS');
 console.log('   • ES modules as data URLs (base64)');
 console.log('   • AudioWorklet processors as Blob URLs');
-console.log('   • 11 audio effects included');
+console.log(`   • ${EFFECT_REGISTRY.length} audio effects included`);
 console.log('   • Full MIDI, keyboard, and FX chain support');
 console.log(`   • Inline source maps (${sourceMapCount} total) for debugging`);
 console.log('✓ All build validations passed');
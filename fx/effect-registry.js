@@ -5,7 +5,7 @@
  * and provides metadata for registration in various contexts:
  * - fx-controller.js (main thread)
  * - build.js (build-time validation)
- * - fx-chain-processor.js (worklet)
+ * - fx-chain-processor.js (worklet, generated by worklet-source.js)
  */
 
 /**
@@ -25,32 +25,46 @@ export class AutoWahEffect extends FXBase {
     this.mix = 1.0; // Dry/wet mix (0-1)
   }
 
-  process(inputL, inputR) {
-    if (!this.enabled) return [inputL, inputR];
-
-    // Generate LFO value (0 to 1 range)
-    const lfo = this.getLFOValue(this.lfoPhase);
-
-    // Update LFO phase
-    this.lfoPhase += this.rate / this.sampleRate;
-    if (this.lfoPhase >= 1) this.lfoPhase -= 1;
-
-    // Map LFO to filter frequency with depth control
-    // LFO sweeps symmetrically around center frequency
-    // depth controls how much of the range is used
-    const rangeSemitones = this.range * 12; // Convert octaves to semitones
-    const modulationSemitones = (lfo - 0.5) * 2 * rangeSemitones * this.depth;
-    const freq = this.centerFreq * Math.pow(2, modulationSemitones / 12);
-
-    // Apply resonant lowpass filter (same frequency for both channels)
-    const outputL = this.applyResonantLowpass(inputL, freq, this.filterStateL);
-    const outputR = this.applyResonantLowpass(inputR, freq, this.filterStateR);
-
-    // Mix dry/wet
-    const finalL = inputL * (1 - this.mix) + outputL * this.mix;
-    const finalR = inputR * (1 - this.mix) + outputR * this.mix;
+  processBlock(inL, inR, outL, outR, frames) {
+    if (!this.enabled) {
+      this.passThrough(inL, inR, outL, outR, frames);
+      return;
+    }
 
-    return [finalL, finalR];
+    for (let i = 0; i < frames; i++) {
+      const inputL = inL[i];
+      const inputR = inR[i];
+
+      // Generate LFO value (0 to 1 range)
+      const lfo = this.getLFOValue(this.lfoPhase);
+
+      // Update LFO phase
+      this.lfoPhase += this.rate / this.sampleRate;
+      if (this.lfoPhase >= 1) this.lfoPhase -= 1;
+
+      // Map LFO to filter frequency with depth control
+      // LFO sweeps symmetrically around center frequency
+      // depth controls how much of the range is used
+      const rangeSemitones = this.range * 12; // Convert octaves to semitones
+      const modulationSemitones = (lfo - 0.5) * 2 * rangeSemitones * this.depth;
+      const freq = this.centerFreq * Math.pow(2, modulationSemitones / 12);
+
+      // Apply resonant lowpass filter (same frequency for both channels)
+      const outputL = this.applyResonantLowpass(
+        inputL,
+        freq,
+        this.filterStateL
+      );
+      const outputR = this.applyResonantLowpass(
+        inputR,
+        freq,
+        this.filterStateR
+      );
+
+      // Mix dry/wet
+      outL[i] = inputL * (1 - this.mix) + outputL * this.mix;
+      outR[i] = inputR * (1 - this.mix) + outputR * this.mix;
+    }
   }
 
   getLFOValue(phase) {
@@ -192,6 +206,7 @@ export class AutoWahEffect extends FXBase {
           min: 0,
           max: 1,
           default: 0,
+          step: 1,
         },
         { name: 'mix', label: 'Mix', min: 0, max: 1, default: 1.0 },
       ],
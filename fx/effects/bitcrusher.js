@@ -20,44 +20,50 @@ export class BitCrusherEffect extends FXBase {
     this.heldSampleR = 0;
   }
 
-  process(inputL, inputR) {
-    if (!this.enabled) return [inputL, inputR];
-
-    // Sample rate reduction (sample and hold)
-    let crushedL, crushedR;
-
-    if (this.holdCounterL <= 0) {
-      this.heldSampleL = inputL;
-      this.holdCounterL = this.sampleRateReduction;
+  processBlock(inL, inR, outL, outR, frames) {
+    if (!this.enabled) {
+      this.passThrough(inL, inR, outL, outR, frames);
+      return;
     }
-    crushedL = this.heldSampleL;
-    this.holdCounterL--;
 
-    if (this.holdCounterR <= 0) {
-      this.heldSampleR = inputR;
-      this.holdCounterR = this.sampleRateReduction;
-    }
-    crushedR = this.heldSampleR;
-    this.holdCounterR--;
-
-    // Bit depth reduction
+    // Bit depth reduction and makeup gain (parameters are fixed for the block)
     const levels = Math.pow(2, this.bitDepth);
     const step = 1 / levels;
+    const makeupGain = Math.max(1, 1 / Math.max(this.bitDepth / 16, 0.25));
 
-    // Quantize to levels, then apply makeup gain for low bit depths
-    crushedL = Math.floor((crushedL + 1) * levels) / levels - 1;
-    crushedR = Math.floor((crushedR + 1) * levels) / levels - 1;
+    for (let i = 0; i < frames; i++) {
+      const inputL = inL[i];
+      const inputR = inR[i];
 
-    // Apply makeup gain for very low bit depths to maintain volume
-    const makeupGain = Math.max(1, 1 / Math.max(this.bitDepth / 16, 0.25));
-    crushedL *= makeupGain;
-    crushedR *= makeupGain;
+      // Sample rate reduction (sample and hold)
+      let crushedL, crushedR;
+
+      if (this.holdCounterL <= 0) {
+        this.heldSampleL = inputL;
+        this.holdCounterL = this.sampleRateReduction;
+      }
+      crushedL = this.heldSampleL;
+      this.holdCounterL--;
+
+      if (this.holdCounterR <= 0) {
+        this.heldSampleR = inputR;
+        this.holdCounterR = this.sampleRateReduction;
+      }
+      crushedR = this.heldSampleR;
+      this.holdCounterR--;
 
-    // Mix dry/wet
-    const outputL = inputL * (1 - this.mix) + crushedL * this.mix;
-    const outputR = inputR * (1 - this.mix) + crushedR * this.mix;
+      // Quantize to levels, then apply makeup gain for low bit depths
+      crushedL = Math.floor((crushedL + 1) * levels) / levels - 1;
+      crushedR = Math.floor((crushedR + 1) * levels) / levels - 1;
 
-    return [outputL, outputR];
+      // Apply makeup gain for very low bit depths to maintain volume
+      crushedL *= makeupGain;
+      crushedR *= makeupGain;
+
+      // Mix dry/wet
+      outL[i] = inputL * (1 - this.mix) + crushedL * this.mix;
+      outR[i] = inputR * (1 - this.mix) + crushedR * this.mix;
+    }
   }
 
   onParameterChange(name, value) {
@@ -98,6 +104,8 @@ export class BitCrusherEffect extends FXBase {
           max: 16,
           default: 16,
           unit: 'bit',
+          // Rounded after a curve, so it can't be stepped; don't glide either
+          smoothing: 0,
         },
         {
           name: 'sampleRateReduction',
@@ -105,6 +113,7 @@ export class BitCrusherEffect extends FXBase {
           min: 1,
           max: 50,
           default: 1,
+          step: 1,
           unit: 'x',
         },
         { name: 'mix', label: 'Mix', min: 0, max: 1, default: 1, unit: '' },
@@ -29,59 +29,71 @@ export class ChorusEffect extends FXBase {
     this.mix = 0.2; // Dry/wet mix (0-1)
   }
 
-  process(inputL, inputR) {
-    if (!this.enabled) return [inputL, inputR];
-
-    // Write input to delay buffers
-    this.bufferL[this.writeIndex] = inputL;
-    this.bufferR[this.writeIndex] = inputR;
-
-    let chorusL = 0;
-    let chorusR = 0;
-
-    // Process each voice
-    for (let voice = 0; voice < this.numVoices; voice++) {
-      // Left channel LFO
-      const lfoIndexL = voice * 2;
-      const lfoL = Math.sin(this.lfoPhases[lfoIndexL] * 2 * Math.PI);
-      this.lfoPhases[lfoIndexL] += this.rate / this.sampleRate;
-      if (this.lfoPhases[lfoIndexL] >= 1) this.lfoPhases[lfoIndexL] -= 1;
-
-      // Right channel LFO (phase offset for stereo width)
-      const lfoIndexR = voice * 2 + 1;
-      const lfoR = Math.sin(this.lfoPhases[lfoIndexR] * 2 * Math.PI);
-      this.lfoPhases[lfoIndexR] += this.rate / this.sampleRate;
-      if (this.lfoPhases[lfoIndexR] >= 1) this.lfoPhases[lfoIndexR] -= 1;
-
-      // Calculate modulated delay time
-      const modulationRange = this.delay * 0.3 * this.depth; // ±30% of base delay
-      const delayMsL = this.delay + lfoL * modulationRange;
-      const delayMsR = this.delay + lfoR * modulationRange;
-
-      // Clamp delay to prevent buffer overflow
-      const clampedDelayMsL = Math.max(1, Math.min(this.maxDelayMs, delayMsL));
-      const clampedDelayMsR = Math.max(1, Math.min(this.maxDelayMs, delayMsR));
-
-      const delaySamplesL = (clampedDelayMsL / 1000) * this.sampleRate;
-      const delaySamplesR = (clampedDelayMsR / 1000) * this.sampleRate;
-
-      // Read from delay buffer with linear interpolation
-      chorusL += this.readDelayBuffer(this.bufferL, delaySamplesL);
-      chorusR += this.readDelayBuffer(this.bufferR, delaySamplesR);
+  processBlock(inL, inR, outL, outR, frames) {
+    if (!this.enabled) {
+      this.passThrough(inL, inR, outL, outR, frames);
+      return;
     }
 
-    // Average chorus voices
-    chorusL /= this.numVoices;
-    chorusR /= this.numVoices;
-
-    // Advance write index
-    this.writeIndex = (this.writeIndex + 1) % this.maxDelaySamples;
-
-    // Mix dry/wet
-    const outputL = inputL * (1 - this.mix) + chorusL * this.mix;
-    const outputR = inputR * (1 - this.mix) + chorusR * this.mix;
-
-    return [outputL, outputR];
+    for (let i = 0; i < frames; i++) {
+      const inputL = inL[i];
+      const inputR = inR[i];
+
+      // Write input to delay buffers
+      this.bufferL[this.writeIndex] = inputL;
+      this.bufferR[this.writeIndex] = inputR;
+
+      let chorusL = 0;
+      let chorusR = 0;
+
+      // Process each voice
+      for (let voice = 0; voice < this.numVoices; voice++) {
+        // Left channel LFO
+        const lfoIndexL = voice * 2;
+        const lfoL = Math.sin(this.lfoPhases[lfoIndexL] * 2 * Math.PI);
+        this.lfoPhases[lfoIndexL] += this.rate / this.sampleRate;
+        if (this.lfoPhases[lfoIndexL] >= 1) this.lfoPhases[lfoIndexL] -= 1;
+
+        // Right channel LFO (phase offset for stereo width)
+        const lfoIndexR = voice * 2 + 1;
+        const lfoR = Math.sin(this.lfoPhases[lfoIndexR] * 2 * Math.PI);
+        this.lfoPhases[lfoIndexR] += this.rate / this.sampleRate;
+        if (this.lfoPhases[lfoIndexR] >= 1) this.lfoPhases[lfoIndexR] -= 1;
+
+        // Calculate modulated delay time
+        const modulationRange = this.delay * 0.3 * this.depth; // ±30% of base delay
+        const delayMsL = this.delay + lfoL * modulationRange;
+        const delayMsR = this.delay + lfoR * modulationRange;
+
+        // Clamp delay to prevent buffer overflow
+        const clampedDelayMsL = Math.max(
+          1,
+          Math.min(this.maxDelayMs, delayMsL)
+        );
+        const clampedDelayMsR = Math.max(
+          1,
+          Math.min(this.maxDelayMs, delayMsR)
+        );
+
+        const delaySamplesL = (clampedDelayMsL / 1000) * this.sampleRate;
+        const delaySamplesR = (clampedDelayMsR / 1000) * this.sampleRate;
+
+        // Read from delay buffer with linear interpolation
+        chorusL += this.readDelayBuffer(this.bufferL, delaySamplesL);
+        chorusR += this.readDelayBuffer(this.bufferR, delaySamplesR);
+      }
+
+      // Average chorus voices
+      chorusL /= this.numVoices;
+      chorusR /= this.numVoices;
+
+      // Advance write index
+      this.writeIndex = (this.writeIndex + 1) % this.maxDelaySamples;
+
+      // Mix dry/wet
+      outL[i] = inputL * (1 - this.mix) + chorusL * this.mix;
+      outR[i] = inputR * (1 - this.mix) + chorusR * this.mix;
+    }
   }
 
   readDelayBuffer(buffer, delaySamples) {
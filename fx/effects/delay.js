@@ -22,39 +22,45 @@ export class DelayEffect extends FXBase {
     this.mix = 0.3; // Dry/wet mix (0-1)
   }
 
-  process(inputL, inputR) {
-    if (!this.enabled) return [inputL, inputR];
+  processBlock(inL, inR, outL, outR, frames) {
+    if (!this.enabled) {
+      this.passThrough(inL, inR, outL, outR, frames);
+      return;
+    }
 
-    // Calculate delay samples
-    const delaySamplesL = Math.floor(this.delayTimeL * this.sampleRate);
-    const delaySamplesR = Math.floor(this.delayTimeR * this.sampleRate);
+    for (let i = 0; i < frames; i++) {
+      const inputL = inL[i];
+      const inputR = inR[i];
 
-    // Calculate read indices (both use same writeIndex)
-    const readIndexL =
-      (this.writeIndex - delaySamplesL + this.maxDelaySamples) %
-      this.maxDelaySamples;
-    const readIndexR =
-      (this.writeIndex - delaySamplesR + this.maxDelaySamples) %
-      this.maxDelaySamples;
+      // Calculate delay samples
+      const delaySamplesL = Math.floor(this.delayTimeL * this.sampleRate);
+      const delaySamplesR = Math.floor(this.delayTimeR * this.sampleRate);
 
-    // Read delayed samples
-    const delayedL = this.bufferL[readIndexL];
-    const delayedR = this.bufferR[readIndexR];
+      // Calculate read indices (both use same writeIndex)
+      const readIndexL =
+        (this.writeIndex - delaySamplesL + this.maxDelaySamples) %
+        this.maxDelaySamples;
+      const readIndexR =
+        (this.writeIndex - delaySamplesR + this.maxDelaySamples) %
+        this.maxDelaySamples;
 
-    // Write to buffers with feedback and cross-feedback
-    this.bufferL[this.writeIndex] =
-      inputL + delayedL * this.feedback + delayedR * this.crossFeedback;
-    this.bufferR[this.writeIndex] =
-      inputR + delayedR * this.feedback + delayedL * this.crossFeedback;
+      // Read delayed samples
+      const delayedL = this.bufferL[readIndexL];
+      const delayedR = this.bufferR[readIndexR];
 
-    // Advance write index (single index for both channels)
-    this.writeIndex = (this.writeIndex + 1) % this.maxDelaySamples;
+      // Write to buffers with feedback and cross-feedback
+      this.bufferL[this.writeIndex] =
+        inputL + delayedL * this.feedback + delayedR * this.crossFeedback;
+      this.bufferR[this.writeIndex] =
+        inputR + delayedR * this.feedback + delayedL * this.crossFeedback;
 
-    // Mix dry/wet
-    const outputL = inputL * (1 - this.mix) + delayedL * this.mix;
-    const outputR = inputR * (1 - this.mix) + delayedR * this.mix;
+      // Advance write index (single index for both channels)
+      this.writeIndex = (this.writeIndex + 1) % this.maxDelaySamples;
 
-    return [outputL, outputR];
+      // Mix dry/wet
+      outL[i] = inputL * (1 - this.mix) + delayedL * this.mix;
+      outR[i] = inputR * (1 - this.mix) + delayedR * this.mix;
+    }
   }
 
   onParameterChange(name, value) {
@@ -24,50 +24,58 @@ export class FlangerEffect extends FXBase {
     this.mix = 0.5; // Dry/wet mix (0-1)
   }
 
-  process(inputL, inputR) {
-    if (!this.enabled) return [inputL, inputR];
-
-    // Update LFO (sine wave)
-    const lfoValue = Math.sin(this.lfoPhase * 2 * Math.PI);
-    this.lfoPhase += this.rate / this.sampleRate;
-    if (this.lfoPhase >= 1) this.lfoPhase -= 1;
-
-    // Calculate modulated delay time in samples
-    // Depth is directly in milliseconds (0.1-10ms)
-    const depthSamples = (this.depth / 1000) * this.sampleRate;
-    const delaySamples = depthSamples * (lfoValue * 0.5 + 0.5); // Map LFO -1..1 to 0..1
-
-    // Clamp to valid range (at least 1 sample, max buffer size - 2)
-    const clampedDelay = Math.max(
-      1,
-      Math.min(this.maxDelaySamples - 2, delaySamples)
-    );
-
-    // Calculate read position with proper interpolation
-    const readPos = this.writeIndex - clampedDelay;
-    const readIndex =
-      (Math.floor(readPos) + this.maxDelaySamples) % this.maxDelaySamples;
-    const readIndexNext = (readIndex + 1) % this.maxDelaySamples;
-    const frac = readPos - Math.floor(readPos);
-
-    // Linear interpolation for smoother delay modulation
-    const delayedL =
-      this.bufferL[readIndex] * (1 - frac) + this.bufferL[readIndexNext] * frac;
-    const delayedR =
-      this.bufferR[readIndex] * (1 - frac) + this.bufferR[readIndexNext] * frac;
-
-    // Write to buffer with feedback
-    this.bufferL[this.writeIndex] = inputL + delayedL * this.feedback;
-    this.bufferR[this.writeIndex] = inputR + delayedR * this.feedback;
-
-    // Advance write index
-    this.writeIndex = (this.writeIndex + 1) % this.maxDelaySamples;
-
-    // Mix dry/wet
-    const outputL = inputL * (1 - this.mix) + delayedL * this.mix;
-    const outputR = inputR * (1 - this.mix) + delayedR * this.mix;
-
-    return [outputL, outputR];
+  processBlock(inL, inR, outL, outR, frames) {
+    if (!this.enabled) {
+      this.passThrough(inL, inR, outL, outR, frames);
+      return;
+    }
+
+    for (let i = 0; i < frames; i++) {
+      const inputL = inL[i];
+      const inputR = inR[i];
+
+      // Update LFO (sine wave)
+      const lfoValue = Math.sin(this.lfoPhase * 2 * Math.PI);
+      this.lfoPhase += this.rate / this.sampleRate;
+      if (this.lfoPhase >= 1) this.lfoPhase -= 1;
+
+      // Calculate modulated delay time in samples
+      // Depth is directly in milliseconds (0.1-10ms)
+      const depthSamples = (this.depth / 1000) * this.sampleRate;
+      const delaySamples = depthSamples * (lfoValue * 0.5 + 0.5); // Map LFO -1..1 to 0..1
+
+      // Clamp to valid range (at least 1 sample, max buffer size - 2)
+      const clampedDelay = Math.max(
+        1,
+        Math.min(this.maxDelaySamples - 2, delaySamples)
+      );
+
+      // Calculate read position with proper interpolation
+      const readPos = this.writeIndex - clampedDelay;
+      const readIndex =
+        (Math.floor(readPos) + this.maxDelaySamples) % this.maxDelaySamples;
+      const readIndexNext = (readIndex + 1) % this.maxDelaySamples;
+      const frac = readPos - Math.floor(readPos);
+
+      // Linear interpolation for smoother delay modulation
+      const delayedL =
+        this.bufferL[readIndex] * (1 - frac) +
+        this.bufferL[readIndexNext] * frac;
+      const delayedR =
+        this.bufferR[readIndex] * (1 - frac) +
+        this.bufferR[readIndexNext] * frac;
+
+      // Write to buffer with feedback
+      this.bufferL[this.writeIndex] = inputL + delayedL * this.feedback;
+      this.bufferR[this.writeIndex] = inputR + delayedR * this.feedback;
+
+      // Advance write index
+      this.writeIndex = (this.writeIndex + 1) % this.maxDelaySamples;
+
+      // Mix dry/wet
+      outL[i] = inputL * (1 - this.mix) + delayedL * this.mix;
+      outR[i] = inputR * (1 - this.mix) + delayedR * this.mix;
+    }
   }
 
   onParameterChange(name, value) {
@@ -41,34 +41,40 @@ export class FreqShifterEffect extends FXBase {
       .map(() => ({ zm1: 0 }));
   }
 
-  process(inputL, inputR) {
-    if (!this.enabled) return [inputL, inputR];
-
-    // Process left channel
-    const shiftedL = this.processChannel(
-      inputL,
-      this.allpassIL,
-      this.allpassQL
-    );
-
-    // Process right channel
-    const shiftedR = this.processChannel(
-      inputR,
-      this.allpassIR,
-      this.allpassQR
-    );
-
-    // Update oscillator phase
-    const shiftFreq = this.shift;
-    this.oscPhase += shiftFreq / this.sampleRate;
-    if (this.oscPhase >= 1) this.oscPhase -= 1;
-    if (this.oscPhase < 0) this.oscPhase += 1;
-
-    // Mix dry/wet
-    const outputL = inputL * (1 - this.mix) + shiftedL * this.mix;
-    const outputR = inputR * (1 - this.mix) + shiftedR * this.mix;
-
-    return [outputL, outputR];
+  processBlock(inL, inR, outL, outR, frames) {
+    if (!this.enabled) {
+      this.passThrough(inL, inR, outL, outR, frames);
+      return;
+    }
+
+    for (let i = 0; i < frames; i++) {
+      const inputL = inL[i];
+      const inputR = inR[i];
+
+      // Process left channel
+      const shiftedL = this.processChannel(
+        inputL,
+        this.allpassIL,
+        this.allpassQL
+      );
+
+      // Process right channel
+      const shiftedR = this.processChannel(
+        inputR,
+        this.allpassIR,
+        this.allpassQR
+      );
+
+      // Update oscillator phase
+      const shiftFreq = this.shift;
+      this.oscPhase += shiftFreq / this.sampleRate;
+      if (this.oscPhase >= 1) this.oscPhase -= 1;
+      if (this.oscPhase < 0) this.oscPhase += 1;
+
+      // Mix dry/wet
+      outL[i] = inputL * (1 - this.mix) + shiftedL * this.mix;
+      outR[i] = inputR * (1 - this.mix) + shiftedR * this.mix;
+    }
   }
 
   processChannel(input, allpassI, allpassQ) {
@@ -19,22 +19,13 @@ export class HardClipEffect extends FXBase {
     this.BASE_GAIN = 1.0;
   }
 
-  process(inputL, inputR) {
-    if (!this.enabled) return [inputL, inputR];
-
-    // Apply drive
-    let wetL = inputL * this.drive;
-    let wetR = inputR * this.drive;
-
-    // Hard clip
-    wetL = Math.max(-this.threshold, Math.min(this.threshold, wetL));
-    wetR = Math.max(-this.threshold, Math.min(this.threshold, wetR));
-
-    // Normalize to [-1, 1]
-    wetL /= this.threshold;
-    wetR /= this.threshold;
+  processBlock(inL, inR, outL, outR, frames) {
+    if (!this.enabled) {
+      this.passThrough(inL, inR, outL, outR, frames);
+      return;
+    }
 
-    // Apply compensation
+    // Compensation gain (parameters are fixed for the block)
     // Higher drive needs ATTENUATION (divide), not amplification
     const driveComp = 1.0 / Math.pow(this.drive, this.DRIVE_COMP_STRENGTH);
     // Lower threshold needs ATTENUATION (multiply by threshold)
@@ -44,14 +35,30 @@ export class HardClipEffect extends FXBase {
     );
     const totalGain = driveComp * thresholdComp * this.BASE_GAIN;
 
-    wetL *= totalGain;
-    wetR *= totalGain;
+    for (let i = 0; i < frames; i++) {
+      const inputL = inL[i];
+      const inputR = inR[i];
 
-    // Mix dry/wet
-    const outputL = inputL * (1 - this.mix) + wetL * this.mix;
-    const outputR = inputR * (1 - this.mix) + wetR * this.mix;
+      // Apply drive
+      let wetL = inputL * this.drive;
+      let wetR = inputR * this.drive;
 
-    return [outputL, outputR];
+      // Hard clip
+      wetL = Math.max(-this.threshold, Math.min(this.threshold, wetL));
+      wetR = Math.max(-this.threshold, Math.min(this.threshold, wetR));
+
+      // Normalize to [-1, 1]
+      wetL /= this.threshold;
+      wetR /= this.threshold;
+
+      // Apply compensation
+      wetL *= totalGain;
+      wetR *= totalGain;
+
+      // Mix dry/wet
+      outL[i] = inputL * (1 - this.mix) + wetL * this.mix;
+      outR[i] = inputR * (1 - this.mix) + wetR * this.mix;
+    }
   }
 
   onParameterChange(name, value) {
@@ -33,59 +33,65 @@ export class PhaserEffect extends FXBase {
     this.feedbackR = 0;
   }
 
-  process(inputL, inputR) {
-    if (!this.enabled) return [inputL, inputR];
-
-    // Update LFO
-    const lfoValue = Math.sin(this.lfoPhase * 2 * Math.PI);
-    this.lfoPhase += this.rate / this.sampleRate;
-    if (this.lfoPhase >= 1) this.lfoPhase -= 1;
-
-    // Calculate all-pass filter frequency
-    const freqRange = this.maxFreq - this.minFreq;
-    const currentFreq =
-      this.minFreq + (lfoValue * 0.5 + 0.5) * freqRange * this.depth;
-
-    // All-pass coefficient calculation with bounds checking
-    // Clamp omega to prevent tan() overflow near Nyquist frequency
-    const omega = Math.min(
-      (2 * Math.PI * currentFreq) / this.sampleRate,
-      Math.PI * 0.95
-    );
-    const tanHalfOmega = Math.tan(omega / 2);
-    // Clamp a1 to ensure filter stability (|a1| < 1)
-    const a1 = Math.max(
-      -0.99,
-      Math.min(0.99, (tanHalfOmega - 1) / (tanHalfOmega + 1))
-    );
-
-    // Process through all-pass stages (left channel)
-    let outputL = inputL + this.feedbackL * this.feedback;
-    for (let i = 0; i < this.numStages; i++) {
-      const stage = this.allpassL[i];
-      const input = outputL;
-      outputL = a1 * input + stage.zm1;
-      stage.zm1 = input - a1 * outputL;
+  processBlock(inL, inR, outL, outR, frames) {
+    if (!this.enabled) {
+      this.passThrough(inL, inR, outL, outR, frames);
+      return;
     }
-    // Clamp feedback to prevent exponential growth
-    this.feedbackL = Math.max(-2, Math.min(2, outputL));
-
-    // Process through all-pass stages (right channel)
-    let outputR = inputR + this.feedbackR * this.feedback;
-    for (let i = 0; i < this.numStages; i++) {
-      const stage = this.allpassR[i];
-      const input = outputR;
-      outputR = a1 * input + stage.zm1;
-      stage.zm1 = input - a1 * outputR;
-    }
-    // Clamp feedback to prevent exponential growth
-    this.feedbackR = Math.max(-2, Math.min(2, outputR));
-
-    // Mix dry/wet
-    const finalL = inputL * (1 - this.mix) + outputL * this.mix;
-    const finalR = inputR * (1 - this.mix) + outputR * this.mix;
 
-    return [finalL, finalR];
+    for (let i = 0; i < frames; i++) {
+      const inputL = inL[i];
+      const inputR = inR[i];
+
+      // Update LFO
+      const lfoValue = Math.sin(this.lfoPhase * 2 * Math.PI);
+      this.lfoPhase += this.rate / this.sampleRate;
+      if (this.lfoPhase >= 1) this.lfoPhase -= 1;
+
+      // Calculate all-pass filter frequency
+      const freqRange = this.maxFreq - this.minFreq;
+      const currentFreq =
+        this.minFreq + (lfoValue * 0.5 + 0.5) * freqRange * this.depth;
+
+      // All-pass coefficient calculation with bounds checking
+      // Clamp omega to prevent tan() overflow near Nyquist frequency
+      const omega = Math.min(
+        (2 * Math.PI * currentFreq) / this.sampleRate,
+        Math.PI * 0.95
+      );
+      const tanHalfOmega = Math.tan(omega / 2);
+      // Clamp a1 to ensure filter stability (|a1| < 1)
+      const a1 = Math.max(
+        -0.99,
+        Math.min(0.99, (tanHalfOmega - 1) / (tanHalfOmega + 1))
+      );
+
+      // Process through all-pass stages (left channel)
+      let outputL = inputL + this.feedbackL * this.feedback;
+      for (let j = 0; j < this.numStages; j++) {
+        const stage = this.allpassL[j];
+        const input = outputL;
+        outputL = a1 * input + stage.zm1;
+        stage.zm1 = input - a1 * outputL;
+      }
+      // Clamp feedback to prevent exponential growth
+      this.feedbackL = Math.max(-2, Math.min(2, outputL));
+
+      // Process through all-pass stages (right channel)
+      let outputR = inputR + this.feedbackR * this.feedback;
+      for (let j = 0; j < this.numStages; j++) {
+        const stage = this.allpassR[j];
+        const input = outputR;
+        outputR = a1 * input + stage.zm1;
+        stage.zm1 = input - a1 * outputR;
+      }
+      // Clamp feedback to prevent exponential growth
+      this.feedbackR = Math.max(-2, Math.min(2, outputR));
+
+      // Mix dry/wet
+      outL[i] = inputL * (1 - this.mix) + outputL * this.mix;
+      outR[i] = inputR * (1 - this.mix) + outputR * this.mix;
+    }
   }
 
   onParameterChange(name, value) {
@@ -46,66 +46,72 @@ export class PitchShifterEffect extends FXBase {
     return window;
   }
 
-  process(inputL, inputR) {
-    if (!this.enabled) return [inputL, inputR];
-
-    // Write input to circular buffers
-    this.bufferL[this.writeIndex] = inputL;
-    this.bufferR[this.writeIndex] = inputR;
-    this.writeIndex = (this.writeIndex + 1) % this.bufferSize;
-
-    // Calculate pitch ratio from semitones and cents
-    const semitones = this.coarse + this.fine / 100.0;
-    const pitchRatio = Math.pow(2, semitones / 12);
-
-    // No pitch shift - just pass through with dry/wet mix
-    if (Math.abs(semitones) < 0.01) {
-      return [
-        inputL * this.dry + inputL * this.wet,
-        inputR * this.dry + inputR * this.wet,
-      ];
+  processBlock(inL, inR, outL, outR, frames) {
+    if (!this.enabled) {
+      this.passThrough(inL, inR, outL, outR, frames);
+      return;
     }
 
-    // Read grains at modified rate
-    let shiftedL = 0;
-    let shiftedR = 0;
-
-    // Use multiple overlapping grains for smooth output
-    for (let grain = 0; grain < this.overlapFactor; grain++) {
-      const grainOffset = grain * this.hopSize;
-      const readPhase =
-        (this.grainPhase + grainOffset * pitchRatio) % this.grainSize;
-
-      // Calculate read position in buffer
-      const samplesToRead = this.grainSize / 2; // Look back in buffer
-      const readPos = this.writeIndex - samplesToRead + readPhase * pitchRatio;
-
-      // Read with linear interpolation
-      const sampleL = this.readBuffer(this.bufferL, readPos);
-      const sampleR = this.readBuffer(this.bufferR, readPos);
-
-      // Apply Hann window for smooth crossfading
-      const windowPos = Math.floor(
-        (readPhase / this.grainSize) * (this.fadeBuffer.length - 1)
-      );
-      const windowValue = this.fadeBuffer[windowPos] || 0;
-
-      shiftedL += sampleL * windowValue;
-      shiftedR += sampleR * windowValue;
+    for (let i = 0; i < frames; i++) {
+      const inputL = inL[i];
+      const inputR = inR[i];
+
+      // Write input to circular buffers
+      this.bufferL[this.writeIndex] = inputL;
+      this.bufferR[this.writeIndex] = inputR;
+      this.writeIndex = (this.writeIndex + 1) % this.bufferSize;
+
+      // Calculate pitch ratio from semitones and cents
+      const semitones = this.coarse + this.fine / 100.0;
+      const pitchRatio = Math.pow(2, semitones / 12);
+
+      // No pitch shift - just pass through with dry/wet mix
+      if (Math.abs(semitones) < 0.01) {
+        outL[i] = inputL * this.dry + inputL * this.wet;
+        outR[i] = inputR * this.dry + inputR * this.wet;
+        continue;
+      }
+
+      // Read grains at modified rate
+      let shiftedL = 0;
+      let shiftedR = 0;
+
+      // Use multiple overlapping grains for smooth output
+      for (let grain = 0; grain < this.overlapFactor; grain++) {
+        const grainOffset = grain * this.hopSize;
+        const readPhase =
+          (this.grainPhase + grainOffset * pitchRatio) % this.grainSize;
+
+        // Calculate read position in buffer
+        const samplesToRead = this.grainSize / 2; // Look back in buffer
+        const readPos =
+          this.writeIndex - samplesToRead + readPhase * pitchRatio;
+
+        // Read with linear interpolation
+        const sampleL = this.readBuffer(this.bufferL, readPos);
+        const sampleR = this.readBuffer(this.bufferR, readPos);
+
+        // Apply Hann window for smooth crossfading
+        const windowPos = Math.floor(
+          (readPhase / this.grainSize) * (this.fadeBuffer.length - 1)
+        );
+        const windowValue = this.fadeBuffer[windowPos] || 0;
+
+        shiftedL += sampleL * windowValue;
+        shiftedR += sampleR * windowValue;
+      }
+
+      // Normalize by overlap factor
+      shiftedL /= this.overlapFactor;
+      shiftedR /= this.overlapFactor;
+
+      // Advance grain phase
+      this.grainPhase = (this.grainPhase + 1) % this.grainSize;
+
+      // Mix dry/wet
+      outL[i] = inputL * this.dry + shiftedL * this.wet;
+      outR[i] = inputR * this.dry + shiftedR * this.wet;
     }
-
-    // Normalize by overlap factor
-    shiftedL /= this.overlapFactor;
-    shiftedR /= this.overlapFactor;
-
-    // Advance grain phase
-    this.grainPhase = (this.grainPhase + 1) % this.grainSize;
-
-    // Mix dry/wet
-    const outputL = inputL * this.dry + shiftedL * this.wet;
-    const outputR = inputR * this.dry + shiftedR * this.wet;
-
-    return [outputL, outputR];
   }
 
   readBuffer(buffer, position) {
@@ -59,94 +59,100 @@ export class ReverbEffect extends FXBase {
     this.updateParameters();
   }
 
-  process(inputL, inputR) {
-    if (!this.enabled) return [inputL, inputR];
-
-    // Pre-delay and input diffusion
-    const inputMono = (inputL + inputR) * 0.5;
-
-    // Early reflections
-    let earlyL = 0;
-    let earlyR = 0;
-
-    for (let i = 0; i < this.earlyDelaysL.length; i++) {
-      const bufL = this.earlyBuffersL[i];
-      const bufR = this.earlyBuffersR[i];
-      const idxL = this.earlyIndices % this.earlyDelaysL[i];
-      const idxR = this.earlyIndices % this.earlyDelaysR[i];
-
-      earlyL += bufL[idxL] * 0.25;
-      earlyR += bufR[idxR] * 0.25;
-
-      bufL[idxL] = inputMono;
-      bufR[idxR] = inputMono;
-    }
-
-    // Late reverb diffusion network with feedback
-    let diffuseL = earlyL;
-    let diffuseR = earlyR;
-
-    for (let i = 0; i < this.diffusionDelaysL.length; i++) {
-      const bufL = this.diffusionBuffersL[i];
-      const bufR = this.diffusionBuffersR[i];
-      const idxL = this.diffusionIndices % this.diffusionDelaysL[i];
-      const idxR = this.diffusionIndices % this.diffusionDelaysR[i];
-
-      const tapL = bufL[idxL];
-      const tapR = bufR[idxR];
-
-      // Damping (lowpass filter)
-      this.dampL = tapL * 0.3 + this.dampL * 0.7;
-      this.dampR = tapR * 0.3 + this.dampR * 0.7;
-
-      diffuseL += this.dampL * 0.2;
-      diffuseR += this.dampR * 0.2;
-
-      // Write back with feedback
-      bufL[idxL] = inputMono + this.dampL * this.feedback;
-      bufR[idxR] = inputMono + this.dampR * this.feedback;
+  processBlock(inL, inR, outL, outR, frames) {
+    if (!this.enabled) {
+      this.passThrough(inL, inR, outL, outR, frames);
+      return;
     }
 
-    // Shimmer (pitch shift up one octave)
-    let shimmerL = 0;
-    let shimmerR = 0;
-
-    if (this.shimmer > 0.001) {
-      // Simple pitch shifter using time-domain technique
-      const readPos = this.shimmerPhase * 0.5; // Half speed = octave up
-      const idx1 = Math.floor(readPos) % this.shimmerDelayTime;
-      const idx2 = (idx1 + 1) % this.shimmerDelayTime;
-      const frac = readPos - Math.floor(readPos);
-
-      shimmerL =
-        this.shimmerBufferL[idx1] * (1 - frac) +
-        this.shimmerBufferL[idx2] * frac;
-      shimmerR =
-        this.shimmerBufferR[idx1] * (1 - frac) +
-        this.shimmerBufferR[idx2] * frac;
-
-      // Write current diffused signal
-      const writeIdx = this.shimmerPhase % this.shimmerDelayTime;
-      this.shimmerBufferL[writeIdx] = diffuseL;
-      this.shimmerBufferR[writeIdx] = diffuseR;
-
-      this.shimmerPhase = (this.shimmerPhase + 1) % this.shimmerDelayTime;
+    for (let i = 0; i < frames; i++) {
+      const inputL = inL[i];
+      const inputR = inR[i];
+
+      // Pre-delay and input diffusion
+      const inputMono = (inputL + inputR) * 0.5;
+
+      // Early reflections
+      let earlyL = 0;
+      let earlyR = 0;
+
+      for (let j = 0; j < this.earlyDelaysL.length; j++) {
+        const bufL = this.earlyBuffersL[j];
+        const bufR = this.earlyBuffersR[j];
+        const idxL = this.earlyIndices % this.earlyDelaysL[j];
+        const idxR = this.earlyIndices % this.earlyDelaysR[j];
+
+        earlyL += bufL[idxL] * 0.25;
+        earlyR += bufR[idxR] * 0.25;
+
+        bufL[idxL] = inputMono;
+        bufR[idxR] = inputMono;
+      }
+
+      // Late reverb diffusion network with feedback
+      let diffuseL = earlyL;
+      let diffuseR = earlyR;
+
+      for (let j = 0; j < this.diffusionDelaysL.length; j++) {
+        const bufL = this.diffusionBuffersL[j];
+        const bufR = this.diffusionBuffersR[j];
+        const idxL = this.diffusionIndices % this.diffusionDelaysL[j];
+        const idxR = this.diffusionIndices % this.diffusionDelaysR[j];
+
+        const tapL = bufL[idxL];
+        const tapR = bufR[idxR];
+
+        // Damping (lowpass filter)
+        this.dampL = tapL * 0.3 + this.dampL * 0.7;
+        this.dampR = tapR * 0.3 + this.dampR * 0.7;
+
+        diffuseL += this.dampL * 0.2;
+        diffuseR += this.dampR * 0.2;
+
+        // Write back with feedback
+        bufL[idxL] = inputMono + this.dampL * this.feedback;
+        bufR[idxR] = inputMono + this.dampR * this.feedback;
+      }
+
+      // Shimmer (pitch shift up one octave)
+      let shimmerL = 0;
+      let shimmerR = 0;
+
+      if (this.shimmer > 0.001) {
+        // Simple pitch shifter using time-domain technique
+        const readPos = this.shimmerPhase * 0.5; // Half speed = octave up
+        const idx1 = Math.floor(readPos) % this.shimmerDelayTime;
+        const idx2 = (idx1 + 1) % this.shimmerDelayTime;
+        const frac = readPos - Math.floor(readPos);
+
+        shimmerL =
+          this.shimmerBufferL[idx1] * (1 - frac) +
+          this.shimmerBufferL[idx2] * frac;
+        shimmerR =
+          this.shimmerBufferR[idx1] * (1 - frac) +
+          this.shimmerBufferR[idx2] * frac;
+
+        // Write current diffused signal
+        const writeIdx = this.shimmerPhase % this.shimmerDelayTime;
+        this.shimmerBufferL[writeIdx] = diffuseL;
+        this.shimmerBufferR[writeIdx] = diffuseR;
+
+        this.shimmerPhase = (this.shimmerPhase + 1) % this.shimmerDelayTime;
+      }
+
+      // Mix shimmer back into diffusion
+      diffuseL += shimmerL * this.shimmer * 0.3;
+      diffuseR += shimmerR * this.shimmer * 0.3;
+
+      // Advance indices
+      this.earlyIndices++;
+      this.diffusionIndices++;
+
+      // Final mix (wet signal reduced to ~30-35% to prevent excessive loudness)
+      const wetGain = 0.33; // Reduce wet signal to 33%
+      outL[i] = inputL * (1 - this.mix) + diffuseL * this.mix * wetGain;
+      outR[i] = inputR * (1 - this.mix) + diffuseR * this.mix * wetGain;
     }
-
-    // Mix shimmer back into diffusion
-    diffuseL += shimmerL * this.shimmer * 0.3;
-    diffuseR += shimmerR * this.shimmer * 0.3;
-
-    // Advance indices
-    this.earlyIndices++;
-    this.diffusionIndices++;
-
-    // Final mix (wet signal reduced to ~30-35% to prevent excessive loudness)
-    const wetGain = 0.33; // Reduce wet signal to 33%
-    const outputL = inputL * (1 - this.mix) + diffuseL * this.mix * wetGain;
-    const outputR = inputR * (1 - this.mix) + diffuseR * this.mix * wetGain;
-
-    return [outputL, outputR];
   }
 
   updateParameters() {
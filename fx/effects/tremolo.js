@@ -18,28 +18,34 @@ export class TremoloEffect extends FXBase {
     this.waveform = 0; // 0=sine, 1=triangle, 2=square
   }
 
-  process(inputL, inputR) {
-    if (!this.enabled) return [inputL, inputR];
+  processBlock(inL, inR, outL, outR, frames) {
+    if (!this.enabled) {
+      this.passThrough(inL, inR, outL, outR, frames);
+      return;
+    }
 
-    // Calculate LFO values for both channels (0 to 1 range)
-    const lfoL = this.getLFOValue(this.lfoPhase);
-    const lfoR = this.getLFOValue((this.lfoPhase + this.stereoPhase) % 1.0);
+    for (let i = 0; i < frames; i++) {
+      const inputL = inL[i];
+      const inputR = inR[i];
 
-    // Update LFO phase
-    this.lfoPhase += this.rate / this.sampleRate;
-    if (this.lfoPhase >= 1) this.lfoPhase -= 1;
+      // Calculate LFO values for both channels (0 to 1 range)
+      const lfoL = this.getLFOValue(this.lfoPhase);
+      const lfoR = this.getLFOValue((this.lfoPhase + this.stereoPhase) % 1.0);
 
-    // Convert LFO to gain modulation
-    // When depth = 0: gain is always 1 (no effect)
-    // When depth = 1: gain varies from 0 to 1 (full tremolo)
-    const gainL = 1 - this.depth + lfoL * this.depth;
-    const gainR = 1 - this.depth + lfoR * this.depth;
+      // Update LFO phase
+      this.lfoPhase += this.rate / this.sampleRate;
+      if (this.lfoPhase >= 1) this.lfoPhase -= 1;
 
-    // Apply amplitude modulation
-    const outputL = inputL * gainL;
-    const outputR = inputR * gainR;
+      // Convert LFO to gain modulation
+      // When depth = 0: gain is always 1 (no effect)
+      // When depth = 1: gain varies from 0 to 1 (full tremolo)
+      const gainL = 1 - this.depth + lfoL * this.depth;
+      const gainR = 1 - this.depth + lfoR * this.depth;
 
-    return [outputL, outputR];
+      // Apply amplitude modulation
+      outL[i] = inputL * gainL;
+      outR[i] = inputR * gainR;
+    }
   }
 
   getLFOValue(phase) {
@@ -108,6 +114,7 @@ export class TremoloEffect extends FXBase {
           min: 0,
           max: 2,
           default: 0,
+          step: 1,
           unit: '',
         },
       ],
@@ -10,14 +10,60 @@ export class FXBase {
     this.parameters = new Map();
   }
 
+  /**
+   * Process a block of stereo audio
+   * The output buffers may be the input buffers (processed in place), so read
+   * each input sample before writing its output. The default runs process()
+   * per sample, for effects written against the per-sample API.
+   * @param {Float32Array} inL - Left channel input
+   * @param {Float32Array} inR - Right channel input
+   * @param {Float32Array} outL - Left channel output
+   * @param {Float32Array} outR - Right channel output
+   * @param {number} frames - Number of frames to process
+   */
+  processBlock(inL, inR, outL, outR, frames) {
+    for (let i = 0; i < frames; i++) {
+      const [outputL, outputR] = this.process(inL[i], inR[i]);
+      outL[i] = outputL;
+      outR[i] = outputR;
+    }
+  }
+
   /**
    * Process one stereo frame
+   * Compatibility shim over processBlock(); effects implement one or the other.
    * @param {number} inputL - Left channel input sample
    * @param {number} inputR - Right channel input sample
    * @returns {[number, number]} - [outputL, outputR]
    */
   process(inputL, inputR) {
-    throw new Error('process() must be implemented by subclass');
+    if (this.processBlock === FXBase.prototype.processBlock) {
+      throw new Error('process() or processBlock() must be implemented');
+    }
+    if (!this.frameL) {
+      this.frameL = new Float64Array(1);
+      this.frameR = new Float64Array(1);
+    }
+    this.frameL[0] = inputL;
+    this.frameR[0] = inputR;
+    this.processBlock(this.frameL, this.frameR, this.frameL, this.frameR, 1);
+    return [this.frameL[0], this.frameR[0]];
+  }
+
+  /**
+   * Copy input to output unchanged (disabled effects)
+   * @param {Float32Array} inL - Left channel input
+   * @param {Float32Array} inR - Right channel input
+   * @param {Float32Array} outL - Left channel output
+   * @param {Float32Array} outR - Right channel output
+   * @param {number} frames - Number of frames to copy
+   */
+  passThrough(inL, inR, outL, outR, frames) {
+    if (inL === outL && inR === outR) return;
+    for (let i = 0; i < frames; i++) {
+      outL[i] = inL[i];
+      outR[i] = inR[i];
+    }
   }
 
   /**
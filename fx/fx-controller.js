@@ -9,6 +9,7 @@ import {
   getEffectImportPaths,
   getEffectClassNames,
 } from './effect-registry.js';
+import { createFxWorkletURL } from './worklet-source.js';
 
 export class FXController {
   constructor() {
@@ -20,6 +21,8 @@ export class FXController {
     this.metadataLoaded = false;
     this.instanceCounter = 0;
     this.parameterManager = parameterManager;
+    // Matrix slot -> { instanceId, param } for the FX Parameter destination
+    this.modulationTargets = new Map();
   }
 
   async loadMetadata() {
@@ -60,7 +63,8 @@ export class FXController {
     // Load metadata first
     await this.loadMetadata();
 
-    await audioContext.audioWorklet.addModule('worklet/fx-chain-processor.js');
+    // The worklet is generated from the effect modules (see worklet-source.js)
+    await audioContext.audioWorklet.addModule(await createFxWorkletURL());
 
     this.fxNode = new AudioWorkletNode(audioContext, 'fx-chain-processor', {
       numberOfInputs: 1,
@@ -76,6 +80,21 @@ export class FXController {
     return this.fxNode;
   }
 
+  /**
+   * Let the synth processor send matrix modulation straight to the FX chain
+   * @param {AudioWorkletNode} synthNode - Synth worklet node
+   */
+  connectModulationSource(synthNode) {
+    const channel = new MessageChannel();
+    synthNode.port.postMessage({ type: 'connectFX', port: channel.port1 }, [
+      channel.port1,
+    ]);
+    this.fxNode.port.postMessage(
+      { type: 'connectSynth', port: channel.port2 },
+      [channel.port2]
+    );
+  }
+
   addEffect(effectId, position = -1) {
     const instanceId = `${effectId}_${++this.instanceCounter}`;
 
@@ -100,6 +119,11 @@ export class FXController {
     this.activeEffects.delete(instanceId);
     this.chainOrder = this.chainOrder.filter((id) => id !== instanceId);
 
+    // The worklet drops the instance's modulation targets with it
+    for (const [slot, target] of this.modulationTargets) {
+      if (target.instanceId === instanceId) this.modulationTargets.delete(slot);
+    }
+
     // Clean up parameter manager state
     this.parameterManager.clearInstance(instanceId);
   }
@@ -111,6 +135,10 @@ export class FXController {
       type: 'reorderChain',
       order: newOrder,
     });
+
+    window.dispatchEvent(
+      new CustomEvent('fxChainChanged', { detail: { type: 'reordered' } })
+    );
   }
 
   setParameter(instanceId, param, value) {
@@ -144,11 +172,125 @@ export class FXController {
       instanceId,
       param,
       value: validatedValue,
+      smoothing: this.parameterManager.getParameterDef(effectId, param)
+        ?.smoothing,
     });
 
     return validatedValue;
   }
 
+  /**
+   * Route a modulation matrix slot (destination 'FX Parameter') to an effect
+   * parameter. The target follows the instance when the chain is reordered
+   * and is dropped when the effect is removed.
+   * @param {number} slot - Matrix slot (1-12)
+   * @param {string} instanceId - Effect instance
+   * @param {string} param - Parameter name
+   * @returns {boolean} True if the target was set
+   */
+  setModulationTarget(slot, instanceId, param) {
+    const effect = this.activeEffects.get(instanceId);
+    const def =
+      effect && this.parameterManager.getParameterDef(effect.effectId, param);
+    if (!def) {
+      console.warn(
+        `Cannot modulate unknown FX parameter: ${instanceId}.${param}`
+      );
+      return false;
+    }
+
+    this.fxNode.port.postMessage({
+      type: 'setModTarget',
+      slot,
+      instanceId,
+      param,
+      min: def.min,
+      max: def.max,
+      defaultValue: def.default,
+      smoothing: def.smoothing,
+    });
+    this.modulationTargets.set(slot, { instanceId, param });
+    return true;
+  }
+
+  clearModulationTarget(slot) {
+    if (!this.modulationTargets.delete(slot)) return;
+    this.fxNode.port.postMessage({ type: 'clearModTarget', slot });
+  }
+
+  getModulationTarget(slot) {
+    return this.modulationTargets.get(slot) ?? null;
+  }
+
+  // Instances of an effect type, in chain order
+  getInstancesOf(effectId) {
+    return this.chainOrder.filter(
+      (id) => this.activeEffects.get(id)?.effectId === effectId
+    );
+  }
+
+  /**
+   * Modulation targets in a form that outlives the session, for patches:
+   * instance ids are replaced by the effect type and the instance's position
+   * among effects of that type in the chain
+   * @returns {Object<number, {effectId: string, index: number, param: string}>}
+   *   Targets by matrix slot
+   */
+  getPatchModulationTargets() {
+    const targets = {};
+    for (const [slot, { instanceId, param }] of this.modulationTargets) {
+      const effect = this.activeEffects.get(instanceId);
+      if (!effect) continue;
+      const index = this.getInstancesOf(effect.effectId).indexOf(instanceId);
+      targets[slot] = { effectId: effect.effectId, index, param };
+    }
+    return targets;
+  }
+
+  /**
+   * Replace the modulation targets with ones saved in a patch
+   * Slots whose effect isn't in the chain are left without a target.
+   * @param {Object<number, {effectId: string, index: number, param: string}>}
+   *   targets - Targets by matrix slot (see getPatchModulationTargets)
+   */
+  restoreModulationTargets(targets) {
+    for (const slot of Array.from(this.modulationTargets.keys())) {
+      this.clearModulationTarget(slot);
+    }
+    for (const [slot, { effectId, index, param }] of Object.entries(targets)) {
+      const instanceId = this.getInstancesOf(effectId)[index];
+      if (!instanceId) {
+        console.warn(
+          `Matrix slot ${slot}: no ${effectId} effect ${index + 1} in the chain`
+        );
+        continue;
+      }
+      this.setModulationTarget(Number(slot), instanceId, param);
+    }
+  }
+
+  /**
+   * Every parameter of every effect instance, in chain order
+   * @returns {Array<{instanceId: string, param: string, label: string}>}
+   */
+  getModulationTargets() {
+    const targets = [];
+    for (const instanceId of this.chainOrder) {
+      const effect = this.activeEffects.get(instanceId);
+      const metadata = effect && this.effectsMetadata.get(effect.effectId);
+      if (!metadata) continue;
+      const number = instanceId.split('_').pop();
+      for (const p of metadata.parameters) {
+        targets.push({
+          instanceId,
+          param: p.name,
+          label: `${metadata.name} ${number}: ${p.label}`,
+        });
+      }
+    }
+    return targets;
+  }
+
   setEnabled(instanceId, enabled) {
     this.fxNode.port.postMessage({
       type: 'setEnabled',
@@ -245,6 +387,7 @@ export class FXController {
 
     this.activeEffects.clear();
     this.chainOrder = [];
+    this.modulationTargets.clear();
 
     // Notify UI that chain was cleared
     window.dispatchEvent(
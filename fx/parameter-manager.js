@@ -8,8 +8,11 @@
  * - Unit conversion helpers
  * - Change notification system
  * - Parameter presets
+ * - Smoothing times for the FX chain processor
  */
 
+import { FX_SMOOTHING_TIME } from '../utils/parameter-registry.js';
+
 export class ParameterManager {
   constructor() {
     // Parameter definitions by effect ID
@@ -58,6 +61,15 @@ export class ParameterManager {
         unit: param.unit ?? '',
         type: param.type ?? 'number',
         enum: param.enum ?? null,
+        // Seconds the FX chain processor glides to a new value; only
+        // continuous numeric parameters glide (stepped ones are rounded, so a
+        // glide would pass through the values in between), and metadata can
+        // override (0 = immediate)
+        smoothing:
+          param.smoothing ??
+          ((param.type ?? 'number') === 'number' && param.step == null
+            ? FX_SMOOTHING_TIME
+            : 0),
       });
     }
 
@@ -0,0 +1,81 @@
+/**
+ * FX Worklet Source - Generates the FX chain worklet from the effect modules
+ *
+ * AudioWorklet scripts can't import modules, so the effect classes are
+ * inlined into worklet/fx-chain-processor.js from fx/fx-base.js and every
+ * effect in the registry. The dev loader (FXController) and build.js both
+ * generate the worklet here, which keeps fx/effects the only copy of the
+ * effect DSP: registering an effect is enough to make it available.
+ */
+
+import { EFFECT_REGISTRY } from './effect-registry.js';
+
+export const FX_WORKLET_PATH = 'worklet/fx-chain-processor.js';
+export const FX_BASE_PATH = 'fx/fx-base.js';
+
+const INLINE_MARKER =
+  /\/\/ BUILD_INLINE_START: effects\s*\n[\s\S]*?\/\/ BUILD_INLINE_END: effects/;
+
+// Strip module syntax so a module can be inlined into a worklet script
+function toWorkletScript(code) {
+  return code
+    .replace(/^import\s+.+$/gm, '') // Remove import statements
+    .replace(/^export\s+/gm, '') // Remove export keywords
+    .trim();
+}
+
+/**
+ * Generate the FX chain worklet script
+ * @param {Function} readSource - Reads a file by repo-relative path, returning
+ *   its text (or a promise of it)
+ * @param {Array<Object>} [registry=EFFECT_REGISTRY] - Effects to inline
+ * @returns {Promise<string>} Self-contained worklet script
+ */
+export async function generateFxWorklet(
+  readSource,
+  registry = EFFECT_REGISTRY
+) {
+  const files = [
+    FX_BASE_PATH,
+    ...registry.map((effect) => `fx/effects/${effect.file}`),
+  ];
+  const [processor, ...modules] = await Promise.all(
+    [FX_WORKLET_PATH, ...files].map((file) => readSource(file))
+  );
+
+  if (!INLINE_MARKER.test(processor)) {
+    throw new Error(`${FX_WORKLET_PATH} is missing its effects inline marker`);
+  }
+
+  const classes = registry
+    .map((effect) => `  ['${effect.id}', ${effect.class}],`)
+    .join('\n');
+  const inlined = [
+    '// BUILD_INLINE_START: effects',
+    ...modules.map((code, i) => `// ${files[i]}\n${toWorkletScript(code)}`),
+    `const EFFECT_CLASSES = [\n${classes}\n];`,
+    '// BUILD_INLINE_END: effects',
+  ].join('\n\n');
+
+  // Replace through a function so `$` in the inlined code is taken literally
+  return processor.replace(INLINE_MARKER, () => inlined);
+}
+
+/**
+ * Generate the FX chain worklet in the browser (development)
+ * Sources are fetched relative to this module, so this works from any page.
+ * @returns {Promise<string>} Blob URL for audioWorklet.addModule()
+ */
+export async function createFxWorkletURL() {
+  const root = new URL('../', import.meta.url);
+  const code = await generateFxWorklet(async (file) => {
+    const response = await fetch(new URL(file, root));
+    if (!response.ok) {
+      throw new Error(`Failed to load ${file}: ${response.status}`);
+    }
+    return response.text();
+  });
+  return URL.createObjectURL(
+    new Blob([code], { type: 'application/javascript' })
+  );
+}
@@ -4,7 +4,9 @@ import { MIDIInput } from './midi/midi-input.js';
 import { FXControls } from './ui/fx-controls.js';
 import { destroyKeyboard } from './ui/keyboard.js';
 import { TempoManager } from './utils/tempo-manager.js';
-import { initializeMatrixUI } from './ui/matrix-ui.js';
+import { initializeMatrixUI, initMatrixFxTargets } from './ui/matrix-ui.js';
+import { PatchManager } from './patches/patch-manager.js';
+import { PresetBrowser } from './patches/preset-browser.js';
 
 // Helper to show user-visible error messages
 function showError(title, message) {
@@ -85,6 +87,10 @@ async function initApp() {
       console.log('MIDI not available - using keyboard/mouse only');
     }
 
+    // Initialize patch storage
+    const patchManager = new PatchManager(synth);
+    const presetBrowser = new PresetBrowser(patchManager);
+
     // Initialize modulation matrix UI BEFORE parameter controls
     initializeMatrixUI();
     console.log('Modulation matrix UI initialized');
@@ -95,11 +101,14 @@ async function initApp() {
       state,
       midiInput: midiEnabled ? midiInput : null,
       tempoManager,
+      patchManager,
+      presetBrowser,
     });
 
     // Initialize FX UI if FX controller is available
     if (fxController) {
       const fxControls = new FXControls(fxController);
+      initMatrixFxTargets(fxController);
       console.log('FX UI initialized');
     }
 
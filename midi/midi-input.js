@@ -3,6 +3,19 @@ import { logger } from '../utils/logger.js';
 
 const STORAGE_KEY = 'vortexpwm.ccMappings';
 
+// MPE (MIDI Polyphonic Expression): a zone is a manager channel plus a range
+// of member channels. The controller plays each note on its own member
+// channel, so that channel's pitch bend, pressure and CC74 belong to the note.
+const MPE_LOWER_MANAGER = 0; // Channel 1, members counting up from channel 2
+const MPE_UPPER_MANAGER = 15; // Channel 16, members counting down from 15
+const MPE_MAX_MEMBERS = 15;
+const MPE_DEFAULT_BEND_RANGE = 48; // Member channel default, in semitones
+const MPE_SLIDE_CC = 74;
+
+// Registered parameter numbers (CC 101/100 select, CC 6 sets the value)
+const RPN_PITCH_BEND_RANGE = 0;
+const RPN_MPE_CONFIGURATION = 6;
+
 const CC_TARGETS = [
   {
     id: 'modWheel',
@@ -309,6 +322,22 @@ export class MIDIInput {
     this.sustainPedal = false;
     this.sustainedNotes = new Set(); // MIDI notes held by sustain pedal
 
+    // MPE state: member channel counts per zone (0 = zone off), per-zone
+    // member bend range, and the latest expression on each channel
+    this.mpeEnabled = false;
+    this.mpeZones = { lower: 0, upper: 0 };
+    this.mpeBendRange = {
+      lower: MPE_DEFAULT_BEND_RANGE,
+      upper: MPE_DEFAULT_BEND_RANGE,
+    };
+    this.channelExpression = Array.from({ length: 16 }, () => ({
+      bend: 0,
+      pressure: 0,
+      slide: 0,
+    }));
+    this.rpn = Array.from({ length: 16 }, () => ({ msb: 127, lsb: 127 }));
+    this.onMPEChange = null; // callback when MPE mode or zones change
+
     // CC mapping state
     this.ccTargets = CC_TARGETS;
     this.ccTargetMap = CC_TARGET_MAP;
@@ -556,13 +585,29 @@ export class MIDIInput {
   handleMIDIMessage(message, inputId) {
     const [status, data1, data2] = message.data;
     const command = status & 0xf0;
+    const channel = status & 0x0f;
 
     // Validate MIDI note range early
-    if ((command === 0x90 || command === 0x80) && (data1 < 0 || data1 > 127)) {
+    if (
+      (command === 0x90 || command === 0x80 || command === 0xa0) &&
+      (data1 < 0 || data1 > 127)
+    ) {
       console.warn(`Invalid MIDI note received: ${data1} (must be 0-127)`);
       return;
     }
 
+    // RPNs are tracked on every channel: the MPE Configuration Message
+    // arrives as one and switches MPE on
+    if (command === 0xb0) {
+      this.trackRPN(channel, data1, data2);
+    }
+
+    const zone = this.getMPEMemberZone(channel);
+    if (zone) {
+      this.handleMPEMessage(command, channel, zone, data1, data2);
+      return;
+    }
+
     switch (command) {
       case 0x90: // Note On
         if (data2 > 0) {
@@ -581,7 +626,11 @@ export class MIDIInput {
         break;
 
       case 0x80: // Note Off
-        this.handleNoteOff(data1);
+        this.handleNoteOff(data1, data2 / 127);
+        break;
+
+      case 0xa0: // Polyphonic Key Pressure
+        this.synth.polyPressure(data1, data2);
         break;
 
       case 0xe0: // Pitch Bend
@@ -606,13 +655,222 @@ export class MIDIInput {
     }
   }
 
+  /**
+   * Handle a message on an MPE member channel
+   * Notes carry the channel's expression; pitch bend, channel pressure and
+   * CC74 update it for the note playing there. Other messages are ignored:
+   * global controls belong on the zone's manager channel. The synth still
+   * keys voices by note number, so one note held on two channels shares them.
+   * @param {number} command - Status byte without the channel
+   * @param {number} channel - Member channel (0-15)
+   * @param {'lower'|'upper'} zone - Zone the channel belongs to
+   * @param {number} data1 - First data byte
+   * @param {number} data2 - Second data byte
+   */
+  handleMPEMessage(command, channel, zone, data1, data2) {
+    const state = this.channelExpression[channel];
+
+    switch (command) {
+      case 0x90: // Note On
+        if (data2 > 0) {
+          this.sustainedNotes.delete(data1);
+          this.synth.noteOn(
+            data1,
+            this.applyVelocityCurve(data2),
+            this.getExpression(channel, zone)
+          );
+          if (this.onNoteActivity) {
+            this.onNoteActivity('on', data1, data2);
+          }
+        } else {
+          this.handleNoteOff(data1);
+        }
+        return;
+
+      case 0x80: // Note Off
+        this.handleNoteOff(data1, data2 / 127);
+        return;
+
+      case 0xe0: // Per-note pitch bend
+        state.bend = ((data1 | (data2 << 7)) - 8192) / 8192;
+        break;
+
+      case 0xd0: // Per-note pressure
+        state.pressure = data1 / 127;
+        break;
+
+      case 0xb0: // Slide (CC74)
+        if (data1 !== MPE_SLIDE_CC) return;
+        state.slide = data2 / 127;
+        break;
+
+      default:
+        return;
+    }
+    this.synth.noteExpression(this.getExpression(channel, zone));
+  }
+
+  /**
+   * Expression of a member channel, as sent to the synth
+   * @param {number} channel - Member channel (0-15)
+   * @param {'lower'|'upper'} zone - Zone the channel belongs to
+   * @returns {{channel: number, bend: number, bendRange: number,
+   *   pressure: number, slide: number}} Expression
+   */
+  getExpression(channel, zone) {
+    const { bend, pressure, slide } = this.channelExpression[channel];
+    return {
+      channel,
+      bend,
+      bendRange: this.mpeBendRange[zone],
+      pressure,
+      slide,
+    };
+  }
+
+  /**
+   * Follow RPN selection (CC 101/100) and apply data entry (CC 6)
+   * @param {number} channel - MIDI channel (0-15)
+   * @param {number} cc - Controller number
+   * @param {number} value - Controller value
+   */
+  trackRPN(channel, cc, value) {
+    const rpn = this.rpn[channel];
+    if (cc === 101) {
+      rpn.msb = value;
+    } else if (cc === 100) {
+      rpn.lsb = value;
+    } else if (cc === 6 && rpn.msb === 0) {
+      this.applyRPN(channel, rpn.lsb, value);
+    }
+  }
+
+  /**
+   * Apply an RPN that matters for MPE
+   * @param {number} channel - MIDI channel (0-15)
+   * @param {number} parameter - RPN (LSB; the MSB is 0)
+   * @param {number} value - Data entry MSB
+   */
+  applyRPN(channel, parameter, value) {
+    if (parameter === RPN_MPE_CONFIGURATION) {
+      if (channel === MPE_LOWER_MANAGER) this.configureMPEZone('lower', value);
+      if (channel === MPE_UPPER_MANAGER) this.configureMPEZone('upper', value);
+      return;
+    }
+
+    // Bend range on a member channel sets it for the zone's notes; on a
+    // manager channel it's the ordinary (global) pitch bend range
+    if (parameter === RPN_PITCH_BEND_RANGE && this.mpeEnabled) {
+      const memberZone = this.getMPEMemberZone(channel);
+      if (memberZone) {
+        this.mpeBendRange[memberZone] = value;
+        this.notifyMPEChange();
+      } else if (this.getMPEManagerZone(channel)) {
+        this.setPitchBendRange(value);
+        this.notifyMPEChange();
+      }
+    }
+  }
+
+  /**
+   * Set up an MPE zone (as the MPE Configuration Message does)
+   * A zone that would overlap the other one shrinks the other; a zone with no
+   * member channels is off. MPE is on while either zone is.
+   * @param {'lower'|'upper'} zone - Zone to configure
+   * @param {number} members - Member channel count (0-15)
+   */
+  configureMPEZone(zone, members) {
+    const count = Math.max(0, Math.min(MPE_MAX_MEMBERS, Math.round(members)));
+    const other = zone === 'lower' ? 'upper' : 'lower';
+    this.mpeZones[zone] = count;
+    this.mpeZones[other] = Math.min(
+      this.mpeZones[other],
+      Math.max(0, MPE_MAX_MEMBERS - 1 - count)
+    );
+    this.mpeBendRange[zone] = MPE_DEFAULT_BEND_RANGE;
+    this.mpeEnabled = this.mpeZones.lower > 0 || this.mpeZones.upper > 0;
+    logger.info(
+      `MPE zones: lower ${this.mpeZones.lower}, upper ${this.mpeZones.upper}`
+    );
+    this.notifyMPEChange();
+  }
+
+  /**
+   * Turn MPE on or off by hand
+   * Turning it on without a configured zone sets up a lower zone with all 15
+   * member channels, the default for most MPE controllers.
+   * @param {boolean} enabled - MPE mode
+   */
+  setMPEEnabled(enabled) {
+    if (!enabled) {
+      this.mpeZones = { lower: 0, upper: 0 };
+      this.mpeEnabled = false;
+      this.notifyMPEChange();
+    } else if (!this.mpeEnabled) {
+      this.configureMPEZone('lower', MPE_MAX_MEMBERS);
+    }
+  }
+
+  /**
+   * Set the per-note pitch bend range of both zones
+   * @param {number} range - Semitones (0-96)
+   */
+  setMPEBendRange(range) {
+    const semitones = Math.max(0, Math.min(96, range));
+    this.mpeBendRange.lower = semitones;
+    this.mpeBendRange.upper = semitones;
+  }
+
+  /**
+   * Zone whose member channels include a channel
+   * @param {number} channel - MIDI channel (0-15)
+   * @returns {'lower'|'upper'|null} Zone, or null outside MPE member channels
+   */
+  getMPEMemberZone(channel) {
+    if (!this.mpeEnabled) return null;
+    const { lower, upper } = this.mpeZones;
+    if (channel > MPE_LOWER_MANAGER && channel <= lower) return 'lower';
+    if (channel < MPE_UPPER_MANAGER && channel >= MPE_UPPER_MANAGER - upper) {
+      return 'upper';
+    }
+    return null;
+  }
+
+  /**
+   * Zone managed from a channel
+   * @param {number} channel - MIDI channel (0-15)
+   * @returns {'lower'|'upper'|null} Zone, or null if not a manager channel
+   */
+  getMPEManagerZone(channel) {
+    if (channel === MPE_LOWER_MANAGER && this.mpeZones.lower > 0) {
+      return 'lower';
+    }
+    if (channel === MPE_UPPER_MANAGER && this.mpeZones.upper > 0) {
+      return 'upper';
+    }
+    return null;
+  }
+
+  notifyMPEChange() {
+    if (this.onMPEChange) {
+      this.onMPEChange({
+        enabled: this.mpeEnabled,
+        zones: { ...this.mpeZones },
+        bendRange: { ...this.mpeBendRange },
+        pitchBendRange: this.pitchBendRange,
+      });
+    }
+  }
+
   // Handle note off with sustain pedal support
-  handleNoteOff(midiNote) {
+  // Release velocity defaults to 0.5 (MIDI's 64) for Note On with velocity 0
+  // and for notes released by the pedal
+  handleNoteOff(midiNote, releaseVelocity = 0.5) {
     if (this.sustainPedal) {
       // Hold the note until sustain is released
       this.sustainedNotes.add(midiNote);
     } else {
-      this.synth.noteOff(midiNote);
+      this.synth.noteOff(midiNote, releaseVelocity);
     }
     if (this.onNoteActivity) {
       this.onNoteActivity('off', midiNote, 0);
@@ -646,6 +904,9 @@ export class MIDIInput {
       }
     }
 
+    // Every CC also reaches the matrix's MIDI CC source, mapped or not
+    this.synth.controlChange(ccNumber, value);
+
     const targetId = this.ccAssignments.get(ccNumber);
     if (!targetId) {
       // Ignore unmapped CCs
@@ -692,6 +953,7 @@ export class MIDIInput {
           this.sustainedNotes.clear();
         }
         this.sustainPedal = sustainPressed;
+        this.synth.setParam('sustainPedal', sustainPressed ? 1 : 0);
         logger.debug(`Sustain pedal: ${sustainPressed ? 'ON' : 'OFF'}`);
         break;
       }
@@ -702,6 +964,7 @@ export class MIDIInput {
           this.synth.allNotesOff();
           this.sustainedNotes.clear();
           this.sustainPedal = false;
+          this.synth.setParam('sustainPedal', 0);
         } else if (target.mode === 'allNotesOff') {
           logger.info('MIDI Panic: All Notes Off (CC 123)');
           this.synth.allNotesOff();
@@ -0,0 +1,502 @@
+// patches/factory-presets.js - Built-in factory patch bank
+import {
+  MATRIX_SOURCES,
+  MATRIX_DESTINATIONS,
+} from '../utils/parameter-registry.js';
+import { validatePatch, PATCH_FORMAT, PATCH_VERSION } from './patch-manager.js';
+
+/**
+ * Factory preset categories (in browser display order)
+ */
+export const PRESET_CATEGORIES = ['Bass', 'Lead', 'Pad', 'Pluck', 'Keys', 'FX'];
+
+// Look up matrix indices by name so the bank survives list extensions
+function source(name) {
+  const index = MATRIX_SOURCES.indexOf(name);
+  if (index < 0) throw new Error(`Unknown matrix source: ${name}`);
+  return index;
+}
+
+function dest(name) {
+  const index = MATRIX_DESTINATIONS.indexOf(name);
+  if (index < 0) throw new Error(`Unknown matrix destination: ${name}`);
+  return index;
+}
+
+/**
+ * Build matrix slot parameters from [source, destination, amount] routes
+ * @param {...Array} routes - Routes assigned to slots 1, 2, 3, ...
+ * @returns {object} matrixSourceN/matrixDestN/matrixAmountN parameters
+ */
+function matrix(...routes) {
+  const params = {};
+  routes.forEach(([src, dst, amount], i) => {
+    params[`matrixSource${i + 1}`] = source(src);
+    params[`matrixDest${i + 1}`] = dest(dst);
+    params[`matrixAmount${i + 1}`] = amount;
+  });
+  return params;
+}
+
+/**
+ * Define a factory preset; parameters not listed use registry defaults
+ */
+function preset(name, category, parameters) {
+  return {
+    format: PATCH_FORMAT,
+    version: PATCH_VERSION,
+    name,
+    category,
+    parameters,
+  };
+}
+
+const FACTORY_BANK = [
+  // === BASS ===
+  preset('PWM Bass', 'Bass', {
+    pulseWidth: 0.35,
+    pulseWidthModulationDepth: 0.25,
+    pulseWidthModulationRate: 0.8,
+    subOscillatorVolume: 0.6,
+    filterCutoff: 600,
+    filterResonance: 0.3,
+    lpEnvAmount: 0.55,
+    filterEnvAttack: 0.001,
+    filterEnvDecay: 0.35,
+    filterEnvSustain: 0.1,
+    filterEnvRelease: 0.15,
+    envelopeAttack: 0.002,
+    envelopeDecay: 0.4,
+    envelopeSustain: 0.8,
+    envelopeRelease: 0.12,
+    ...matrix(['Velocity', 'F1 Cutoff', 20]),
+  }),
+  preset('Sync Growl', 'Bass', {
+    oscillatorVolume: 0.5,
+    subOscillatorVolume: 0.5,
+    oscillator2Waveform: 0,
+    oscillator2CoarseTune: 12,
+    oscillator2Volume: 0.8,
+    oscillator2HardSync: 1,
+    filterCutoff: 1200,
+    filterResonance: 0.3,
+    lpEnvAmount: 0.4,
+    filterEnvDecay: 0.5,
+    filterEnvSustain: 0.2,
+    envelopeAttack: 0.002,
+    envelopeRelease: 0.1,
+    ...matrix(
+      ['Filter Env', 'OSC2 Pitch', 45],
+      ['Mod Wheel', 'OSC2 Pitch', 30]
+    ),
+  }),
+  preset('Ring Sub', 'Bass', {
+    oscillatorVolume: 0.4,
+    pulseWidthModulationDepth: 0,
+    subOscillatorVolume: 0.8,
+    oscillator2Waveform: 2,
+    oscillator2CoarseTune: 7,
+    oscillator2Volume: 0.2,
+    ringModulatorVolume: 0.45,
+    filterCutoff: 900,
+    filterResonance: 0.15,
+    lpEnvAmount: 0.3,
+    filterEnvDecay: 0.25,
+    filterEnvSustain: 0.3,
+    envelopeAttack: 0.003,
+    envelopeDecay: 0.3,
+    envelopeSustain: 0.9,
+    envelopeRelease: 0.1,
+  }),
+  preset('Acid Squelch', 'Bass', {
+    pulseWidth: 0.5,
+    pulseWidthModulationDepth: 0,
+    subOscillatorVolume: 0.2,
+    filterCutoff: 250,
+    filterResonance: 0.85,
+    lpEnvAmount: 0.8,
+    filterEnvAttack: 0.001,
+    filterEnvDecay: 0.2,
+    filterEnvSustain: 0,
+    filterEnvRelease: 0.1,
+    envelopeAttack: 0.001,
+    envelopeDecay: 0.3,
+    envelopeSustain: 0.7,
+    envelopeRelease: 0.08,
+    velocityAmount: 0.7,
+    ...matrix(
+      ['Velocity', 'F1 Cutoff', 35],
+      ['Mod Wheel', 'F1 Resonance', -40]
+    ),
+  }),
+
+  // === LEAD ===
+  preset('Sync Lead', 'Lead', {
+    oscillatorVolume: 0.3,
+    oscillator2Waveform: 0,
+    oscillator2CoarseTune: 19,
+    oscillator2Volume: 0.9,
+    oscillator2HardSync: 1,
+    filterCutoff: 6000,
+    filterResonance: 0.2,
+    envelopeAttack: 0.005,
+    envelopeSustain: 0.85,
+    envelopeRelease: 0.25,
+    lfo1Rate: 0.3,
+    lfo1Depth: 0.6,
+    lfo1Waveform: 1,
+    lfo2Rate: 5.5,
+    lfo2Depth: 0,
+    ...matrix(
+      ['LFO1', 'OSC2 Pitch', 25],
+      ['Mod Wheel', 'LFO2 Amount', 100],
+      ['LFO2', 'OSC1 Pitch', 3],
+      ['LFO2', 'OSC2 Pitch', 3]
+    ),
+  }),
+  preset('PWM Solo', 'Lead', {
+    pulseWidth: 0.4,
+    pulseWidthModulationDepth: 0.6,
+    pulseWidthModulationRate: 4.5,
+    subOscillatorVolume: 0.3,
+    oscillator2Waveform: 3,
+    oscillator2FineTune: 8,
+    oscillator2Volume: 0.4,
+    filterCutoff: 3500,
+    filterResonance: 0.25,
+    lpEnvAmount: 0.25,
+    filterEnvDecay: 0.6,
+    filterEnvSustain: 0.5,
+    envelopeAttack: 0.01,
+    envelopeSustain: 0.9,
+    envelopeRelease: 0.3,
+    lfo1Rate: 5.2,
+    lfo1Depth: 0,
+    lfo1FadeIn: 0.6,
+    ...matrix(
+      ['Mod Wheel', 'LFO1 Amount', 100],
+      ['LFO1', 'OSC1 Pitch', 4],
+      ['Aftertouch', 'F1 Cutoff', 40]
+    ),
+  }),
+  preset('Screaming FM', 'Lead', {
+    oscillatorVolume: 0.8,
+    frequencyModulationDepth: 0.35,
+    oscillator2Waveform: 2,
+    oscillator2CoarseTune: 12,
+    oscillator2Volume: 0.2,
+    filterCutoff: 4500,
+    filterResonance: 0.45,
+    envelopeAttack: 0.003,
+    envelopeSustain: 0.8,
+    envelopeRelease: 0.2,
+    lpEnvAmount: 0.2,
+    filterEnvDecay: 0.4,
+    filterEnvSustain: 0.3,
+    ...matrix(
+      ['Mod Wheel', 'OSC1 FM', 50],
+      ['Filter Env', 'OSC1 FM', 30],
+      ['Velocity', 'F1 Cutoff', 25]
+    ),
+  }),
+  preset('Square Whistle', 'Lead', {
+    pulseWidth: 0.5,
+    pulseWidthModulationDepth: 0.1,
+    pulseWidthModulationRate: 0.5,
+    filterCutoff: 2500,
+    filterResonance: 0.6,
+    hpfCutoff: 300,
+    envelopeAttack: 0.04,
+    envelopeSustain: 1,
+    envelopeRelease: 0.35,
+    lfo1Rate: 6,
+    lfo1Depth: 0.3,
+    lfo1FadeIn: 1.2,
+    ...matrix(['LFO1', 'OSC1 Pitch', 2], ['Note Number', 'F1 Cutoff', 40]),
+  }),
+
+  // === PAD ===
+  preset('Vortex Pad', 'Pad', {
+    pulseWidth: 0.3,
+    pulseWidthModulationDepth: 0.7,
+    pulseWidthModulationRate: 0.35,
+    oscillator2Waveform: 0,
+    oscillator2FineTune: 12,
+    oscillator2Volume: 0.6,
+    filterCutoff: 1800,
+    filterResonance: 0.2,
+    lpEnvAmount: 0.2,
+    filterEnvAttack: 1.5,
+    filterEnvDecay: 2,
+    filterEnvSustain: 0.6,
+    filterEnvRelease: 2.5,
+    envelopeAttack: 1.2,
+    envelopeDecay: 1,
+    envelopeSustain: 0.9,
+    envelopeRelease: 2.5,
+    panningModulationDepth: 0.6,
+    panningModulationRate: 0.2,
+    lfo1Rate: 0.15,
+    lfo1Depth: 0.8,
+    ...matrix(['LFO1', 'F1 Cutoff', 15], ['LFO1', 'OSC1 PWM', 30]),
+  }),
+  preset('Glass Ring Pad', 'Pad', {
+    oscillatorVolume: 0.4,
+    pulseWidthModulationDepth: 0.3,
+    pulseWidthModulationRate: 0.2,
+    oscillator2Waveform: 1,
+    oscillator2CoarseTune: 19,
+    oscillator2Volume: 0.3,
+    ringModulatorVolume: 0.35,
+    filterCutoff: 5000,
+    filterResonance: 0.15,
+    hpfCutoff: 150,
+    envelopeAttack: 0.8,
+    envelopeDecay: 2,
+    envelopeSustain: 0.7,
+    envelopeRelease: 3,
+    panningModulationDepth: 0.8,
+    panningModulationRate: 0.12,
+    lfo1Rate: 0.08,
+    lfo1Depth: 1,
+    lfo1Waveform: 1,
+    ...matrix(['LFO1', 'Ring Volume', 25], ['Velocity', 'OSC2 Volume', 30]),
+  }),
+  preset('Warm Strings', 'Pad', {
+    pulseWidth: 0.45,
+    pulseWidthModulationDepth: 0.5,
+    pulseWidthModulationRate: 0.6,
+    subOscillatorVolume: 0.2,
+    oscillator2Waveform: 0,
+    oscillator2FineTune: -9,
+    oscillator2Volume: 0.7,
+    filterCutoff: 2500,
+    filterResonance: 0.05,
+    hpfCutoff: 90,
+    envelopeAttack: 0.6,
+    envelopeDecay: 0.5,
+    envelopeSustain: 0.85,
+    envelopeRelease: 1.2,
+    lfo1Rate: 4.8,
+    lfo1Depth: 0,
+    lfo1FadeIn: 1.5,
+    ...matrix(
+      ['Mod Wheel', 'LFO1 Amount', 60],
+      ['LFO1', 'OSC1 Pitch', 2],
+      ['LFO1', 'OSC2 Pitch', 2],
+      ['Aftertouch', 'F1 Cutoff', 30]
+    ),
+  }),
+  preset('Dark Drone', 'Pad', {
+    oscillatorCoarseTune: -12,
+    pulseWidthModulationDepth: 0.8,
+    pulseWidthModulationRate: 0.1,
+    subOscillatorVolume: 0.5,
+    oscillator2Waveform: 0,
+    oscillator2CoarseTune: -12,
+    oscillator2FineTune: 6,
+    oscillator2Volume: 0.7,
+    subOscillator2Volume: 0.3,
+    noiseVolume: 0.05,
+    filterCutoff: 500,
+    filterResonance: 0.5,
+    envelopeAttack: 2.5,
+    envelopeSustain: 1,
+    envelopeRelease: 4,
+    lfo1Rate: 0.05,
+    lfo1Depth: 1,
+    lfo2Rate: 0.13,
+    lfo2Depth: 1,
+    lfo2Waveform: 1,
+    ...matrix(
+      ['LFO1', 'F1 Cutoff', 10],
+      ['LFO2', 'F1 Resonance', 20],
+      ['LFO2', 'Pan Position', 50]
+    ),
+  }),
+
+  // === PLUCK ===
+  preset('PWM Pluck', 'Pluck', {
+    pulseWidth: 0.25,
+    pulseWidthModulationDepth: 0.2,
+    filterCutoff: 400,
+    filterResonance: 0.35,
+    lpEnvAmount: 0.7,
+    filterEnvAttack: 0.001,
+    filterEnvDecay: 0.25,
+    filterEnvSustain: 0,
+    filterEnvRelease: 0.2,
+    envelopeAttack: 0.001,
+    envelopeDecay: 0.6,
+    envelopeSustain: 0,
+    envelopeRelease: 0.4,
+    ...matrix(['Velocity', 'F1 Cutoff', 30], ['Note Number', 'F1 Cutoff', 20]),
+  }),
+  preset('Sync Harp', 'Pluck', {
+    oscillatorVolume: 0.4,
+    oscillator2Waveform: 1,
+    oscillator2CoarseTune: 24,
+    oscillator2Volume: 0.7,
+    oscillator2HardSync: 1,
+    filterCutoff: 3000,
+    filterResonance: 0.2,
+    lpEnvAmount: 0.3,
+    filterEnvDecay: 0.3,
+    filterEnvSustain: 0,
+    envelopeAttack: 0.001,
+    envelopeDecay: 0.8,
+    envelopeSustain: 0,
+    envelopeRelease: 0.6,
+    panningModulationDepth: 0.4,
+    panningModulationRate: 1.5,
+    ...matrix(['Amp Env', 'OSC2 Pitch', 40], ['Velocity', 'OSC2 Volume', 30]),
+  }),
+  preset('Ring Mallet', 'Pluck', {
+    oscillatorVolume: 0.3,
+    pulseWidthModulationDepth: 0,
+    oscillator2Waveform: 2,
+    oscillator2CoarseTune: 17,
+    oscillator2Volume: 0.2,
+    ringModulatorVolume: 0.7,
+    filterCutoff: 7000,
+    filterResonance: 0.1,
+    envelopeAttack: 0.001,
+    envelopeDecay: 0.45,
+    envelopeSustain: 0,
+    envelopeRelease: 0.45,
+    filterEnvDecay: 0.15,
+    filterEnvSustain: 0,
+    ...matrix(['Filter Env', 'Ring Volume', 30], ['Velocity', 'F1 Cutoff', 20]),
+  }),
+
+  // === KEYS ===
+  preset('Poly Keys', 'Keys', {
+    pulseWidth: 0.4,
+    pulseWidthModulationDepth: 0.3,
+    pulseWidthModulationRate: 1.2,
+    oscillator2Waveform: 0,
+    oscillator2FineTune: 5,
+    oscillator2Volume: 0.5,
+    filterCutoff: 1500,
+    filterResonance: 0.1,
+    lpEnvAmount: 0.35,
+    filterEnvDecay: 0.8,
+    filterEnvSustain: 0.3,
+    filterEnvRelease: 0.4,
+    envelopeAttack: 0.003,
+    envelopeDecay: 1.2,
+    envelopeSustain: 0.5,
+    envelopeRelease: 0.4,
+    ...matrix(['Velocity', 'F1 Cutoff', 25]),
+  }),
+  preset('Electric Tine', 'Keys', {
+    oscillatorVolume: 0.5,
+    pulseWidth: 0.5,
+    pulseWidthModulationDepth: 0,
+    oscillator2Waveform: 2,
+    oscillator2CoarseTune: 12,
+    oscillator2Volume: 0.6,
+    ringModulatorVolume: 0.15,
+    filterCutoff: 3000,
+    envelopeAttack: 0.002,
+    envelopeDecay: 1.8,
+    envelopeSustain: 0.2,
+    envelopeRelease: 0.5,
+    panningModulationDepth: 0.5,
+    panningModulationRate: 3,
+    ...matrix(['Velocity', 'Ring Volume', 25], ['Amp Env', 'OSC2 Volume', 20]),
+  }),
+  preset('Hollow Organ', 'Keys', {
+    pulseWidth: 0.5,
+    pulseWidthModulationDepth: 0,
+    subOscillatorVolume: 0.7,
+    oscillator2Waveform: 3,
+    oscillator2CoarseTune: 19,
+    oscillator2Volume: 0.3,
+    filterCutoff: 4000,
+    envelopeAttack: 0.005,
+    envelopeDecay: 0.1,
+    envelopeSustain: 1,
+    envelopeRelease: 0.08,
+    velocityAmount: 0,
+    lfo1Rate: 6.5,
+    lfo1Depth: 0,
+    ...matrix(['Mod Wheel', 'LFO1 Amount', 100], ['LFO1', 'Pan Position', 40]),
+  }),
+
+  // === FX ===
+  preset('Noise Sweep', 'FX', {
+    oscillatorVolume: 0,
+    noiseVolume: 0.9,
+    filterCutoff: 300,
+    filterResonance: 0.7,
+    lpEnvAmount: 0.9,
+    filterEnvAttack: 2,
+    filterEnvDecay: 2,
+    filterEnvSustain: 0,
+    filterEnvRelease: 1,
+    envelopeAttack: 0.5,
+    envelopeDecay: 3,
+    envelopeSustain: 0,
+    envelopeRelease: 1,
+    panningModulationDepth: 1,
+    panningModulationRate: 0.4,
+  }),
+  preset('Laser Zap', 'FX', {
+    oscillator2Waveform: 0,
+    oscillator2CoarseTune: 24,
+    oscillator2Volume: 0.8,
+    oscillator2HardSync: 1,
+    filterCutoff: 8000,
+    envelopeAttack: 0.001,
+    envelopeDecay: 0.35,
+    envelopeSustain: 0,
+    envelopeRelease: 0.2,
+    filterEnvAttack: 0.001,
+    filterEnvDecay: 0.3,
+    filterEnvSustain: 0,
+    ...matrix(
+      ['Filter Env', 'OSC1 Pitch', 100],
+      ['Filter Env', 'OSC2 Pitch', 100]
+    ),
+  }),
+  preset('Metal Bells', 'FX', {
+    oscillatorVolume: 0.2,
+    oscillator2Waveform: 2,
+    oscillator2CoarseTune: 13,
+    oscillator2FineTune: 30,
+    oscillator2Volume: 0.2,
+    ringModulatorVolume: 0.9,
+    frequencyModulationDepth: 0.2,
+    filterCutoff: 9000,
+    hpfCutoff: 400,
+    envelopeAttack: 0.001,
+    envelopeDecay: 2.5,
+    envelopeSustain: 0,
+    envelopeRelease: 2.5,
+    lfo1Rate: 0.3,
+    lfo1Depth: 0.5,
+    ...matrix(['LFO1', 'OSC2 Pitch', 5], ['Velocity', 'OSC1 FM', 30]),
+  }),
+  preset('Random Bleeps', 'FX', {
+    pulseWidth: 0.2,
+    pulseWidthModulationDepth: 0.5,
+    pulseWidthModulationRate: 7,
+    filterCutoff: 2500,
+    filterResonance: 0.6,
+    envelopeAttack: 0.001,
+    envelopeSustain: 1,
+    envelopeRelease: 0.2,
+    lfo1TempoSync: 1,
+    lfo1SyncDivision: 8,
+    lfo1Depth: 1,
+    lfo1Waveform: 5,
+    ...matrix(['LFO1', 'OSC1 Pitch', 50], ['LFO1', 'F1 Cutoff', 20]),
+  }),
+];
+
+/**
+ * Factory presets, validated and filled with registry defaults
+ * @type {Array<object>}
+ */
+export const FACTORY_PRESETS = FACTORY_BANK.map((p) => validatePatch(p));
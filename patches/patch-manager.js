@@ -0,0 +1,421 @@
+// patches/patch-manager.js - Synth patch capture, storage and JSON import/export
+import { logger } from '../utils/logger.js';
+import {
+  MATRIX_DESTINATIONS,
+  SYNTH_PARAMETERS,
+  getParameter,
+} from '../utils/parameter-registry.js';
+
+const STORAGE_KEY = 'vortexpwm.patches';
+
+/**
+ * Patch file identifier and current format version
+ * Bump PATCH_VERSION when the meaning of stored values changes and add a
+ * migration step to validatePatch() so older files keep loading.
+ */
+export const PATCH_FORMAT = 'vortexpwm-patch';
+export const PATCH_VERSION = 1;
+
+/**
+ * Registry parameters that are not part of a sound:
+ * performance controllers, MIDI bend range and the global tempo
+ */
+export const PATCH_EXCLUDED_PARAMETERS = [
+  'pitchBend',
+  'pitchBendRange',
+  'modWheel',
+  'sustainPedal',
+  'bpm',
+];
+
+const MAX_NAME_LENGTH = 64;
+
+// Matrix destination whose target effect parameter is stored in fxTargets
+const MATRIX_DEST_FX = MATRIX_DESTINATIONS.indexOf('FX Parameter');
+
+/**
+ * Get names of all parameters stored in a patch
+ * @returns {string[]} Parameter names in registry order
+ */
+export function getPatchParameterNames() {
+  return SYNTH_PARAMETERS.filter(
+    (p) => !PATCH_EXCLUDED_PARAMETERS.includes(p.name)
+  ).map((p) => p.name);
+}
+
+/**
+ * Normalize a patch name (trimmed, length-limited)
+ * @param {string} name - Raw patch name
+ * @returns {string} Normalized name
+ * @throws {Error} If name is empty or not a string
+ */
+export function normalizePatchName(name) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new Error('Patch name is required');
+  }
+  return name.trim().slice(0, MAX_NAME_LENGTH);
+}
+
+/**
+ * Validate the effect parameters targeted by FX Parameter matrix slots
+ * Targets name the effect type and its position among effects of that type
+ * in the chain (instance ids only last a session). Entries for slots not set
+ * to the FX Parameter destination, or malformed, are dropped.
+ * @param {object} data - Raw fxTargets: slot number -> {effectId, index, param}
+ * @param {object} parameters - Normalized patch parameters
+ * @returns {object} Valid targets by slot number
+ */
+function validateFxTargets(data, parameters) {
+  const targets = {};
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return targets;
+
+  for (const [slot, target] of Object.entries(data)) {
+    if (parameters[`matrixDest${slot}`] !== MATRIX_DEST_FX) continue;
+    const index = target?.index ?? 0;
+    if (
+      typeof target?.effectId !== 'string' ||
+      typeof target.param !== 'string' ||
+      !Number.isInteger(index) ||
+      index < 0
+    ) {
+      logger.warn(`Ignoring invalid FX target for matrix slot ${slot}`);
+      continue;
+    }
+    targets[slot] = { effectId: target.effectId, index, param: target.param };
+  }
+  return targets;
+}
+
+/**
+ * Create a patch holding the registry default of every parameter
+ * @param {string} [name='Init'] - Patch name
+ * @returns {object} Patch object
+ */
+export function createDefaultPatch(name = 'Init') {
+  const parameters = {};
+  for (const paramName of getPatchParameterNames()) {
+    parameters[paramName] = getParameter(paramName).defaultValue;
+  }
+  return {
+    format: PATCH_FORMAT,
+    version: PATCH_VERSION,
+    name: normalizePatchName(name),
+    parameters,
+  };
+}
+
+/**
+ * Validate a patch object and normalize it to the current format
+ * - Parameters missing from the patch fall back to registry defaults
+ * - Out-of-range values are clamped to the registry range
+ * - Unknown parameters are dropped
+ * - FX targets are kept only for slots set to the FX Parameter destination
+ * @param {object} data - Patch object (e.g. from JSON.parse)
+ * @returns {object} Normalized patch
+ * @throws {Error} If the object is not a valid patch
+ */
+export function validatePatch(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Invalid patch: expected an object');
+  }
+  if (data.format !== PATCH_FORMAT) {
+    throw new Error(`Invalid patch: unknown format "${data.format}"`);
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new Error(`Invalid patch: bad version "${data.version}"`);
+  }
+  if (data.version > PATCH_VERSION) {
+    throw new Error(
+      `Patch version ${data.version} is newer than supported version ${PATCH_VERSION}`
+    );
+  }
+  if (
+    !data.parameters ||
+    typeof data.parameters !== 'object' ||
+    Array.isArray(data.parameters)
+  ) {
+    throw new Error('Invalid patch: missing parameters');
+  }
+
+  const names = getPatchParameterNames();
+  const unknown = Object.keys(data.parameters).filter(
+    (name) => !names.includes(name)
+  );
+  if (unknown.length > 0) {
+    logger.warn(`Ignoring unknown patch parameters: ${unknown.join(', ')}`);
+  }
+
+  const parameters = {};
+  for (const name of names) {
+    const def = getParameter(name);
+    const value = Number(data.parameters[name]);
+    if (data.parameters[name] === undefined || !Number.isFinite(value)) {
+      parameters[name] = def.defaultValue;
+    } else {
+      parameters[name] = Math.max(def.minValue, Math.min(def.maxValue, value));
+    }
+  }
+
+  const patch = {
+    format: PATCH_FORMAT,
+    version: PATCH_VERSION,
+    name: normalizePatchName(data.name ?? 'Untitled'),
+    parameters,
+  };
+  if (typeof data.category === 'string' && data.category.trim() !== '') {
+    patch.category = data.category.trim();
+  }
+  if (typeof data.createdAt === 'string') {
+    patch.createdAt = data.createdAt;
+  }
+  const fxTargets = validateFxTargets(data.fxTargets, parameters);
+  if (Object.keys(fxTargets).length > 0) {
+    patch.fxTargets = fxTargets;
+  }
+  return patch;
+}
+
+/**
+ * Serialize a patch to a JSON string (for file export)
+ * @param {object} patch - Patch object
+ * @returns {string} Pretty-printed JSON
+ */
+export function serializePatch(patch) {
+  return JSON.stringify(validatePatch(patch), null, 2);
+}
+
+/**
+ * Parse and validate a patch JSON string (for file import)
+ * @param {string} json - JSON text
+ * @returns {object} Normalized patch
+ * @throws {Error} If the text is not valid JSON or not a valid patch
+ */
+export function parsePatch(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (err) {
+    throw new Error(`Invalid patch file: ${err.message}`);
+  }
+  return validatePatch(data);
+}
+
+function getDefaultStorage() {
+  if (typeof window !== 'undefined' && window.localStorage) {
+    return window.localStorage;
+  }
+  return null;
+}
+
+/**
+ * PatchManager - saves and recalls complete synth sounds
+ *
+ * Captures every sound parameter of the synth (oscillators, filters,
+ * envelopes, LFOs, matrix and aftertouch slots) and the effect parameters
+ * FX Parameter matrix slots target, keeps named patches in
+ * localStorage and dispatches window events so the UI can follow along:
+ * 'patchLoaded' when a patch is applied and 'patchListChanged' when the
+ * stored patches change.
+ *
+ * @class
+ * @example
+ * const patchManager = new PatchManager(synth);
+ * patchManager.savePatch('Fat Bass');
+ * patchManager.loadPatch('Fat Bass');
+ */
+export class PatchManager {
+  /**
+   * @param {object} synth - Synth instance (needs setParam/getParam; FX
+   *   targets are saved and restored through its fxController, if any)
+   * @param {Storage|null} [storage] - Storage backend (defaults to localStorage)
+   */
+  constructor(synth, storage = getDefaultStorage()) {
+    this.synth = synth;
+    this.storage = storage;
+    this.patches = new Map(); // name -> patch
+    this.currentPatchName = null;
+
+    this.restorePatches();
+  }
+
+  restorePatches() {
+    this.patches.clear();
+    if (!this.storage) return;
+
+    try {
+      const raw = this.storage.getItem(STORAGE_KEY);
+      if (!raw) return;
+      const stored = JSON.parse(raw);
+      if (!Array.isArray(stored)) return;
+
+      for (const entry of stored) {
+        try {
+          const patch = validatePatch(entry);
+          this.patches.set(patch.name, patch);
+        } catch (err) {
+          logger.warn('Skipping invalid stored patch:', err.message);
+        }
+      }
+    } catch (err) {
+      logger.warn('Failed to load patches from storage:', err);
+    }
+  }
+
+  // Notify UI listeners via window events (no-op outside the browser)
+  dispatch(type, detail) {
+    if (typeof window !== 'undefined' && window.dispatchEvent) {
+      window.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+  }
+
+  persistPatches() {
+    this.dispatch('patchListChanged', { names: this.getPatchNames() });
+    if (!this.storage) return;
+
+    try {
+      if (this.patches.size === 0) {
+        this.storage.removeItem(STORAGE_KEY);
+      } else {
+        this.storage.setItem(
+          STORAGE_KEY,
+          JSON.stringify(Array.from(this.patches.values()))
+        );
+      }
+    } catch (err) {
+      logger.warn('Failed to persist patches:', err);
+    }
+  }
+
+  /**
+   * Capture the current synth state as a patch
+   * @param {string} name - Patch name
+   * @returns {object} Patch object
+   */
+  capturePatch(name) {
+    const parameters = {};
+    for (const paramName of getPatchParameterNames()) {
+      const value = this.synth.getParam(paramName);
+      parameters[paramName] =
+        value === null || value === undefined
+          ? getParameter(paramName).defaultValue
+          : value;
+    }
+    const patch = {
+      format: PATCH_FORMAT,
+      version: PATCH_VERSION,
+      name: normalizePatchName(name),
+      createdAt: new Date().toISOString(),
+      parameters,
+    };
+    const fxTargets = validateFxTargets(
+      this.synth.fxController?.getPatchModulationTargets(),
+      parameters
+    );
+    if (Object.keys(fxTargets).length > 0) {
+      patch.fxTargets = fxTargets;
+    }
+    return patch;
+  }
+
+  /**
+   * Send every parameter of a patch to the synth
+   * @param {object} patch - Patch object (validated before use)
+   * @returns {object} Normalized patch that was applied
+   */
+  applyPatch(patch) {
+    const normalized = validatePatch(patch);
+
+    for (const [name, value] of Object.entries(normalized.parameters)) {
+      this.synth.setParam(name, value);
+    }
+    this.synth.fxController?.restoreModulationTargets(
+      normalized.fxTargets ?? {}
+    );
+    this.currentPatchName = normalized.name;
+    logger.info(`Patch loaded: ${normalized.name}`);
+
+    this.dispatch('patchLoaded', { patch: normalized });
+    return normalized;
+  }
+
+  /**
+   * Save the current synth state under a name (overwrites existing)
+   * @param {string} name - Patch name
+   * @returns {object} Saved patch
+   */
+  savePatch(name) {
+    const patch = this.capturePatch(name);
+    this.patches.set(patch.name, patch);
+    this.currentPatchName = patch.name;
+    this.persistPatches();
+    return patch;
+  }
+
+  /**
+   * Load a stored patch by name
+   * @param {string} name - Patch name
+   * @returns {boolean} True if the patch was found and applied
+   */
+  loadPatch(name) {
+    const patch = this.patches.get(name);
+    if (!patch) {
+      logger.warn(`Patch not found: ${name}`);
+      return false;
+    }
+    this.applyPatch(patch);
+    return true;
+  }
+
+  /**
+   * Delete a stored patch
+   * @param {string} name - Patch name
+   * @returns {boolean} True if a patch was deleted
+   */
+  deletePatch(name) {
+    const deleted = this.patches.delete(name);
+    if (deleted) {
+      if (this.currentPatchName === name) this.currentPatchName = null;
+      this.persistPatches();
+    }
+    return deleted;
+  }
+
+  /**
+   * Get a stored patch by name
+   * @param {string} name - Patch name
+   * @returns {object|null} Patch object or null
+   */
+  getPatch(name) {
+    return this.patches.get(name) || null;
+  }
+
+  /**
+   * Get names of all stored patches
+   * @returns {string[]} Sorted patch names
+   */
+  getPatchNames() {
+    return Array.from(this.patches.keys()).sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Export the current synth state as patch JSON
+   * @param {string} name - Patch name written into the file
+   * @returns {string} JSON text
+   */
+  exportPatch(name) {
+    return serializePatch(this.capturePatch(name));
+  }
+
+  /**
+   * Import patch JSON, store it and return it (does not apply it)
+   * @param {string} json - JSON text
+   * @returns {object} Imported patch
+   * @throws {Error} If the JSON is not a valid patch
+   */
+  importPatch(json) {
+    const patch = parsePatch(json);
+    this.patches.set(patch.name, patch);
+    this.persistPatches();
+    return patch;
+  }
+}
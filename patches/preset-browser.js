@@ -0,0 +1,217 @@
+// patches/preset-browser.js - Factory/user preset browsing, filtering and favorites
+import { logger } from '../utils/logger.js';
+import { FACTORY_PRESETS, PRESET_CATEGORIES } from './factory-presets.js';
+
+const FAVORITES_STORAGE_KEY = 'vortexpwm.favoritePresets';
+
+/**
+ * Special browser filters in addition to the preset categories
+ */
+export const FILTER_ALL = 'All';
+export const FILTER_FAVORITES = 'Favorites';
+export const USER_CATEGORY = 'User';
+
+/**
+ * PresetBrowser - lists factory and user patches for auditioning
+ *
+ * Entries are identified by `factory:<name>` or `user:<name>` so a user patch
+ * can share a name with a factory preset. Next/previous step through the
+ * currently filtered list and wrap around at either end.
+ *
+ * @class
+ * @example
+ * const browser = new PresetBrowser(patchManager);
+ * browser.setCategory('Bass');
+ * browser.next(); // loads the first bass preset
+ */
+export class PresetBrowser {
+  /**
+   * @param {PatchManager} patchManager - Patch manager used to apply presets
+   * @param {Array<object>} [factoryPresets] - Factory bank (defaults to built-ins)
+   */
+  constructor(patchManager, factoryPresets = FACTORY_PRESETS) {
+    this.patchManager = patchManager;
+    this.factoryPresets = factoryPresets;
+    this.storage = patchManager.storage;
+    this.category = FILTER_ALL;
+    this.searchText = '';
+    this.currentId = null;
+    this.favorites = new Set();
+
+    this.restoreFavorites();
+  }
+
+  restoreFavorites() {
+    this.favorites.clear();
+    if (!this.storage) return;
+
+    try {
+      const raw = this.storage.getItem(FAVORITES_STORAGE_KEY);
+      if (!raw) return;
+      const stored = JSON.parse(raw);
+      if (Array.isArray(stored)) {
+        stored
+          .filter((id) => typeof id === 'string')
+          .forEach((id) => this.favorites.add(id));
+      }
+    } catch (err) {
+      logger.warn('Failed to load favorite presets from storage:', err);
+    }
+  }
+
+  persistFavorites() {
+    if (!this.storage) return;
+
+    try {
+      this.storage.setItem(
+        FAVORITES_STORAGE_KEY,
+        JSON.stringify(Array.from(this.favorites))
+      );
+    } catch (err) {
+      logger.warn('Failed to persist favorite presets:', err);
+    }
+  }
+
+  /**
+   * Get the category filter options (All, Favorites, categories, User)
+   * @returns {string[]} Filter names
+   */
+  getFilters() {
+    return [FILTER_ALL, FILTER_FAVORITES, ...PRESET_CATEGORIES, USER_CATEGORY];
+  }
+
+  /**
+   * Get all browsable entries: factory presets followed by user patches
+   * @returns {Array<{id: string, name: string, category: string, source: string, patch: object}>}
+   */
+  getEntries() {
+    const factory = this.factoryPresets.map((patch) => ({
+      id: `factory:${patch.name}`,
+      name: patch.name,
+      category: patch.category || USER_CATEGORY,
+      source: 'factory',
+      patch,
+    }));
+    const user = this.patchManager.getPatchNames().map((name) => {
+      const patch = this.patchManager.getPatch(name);
+      return {
+        id: `user:${name}`,
+        name,
+        category: patch.category || USER_CATEGORY,
+        source: 'user',
+        patch,
+      };
+    });
+    return [...factory, ...user];
+  }
+
+  /**
+   * Get entries matching the current category filter and search text
+   * @returns {Array<object>} Filtered entries
+   */
+  getFilteredEntries() {
+    const query = this.searchText.trim().toLowerCase();
+
+    return this.getEntries().filter((entry) => {
+      if (this.category === FILTER_FAVORITES) {
+        if (!this.favorites.has(entry.id)) return false;
+      } else if (this.category === USER_CATEGORY) {
+        if (entry.source !== 'user') return false;
+      } else if (this.category !== FILTER_ALL) {
+        if (entry.category !== this.category) return false;
+      }
+
+      if (!query) return true;
+      return (
+        entry.name.toLowerCase().includes(query) ||
+        entry.category.toLowerCase().includes(query)
+      );
+    });
+  }
+
+  /**
+   * Set the category filter
+   * @param {string} category - One of getFilters()
+   */
+  setCategory(category) {
+    if (!this.getFilters().includes(category)) {
+      logger.warn(`Unknown preset category: ${category}`);
+      return;
+    }
+    this.category = category;
+  }
+
+  /**
+   * Set the text search filter (matches name or category)
+   * @param {string} text - Search text
+   */
+  setSearch(text) {
+    this.searchText = typeof text === 'string' ? text : '';
+  }
+
+  isFavorite(id) {
+    return this.favorites.has(id);
+  }
+
+  /**
+   * Toggle a preset's favorite flag
+   * @param {string} id - Entry id
+   * @returns {boolean} New favorite state
+   */
+  toggleFavorite(id) {
+    if (this.favorites.has(id)) {
+      this.favorites.delete(id);
+    } else {
+      this.favorites.add(id);
+    }
+    this.persistFavorites();
+    return this.favorites.has(id);
+  }
+
+  /**
+   * Load an entry by id
+   * @param {string} id - Entry id
+   * @returns {object|null} Loaded entry, or null if not found
+   */
+  select(id) {
+    const entry = this.getEntries().find((e) => e.id === id);
+    if (!entry) {
+      logger.warn(`Preset not found: ${id}`);
+      return null;
+    }
+    this.patchManager.applyPatch(entry.patch);
+    this.currentId = entry.id;
+    return entry;
+  }
+
+  /**
+   * Load the next entry in the filtered list (wraps around)
+   * @returns {object|null} Loaded entry, or null if the list is empty
+   */
+  next() {
+    return this.step(1);
+  }
+
+  /**
+   * Load the previous entry in the filtered list (wraps around)
+   * @returns {object|null} Loaded entry, or null if the list is empty
+   */
+  previous() {
+    return this.step(-1);
+  }
+
+  step(direction) {
+    const entries = this.getFilteredEntries();
+    if (entries.length === 0) return null;
+
+    const index = entries.findIndex((e) => e.id === this.currentId);
+    let nextIndex;
+    if (index < 0) {
+      // Current preset is outside the filter: start from the matching end
+      nextIndex = direction > 0 ? 0 : entries.length - 1;
+    } else {
+      nextIndex = (index + direction + entries.length) % entries.length;
+    }
+    return this.select(entries[nextIndex].id);
+  }
+}
@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+
+/**
+ * Benchmark for the synth worklet's render loop
+ *
+ * Runs the processor class from worklet/synth-processor.js in Node (through
+ * the test worklet loader, outside a vm context so timings are close to a
+ * browser's) and reports how much of the real-time budget a block of audio
+ * takes.
+ *
+ * Usage:
+ *   npm run bench
+ *   node scripts/benchmark-synth.js [--voices 32] [--unison 4] [--seconds 10]
+ *     [--sample-rate 48000] [--matrix]
+ *
+ * --voices is the polyphony, filled with held notes of --unison voices each.
+ * --matrix routes every matrix slot (LFOs, envelopes and performance sources
+ * to pitch, filter, PWM and pan) to measure modulation cost as well.
+ */
+
+import {
+  loadWorklet,
+  createParameterValues,
+} from '../tests/mocks/worklet-loader.js';
+
+const BLOCK_SIZE = 128;
+
+function parseArgs(argv) {
+  const options = {
+    voices: 32,
+    unison: 4,
+    seconds: 10,
+    sampleRate: 48000,
+    matrix: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--voices':
+        options.voices = Number(argv[++i]);
+        break;
+      case '--unison':
+        options.unison = Number(argv[++i]);
+        break;
+      case '--seconds':
+        options.seconds = Number(argv[++i]);
+        break;
+      case '--sample-rate':
+        options.sampleRate = Number(argv[++i]);
+        break;
+      case '--matrix':
+        options.matrix = true;
+        break;
+      default:
+        console.error(`Unknown option: ${argv[i]}`);
+        process.exit(1);
+    }
+  }
+  return options;
+}
+
+// Every slot in use: [source, destination, amount]
+const MATRIX_ROUTING = [
+  [6, 1, 5], // LFO1 -> OSC1 Pitch
+  [7, 13, 30], // LFO2 -> F1 Cutoff
+  [9, 15, 20], // Filter Env -> F2 Cutoff
+  [10, 2, 40], // Mod Env -> OSC1 PWM
+  [11, 26, 50], // MSEG -> Filter Morph
+  [12, 8, 10], // Step Seq -> OSC2 Pitch
+  [13, 22, 50], // Key Random -> Pan Position
+  [4, 18, 20], // Mod Wheel -> LFO1 Rate
+  [2, 25, -20], // Velocity -> Master Volume
+  [1, 14, 10], // Note Number -> F1 Resonance
+  [14, 23, 30], // Alternate -> Pan Depth
+  [18, 5, 20], // Poly Pressure -> OSC1 Volume
+];
+
+function createParameters(Processor, options) {
+  const overrides = {
+    polyphony: options.voices,
+    unisonVoices: options.unison,
+    unisonDetune: 0.2,
+    oscillator2Volume: 0.5,
+    subOscillatorVolume: 0.3,
+    frequencyModulationDepth: 0.1,
+    noiseVolume: 0.05,
+    lpEnvAmount: 0.5,
+    modWheel: 0.5,
+  };
+  if (options.matrix) {
+    MATRIX_ROUTING.forEach(([source, dest, amount], i) => {
+      overrides[`matrixSource${i + 1}`] = source;
+      overrides[`matrixDest${i + 1}`] = dest;
+      overrides[`matrixAmount${i + 1}`] = amount;
+    });
+  }
+  return createParameterValues(Processor.parameterDescriptors, overrides);
+}
+
+function run(options) {
+  const worklet = loadWorklet('worklet/synth-processor.js', {
+    sampleRate: options.sampleRate,
+    isolate: false,
+  });
+  const Processor = worklet.processors['mono-pwm-synth'];
+  const processor = new Processor();
+  const parameters = createParameters(Processor, options);
+  const outputs = [
+    [new Float32Array(BLOCK_SIZE), new Float32Array(BLOCK_SIZE)],
+  ];
+
+  const notes = Math.max(1, Math.floor(options.voices / options.unison));
+  for (let i = 0; i < notes; i++) {
+    processor.port.receive({ type: 'noteOn', midi: 48 + i * 3, velocity: 1 });
+  }
+
+  // Warm up so the JIT has settled before timing
+  for (let i = 0; i < 200; i++) processor.process([], outputs, parameters);
+
+  const blocks = Math.ceil((options.seconds * options.sampleRate) / BLOCK_SIZE);
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < blocks; i++) processor.process([], outputs, parameters);
+  const elapsed = Number(process.hrtime.bigint() - start) / 1e9;
+
+  const audioSeconds = (blocks * BLOCK_SIZE) / options.sampleRate;
+  const budget = (BLOCK_SIZE / options.sampleRate) * 1e6;
+  const perBlock = (elapsed / blocks) * 1e6;
+  const active = processor.voiceAllocator.getActiveVoiceCount();
+
+  console.log(
+    `${active} active voices (${notes} notes x ${options.unison} unison)` +
+      `${options.matrix ? ', 12 matrix slots' : ''} at ${options.sampleRate} Hz`
+  );
+  console.log(
+    `${perBlock.toFixed(1)} us per ${BLOCK_SIZE}-sample block ` +
+      `(budget ${budget.toFixed(1)} us): ` +
+      `${((elapsed / audioSeconds) * 100).toFixed(1)}% of real time`
+  );
+}
+
+run(parseArgs(process.argv.slice(2)));
@@ -81,14 +81,23 @@ export class ${className} extends FXBase {
     // TODO: Add more parameters
   }
 
-  process(inputL, inputR) {
-    if (!this.enabled) return [inputL, inputR];
+  processBlock(inL, inR, outL, outR, frames) {
+    if (!this.enabled) {
+      this.passThrough(inL, inR, outL, outR, frames);
+      return;
+    }
+
+    for (let i = 0; i < frames; i++) {
+      const inputL = inL[i];
+      const inputR = inR[i];
 
-    // TODO: Implement your DSP algorithm here
-    // Process the audio and return [outputL, outputR]
+      // TODO: Implement your DSP algorithm here
+      // Buffers may be shared (in place): read inputs before writing outputs
 
-    // Example passthrough:
-    return [inputL, inputR];
+      // Example passthrough:
+      outL[i] = inputL;
+      outR[i] = inputR;
+    }
   }
 
   onParameterChange(name, value) {
@@ -175,7 +184,7 @@ console.log('✓ Registry updated');
 console.log('\\n✅ Effect scaffolding complete!');
 console.log('\\nNext steps:');
 console.log(`1. Open fx/effects/${effectName}.js`);
-console.log('2. Implement your DSP algorithm in the process() method');
+console.log('2. Implement your DSP algorithm in the processBlock() method');
 console.log('3. Add/modify parameters in getMetadata()');
 console.log('4. Update parameter handling in onParameterChange()');
 console.log('5. Implement reset() to clear effect state');
@@ -192,8 +201,6 @@ console.log(
 );
 console.log('  - FX Controller (main thread)');
 console.log('  - Build process (validation)');
-console.log('  - FX Chain Processor (worklet) - requires manual addition');
 console.log(
-  '\\nNote: You still need to manually add the effect class to worklet/fx-chain-processor.js'
+  '  - FX Chain Processor (worklet) - inlined by fx/worklet-source.js'
 );
-console.log('      (Search for "class HardClipEffect" to see the pattern)');
@@ -8,6 +8,7 @@ import {
   cleanupGlobalAudioMocks,
 } from './mocks/audio-context-mock.js';
 import { Synth, checkBrowserCompatibility } from '../audio/synth.js';
+import { createBuiltinWavetable } from '../audio/wavetables.js';
 
 describe('checkBrowserCompatibility', () => {
   beforeEach(() => {
@@ -285,6 +286,15 @@ describe('Synth class', () => {
       const message = synth.node.getLastMessage();
       assert.strictEqual(message.type, 'noteOff');
       assert.strictEqual(message.midi, 60);
+      assert.strictEqual(message.velocity, 0.5);
+    });
+
+    it('should send and clamp release velocity', () => {
+      synth.noteOff(60, 0.25);
+      assert.strictEqual(synth.node.getLastMessage().velocity, 0.25);
+
+      synth.noteOff(60, 2);
+      assert.strictEqual(synth.node.getLastMessage().velocity, 1);
     });
 
     it('should validate MIDI note range', () => {
@@ -298,6 +308,37 @@ describe('Synth class', () => {
     });
   });
 
+  describe('polyPressure() and controlChange()', () => {
+    beforeEach(async () => {
+      await synth.init();
+      await synth.start();
+    });
+
+    it('should send poly pressure for a note', () => {
+      synth.polyPressure(64, 90);
+      assert.deepStrictEqual(synth.node.getLastMessage(), {
+        type: 'polyPressure',
+        midi: 64,
+        value: 90,
+      });
+    });
+
+    it('should ignore poly pressure outside the MIDI note range', () => {
+      const initialMessage = synth.node.getLastMessage();
+      synth.polyPressure(128, 90);
+      assert.strictEqual(synth.node.getLastMessage(), initialMessage);
+    });
+
+    it('should send control changes', () => {
+      synth.controlChange(74, 100);
+      assert.deepStrictEqual(synth.node.getLastMessage(), {
+        type: 'controlChange',
+        cc: 74,
+        value: 100,
+      });
+    });
+  });
+
   describe('allNotesOff()', () => {
     beforeEach(async () => {
       await synth.init();
@@ -312,6 +353,29 @@ describe('Synth class', () => {
     });
   });
 
+  describe('setWavetable()', () => {
+    beforeEach(async () => {
+      await synth.init();
+      await synth.start();
+    });
+
+    it('should send the table and transfer its level buffers', () => {
+      const table = createBuiltinWavetable(0);
+      synth.setWavetable(table);
+
+      const message = synth.node.getLastMessage();
+      assert.strictEqual(message.type, 'wavetable');
+      assert.strictEqual(message.name, 'Basic Shapes');
+      assert.strictEqual(message.frameCount, table.frameCount);
+      assert.strictEqual(message.size, table.size);
+      assert.strictEqual(message.levels, table.levels);
+      assert.deepStrictEqual(
+        synth.node.getLastTransfer(),
+        table.levels.map((level) => level.buffer)
+      );
+    });
+  });
+
   describe('setParam()', () => {
     beforeEach(async () => {
       await synth.init();
@@ -358,5 +422,14 @@ describe('Synth class', () => {
       assert.ok(param);
       assert.strictEqual(param.value, 0.7);
     });
+
+    it('should read current parameter values via getParam()', () => {
+      synth.setParam('oscillatorVolume', 0.3);
+      assert.strictEqual(synth.getParam('oscillatorVolume'), 0.3);
+    });
+
+    it('should return null from getParam() for unknown parameters', () => {
+      assert.strictEqual(synth.getParam('nonExistentParam'), null);
+    });
   });
 });
@@ -193,11 +193,11 @@ test.describe('E2E: UI Interactions', () => {
 
   test('should update aftertouch modulation slots', async ({ page }) => {
     // Slot 1 Destination
-    const dest1Slider = page.locator('#atDest1');
-    const dest1Value = page.locator('#atDest1Val');
-    await dest1Slider.fill('1'); // PWM Depth
-    const dest1Text = await dest1Value.textContent();
-    expect(dest1Text).not.toBe('None');
+    const dest1Select = page.locator('#atDest1');
+    await dest1Select.selectOption('1'); // OSC1 Pitch
+    await expect(dest1Select.locator('option:checked')).toHaveText(
+      'OSC1 Pitch'
+    );
 
     // Slot 1 Amount
     const amount1Slider = page.locator('#atAmount1');
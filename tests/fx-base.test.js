@@ -0,0 +1,83 @@
+/**
+ * Tests for FXBase block processing
+ * Run with: node --test tests/fx-base.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { FXBase } from '../fx/fx-base.js';
+import { EFFECT_REGISTRY } from '../fx/effect-registry.js';
+
+const SAMPLE_RATE = 48000;
+
+// Deterministic stereo test signal
+function testSignal(frames) {
+  const left = new Float64Array(frames);
+  const right = new Float64Array(frames);
+  for (let i = 0; i < frames; i++) {
+    left[i] = 0.8 * Math.sin((2 * Math.PI * 220 * i) / SAMPLE_RATE);
+    right[i] = 0.5 * Math.sin((2 * Math.PI * 330 * i) / SAMPLE_RATE);
+  }
+  return [left, right];
+}
+
+describe('FXBase block processing', () => {
+  for (const entry of EFFECT_REGISTRY) {
+    it(`should render ${entry.id} the same in blocks as per sample`, async () => {
+      const module = await import(`../fx/effects/${entry.file}`);
+      const EffectClass = module[entry.class];
+      const [left, right] = testSignal(512);
+
+      // Blocks of 64, processed in place
+      const block = new EffectClass(SAMPLE_RATE, 'block');
+      const blockL = Float64Array.from(left);
+      const blockR = Float64Array.from(right);
+      for (let start = 0; start < blockL.length; start += 64) {
+        const l = blockL.subarray(start, start + 64);
+        const r = blockR.subarray(start, start + 64);
+        block.processBlock(l, r, l, r, 64);
+      }
+
+      const sample = new EffectClass(SAMPLE_RATE, 'sample');
+      const sampleL = new Float64Array(left.length);
+      const sampleR = new Float64Array(left.length);
+      for (let i = 0; i < left.length; i++) {
+        [sampleL[i], sampleR[i]] = sample.process(left[i], right[i]);
+      }
+
+      assert.deepStrictEqual(blockL, sampleL);
+      assert.deepStrictEqual(blockR, sampleR);
+    });
+  }
+
+  it('should pass audio through unchanged when disabled', async () => {
+    const { DelayEffect } = await import('../fx/effects/delay.js');
+    const effect = new DelayEffect(SAMPLE_RATE, 'delay');
+    effect.enabled = false;
+    const [left, right] = testSignal(64);
+    const outL = new Float64Array(64);
+    const outR = new Float64Array(64);
+    effect.processBlock(left, right, outL, outR, 64);
+    assert.deepStrictEqual(outL, left);
+    assert.deepStrictEqual(outR, right);
+  });
+
+  it('should run per-sample effects through processBlock', () => {
+    class GainEffect extends FXBase {
+      process(inputL, inputR) {
+        return [inputL * 0.5, inputR * 2];
+      }
+    }
+    const effect = new GainEffect(SAMPLE_RATE, 'gain');
+    const left = new Float64Array([1, 0.5]);
+    const right = new Float64Array([0.25, -1]);
+    effect.processBlock(left, right, left, right, 2);
+    assert.deepStrictEqual(Array.from(left), [0.5, 0.25]);
+    assert.deepStrictEqual(Array.from(right), [0.5, -2]);
+  });
+
+  it('should throw when an effect implements neither API', () => {
+    const effect = new FXBase(SAMPLE_RATE, 'base');
+    assert.throws(() => effect.process(0, 0), /must be implemented/);
+  });
+});
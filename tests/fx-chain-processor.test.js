@@ -0,0 +1,308 @@
+// tests/fx-chain-processor.test.js - Unit tests for worklet/fx-chain-processor.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { loadFxWorklet, MockWorkletPort } from './mocks/worklet-loader.js';
+import { EFFECT_REGISTRY } from '../fx/effect-registry.js';
+
+// The worklet as generated for the browser, effects inlined from fx/effects
+const worklet = await loadFxWorklet();
+const Processor = worklet.processors['fx-chain-processor'];
+
+describe('FXChainProcessor matrix modulation', () => {
+  // Delay and reverb in the chain, slot 1 routed to the delay's mix
+  function createChain() {
+    const processor = new Processor();
+    processor.port.receive({
+      type: 'addEffect',
+      effectId: 'delay',
+      instanceId: 'delay_1',
+    });
+    processor.port.receive({
+      type: 'addEffect',
+      effectId: 'reverb',
+      instanceId: 'reverb_2',
+    });
+    processor.port.receive({
+      type: 'setModTarget',
+      slot: 1,
+      instanceId: 'delay_1',
+      param: 'mix',
+      min: 0,
+      max: 1,
+      defaultValue: 0.25,
+    });
+    const delay = () => processor.effectsChain.find((e) => e.id === 'delay_1');
+    const modulate = (value) =>
+      processor.port.receive({ type: 'matrixModulation', values: [value] });
+    return { processor, delay, modulate };
+  }
+
+  it('should add modulation to the set value, clamped to the range', () => {
+    const { processor, delay, modulate } = createChain();
+    modulate(0.5);
+    assert.strictEqual(delay().mix, 0.75); // Default 0.25 + 0.5
+
+    processor.port.receive({
+      type: 'setParameter',
+      instanceId: 'delay_1',
+      param: 'mix',
+      value: 0.125,
+    });
+    assert.strictEqual(delay().mix, 0.625);
+    assert.strictEqual(delay().parameters.get('mix'), 0.125);
+
+    modulate(1);
+    assert.strictEqual(delay().mix, 1);
+  });
+
+  it('should add up slots that target the same parameter', () => {
+    const { processor, delay } = createChain();
+    processor.port.receive({
+      type: 'setModTarget',
+      slot: 3,
+      instanceId: 'delay_1',
+      param: 'mix',
+      min: 0,
+      max: 1,
+      defaultValue: 0.25,
+    });
+    assert.strictEqual(processor.modRoutes.length, 1);
+    processor.port.receive({
+      type: 'matrixModulation',
+      values: new Float32Array([0.25, 0.5, 0.125]),
+    });
+    assert.strictEqual(delay().mix, 0.625); // 0.25 + 0.25 + 0.125
+  });
+
+  it('should follow the effect through reordering', () => {
+    const { processor, delay, modulate } = createChain();
+    processor.port.receive({
+      type: 'reorderChain',
+      order: ['reverb_2', 'delay_1'],
+    });
+    modulate(0.5);
+    assert.strictEqual(processor.effectsChain[1], delay());
+    assert.strictEqual(delay().mix, 0.75);
+  });
+
+  it('should drop targets when the effect is removed', () => {
+    const { processor, modulate } = createChain();
+    processor.port.receive({ type: 'removeEffect', instanceId: 'delay_1' });
+    assert.strictEqual(processor.modTargets.size, 0);
+    assert.doesNotThrow(() => modulate(0.5));
+  });
+
+  it('should restore the set value when a target is cleared', () => {
+    const { processor, delay, modulate } = createChain();
+    modulate(0.5);
+    processor.port.receive({ type: 'clearModTarget', slot: 1 });
+    assert.strictEqual(delay().mix, 0.25);
+  });
+
+  it('should take modulation from the synth port', () => {
+    const { processor, delay } = createChain();
+    const port = new MockWorkletPort();
+    processor.port.receive({ type: 'connectSynth', port });
+    port.receive({ type: 'matrixModulation', values: [-0.25] });
+    assert.strictEqual(delay().mix, 0);
+  });
+});
+
+describe('FXChainProcessor parameter smoothing', () => {
+  function createChain() {
+    const processor = new Processor();
+    processor.port.receive({
+      type: 'addEffect',
+      effectId: 'delay',
+      instanceId: 'delay_1',
+    });
+    const setMix = (value, smoothing = 0.02) =>
+      processor.port.receive({
+        type: 'setParameter',
+        instanceId: 'delay_1',
+        param: 'mix',
+        value,
+        smoothing,
+      });
+    const run = () => {
+      const input = [new Float32Array(128), new Float32Array(128)];
+      const output = [new Float32Array(128), new Float32Array(128)];
+      processor.process([input], [output]);
+    };
+    const delay = () => processor.effectsChain[0];
+    return { processor, setMix, run, delay };
+  }
+
+  it('should glide to new values once audio is running', () => {
+    const { setMix, run, delay } = createChain();
+    setMix(0.2);
+    run();
+    assert.strictEqual(delay().mix, 0.2);
+
+    setMix(0.8);
+    assert.strictEqual(delay().mix, 0.2);
+    assert.strictEqual(delay().parameters.get('mix'), 0.8);
+    run();
+    const first = delay().mix;
+    assert.ok(first > 0.2 && first < 0.8);
+    run();
+    assert.ok(delay().mix > first && delay().mix < 0.8);
+
+    for (let i = 0; i < 200; i++) run();
+    assert.strictEqual(delay().mix, 0.8);
+  });
+
+  it('should apply unsmoothed parameters immediately', () => {
+    const { setMix, run, delay } = createChain();
+    setMix(0.2);
+    run();
+    setMix(0.8, 0);
+    assert.strictEqual(delay().mix, 0.8);
+  });
+
+  it('should drop ramps when the effect is removed', () => {
+    const { processor, setMix, run } = createChain();
+    setMix(0.2);
+    run();
+    setMix(0.8);
+    processor.port.receive({ type: 'removeEffect', instanceId: 'delay_1' });
+    assert.strictEqual(processor.ramps.length, 0);
+    assert.strictEqual(processor.paramStates.size, 0);
+  });
+
+  it('should keep one ramp per parameter while values change', () => {
+    const { processor, setMix, run } = createChain();
+    setMix(0.2);
+    run();
+    setMix(0.8);
+    const [ramp] = processor.ramps;
+    setMix(0.5);
+    assert.strictEqual(processor.ramps.length, 1);
+    assert.strictEqual(processor.ramps[0], ramp);
+    assert.strictEqual(ramp.target, 0.5);
+  });
+});
+
+describe('FXChainProcessor block processing', () => {
+  function run(processor, left, right) {
+    const output = [
+      new Float32Array(left.length),
+      new Float32Array(left.length),
+    ];
+    processor.process([[left, right]], [output]);
+    return output;
+  }
+
+  it('should match the effects rendered per sample', () => {
+    const processor = new Processor();
+    processor.port.receive({
+      type: 'addEffect',
+      effectId: 'chorus',
+      instanceId: 'chorus_1',
+    });
+    processor.port.receive({
+      type: 'addEffect',
+      effectId: 'delay',
+      instanceId: 'delay_2',
+    });
+    const left = Float32Array.from({ length: 128 }, (_, i) => Math.sin(i / 5));
+    const right = Float32Array.from({ length: 128 }, (_, i) => Math.cos(i / 7));
+    const [outL, outR] = run(processor, left, right);
+
+    const chorus = new worklet.ChorusEffect(48000, 'chorus');
+    const delay = new worklet.DelayEffect(48000, 'delay');
+    for (let i = 0; i < left.length; i++) {
+      const [l, r] = delay.process(...chorus.process(left[i], right[i]));
+      assert.strictEqual(outL[i], Math.fround(l));
+      assert.strictEqual(outR[i], Math.fround(r));
+    }
+  });
+
+  it('should run effects that only implement per-sample process', () => {
+    const processor = new Processor();
+    class InvertEffect extends worklet.FXBase {
+      process(inputL, inputR) {
+        return [-inputL, -inputR];
+      }
+    }
+    processor.effectsChain.push(new InvertEffect(48000, 'invert'));
+    const [outL, outR] = run(
+      processor,
+      Float32Array.from([0.5, -0.25]),
+      Float32Array.from([1, -0.5])
+    );
+    assert.deepStrictEqual(Array.from(outL), [-0.5, 0.25]);
+    assert.deepStrictEqual(Array.from(outR), [-1, 0.5]);
+  });
+});
+
+describe('FXChainProcessor generated effects', () => {
+  // Deterministic stereo test signal, at the worklet's Float32 precision
+  const left = Float32Array.from({ length: 256 }, (_, i) =>
+    Math.sin((2 * Math.PI * 220 * i) / 48000)
+  );
+  const right = Float32Array.from({ length: 256 }, (_, i) =>
+    Math.sin((2 * Math.PI * 330 * i) / 48000)
+  );
+
+  it('should register every effect in the registry', () => {
+    const processor = new Processor();
+    assert.deepStrictEqual(
+      Array.from(processor.effectsRegistry.keys()),
+      EFFECT_REGISTRY.map((effect) => effect.id)
+    );
+  });
+
+  it('should only inline the effects it is generated with', async () => {
+    const delayOnly = EFFECT_REGISTRY.filter((effect) => effect.id === 'delay');
+    const generated = await loadFxWorklet({}, delayOnly);
+    const processor = new generated.processors['fx-chain-processor']();
+    assert.deepStrictEqual(Array.from(processor.effectsRegistry.keys()), [
+      'delay',
+    ]);
+    assert.strictEqual(generated.ReverbEffect, undefined);
+  });
+
+  for (const entry of EFFECT_REGISTRY) {
+    it(`should render ${entry.id} the same as fx/effects`, async () => {
+      const processor = new Processor();
+      processor.port.receive({
+        type: 'addEffect',
+        effectId: entry.id,
+        instanceId: `${entry.id}_1`,
+      });
+      const outL = new Float32Array(left.length);
+      const outR = new Float32Array(left.length);
+      for (let start = 0; start < left.length; start += 128) {
+        const output = [
+          outL.subarray(start, start + 128),
+          outR.subarray(start, start + 128),
+        ];
+        processor.process(
+          [
+            [
+              left.subarray(start, start + 128),
+              right.subarray(start, start + 128),
+            ],
+          ],
+          [output]
+        );
+      }
+
+      const module = await import(`../fx/effects/${entry.file}`);
+      const effect = new module[entry.class](48000, entry.id);
+      const expectedL = Float64Array.from(left);
+      const expectedR = Float64Array.from(right);
+      effect.processBlock(
+        expectedL,
+        expectedR,
+        expectedL,
+        expectedR,
+        left.length
+      );
+
+      assert.deepStrictEqual(outL, Float32Array.from(expectedL));
+      assert.deepStrictEqual(outR, Float32Array.from(expectedR));
+    });
+  }
+});
@@ -2,8 +2,10 @@
  * FX Controller Tests - Race condition and parameter validation
  */
 
-import { describe, it } from 'node:test';
+import { describe, it, before, afterEach } from 'node:test';
 import assert from 'node:assert';
+import { FXController } from '../fx/fx-controller.js';
+import { MockWorkletPort } from './mocks/worklet-loader.js';
 
 describe('FX Controller - Parameter Validation', () => {
   describe('Race Condition Prevention', () => {
@@ -319,3 +321,81 @@ describe('FX Controller - Parameter Validation', () => {
     });
   });
 });
+
+describe('FX Controller - Patch Modulation Targets', () => {
+  let metadataController;
+
+  before(async () => {
+    metadataController = new FXController();
+    await metadataController.loadMetadata();
+  });
+
+  afterEach(() => {
+    delete globalThis.window;
+  });
+
+  // Controller with a stub FX node; effects are confirmed as the worklet would
+  function createController() {
+    globalThis.window = new EventTarget();
+    const controller = new FXController();
+    controller.effectsMetadata = metadataController.effectsMetadata;
+    controller.metadataLoaded = true;
+    controller.fxNode = { port: new MockWorkletPort() };
+    const add = (effectId) => {
+      const instanceId = controller.addEffect(effectId);
+      controller.handleMessage({
+        type: 'effectAdded',
+        instanceId,
+        effectId,
+        position: -1,
+      });
+      return instanceId;
+    };
+    return { controller, add };
+  }
+
+  it('should describe targets by effect type and position', () => {
+    const { controller, add } = createController();
+    add('delay');
+    add('chorus');
+    const secondDelay = add('delay');
+    controller.setModulationTarget(3, secondDelay, 'feedback');
+
+    assert.deepStrictEqual(controller.getPatchModulationTargets(), {
+      3: { effectId: 'delay', index: 1, param: 'feedback' },
+    });
+  });
+
+  it('should restore targets onto the current session instances', () => {
+    const saved = createController();
+    saved.add('chorus');
+    saved.controller.setModulationTarget(5, saved.add('delay'), 'mix');
+    const targets = saved.controller.getPatchModulationTargets();
+
+    const { controller, add } = createController();
+    add('reverb');
+    const chorus = add('chorus');
+    const delay = add('delay');
+    controller.setModulationTarget(1, chorus, 'rate');
+    controller.restoreModulationTargets(targets);
+
+    assert.strictEqual(controller.getModulationTarget(1), null);
+    assert.deepStrictEqual(controller.getModulationTarget(5), {
+      instanceId: delay,
+      param: 'mix',
+    });
+    const sent = controller.fxNode.port.messages.map((m) => m.type);
+    assert.ok(sent.includes('clearModTarget'));
+    assert.strictEqual(sent.at(-1), 'setModTarget');
+  });
+
+  it('should skip targets whose effect is not in the chain', () => {
+    const { controller, add } = createController();
+    add('delay');
+    controller.restoreModulationTargets({
+      2: { effectId: 'delay', index: 1, param: 'mix' },
+      4: { effectId: 'phaser', index: 0, param: 'mix' },
+    });
+    assert.deepStrictEqual(controller.getPatchModulationTargets(), {});
+  });
+});
@@ -22,16 +22,33 @@ function createSynthStub() {
     params: new Map(),
     paramCalls: [],
     noteOffCalls: [],
+    releaseVelocities: [],
+    ccCalls: [],
+    pressureCalls: [],
+    noteOnCalls: [],
+    expressionCalls: [],
     panicCount: 0,
     setParam(name, value) {
       this.params.set(name, value);
       this.paramCalls.push({ name, value });
     },
-    noteOff(note) {
+    noteOff(note, velocity) {
       this.noteOffCalls.push(note);
+      this.releaseVelocities.push(velocity);
+    },
+    noteOn(note, velocity, expression) {
+      this.noteOnCalls.push({ note, velocity, expression });
+    },
+    noteExpression(expression) {
+      this.expressionCalls.push(expression);
     },
-    noteOn() {},
     aftertouch() {},
+    polyPressure(note, value) {
+      this.pressureCalls.push({ note, value });
+    },
+    controlChange(cc, value) {
+      this.ccCalls.push({ cc, value });
+    },
     allNotesOff() {
       this.panicCount += 1;
     },
@@ -139,6 +156,132 @@ test('sustain pedal holds and releases notes', () => {
   assert.equal(synth.noteOffCalls[0], 60);
 });
 
+test('sustain pedal state is sent to the synth', () => {
+  const synth = createSynthStub();
+  const midi = new MIDIInput(synth);
+
+  midi.handleCC(64, 127);
+  assert.equal(synth.params.get('sustainPedal'), 1);
+  midi.handleCC(64, 0);
+  assert.equal(synth.params.get('sustainPedal'), 0);
+});
+
+test('every CC reaches the synth for the MIDI CC matrix source', () => {
+  const synth = createSynthStub();
+  const midi = new MIDIInput(synth);
+
+  midi.handleCC(74, 100); // mapped (filter cutoff)
+  midi.handleCC(3, 42); // unmapped
+  assert.deepEqual(synth.ccCalls, [
+    { cc: 74, value: 100 },
+    { cc: 3, value: 42 },
+  ]);
+});
+
+test('note off passes release velocity', () => {
+  const synth = createSynthStub();
+  const midi = new MIDIInput(synth);
+
+  midi.handleMIDIMessage({ data: [0x80, 60, 127] });
+  midi.handleMIDIMessage({ data: [0x90, 62, 0] }); // note on, velocity 0
+  assert.deepEqual(synth.noteOffCalls, [60, 62]);
+  assert.deepEqual(synth.releaseVelocities, [1, 0.5]);
+});
+
+test('polyphonic key pressure is routed per note', () => {
+  const synth = createSynthStub();
+  const midi = new MIDIInput(synth);
+
+  midi.handleMIDIMessage({ data: [0xa0, 64, 90] });
+  midi.handleMIDIMessage({ data: [0xa0, 200, 90] }); // invalid note
+  assert.deepEqual(synth.pressureCalls, [{ note: 64, value: 90 }]);
+});
+
+// Send an RPN on a channel (0-15): select it, then set its data entry MSB
+function sendRPN(midi, channel, parameter, value) {
+  midi.handleMIDIMessage({ data: [0xb0 | channel, 101, 0] });
+  midi.handleMIDIMessage({ data: [0xb0 | channel, 100, parameter] });
+  midi.handleMIDIMessage({ data: [0xb0 | channel, 6, value] });
+}
+
+test('MPE configuration message sets up zones', () => {
+  const synth = createSynthStub();
+  const midi = new MIDIInput(synth);
+  assert.equal(midi.getMPEMemberZone(1), null);
+
+  sendRPN(midi, 0, 6, 7); // Lower zone, channels 2-8
+  assert.equal(midi.mpeEnabled, true);
+  assert.equal(midi.getMPEMemberZone(1), 'lower');
+  assert.equal(midi.getMPEMemberZone(7), 'lower');
+  assert.equal(midi.getMPEMemberZone(8), null);
+
+  sendRPN(midi, 15, 6, 10); // Upper zone overlaps: lower shrinks to 4
+  assert.deepEqual(midi.mpeZones, { lower: 4, upper: 10 });
+  assert.equal(midi.getMPEMemberZone(5), 'upper');
+  assert.equal(midi.getMPEMemberZone(0), null); // Manager channel
+
+  sendRPN(midi, 0, 6, 0);
+  sendRPN(midi, 15, 6, 0);
+  assert.equal(midi.mpeEnabled, false);
+});
+
+test('MPE member channels carry per-note expression', () => {
+  const synth = createSynthStub();
+  const midi = new MIDIInput(synth);
+  midi.setMPEEnabled(true); // Lower zone, all 15 member channels
+
+  midi.handleMIDIMessage({ data: [0xe2, 0, 96] }); // Bend up on channel 3
+  midi.handleMIDIMessage({ data: [0x92, 60, 127] });
+  assert.deepEqual(synth.noteOnCalls[0].expression, {
+    channel: 2,
+    bend: 0.5,
+    bendRange: 48,
+    pressure: 0,
+    slide: 0,
+  });
+
+  midi.handleMIDIMessage({ data: [0xd2, 127] }); // Pressure
+  midi.handleMIDIMessage({ data: [0xb2, 74, 127] }); // Slide
+  assert.equal(synth.expressionCalls.length, 3);
+  assert.deepEqual(synth.expressionCalls[2], {
+    channel: 2,
+    bend: 0.5,
+    bendRange: 48,
+    pressure: 1,
+    slide: 1,
+  });
+  // CC74 on a member channel is slide, not the mapped filter cutoff
+  assert.equal(synth.params.has('filterCutoff'), false);
+  assert.equal(synth.params.has('pitchBend'), false);
+
+  midi.handleMIDIMessage({ data: [0x82, 60, 64] });
+  assert.deepEqual(synth.noteOffCalls, [60]);
+});
+
+test('MPE manager channel keeps global pitch bend and CCs', () => {
+  const synth = createSynthStub();
+  const midi = new MIDIInput(synth);
+  midi.setMPEEnabled(true);
+
+  midi.handleMIDIMessage({ data: [0xe0, 0, 96] });
+  assert.equal(synth.params.get('pitchBend'), 1); // Half of ±2
+  midi.handleMIDIMessage({ data: [0x90, 64, 127] });
+  assert.equal(synth.noteOnCalls[0].expression, undefined);
+  assert.equal(synth.expressionCalls.length, 0);
+});
+
+test('MPE bend range follows RPN 0 on member channels', () => {
+  const synth = createSynthStub();
+  const midi = new MIDIInput(synth);
+  midi.setMPEEnabled(true);
+
+  sendRPN(midi, 4, 0, 24);
+  assert.equal(midi.mpeBendRange.lower, 24);
+  sendRPN(midi, 0, 0, 12); // Manager channel: global bend range
+  assert.equal(midi.pitchBendRange, 12);
+  assert.equal(synth.params.get('pitchBendRange'), 12);
+});
+
 test('panic CC clears sustain and triggers all notes off', () => {
   const synth = createSynthStub();
   const midi = new MIDIInput(synth);
@@ -58,8 +58,9 @@ export class MockAudioWorkletNode {
     this.options = options;
     this.parameters = new Map();
     this.port = {
-      postMessage: (message) => {
+      postMessage: (message, transfer = []) => {
         this._lastMessage = message;
+        this._lastTransfer = transfer;
       },
       onmessage: null,
       addEventListener: (type, listener) => {
@@ -74,6 +75,7 @@ export class MockAudioWorkletNode {
       },
     };
     this._lastMessage = null;
+    this._lastTransfer = [];
     this.numberOfInputs = 0;
     this.numberOfOutputs = 1;
     this.channelCount = 2;
@@ -110,6 +112,10 @@ export class MockAudioWorkletNode {
     return this._lastMessage;
   }
 
+  getLastTransfer() {
+    return this._lastTransfer;
+  }
+
   // Simulate receiving a message from worklet
   simulateMessage(data) {
     if (this.port.onmessage) {
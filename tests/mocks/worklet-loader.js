@@ -0,0 +1,144 @@
+// tests/mocks/worklet-loader.js - Load AudioWorklet processor scripts in Node
+// Worklet files are plain scripts (no exports) that run in AudioWorkletGlobalScope.
+// This loader evaluates them in a vm context with the few globals they need and
+// hands back their top-level classes and constants for unit testing.
+import fs from 'node:fs';
+import path from 'node:path';
+import vm from 'node:vm';
+import { fileURLToPath } from 'node:url';
+import { FX_WORKLET_PATH, generateFxWorklet } from '../../fx/worklet-source.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Minimal MessagePort stand-in that records posted messages
+ */
+export class MockWorkletPort {
+  constructor() {
+    this.onmessage = null;
+    this.messages = [];
+  }
+
+  // Messages are copied, as a real port would, so senders may reuse them
+  postMessage(message) {
+    this.messages.push(structuredClone(message));
+  }
+
+  // Deliver a message as if sent from the main thread
+  receive(data) {
+    if (this.onmessage) this.onmessage({ data });
+  }
+}
+
+// Inline the parameter registry the same way build.js does
+function inlineParameterRegistry(code) {
+  const registry = fs
+    .readFileSync(path.join(ROOT, 'utils/parameter-registry.js'), 'utf-8')
+    .replace(/^import\s+.+$/gm, '')
+    .replace(/^export\s+/gm, '')
+    .trim();
+  return code.replace(
+    /\/\/ BUILD_INLINE_START: parameter-registry\.js\s*\n([\s\S]*?)\n\s*\/\/ BUILD_INLINE_END: parameter-registry\.js/,
+    `${registry}\n`
+  );
+}
+
+/**
+ * Evaluate a worklet script and collect its top-level declarations
+ * @param {string} relativePath - Worklet path relative to the repo root
+ * @param {object} [options]
+ * @param {number} [options.sampleRate=48000] - Value of the sampleRate global
+ * @param {boolean} [options.inlineRegistry=true] - Inline the parameter registry
+ * @param {boolean} [options.isolate=true] - Run in its own vm context. Code in
+ *   a vm context looks globals up slowly, so the benchmark turns this off and
+ *   runs the script as a function in this realm instead.
+ * @param {string} [options.code] - Script to run instead of the file's
+ *   contents (for generated worklets)
+ * @returns {{processors: object, [name: string]: any}} Top-level classes,
+ *   constants and functions, plus registered processors by name
+ */
+export function loadWorklet(
+  relativePath,
+  {
+    sampleRate = 48000,
+    inlineRegistry = true,
+    isolate = true,
+    code = fs.readFileSync(path.join(ROOT, relativePath), 'utf-8'),
+  } = {}
+) {
+  if (inlineRegistry) {
+    code = inlineParameterRegistry(code);
+  }
+
+  const names = new Set();
+  for (const match of code.matchAll(
+    /^(?:class|const|let|function)\s+([A-Za-z_$][\w$]*)/gm
+  )) {
+    names.add(match[1]);
+  }
+
+  const processors = {};
+  const globals = {
+    console: { log() {}, warn() {}, error() {}, info() {} },
+    sampleRate,
+    currentTime: 0,
+    AudioWorkletProcessor: class AudioWorkletProcessor {
+      constructor() {
+        this.port = new MockWorkletPort();
+      }
+    },
+    registerProcessor: (name, processorClass) => {
+      processors[name] = processorClass;
+    },
+  };
+
+  const declarations = `{ ${Array.from(names).join(', ')} }`;
+  const exported = isolate
+    ? vm.runInContext(
+        `${code}\n;(${declarations});`,
+        vm.createContext(globals),
+        {
+          filename: relativePath,
+        }
+      )
+    : new Function(
+        ...Object.keys(globals),
+        `${code}\n;return ${declarations};`
+      )(...Object.values(globals));
+  return { ...exported, processors };
+}
+
+/**
+ * Generate the FX chain worklet from the effect modules and load it
+ * @param {object} [options] - loadWorklet() options
+ * @param {Array<Object>} [registry] - Effects to inline (defaults to the
+ *   effect registry)
+ * @returns {Promise<{processors: object, [name: string]: any}>}
+ */
+export async function loadFxWorklet(options = {}, registry) {
+  const code = await generateFxWorklet(
+    (file) => fs.readFileSync(path.join(ROOT, file), 'utf-8'),
+    registry
+  );
+  return loadWorklet(FX_WORKLET_PATH, {
+    ...options,
+    inlineRegistry: false,
+    code,
+  });
+}
+
+/**
+ * Build a `parameters` object for process() from the parameter registry
+ * @param {Array<object>} descriptors - Processor parameterDescriptors
+ * @param {object} [overrides] - Parameter values to override (name -> number)
+ * @returns {object} Map of parameter name -> Float32Array(1)
+ */
+export function createParameterValues(descriptors, overrides = {}) {
+  const parameters = {};
+  for (const d of descriptors) {
+    const value = d.name in overrides ? overrides[d.name] : d.defaultValue;
+    parameters[d.name] = new Float32Array([value]);
+  }
+  return parameters;
+}
@@ -0,0 +1,98 @@
+// tests/mseg-editor.test.js - Unit tests for the MSEG editor helpers
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  shapeMsegSegment,
+  readMsegPoints,
+  msegPointsToParams,
+  insertMsegPoint,
+  removeMsegPoint,
+} from '../ui/mseg-editor.js';
+import { MSEG_MAX_POINTS } from '../utils/parameter-registry.js';
+
+function createSynthStub(values = {}) {
+  const params = new Map(Object.entries(values));
+  return {
+    setParam: (name, value) => params.set(name, value),
+    getParam: (name) => (params.has(name) ? params.get(name) : null),
+  };
+}
+
+describe('MSEG editor helpers', () => {
+  it('should shape segments linearly at zero curve', () => {
+    assert.strictEqual(shapeMsegSegment(0.25, 0), 0.25);
+    assert.ok(shapeMsegSegment(0.5, -1) > 0.5);
+    assert.ok(shapeMsegSegment(0.5, 1) < 0.5);
+    assert.ok(Math.abs(shapeMsegSegment(1, 1) - 1) < 1e-12);
+  });
+
+  it('should read the default shape when the synth has no values', () => {
+    const points = readMsegPoints(createSynthStub());
+    assert.deepStrictEqual(
+      points.map((p) => [p.time, p.level]),
+      [
+        [0, 0],
+        [0.1, 1],
+        [0.4, 0.5],
+        [1, 0],
+      ]
+    );
+  });
+
+  it('should round-trip points through synth parameters', () => {
+    const points = [
+      { time: 0, level: 0.2, curve: 0 },
+      { time: 0.5, level: 1, curve: -0.5 },
+      { time: 0.8, level: 0.3, curve: 0.25 },
+    ];
+    const synth = createSynthStub();
+    for (const [name, value] of Object.entries(msegPointsToParams(points))) {
+      synth.setParam(name, value);
+    }
+    assert.deepStrictEqual(readMsegPoints(synth), points);
+  });
+
+  it('should reset unused point slots to defaults', () => {
+    const params = msegPointsToParams([
+      { time: 0, level: 0, curve: 0 },
+      { time: 1, level: 1, curve: 0.5 },
+    ]);
+    assert.strictEqual(params.msegPointCount, 2);
+    assert.strictEqual(params.msegTime16, 1);
+    assert.strictEqual(params.msegCurve3, 0);
+  });
+
+  it('should insert points in time order up to the limit', () => {
+    const start = [
+      { time: 0, level: 0, curve: 0 },
+      { time: 1, level: 0, curve: 0 },
+    ];
+    const { points, index } = insertMsegPoint(start, 0.5, 0.7);
+    assert.strictEqual(index, 1);
+    assert.deepStrictEqual(
+      points.map((p) => p.time),
+      [0, 0.5, 1]
+    );
+
+    const full = Array.from({ length: MSEG_MAX_POINTS }, (_, i) => ({
+      time: i / (MSEG_MAX_POINTS - 1),
+      level: 0,
+      curve: 0,
+    }));
+    assert.strictEqual(insertMsegPoint(full, 0.5, 0.5).index, -1);
+  });
+
+  it('should keep at least two points when removing', () => {
+    const points = [
+      { time: 0, level: 0, curve: 0 },
+      { time: 0.3, level: 1, curve: 0 },
+      { time: 1, level: 0, curve: 0 },
+    ];
+    const removed = removeMsegPoint(points, 0);
+    assert.deepStrictEqual(
+      removed.map((p) => p.time),
+      [0, 1]
+    );
+    assert.strictEqual(removeMsegPoint(removed, 1), removed);
+  });
+});
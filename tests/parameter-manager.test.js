@@ -51,6 +51,22 @@ describe('ParameterManager', () => {
       assert.strictEqual(def.type, 'number'); // Default type
       assert.strictEqual(def.unit, ''); // Empty unit
     });
+
+    it('should only glide continuous numeric parameters by default', () => {
+      const pm = new ParameterManager();
+      pm.registerEffect('test', [
+        { name: 'mix', min: 0, max: 1 },
+        { name: 'waveform', min: 0, max: 2, step: 1 },
+        { name: 'bypass', min: 0, max: 1, type: 'boolean' },
+        { name: 'size', min: 0, max: 1, smoothing: 0.1 },
+      ]);
+      const smoothing = (name) => pm.getParameterDef('test', name).smoothing;
+
+      assert.strictEqual(smoothing('mix'), 0.02);
+      assert.strictEqual(smoothing('waveform'), 0);
+      assert.strictEqual(smoothing('bypass'), 0);
+      assert.strictEqual(smoothing('size'), 0.1);
+    });
   });
 
   describe('Value Validation', () => {
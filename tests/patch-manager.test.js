@@ -0,0 +1,288 @@
+// tests/patch-manager.test.js - Unit tests for patches/patch-manager.js
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import {
+  PatchManager,
+  PATCH_FORMAT,
+  PATCH_VERSION,
+  PATCH_EXCLUDED_PARAMETERS,
+  createDefaultPatch,
+  getPatchParameterNames,
+  parsePatch,
+  validatePatch,
+} from '../patches/patch-manager.js';
+import {
+  MATRIX_DESTINATIONS,
+  SYNTH_PARAMETERS,
+  getParameter,
+} from '../utils/parameter-registry.js';
+
+const FX_DEST = MATRIX_DESTINATIONS.indexOf('FX Parameter');
+
+// Minimal synth stand-in backed by registry defaults
+function createSynthStub() {
+  const params = new Map(SYNTH_PARAMETERS.map((p) => [p.name, p.defaultValue]));
+  return {
+    params,
+    setParam(name, value) {
+      if (!params.has(name)) return false;
+      params.set(name, value);
+      return true;
+    },
+    getParam(name) {
+      return params.has(name) ? params.get(name) : null;
+    },
+  };
+}
+
+// FX controller stand-in holding patch-form modulation targets
+function createFxControllerStub(targets = {}) {
+  return {
+    targets,
+    getPatchModulationTargets() {
+      return this.targets;
+    },
+    restoreModulationTargets(restored) {
+      this.targets = restored;
+    },
+  };
+}
+
+// In-memory Storage implementation
+function createMemoryStorage() {
+  const data = new Map();
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key),
+    data,
+  };
+}
+
+describe('patch helpers', () => {
+  it('should include matrix and aftertouch slots but not performance params', () => {
+    const names = getPatchParameterNames();
+    for (let i = 1; i <= 12; i++) {
+      assert.ok(names.includes(`matrixSource${i}`));
+      assert.ok(names.includes(`matrixDest${i}`));
+      assert.ok(names.includes(`matrixAmount${i}`));
+    }
+    assert.ok(names.includes('aftertouchDest1'));
+    assert.ok(names.includes('aftertouchAmount4'));
+    for (const excluded of PATCH_EXCLUDED_PARAMETERS) {
+      assert.ok(!names.includes(excluded));
+    }
+  });
+
+  it('should create a default patch from registry defaults', () => {
+    const patch = createDefaultPatch();
+    assert.strictEqual(patch.format, PATCH_FORMAT);
+    assert.strictEqual(patch.version, PATCH_VERSION);
+    assert.strictEqual(patch.name, 'Init');
+    assert.strictEqual(
+      patch.parameters.filterCutoff,
+      getParameter('filterCutoff').defaultValue
+    );
+  });
+
+  it('should clamp out-of-range values and fill missing ones', () => {
+    const patch = validatePatch({
+      format: PATCH_FORMAT,
+      version: 1,
+      name: 'Clamped',
+      parameters: { filterCutoff: 999999, masterVolume: -5 },
+    });
+    assert.strictEqual(
+      patch.parameters.filterCutoff,
+      getParameter('filterCutoff').maxValue
+    );
+    assert.strictEqual(
+      patch.parameters.masterVolume,
+      getParameter('masterVolume').minValue
+    );
+    assert.strictEqual(
+      patch.parameters.envelopeAttack,
+      getParameter('envelopeAttack').defaultValue
+    );
+  });
+
+  it('should drop unknown and non-numeric parameters', () => {
+    const patch = validatePatch({
+      format: PATCH_FORMAT,
+      version: 1,
+      name: 'Unknown',
+      parameters: { notAParam: 1, filterResonance: 'loud' },
+    });
+    assert.ok(!('notAParam' in patch.parameters));
+    assert.strictEqual(
+      patch.parameters.filterResonance,
+      getParameter('filterResonance').defaultValue
+    );
+  });
+
+  it('should keep an optional category', () => {
+    const patch = validatePatch({
+      ...createDefaultPatch('Tagged'),
+      category: ' Bass ',
+    });
+    assert.strictEqual(patch.category, 'Bass');
+    assert.ok(!('category' in createDefaultPatch()));
+  });
+
+  it('should reject invalid patches', () => {
+    assert.throws(() => validatePatch(null), /expected an object/);
+    assert.throws(
+      () => validatePatch({ format: 'other', version: 1, parameters: {} }),
+      /unknown format/
+    );
+    assert.throws(
+      () =>
+        validatePatch({
+          format: PATCH_FORMAT,
+          version: PATCH_VERSION + 1,
+          parameters: {},
+        }),
+      /newer than supported/
+    );
+    assert.throws(
+      () => validatePatch({ format: PATCH_FORMAT, version: 1 }),
+      /missing parameters/
+    );
+    assert.throws(() => parsePatch('{not json'), /Invalid patch file/);
+  });
+
+  it('should keep FX targets only for FX Parameter slots', () => {
+    const patch = validatePatch({
+      format: PATCH_FORMAT,
+      version: 1,
+      name: 'FX',
+      parameters: { matrixDest2: FX_DEST, matrixDest3: FX_DEST },
+      fxTargets: {
+        1: { effectId: 'delay', index: 0, param: 'mix' },
+        2: { effectId: 'delay', index: 1, param: 'feedback' },
+        3: { effectId: 'delay', index: -1, param: 'mix' },
+      },
+    });
+    assert.deepStrictEqual(patch.fxTargets, {
+      2: { effectId: 'delay', index: 1, param: 'feedback' },
+    });
+  });
+});
+
+describe('PatchManager', () => {
+  let synth;
+  let storage;
+  let manager;
+
+  beforeEach(() => {
+    synth = createSynthStub();
+    storage = createMemoryStorage();
+    manager = new PatchManager(synth, storage);
+  });
+
+  afterEach(() => {
+    delete globalThis.window;
+  });
+
+  it('should capture the current synth state', () => {
+    synth.setParam('filterCutoff', 1234);
+    synth.setParam('matrixAmount7', -42);
+    const patch = manager.capturePatch('Captured');
+    assert.strictEqual(patch.name, 'Captured');
+    assert.strictEqual(patch.parameters.filterCutoff, 1234);
+    assert.strictEqual(patch.parameters.matrixAmount7, -42);
+    assert.ok(!('bpm' in patch.parameters));
+  });
+
+  it('should save, list, load and delete patches', () => {
+    synth.setParam('pulseWidth', 0.2);
+    manager.savePatch('B Patch');
+    synth.setParam('pulseWidth', 0.8);
+    manager.savePatch('A Patch');
+
+    assert.deepStrictEqual(manager.getPatchNames(), ['A Patch', 'B Patch']);
+
+    assert.strictEqual(manager.loadPatch('B Patch'), true);
+    assert.strictEqual(synth.getParam('pulseWidth'), 0.2);
+    assert.strictEqual(manager.currentPatchName, 'B Patch');
+
+    assert.strictEqual(manager.deletePatch('B Patch'), true);
+    assert.strictEqual(manager.deletePatch('B Patch'), false);
+    assert.strictEqual(manager.loadPatch('B Patch'), false);
+    assert.deepStrictEqual(manager.getPatchNames(), ['A Patch']);
+  });
+
+  it('should reject empty patch names', () => {
+    assert.throws(() => manager.savePatch('   '), /name is required/);
+  });
+
+  it('should persist patches to storage', () => {
+    synth.setParam('noiseVolume', 0.5);
+    manager.savePatch('Stored');
+
+    const restored = new PatchManager(createSynthStub(), storage);
+    assert.deepStrictEqual(restored.getPatchNames(), ['Stored']);
+    assert.strictEqual(restored.getPatch('Stored').parameters.noiseVolume, 0.5);
+
+    manager.deletePatch('Stored');
+    assert.strictEqual(storage.data.size, 0);
+  });
+
+  it('should skip corrupt storage entries', () => {
+    storage.setItem(
+      'vortexpwm.patches',
+      JSON.stringify([
+        { format: 'bogus' },
+        { ...createDefaultPatch('Good'), createdAt: 'x' },
+      ])
+    );
+    const restored = new PatchManager(synth, storage);
+    assert.deepStrictEqual(restored.getPatchNames(), ['Good']);
+  });
+
+  it('should round-trip through export and import', () => {
+    synth.setParam('oscillator2Waveform', 2);
+    synth.setParam('matrixSource12', 5);
+    synth.setParam('aftertouchAmount3', -0.5);
+    const json = manager.exportPatch('Round Trip');
+
+    const other = new PatchManager(createSynthStub(), createMemoryStorage());
+    const imported = other.importPatch(json);
+    assert.strictEqual(imported.name, 'Round Trip');
+    assert.deepStrictEqual(other.getPatchNames(), ['Round Trip']);
+
+    other.applyPatch(imported);
+    assert.strictEqual(other.synth.getParam('oscillator2Waveform'), 2);
+    assert.strictEqual(other.synth.getParam('matrixSource12'), 5);
+    assert.strictEqual(other.synth.getParam('aftertouchAmount3'), -0.5);
+  });
+
+  it('should dispatch patchLoaded when a patch is applied', () => {
+    globalThis.window = new EventTarget();
+    let received = null;
+    window.addEventListener('patchLoaded', (e) => {
+      received = e.detail.patch;
+    });
+
+    manager.applyPatch(createDefaultPatch('Evented'));
+    assert.ok(received);
+    assert.strictEqual(received.name, 'Evented');
+  });
+
+  it('should save and restore FX matrix targets', () => {
+    const target = { effectId: 'chorus', index: 0, param: 'rate' };
+    synth.fxController = createFxControllerStub({ 4: target, 6: target });
+    synth.setParam('matrixDest4', FX_DEST);
+    const json = manager.exportPatch('FX Target');
+    assert.deepStrictEqual(JSON.parse(json).fxTargets, { 4: target });
+
+    const other = new PatchManager(createSynthStub(), createMemoryStorage());
+    other.synth.fxController = createFxControllerStub({ 1: target });
+    other.applyPatch(other.importPatch(json));
+    assert.deepStrictEqual(other.synth.fxController.targets, { 4: target });
+
+    // Patches without FX targets clear the previous ones
+    other.applyPatch(createDefaultPatch());
+    assert.deepStrictEqual(other.synth.fxController.targets, {});
+  });
+});
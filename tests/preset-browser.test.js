@@ -0,0 +1,143 @@
+// tests/preset-browser.test.js - Unit tests for the factory bank and preset browser
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import {
+  FACTORY_PRESETS,
+  PRESET_CATEGORIES,
+} from '../patches/factory-presets.js';
+import {
+  PresetBrowser,
+  FILTER_ALL,
+  FILTER_FAVORITES,
+  USER_CATEGORY,
+} from '../patches/preset-browser.js';
+import { PatchManager, validatePatch } from '../patches/patch-manager.js';
+import { SYNTH_PARAMETERS } from '../utils/parameter-registry.js';
+
+function createSynthStub() {
+  const params = new Map(SYNTH_PARAMETERS.map((p) => [p.name, p.defaultValue]));
+  return {
+    setParam(name, value) {
+      params.set(name, value);
+      return true;
+    },
+    getParam(name) {
+      return params.has(name) ? params.get(name) : null;
+    },
+  };
+}
+
+function createMemoryStorage() {
+  const data = new Map();
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key),
+  };
+}
+
+describe('FACTORY_PRESETS', () => {
+  it('should contain valid patches with unique names', () => {
+    const names = new Set();
+    for (const preset of FACTORY_PRESETS) {
+      assert.deepStrictEqual(validatePatch(preset), preset);
+      assert.ok(!names.has(preset.name), `duplicate name ${preset.name}`);
+      names.add(preset.name);
+    }
+  });
+
+  it('should cover every category', () => {
+    for (const category of PRESET_CATEGORIES) {
+      assert.ok(
+        FACTORY_PRESETS.some((p) => p.category === category),
+        `no presets in ${category}`
+      );
+    }
+  });
+
+  it('should showcase sync, ring mod, PWM and the matrix', () => {
+    const uses = (predicate) => FACTORY_PRESETS.some(predicate);
+    assert.ok(uses((p) => p.parameters.oscillator2HardSync === 1));
+    assert.ok(uses((p) => p.parameters.ringModulatorVolume > 0));
+    assert.ok(uses((p) => p.parameters.pulseWidthModulationDepth > 0.5));
+    assert.ok(uses((p) => p.parameters.matrixSource1 > 0));
+  });
+});
+
+describe('PresetBrowser', () => {
+  let manager;
+  let browser;
+
+  beforeEach(() => {
+    manager = new PatchManager(createSynthStub(), createMemoryStorage());
+    browser = new PresetBrowser(manager);
+  });
+
+  it('should list factory presets followed by user patches', () => {
+    manager.savePatch('My Sound');
+    const entries = browser.getEntries();
+    assert.strictEqual(entries.length, FACTORY_PRESETS.length + 1);
+    const last = entries[entries.length - 1];
+    assert.strictEqual(last.id, 'user:My Sound');
+    assert.strictEqual(last.category, USER_CATEGORY);
+  });
+
+  it('should filter by category and search text', () => {
+    browser.setCategory('Bass');
+    const bass = browser.getFilteredEntries();
+    assert.ok(bass.length > 0);
+    assert.ok(bass.every((e) => e.category === 'Bass'));
+
+    browser.setCategory(FILTER_ALL);
+    browser.setSearch('sync');
+    const sync = browser.getFilteredEntries();
+    assert.ok(sync.length > 0);
+    assert.ok(sync.every((e) => e.name.toLowerCase().includes('sync')));
+  });
+
+  it('should ignore unknown categories', () => {
+    browser.setCategory('Polka');
+    assert.strictEqual(browser.category, FILTER_ALL);
+  });
+
+  it('should toggle and persist favorites', () => {
+    const id = browser.getEntries()[0].id;
+    assert.strictEqual(browser.toggleFavorite(id), true);
+
+    browser.setCategory(FILTER_FAVORITES);
+    assert.deepStrictEqual(
+      browser.getFilteredEntries().map((e) => e.id),
+      [id]
+    );
+
+    const reloaded = new PresetBrowser(manager);
+    assert.ok(reloaded.isFavorite(id));
+    assert.strictEqual(reloaded.toggleFavorite(id), false);
+  });
+
+  it('should step through the filtered list with wrap-around', () => {
+    browser.setCategory('Pad');
+    const pads = browser.getFilteredEntries();
+
+    assert.strictEqual(browser.next().id, pads[0].id);
+    assert.strictEqual(browser.next().id, pads[1].id);
+    assert.strictEqual(browser.previous().id, pads[0].id);
+    assert.strictEqual(browser.previous().id, pads[pads.length - 1].id);
+    assert.strictEqual(manager.currentPatchName, pads[pads.length - 1].name);
+  });
+
+  it('should return null when stepping through an empty list', () => {
+    browser.setSearch('no such preset');
+    assert.strictEqual(browser.next(), null);
+  });
+
+  it('should apply the selected preset to the synth', () => {
+    const preset = FACTORY_PRESETS.find((p) => p.name === 'Acid Squelch');
+    browser.select('factory:Acid Squelch');
+    assert.strictEqual(
+      manager.synth.getParam('filterResonance'),
+      preset.parameters.filterResonance
+    );
+    assert.strictEqual(browser.select('factory:Missing'), null);
+  });
+});
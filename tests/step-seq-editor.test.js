@@ -0,0 +1,49 @@
+// tests/step-seq-editor.test.js - Unit tests for the step sequencer editor helpers
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { readStepSeq, stepSeqValueAt } from '../ui/step-seq-editor.js';
+import { STEP_SEQ_MAX_STEPS } from '../utils/parameter-registry.js';
+
+function createSynthStub(values = {}) {
+  const params = new Map(Object.entries(values));
+  return {
+    setParam: (name, value) => params.set(name, value),
+    getParam: (name) => (params.has(name) ? params.get(name) : null),
+  };
+}
+
+describe('Step sequencer editor helpers', () => {
+  it('should read registry defaults when the synth has no values', () => {
+    const { count, steps } = readStepSeq(createSynthStub());
+    assert.strictEqual(count, STEP_SEQ_MAX_STEPS);
+    assert.strictEqual(steps.length, STEP_SEQ_MAX_STEPS);
+    assert.ok(steps.every((s) => s.value === 0 && s.glide === 0));
+  });
+
+  it('should read step values and clamp the step count', () => {
+    const { count, steps } = readStepSeq(
+      createSynthStub({
+        stepSeqSteps: 40,
+        stepSeqValue3: 0.5,
+        stepSeqGlide3: 1,
+      })
+    );
+    assert.strictEqual(count, STEP_SEQ_MAX_STEPS);
+    assert.deepStrictEqual(steps[2], { value: 0.5, glide: 1 });
+  });
+
+  it('should glide from the previous step, wrapping at the step count', () => {
+    const steps = Array.from({ length: STEP_SEQ_MAX_STEPS }, () => ({
+      value: 0,
+      glide: 0,
+    }));
+    steps[0] = { value: 1, glide: 0.5 };
+    steps[3] = { value: 0.5, glide: 0 };
+
+    // Step 1 glides from step 4 (the last active step) over half its length
+    assert.strictEqual(stepSeqValueAt(steps, 4, 0, 0), 0.5);
+    assert.strictEqual(stepSeqValueAt(steps, 4, 0, 0.25), 0.75);
+    assert.strictEqual(stepSeqValueAt(steps, 4, 0, 0.5), 1);
+    assert.strictEqual(stepSeqValueAt(steps, 4, 3, 0), 0.5);
+  });
+});
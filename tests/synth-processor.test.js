@@ -0,0 +1,1888 @@
+// tests/synth-processor.test.js - Unit tests for worklet/synth-processor.js
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import {
+  loadWorklet,
+  createParameterValues,
+  MockWorkletPort,
+} from './mocks/worklet-loader.js';
+import { createBuiltinWavetable } from '../audio/wavetables.js';
+
+const SAMPLE_RATE = 48000;
+const worklet = loadWorklet('worklet/synth-processor.js', {
+  sampleRate: SAMPLE_RATE,
+});
+const {
+  VoiceAllocator,
+  VOICE_MODE_POLY,
+  VOICE_MODE_MONO,
+  VOICE_MODE_LEGATO,
+  NOTE_PRIORITY_LOW,
+  NOTE_PRIORITY_HIGH,
+  PORTAMENTO_CONSTANT_TIME,
+  PORTAMENTO_CONSTANT_RATE,
+  STEAL_OLDEST,
+  STEAL_QUIETEST,
+  STEAL_LOWEST,
+  STEAL_HIGHEST,
+  STEAL_RELEASED_FIRST,
+  IIRFilter,
+  Envelope,
+  ModEnvelope,
+  MsegShape,
+  MultiSegmentEnvelope,
+  StepSequence,
+  StepSequencer,
+  LFO,
+  Voice,
+  MAX_VOICES,
+  FILTER_LP24,
+  FILTER_LP12,
+  FILTER_BP,
+  FILTER_NOTCH,
+  FILTER_PEAK,
+  FILTER_MORPH,
+  shapeMatrixValue,
+  MATRIX_CURVE_LINEAR,
+  MATRIX_CURVE_EXP,
+  MATRIX_CURVE_LOG,
+  MATRIX_CURVE_S,
+  MATRIX_CURVE_STEPPED,
+  MATRIX_POLARITY_NATIVE,
+  MATRIX_POLARITY_UNIPOLAR,
+  MATRIX_POLARITY_BIPOLAR,
+  ParameterSmoother,
+  CONTROL_BLOCK_SIZE,
+} = worklet;
+const Processor = worklet.processors['mono-pwm-synth'];
+
+// Run the voice's glide for a number of samples
+function advance(voice, samples) {
+  for (let i = 0; i < samples; i++) voice.advanceGlide();
+}
+
+// Fresh processor on the registry defaults plus `overrides`, with PWM off
+// (its LFO starts at a random phase). render() runs one 128-sample block and
+// returns the left channel.
+function createProcessor(overrides = {}) {
+  const processor = new Processor();
+  const parameters = createParameterValues(Processor.parameterDescriptors, {
+    pulseWidthModulationDepth: 0,
+    ...overrides,
+  });
+  const outputs = [[new Float32Array(128), new Float32Array(128)]];
+  const render = () => {
+    processor.process([], outputs, parameters);
+    return Array.from(outputs[0][0]);
+  };
+  const voiceFor = (midi) =>
+    processor.voiceAllocator.voices.find((v) => v.active && v.midi === midi);
+  return { processor, parameters, outputs, render, voiceFor };
+}
+
+// Play a note on a fresh processor for one block; `messages` are received
+// after the note-on. Returns the fixture with the left channel as `samples`.
+function playNote(
+  overrides = {},
+  { midi = 60, velocity = 1, messages = [] } = {}
+) {
+  const fixture = createProcessor(overrides);
+  fixture.processor.port.receive({ type: 'noteOn', midi, velocity });
+  messages.forEach((msg) => fixture.processor.port.receive(msg));
+  return { ...fixture, samples: fixture.render() };
+}
+
+// Left channel of one block of a note on a fresh processor
+function renderNote(overrides = {}, options = {}) {
+  return playNote(overrides, options).samples;
+}
+
+// Steady-state RMS gain of a filter for a sine at `frequency`
+function filterGain(type, frequency, { cutoff = 1000, morph = 0 } = {}) {
+  const filter = new IIRFilter();
+  const samples = SAMPLE_RATE / 4;
+  let sum = 0;
+  let count = 0;
+  for (let i = 0; i < samples; i++) {
+    const x = Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE);
+    const y = filter.processSample(x, cutoff, 0.1, SAMPLE_RATE, type, morph);
+    if (i >= samples / 2) {
+      sum += y * y;
+      count++;
+    }
+  }
+  return Math.sqrt(sum / count) / Math.SQRT1_2;
+}
+
+describe('IIRFilter modes', () => {
+  it('should keep the 24dB lowpass as the default type', () => {
+    const a = new IIRFilter();
+    const b = new IIRFilter();
+    for (let i = 0; i < 256; i++) {
+      const x = Math.sin(i * 0.3);
+      assert.strictEqual(
+        a.processSample(x, 800, 0.3, SAMPLE_RATE),
+        b.processSample(x, 800, 0.3, SAMPLE_RATE, FILTER_LP24)
+      );
+    }
+  });
+
+  it('should roll off faster in LP24 than LP12', () => {
+    const lp12 = filterGain(FILTER_LP12, 8000);
+    const lp24 = filterGain(FILTER_LP24, 8000);
+    assert.ok(lp12 < 0.1);
+    assert.ok(lp24 < lp12 * 0.2);
+    assert.ok(filterGain(FILTER_LP12, 100) > 0.9);
+  });
+
+  it('should pass the cutoff band in bandpass and reject it in notch', () => {
+    assert.ok(filterGain(FILTER_BP, 1000) > 0.9);
+    assert.ok(filterGain(FILTER_BP, 50) < 0.2);
+    assert.ok(filterGain(FILTER_BP, 15000) < 0.2);
+
+    assert.ok(filterGain(FILTER_NOTCH, 1000) < 0.05);
+    assert.ok(filterGain(FILTER_NOTCH, 50) > 0.9);
+    assert.ok(filterGain(FILTER_NOTCH, 15000) > 0.9);
+  });
+
+  it('should boost around the cutoff in peak mode', () => {
+    assert.ok(filterGain(FILTER_PEAK, 1000) > 1.9);
+    assert.ok(Math.abs(filterGain(FILTER_PEAK, 50) - 1) < 0.1);
+  });
+
+  it('should morph continuously from lowpass to bandpass to highpass', () => {
+    assert.strictEqual(
+      filterGain(FILTER_MORPH, 8000, { morph: 0 }),
+      filterGain(FILTER_LP12, 8000)
+    );
+    assert.ok(filterGain(FILTER_MORPH, 1000, { morph: 0.5 }) > 0.9);
+    assert.ok(filterGain(FILTER_MORPH, 50, { morph: 0.5 }) < 0.2);
+    assert.ok(filterGain(FILTER_MORPH, 50, { morph: 1 }) < 0.05);
+    assert.ok(filterGain(FILTER_MORPH, 8000, { morph: 1 }) > 0.9);
+
+    const lowGains = [0, 0.25, 0.5].map((morph) =>
+      filterGain(FILTER_MORPH, 100, { morph })
+    );
+    assert.ok(lowGains[0] > lowGains[1] && lowGains[1] > lowGains[2]);
+  });
+});
+
+describe('PolyPWMSynthProcessor filter tracking', () => {
+  // Play one note for a block and return the voice that played it
+  function playVoice(midi, velocity, overrides) {
+    const { processor } = playNote(
+      { filterCutoff: 1000, hpfCutoff: 100, ...overrides },
+      { midi, velocity }
+    );
+    return processor.voiceAllocator.voices[0];
+  }
+
+  it('should track the keyboard in octaves around the pivot', () => {
+    const full = playVoice(72, 1, { lpKeyTrack: 1, hpKeyTrack: 0.5 });
+    assert.ok(Math.abs(full.lpf.lastCutoff - 2000) < 0.01);
+    assert.ok(Math.abs(full.hpf.lastCutoff - 100 * Math.SQRT2) < 0.01);
+
+    const low = playVoice(48, 1, { lpKeyTrack: 1, keyTrackPivot: 60 });
+    assert.ok(Math.abs(low.lpf.lastCutoff - 500) < 0.01);
+
+    const pivot = playVoice(67, 1, { lpKeyTrack: 1, keyTrackPivot: 67 });
+    assert.ok(Math.abs(pivot.lpf.lastCutoff - 1000) < 0.01);
+  });
+
+  it('should ignore the key when tracking is off', () => {
+    const voice = playVoice(96, 1, {});
+    assert.ok(Math.abs(voice.lpf.lastCutoff - 1000) < 0.01);
+  });
+
+  it('should scale the filter envelope amount by velocity', () => {
+    const overrides = { lpEnvAmount: 1, filterEnvVelocity: 1 };
+    const soft = playVoice(60, 0, overrides);
+    const hard = playVoice(60, 1, overrides);
+    assert.ok(Math.abs(soft.lpf.lastCutoff - 1000) < 0.01);
+    assert.notStrictEqual(hard.lpf.lastCutoff, soft.lpf.lastCutoff);
+
+    // Without sensitivity, velocity leaves the envelope amount alone
+    const insensitive = playVoice(60, 0, { lpEnvAmount: 1 });
+    assert.strictEqual(insensitive.lpf.lastCutoff, hard.lpf.lastCutoff);
+  });
+});
+
+describe('PolyPWMSynthProcessor oscillator 1 waveforms', () => {
+  // Render one block of a note from oscillator 1 alone
+  const render = (overrides) =>
+    renderNote({ subOscillatorVolume: 0, filterCutoff: 20000, ...overrides });
+
+  it('should generate pulse, saw, triangle and sine shapes', () => {
+    const processor = new Processor();
+    assert.strictEqual(processor.generateOsc1Waveform(0.2, 0.001, 0, 0.25), 1);
+    assert.strictEqual(processor.generateOsc1Waveform(0.3, 0.001, 0, 0.25), -1);
+    assert.strictEqual(
+      processor.generateOsc1Waveform(0.75, 0.001, 1, 0.5),
+      0.5
+    );
+    assert.strictEqual(processor.generateOsc1Waveform(0.25, 0.001, 2, 0.5), 0);
+    assert.strictEqual(processor.generateOsc1Waveform(0.25, 0.001, 3, 0.5), 1);
+  });
+
+  it('should keep the pulse oscillator as the default', () => {
+    assert.deepStrictEqual(render({}), render({ oscillatorWaveform: 0 }));
+    assert.notDeepStrictEqual(render({}), render({ oscillatorWaveform: 3 }));
+  });
+
+  it('should morph from pulse to sine across the morph range', () => {
+    const pulse = render({ oscillatorWaveform: 0 });
+    const sine = render({ oscillatorWaveform: 3 });
+    assert.deepStrictEqual(
+      render({ oscillatorWaveform: 4, oscillatorMorph: 0 }),
+      pulse
+    );
+    assert.deepStrictEqual(
+      render({ oscillatorWaveform: 4, oscillatorMorph: 1 }),
+      sine
+    );
+
+    const between = render({ oscillatorWaveform: 4, oscillatorMorph: 0.5 });
+    assert.notDeepStrictEqual(between, pulse);
+    assert.notDeepStrictEqual(between, sine);
+  });
+
+  it('should route the OSC1 Morph matrix destination', () => {
+    const modulated = render({
+      oscillatorWaveform: 4,
+      oscillatorMorph: 0,
+      matrixSource1: 2, // Velocity
+      matrixDest1: 27, // OSC1 Morph
+      matrixAmount1: 100,
+    });
+    assert.deepStrictEqual(modulated, render({ oscillatorWaveform: 3 }));
+  });
+});
+
+describe('PolyPWMSynthProcessor oscillator 2 wavetable', () => {
+  // Three levels of a two-frame, 8-sample table; every sample holds
+  // level + 10 * frame so lookups show which level and frame were read
+  function createTestTable() {
+    const levels = [0, 1, 2].map((level) =>
+      Float32Array.from({ length: 16 }, (_, i) => level + (i >= 8 ? 10 : 0))
+    );
+    return { type: 'wavetable', name: 'Test', frameCount: 2, size: 8, levels };
+  }
+
+  // Render one block of oscillator 2 alone in wavetable mode
+  const render = (overrides) =>
+    renderNote(
+      {
+        oscillatorVolume: 0,
+        subOscillatorVolume: 0,
+        oscillator2Volume: 1,
+        oscillator2Waveform: 4,
+        filterCutoff: 20000,
+        ...overrides,
+      },
+      { messages: [{ type: 'wavetable', ...createBuiltinWavetable(0) }] }
+    );
+
+  it('should fall back to a saw until a table is loaded', () => {
+    const processor = new Processor();
+    assert.strictEqual(processor.wavetable, null);
+    assert.strictEqual(
+      processor.generateWavetable(0.25, 100, 0),
+      processor.generateWaveform(0.25, 100 / SAMPLE_RATE, 0)
+    );
+  });
+
+  it('should ignore malformed wavetable messages', () => {
+    const processor = new Processor();
+    processor.port.receive({ ...createTestTable(), frameCount: 3 });
+    processor.port.receive({ ...createTestTable(), levels: [] });
+    assert.strictEqual(processor.wavetable, null);
+
+    processor.port.receive(createTestTable());
+    assert.strictEqual(processor.wavetable.name, 'Test');
+  });
+
+  it('should pick a band-limited level for the pitch', () => {
+    const processor = new Processor();
+    processor.port.receive(createTestTable());
+    // 4 harmonics at level 0: fine up to 6 kHz at 48 kHz
+    assert.strictEqual(processor.generateWavetable(0.3, 100, 0), 0);
+    assert.strictEqual(processor.generateWavetable(0.3, 12000, 0), 1);
+    assert.strictEqual(processor.generateWavetable(0.3, 20000, 0), 2);
+  });
+
+  it('should crossfade between frames by position', () => {
+    const processor = new Processor();
+    processor.port.receive(createTestTable());
+    assert.strictEqual(processor.generateWavetable(0.3, 100, 1), 10);
+    assert.strictEqual(processor.generateWavetable(0.3, 100, 0.5), 5);
+  });
+
+  it('should route the OSC2 WT Position matrix destination', () => {
+    const first = render({ oscillator2WavetablePosition: 0 });
+    const last = render({ oscillator2WavetablePosition: 1 });
+    assert.notDeepStrictEqual(first, last);
+
+    const modulated = render({
+      oscillator2WavetablePosition: 0,
+      matrixSource1: 2, // Velocity
+      matrixDest1: 28, // OSC2 WT Position
+      matrixAmount1: 100,
+    });
+    assert.deepStrictEqual(modulated, last);
+  });
+});
+
+describe('ModEnvelope', () => {
+  const RATE = 1000; // 1 sample = 1 ms
+  const settings = (overrides = {}) => ({
+    delay: 0.01,
+    attack: 0.01,
+    hold: 0.01,
+    decay: 0.01,
+    sustain: 0.5,
+    release: 0.01,
+    attackCurve: 0,
+    decayCurve: 0,
+    releaseCurve: 0,
+    ...overrides,
+  });
+
+  function run(env, count, overrides) {
+    const values = [];
+    for (let i = 0; i < count; i++) {
+      values.push(env.process(settings(overrides), RATE));
+    }
+    return values;
+  }
+
+  it('should run delay, attack, hold, decay and sustain in time', () => {
+    const env = new ModEnvelope();
+    env.trigger();
+    const values = run(env, 50);
+
+    assert.deepStrictEqual(values.slice(0, 9), new Array(9).fill(0));
+    assert.ok(Math.abs(values[13] - 0.5) < 1e-9); // Halfway through attack
+    assert.strictEqual(values[18], 1); // Attack done
+    assert.strictEqual(values[26], 1); // Holding
+    assert.ok(Math.abs(values[31] - 0.75) < 1e-9); // Halfway through decay
+    assert.strictEqual(values[49], 0.5);
+    assert.strictEqual(env.state, 'sustain');
+
+    env.release();
+    const release = run(env, 10);
+    assert.ok(Math.abs(release[4] - 0.25) < 1e-9);
+    assert.strictEqual(release[9], 0);
+    assert.strictEqual(env.state, 'idle');
+  });
+
+  it('should bend stages with log, linear and exp curves', () => {
+    const midAttack = (attackCurve) => {
+      const env = new ModEnvelope();
+      env.trigger();
+      return run(env, 14, { attackCurve })[13];
+    };
+    assert.ok(midAttack(-1) > 0.9);
+    assert.ok(Math.abs(midAttack(0) - 0.5) < 1e-9);
+    assert.ok(midAttack(1) < 0.1);
+  });
+
+  it('should release from the current level mid-attack', () => {
+    const env = new ModEnvelope();
+    env.trigger();
+    run(env, 14);
+    env.release();
+    const release = run(env, 10);
+    assert.ok(Math.abs(release[4] - 0.25) < 1e-9);
+    assert.strictEqual(release[9], 0);
+  });
+
+  it('should skip zero-length stages within a sample', () => {
+    const env = new ModEnvelope();
+    env.trigger();
+    const instant = { delay: 0, attack: 0, hold: 0, decay: 0, sustain: 0.3 };
+    assert.strictEqual(env.process(settings(instant), RATE), 0.3);
+  });
+
+  it('should feed the matrix as the Mod Env source', () => {
+    const render = (overrides) =>
+      renderNote({
+        filterCutoff: 20000,
+        modEnvAttack: 0,
+        modEnvDecay: 0,
+        modEnvSustain: 1,
+        matrixDest1: 1, // OSC1 Pitch
+        matrixAmount1: 50,
+        ...overrides,
+      });
+
+    // A held mod envelope at 1 matches full velocity
+    const modEnv = render({ matrixSource1: 10 });
+    assert.deepStrictEqual(modEnv, render({ matrixSource1: 2 }));
+    assert.notDeepStrictEqual(modEnv, render({ matrixSource1: 0 }));
+  });
+
+  it('should expose amp and filter envelope levels to the matrix', () => {
+    const env = new Envelope();
+    env.trigger();
+    env.process(0.01, 0.1, 0.5, 0.1, RATE, true);
+    assert.strictEqual(env.level, env.value);
+    assert.ok(env.level > 0);
+  });
+});
+
+describe('MultiSegmentEnvelope', () => {
+  const RATE = 1000;
+
+  // Shape from registry defaults plus overrides (1 s long = 1000 samples)
+  function createShape(overrides = {}) {
+    const shape = new MsegShape();
+    shape.update(
+      createParameterValues(Processor.parameterDescriptors, overrides)
+    );
+    return shape;
+  }
+
+  function run(env, shape, count, gate = true) {
+    const values = [];
+    for (let i = 0; i < count; i++) values.push(env.process(shape, gate, RATE));
+    return values;
+  }
+
+  it('should read breakpoints and keep times in order', () => {
+    const shape = createShape({
+      msegPointCount: 3,
+      msegTime1: 0.5,
+      msegTime2: 0.75,
+      msegTime3: 0.25,
+    });
+    assert.strictEqual(shape.count, 3);
+    assert.deepStrictEqual(
+      Array.from(shape.times.slice(0, 3)),
+      [0, 0.75, 0.75]
+    );
+  });
+
+  it('should follow the default shape once and hold the last point', () => {
+    // Points: (0, 0) (0.1, 1) (0.4, 0.5) (1, 0)
+    const shape = createShape();
+    const env = new MultiSegmentEnvelope();
+    env.trigger();
+    const values = run(env, shape, 1200);
+
+    assert.strictEqual(values[0], 0);
+    assert.ok(Math.abs(values[50] - 0.5) < 1e-6);
+    assert.ok(Math.abs(values[100] - 1) < 1e-6);
+    assert.ok(Math.abs(values[400] - 0.5) < 1e-6);
+    assert.strictEqual(values[1199], 0);
+  });
+
+  it('should bend segments by the curve of the point they lead into', () => {
+    const env = new MultiSegmentEnvelope();
+    env.trigger();
+    const values = run(env, createShape({ msegCurve2: 1 }), 51);
+    assert.ok(values[50] < 0.1);
+  });
+
+  it('should loop between the loop points while the key is held', () => {
+    const shape = createShape({
+      msegLoop: 1,
+      msegLoopStart: 1,
+      msegLoopEnd: 2,
+    });
+    const env = new MultiSegmentEnvelope();
+    env.trigger();
+    const held = run(env, shape, 2000);
+    assert.ok(held.slice(100).every((v) => v >= 0.5 - 1e-6));
+
+    // After release the shape plays on to its end
+    const released = run(env, shape, 1000, false);
+    assert.strictEqual(released[999], 0);
+  });
+
+  it('should restart on key or keep running when free', () => {
+    const keyed = new MultiSegmentEnvelope();
+    keyed.trigger();
+    run(keyed, createShape(), 300);
+    keyed.trigger();
+    assert.strictEqual(keyed.process(createShape(), true, RATE), 0);
+
+    const free = new MultiSegmentEnvelope();
+    const shape = createShape({ msegRetrigger: 0 });
+    free.trigger();
+    run(free, shape, 300);
+    free.trigger();
+    assert.ok(free.process(shape, true, RATE) > 0.5);
+
+    // Free mode cycles instead of holding the end
+    run(free, shape, 750);
+    assert.ok(free.position < 0.1);
+  });
+
+  it('should take its length from the tempo when synced', () => {
+    const shape = createShape({
+      msegTempoSync: 1,
+      msegSyncDivision: 4, // 1/4
+      bpm: 120,
+    });
+    assert.strictEqual(shape.length, 0.5);
+  });
+
+  it('should feed the matrix as the MSEG source', () => {
+    const render = (overrides) =>
+      renderNote({
+        filterCutoff: 20000,
+        msegPointCount: 2,
+        msegLevel1: 1,
+        msegLevel2: 1,
+        matrixDest1: 1, // OSC1 Pitch
+        matrixAmount1: 50,
+        ...overrides,
+      });
+
+    // A flat MSEG at 1 matches full velocity
+    assert.deepStrictEqual(
+      render({ matrixSource1: 11 }),
+      render({ matrixSource1: 2 })
+    );
+  });
+});
+
+describe('StepSequencer', () => {
+  const RATE = 1000;
+
+  // 120 BPM 1/16 steps: 8 steps per second, 125 samples per step
+  function createSequence(overrides = {}) {
+    const sequence = new StepSequence();
+    sequence.update(
+      createParameterValues(Processor.parameterDescriptors, {
+        bpm: 120,
+        stepSeqSteps: 4,
+        stepSeqValue1: 0.25,
+        stepSeqValue2: 0.5,
+        stepSeqValue3: 0.75,
+        stepSeqValue4: 1,
+        ...overrides,
+      })
+    );
+    return sequence;
+  }
+
+  function run(seq, sequence, count) {
+    const values = [];
+    for (let i = 0; i < count; i++) values.push(seq.process(sequence, RATE));
+    return values;
+  }
+
+  it('should step through the pattern at the tempo-synced rate', () => {
+    const seq = new StepSequencer();
+    seq.trigger();
+    const values = run(seq, createSequence(), 600);
+    assert.strictEqual(values[0], 0.25);
+    assert.strictEqual(values[120], 0.25);
+    assert.strictEqual(values[130], 0.5);
+    assert.strictEqual(values[380], 1);
+    // Four steps, then back to the first
+    assert.strictEqual(values[510], 0.25);
+  });
+
+  it('should delay every second step with swing', () => {
+    const seq = new StepSequencer();
+    seq.trigger();
+    // Full swing: 1.5 steps then 0.5 steps
+    const values = run(seq, createSequence({ stepSeqSwing: 1 }), 300);
+    assert.strictEqual(values[180], 0.25);
+    assert.strictEqual(values[195], 0.5);
+    assert.strictEqual(values[255], 0.75);
+  });
+
+  it('should glide into a step from the previous value', () => {
+    const seq = new StepSequencer();
+    seq.trigger();
+    const values = run(seq, createSequence({ stepSeqGlide2: 0.5 }), 250);
+    assert.ok(values[140] > 0.25 && values[140] < 0.5);
+    assert.ok(values[156] > values[140]);
+    assert.strictEqual(values[200], 0.5);
+  });
+
+  it('should restart on key or keep running when free', () => {
+    const keyed = new StepSequencer();
+    keyed.trigger();
+    run(keyed, createSequence(), 300);
+    keyed.trigger();
+    assert.strictEqual(keyed.process(createSequence(), RATE), 0.25);
+
+    const free = new StepSequencer();
+    const sequence = createSequence({ stepSeqRetrigger: 0 });
+    free.trigger();
+    run(free, sequence, 300);
+    free.trigger();
+    assert.strictEqual(free.process(sequence, RATE), 0.75);
+  });
+
+  it('should feed the matrix as the Step Seq source', () => {
+    const render = (overrides) =>
+      renderNote({
+        filterCutoff: 20000,
+        stepSeqSteps: 1,
+        stepSeqValue1: 1,
+        matrixDest1: 1, // OSC1 Pitch
+        matrixAmount1: 50,
+        ...overrides,
+      });
+
+    // A single step at 1 matches full velocity
+    assert.deepStrictEqual(
+      render({ matrixSource1: 12 }),
+      render({ matrixSource1: 2 })
+    );
+  });
+});
+
+describe('PolyPWMSynthProcessor performance matrix sources', () => {
+  function createSourceProcessor(overrides = {}) {
+    const fixture = createProcessor({ filterCutoff: 20000, ...overrides });
+    const voicesFor = (midi) =>
+      fixture.processor.voiceAllocator.voices.filter(
+        (v) => v.active && v.midi === midi
+      );
+    return { ...fixture, voicesFor };
+  }
+
+  it('should share key random and alternate within a note', () => {
+    const { processor, render, voicesFor } = createSourceProcessor({
+      polyphony: 16,
+      unisonVoices: 3,
+    });
+    processor.port.receive({ type: 'noteOn', midi: 60, velocity: 1 });
+    processor.port.receive({ type: 'noteOn', midi: 64, velocity: 1 });
+    processor.port.receive({ type: 'noteOn', midi: 67, velocity: 1 });
+    render();
+
+    const first = voicesFor(60);
+    assert.strictEqual(first.length, 3);
+    assert.ok(first.every((v) => v.keyRandom === first[0].keyRandom));
+    assert.notStrictEqual(voicesFor(64)[0].keyRandom, first[0].keyRandom);
+
+    assert.deepStrictEqual(
+      [60, 64, 67].map((midi) => voicesFor(midi)[0].alternate),
+      [1, -1, 1]
+    );
+  });
+
+  it('should hold release velocity from note-off', () => {
+    const { processor, render, voicesFor } = createSourceProcessor();
+    processor.port.receive({ type: 'noteOn', midi: 60, velocity: 1 });
+    render();
+    assert.strictEqual(voicesFor(60)[0].releaseVelocity, 0);
+
+    processor.port.receive({ type: 'noteOff', midi: 60, velocity: 0.25 });
+    render();
+    assert.strictEqual(voicesFor(60)[0].releaseVelocity, 0.25);
+  });
+
+  it('should apply poly pressure only to the pressed note', () => {
+    const { processor, render, voicesFor } = createSourceProcessor();
+    processor.port.receive({ type: 'noteOn', midi: 60, velocity: 1 });
+    processor.port.receive({ type: 'noteOn', midi: 64, velocity: 1 });
+    processor.port.receive({ type: 'polyPressure', midi: 64, value: 127 });
+    render();
+    assert.strictEqual(voicesFor(60)[0].pressure, 0);
+    assert.strictEqual(voicesFor(64)[0].pressure, 1);
+  });
+
+  it('should read the slot CC number for the MIDI CC source', () => {
+    const renderWith = (overrides, cc) => {
+      const { processor, render } = createSourceProcessor({
+        matrixDest1: 1, // OSC1 Pitch
+        matrixAmount1: 50,
+        ...overrides,
+      });
+      processor.port.receive({ type: 'smoothing', times: { midiCC: 0 } });
+      if (cc) processor.port.receive({ type: 'controlChange', ...cc });
+      processor.port.receive({ type: 'noteOn', midi: 60, velocity: 1 });
+      return render();
+    };
+
+    const full = renderWith({ matrixSource1: 2 }); // Velocity 1
+    assert.deepStrictEqual(
+      renderWith({ matrixSource1: 16, matrixCC1: 74 }, { cc: 74, value: 127 }),
+      full
+    );
+    // Other controllers don't move the slot
+    assert.notDeepStrictEqual(
+      renderWith({ matrixSource1: 16, matrixCC1: 74 }, { cc: 1, value: 127 }),
+      full
+    );
+  });
+
+  it('should read the sustain pedal parameter', () => {
+    const render = (overrides) =>
+      createSourceProcessor({
+        matrixDest1: 1,
+        matrixAmount1: 50,
+        ...overrides,
+      });
+    const pedal = render({ matrixSource1: 17, sustainPedal: 1 });
+    const velocity = render({ matrixSource1: 2 });
+    for (const { processor } of [pedal, velocity]) {
+      processor.port.receive({ type: 'noteOn', midi: 60, velocity: 1 });
+    }
+    assert.deepStrictEqual(pedal.render(), velocity.render());
+  });
+});
+
+describe('Matrix slot shaping', () => {
+  it('should bend the magnitude and keep the sign', () => {
+    const shape = (value, curve) =>
+      shapeMatrixValue(value, true, MATRIX_POLARITY_NATIVE, curve);
+    assert.strictEqual(shape(0.5, MATRIX_CURVE_LINEAR), 0.5);
+    assert.strictEqual(shape(0.5, MATRIX_CURVE_EXP), 0.25);
+    assert.strictEqual(shape(-0.5, MATRIX_CURVE_EXP), -0.25);
+    assert.strictEqual(shape(0.5, MATRIX_CURVE_LOG), 0.75);
+    assert.strictEqual(shape(0.25, MATRIX_CURVE_S), 0.15625);
+    assert.strictEqual(shape(0.5, MATRIX_CURVE_S), 0.5);
+    assert.strictEqual(shape(0.3, MATRIX_CURVE_STEPPED), 0.25);
+    assert.strictEqual(shape(-0.3, MATRIX_CURVE_STEPPED), -0.25);
+    // Every curve keeps the end points
+    for (const curve of [1, 2, 3, 4]) {
+      assert.strictEqual(shape(1, curve), 1);
+      assert.strictEqual(shape(0, curve), 0);
+    }
+  });
+
+  it('should convert polarity only when the source range differs', () => {
+    const shape = (value, bipolar, polarity) =>
+      shapeMatrixValue(value, bipolar, polarity, MATRIX_CURVE_LINEAR);
+    assert.strictEqual(shape(-1, true, MATRIX_POLARITY_UNIPOLAR), 0);
+    assert.strictEqual(shape(0, true, MATRIX_POLARITY_UNIPOLAR), 0.5);
+    assert.strictEqual(shape(0.5, false, MATRIX_POLARITY_UNIPOLAR), 0.5);
+    assert.strictEqual(shape(0, false, MATRIX_POLARITY_BIPOLAR), -1);
+    assert.strictEqual(shape(0.75, false, MATRIX_POLARITY_BIPOLAR), 0.5);
+    assert.strictEqual(shape(-0.5, true, MATRIX_POLARITY_BIPOLAR), -0.5);
+  });
+});
+
+describe('PolyPWMSynthProcessor matrix slot options', () => {
+  const render = (overrides = {}) =>
+    renderNote({
+      filterCutoff: 20000,
+      matrixSource1: 2, // Velocity
+      matrixDest1: 1, // OSC1 Pitch
+      matrixAmount1: 50,
+      ...overrides,
+    });
+
+  it('should skip bypassed slots', () => {
+    const dry = render({ matrixSource1: 0 });
+    assert.notDeepStrictEqual(render(), dry);
+    assert.deepStrictEqual(render({ matrixBypass1: 1 }), dry);
+  });
+
+  it('should scale the amount by the via source', () => {
+    const dry = render({ matrixSource1: 0 });
+    // Mod wheel at zero closes the slot, at full it passes the full amount
+    assert.deepStrictEqual(render({ matrixVia1: 4, modWheel: 0 }), dry);
+    assert.deepStrictEqual(render({ matrixVia1: 4, modWheel: 1 }), render());
+    assert.deepStrictEqual(
+      render({ matrixVia1: 4, modWheel: 0.5 }),
+      render({ matrixAmount1: 25 })
+    );
+  });
+
+  it('should apply the curve and polarity to the source', () => {
+    // Velocity 1 is unchanged by curves; made bipolar it still reads 1
+    assert.deepStrictEqual(
+      render({ matrixCurve1: MATRIX_CURVE_EXP }),
+      render()
+    );
+    assert.deepStrictEqual(
+      render({ matrixPolarity1: MATRIX_POLARITY_BIPOLAR }),
+      render()
+    );
+    // Made bipolar, mod wheel at 0.5 reads 0 (no modulation)
+    assert.deepStrictEqual(
+      render({
+        matrixSource1: 4,
+        modWheel: 0.5,
+        matrixPolarity1: MATRIX_POLARITY_BIPOLAR,
+      }),
+      render({ matrixSource1: 0 })
+    );
+  });
+});
+
+describe('PolyPWMSynthProcessor block rendering', () => {
+  const voice = (processor) =>
+    processor.voiceAllocator.voices.find((v) => v.active);
+
+  it('should decode matrix routing only when a slot setting changes', () => {
+    const { processor, parameters, render } = createProcessor({
+      matrixSource1: 6, // LFO1
+      matrixDest1: 13, // F1 Cutoff
+      matrixSource2: 2, // Velocity
+      matrixDest2: 18, // LFO1 Rate
+      matrixSource3: 4, // Mod Wheel
+      matrixDest3: 1, // OSC1 Pitch
+      matrixBypass3: 1,
+    });
+    const routing = processor.matrixRouting;
+    let decodes = 0;
+    const decode = routing.decode.bind(routing);
+    routing.decode = () => {
+      decodes++;
+      decode();
+    };
+
+    render();
+    assert.strictEqual(decodes, 1);
+    assert.strictEqual(routing.mainSlotCount, 1);
+    assert.strictEqual(routing.mainSlots[0].slot, 1);
+    assert.strictEqual(routing.lfoSlotCount, 1);
+    assert.strictEqual(routing.lfoSlots[0].slot, 2);
+
+    // Amount changes don't need a decode
+    parameters.matrixAmount1[0] = 10;
+    render();
+    assert.strictEqual(decodes, 1);
+
+    parameters.matrixBypass3[0] = 0;
+    render();
+    assert.strictEqual(decodes, 2);
+    assert.strictEqual(routing.mainSlotCount, 2);
+  });
+
+  it('should cache parameters in the same objects every block', () => {
+    const { processor, parameters, render } = createProcessor({
+      modEnvAttack: 0.5,
+    });
+    render();
+    const { params } = processor;
+    const { modEnv } = params;
+    parameters.modEnvAttack[0] = 0.25;
+    render();
+    assert.strictEqual(processor.params, params);
+    assert.strictEqual(params.modEnv, modEnv);
+    assert.strictEqual(modEnv.attack, 0.25);
+  });
+
+  it('should run modulation once per control block', () => {
+    const { processor, render } = createProcessor();
+    processor.port.receive({ type: 'noteOn', midi: 60, velocity: 1 });
+    render();
+
+    let lfoSteps = 0;
+    const lfo = voice(processor).lfo1;
+    const process = lfo.process.bind(lfo);
+    lfo.process = (...args) => {
+      lfoSteps++;
+      return process(...args);
+    };
+    render();
+    assert.strictEqual(lfoSteps, 128 / CONTROL_BLOCK_SIZE);
+  });
+
+  it('should stop rendering a voice once its amp envelope finishes', () => {
+    const { processor, outputs, render } = createProcessor({
+      envelopeRelease: 0,
+    });
+    processor.port.receive({ type: 'noteOn', midi: 60, velocity: 1 });
+    render();
+    const released = voice(processor);
+    processor.port.receive({ type: 'noteOff', midi: 60 });
+    render();
+    assert.ok(released.ampEnv.isIdle());
+    assert.ok(outputs[0][0].every((x) => x === 0));
+
+    const phase = released.osc1.phase;
+    processor.processVoice(
+      released,
+      {},
+      new Float32Array(128),
+      new Float32Array(128),
+      128
+    );
+    assert.strictEqual(released.osc1.phase, phase);
+  });
+});
+
+describe('PolyPWMSynthProcessor FX parameter destination', () => {
+  function createFxProcessor(overrides = {}) {
+    const fixture = createProcessor({
+      matrixSource1: 2, // Velocity
+      matrixDest1: 29, // FX Parameter
+      matrixAmount1: 50,
+      ...overrides,
+    });
+    const fxPort = new MockWorkletPort();
+    fixture.processor.port.receive({ type: 'connectFX', port: fxPort });
+    return { ...fixture, fxPort };
+  }
+
+  it('should send slot values from the newest voice when they change', () => {
+    const { processor, fxPort, render } = createFxProcessor();
+    processor.port.receive({ type: 'noteOn', midi: 60, velocity: 1 });
+    render();
+    assert.strictEqual(fxPort.messages.length, 1);
+    assert.strictEqual(fxPort.messages[0].type, 'matrixModulation');
+    assert.strictEqual(fxPort.messages[0].values[0], 0.5);
+    assert.ok(fxPort.messages[0].values.slice(1).every((v) => v === 0));
+
+    processor.port.receive({ type: 'noteOn', midi: 64, velocity: 0.5 });
+    render();
+    assert.strictEqual(fxPort.messages.length, 2);
+    assert.strictEqual(fxPort.messages[1].values[0], 0.25);
+
+    // Unchanged values are not resent
+    render();
+    assert.strictEqual(fxPort.messages.length, 2);
+  });
+
+  it('should reuse one message for every update', () => {
+    const { processor, fxPort, render } = createFxProcessor();
+    const sent = [];
+    fxPort.postMessage = (message) => sent.push(message);
+    processor.port.receive({ type: 'noteOn', midi: 60, velocity: 1 });
+    render();
+    processor.port.receive({ type: 'noteOn', midi: 64, velocity: 0.5 });
+    render();
+    assert.strictEqual(sent.length, 2);
+    assert.strictEqual(sent[0], sent[1]);
+    assert.ok(sent[1].values instanceof processor.fxModulation.constructor);
+  });
+
+  it('should not modulate the voice itself', () => {
+    const routed = createFxProcessor();
+    const dry = createFxProcessor({ matrixSource1: 0 });
+    for (const { processor } of [routed, dry]) {
+      processor.port.receive({ type: 'noteOn', midi: 60, velocity: 1 });
+    }
+    assert.deepStrictEqual(routed.render(), dry.render());
+  });
+
+  it('should release the target when the slot is rerouted', () => {
+    const { processor, parameters, fxPort, render } = createFxProcessor();
+    processor.port.receive({ type: 'noteOn', midi: 60, velocity: 1 });
+    render();
+    parameters.matrixDest1[0] = 1; // OSC1 Pitch
+    render();
+    assert.strictEqual(fxPort.messages.length, 2);
+    assert.strictEqual(fxPort.messages[1].values[0], 0);
+  });
+
+  it('should follow voice-independent sources with no note held', () => {
+    const { processor, parameters, fxPort, render } = createFxProcessor({
+      matrixSource1: 4, // Mod Wheel
+      modWheel: 0.5,
+    });
+    processor.port.receive({ type: 'smoothing', times: { modWheel: 0 } });
+    render();
+    assert.strictEqual(fxPort.messages.length, 1);
+    assert.strictEqual(fxPort.messages[0].values[0], 0.25);
+
+    parameters.modWheel[0] = 1;
+    render();
+    assert.strictEqual(fxPort.messages[1].values[0], 0.5);
+
+    // Notes coming and going don't freeze it either
+    processor.port.receive({ type: 'noteOn', midi: 60, velocity: 1 });
+    render();
+    processor.port.receive({ type: 'noteOff', midi: 60 });
+    parameters.modWheel[0] = 0;
+    for (let i = 0; i < 200; i++) render();
+    assert.strictEqual(processor.voiceAllocator.getActiveVoiceCount(), 0);
+    assert.strictEqual(fxPort.messages.at(-1).values[0], 0);
+  });
+
+  it('should release the target when the slot source is turned off', () => {
+    const { processor, parameters, fxPort, render } = createFxProcessor({
+      matrixAmount1: 100,
+    });
+    processor.port.receive({ type: 'noteOn', midi: 60, velocity: 0.8 });
+    render();
+    assert.ok(Math.abs(fxPort.messages[0].values[0] - 0.8) < 1e-6);
+
+    parameters.matrixSource1[0] = 0; // None
+    render();
+    assert.strictEqual(fxPort.messages.length, 2);
+    assert.strictEqual(fxPort.messages[1].values[0], 0);
+  });
+});
+
+describe('LFO random waveforms and global mode', () => {
+  function run(lfo, waveform, rate, count) {
+    const values = [];
+    for (let i = 0; i < count; i++) {
+      values.push(lfo.process(rate, 1, waveform, 0, i, SAMPLE_RATE));
+    }
+    return values;
+  }
+
+  it('should glide smoothly to a new random value every cycle', () => {
+    const lfo = new LFO();
+    lfo.reset(0);
+    // 10 Hz = 4800 samples per cycle
+    const values = run(lfo, 6, 10, 4800 * 4);
+
+    for (let i = 1; i < values.length; i++) {
+      assert.ok(Math.abs(values[i] - values[i - 1]) < 0.001);
+    }
+    assert.ok(values.every((v) => v >= -1 && v <= 1));
+
+    // Each cycle ends on the value the next one starts from
+    const ends = [4799, 9599, 14399].map((i) => values[i]);
+    assert.ok(new Set(ends).size > 1);
+  });
+
+  it('should output a new random value every sample for noise', () => {
+    const lfo = new LFO();
+    lfo.reset(0);
+    const values = run(lfo, 7, 0.01, 256);
+    assert.ok(values.every((v) => v >= -1 && v <= 1));
+    assert.ok(new Set(values).size > 250);
+  });
+
+  function renderLfoOutputs(mode) {
+    const { processor } = playNote(
+      {
+        lfo1Waveform: 7, // Noise: per-voice LFOs can't agree by chance
+        lfo1Depth: 1,
+        lfo1Mode: mode,
+      },
+      { messages: [{ type: 'noteOn', midi: 67, velocity: 1 }] }
+    );
+    return processor.voiceAllocator.voices
+      .filter((v) => v.gate)
+      .map((v) => v.lfo1Output);
+  }
+
+  it('should share one LFO across voices in global mode', () => {
+    const [a, b] = renderLfoOutputs(1);
+    assert.strictEqual(a, b);
+    assert.notStrictEqual(a, 0);
+  });
+
+  it('should run an LFO per voice by default', () => {
+    const [a, b] = renderLfoOutputs(0);
+    assert.notStrictEqual(a, b);
+  });
+});
+
+describe('PolyPWMSynthProcessor tuning', () => {
+  // Every key two semitones sharp
+  const shifted = () => Array.from({ length: 128 }, (_, key) => key + 2);
+
+  // Tuning tables apply as they arrive, so sending one after the note is fine
+  const renderTuned = (midi, tuning, overrides = {}) =>
+    renderNote(overrides, {
+      midi,
+      messages: tuning ? [{ type: 'tuning', table: tuning }] : [],
+    });
+
+  it('should map notes through the tuning table', () => {
+    assert.deepStrictEqual(renderTuned(60, shifted()), renderTuned(62));
+    assert.notDeepStrictEqual(renderTuned(60, shifted()), renderTuned(60));
+  });
+
+  it('should interpolate between keys while gliding', () => {
+    const processor = new Processor();
+    const table = shifted();
+    table[61] = 65;
+    processor.port.receive({ type: 'tuning', table });
+    assert.strictEqual(processor.tunePitch(60.5), 63.5);
+    assert.strictEqual(processor.tunePitch(-1), 2);
+    assert.strictEqual(processor.tunePitch(127), 129);
+  });
+
+  it('should not sound keys the tuning leaves unmapped', () => {
+    const table = shifted();
+    table[61] = NaN;
+    const { processor } = playNote(
+      {},
+      {
+        midi: 61,
+        messages: [{ type: 'tuning', table }],
+      }
+    );
+    assert.ok(processor.voiceAllocator.voices.every((v) => !v.gate));
+    assert.ok(renderTuned(60, table).some((v) => v !== 0));
+  });
+
+  it('should glide across unmapped keys between mapped ones', () => {
+    const processor = new Processor();
+    const table = shifted();
+    table[0] = table[1] = NaN;
+    table[61] = table[62] = NaN;
+    table[127] = NaN;
+    processor.port.receive({ type: 'tuning', table });
+    assert.strictEqual(processor.tunePitch(61), 63);
+    assert.strictEqual(processor.tunePitch(62.5), 64.5);
+    assert.strictEqual(processor.tunePitch(0), 2);
+    assert.strictEqual(processor.tunePitch(127), 129);
+  });
+
+  it('should ignore invalid tables and reset on a null table', () => {
+    const processor = new Processor();
+    processor.port.receive({ type: 'tuning', table: [60] });
+    processor.port.receive({
+      type: 'tuning',
+      table: Array.from({ length: 128 }, () => NaN),
+    });
+    assert.strictEqual(processor.tuningTable, null);
+
+    processor.port.receive({ type: 'tuning', table: shifted() });
+    assert.strictEqual(processor.tunePitch(60), 62);
+    processor.port.receive({ type: 'tuning', table: null });
+    assert.strictEqual(processor.tuningTable, null);
+    assert.strictEqual(processor.tunePitch(60), 60);
+  });
+
+  it('should scale every pitch by the reference frequency', () => {
+    const { processor, render } = createProcessor({ tuningReference: 432 });
+    render();
+    assert.strictEqual(processor.midiToHz(69), 432);
+    assert.ok(Math.abs(processor.midiToHz(57) - 216) < 1e-9);
+    assert.notDeepStrictEqual(
+      renderTuned(60, null, { tuningReference: 432 }),
+      renderTuned(60)
+    );
+  });
+});
+
+describe('PolyPWMSynthProcessor MPE', () => {
+  const expression = (overrides = {}) => ({
+    channel: 2,
+    bend: 0,
+    bendRange: 48,
+    pressure: 0,
+    slide: 0,
+    ...overrides,
+  });
+
+  it('should bend a note by its channel bend and range', () => {
+    const mpe = createProcessor();
+    mpe.processor.port.receive({
+      type: 'noteOn',
+      midi: 60,
+      velocity: 1,
+      expression: expression({ bend: 0.5, bendRange: 4 }),
+    });
+    const plain = createProcessor();
+    plain.processor.port.receive({ type: 'noteOn', midi: 62, velocity: 1 });
+    assert.deepStrictEqual(mpe.render(), plain.render());
+  });
+
+  it('should route expression to the voice on the channel', () => {
+    const { processor, render, voiceFor } = createProcessor();
+    processor.port.receive({
+      type: 'noteOn',
+      midi: 60,
+      velocity: 1,
+      expression: expression(),
+    });
+    processor.port.receive({
+      type: 'noteOn',
+      midi: 64,
+      velocity: 1,
+      expression: expression({ channel: 3 }),
+    });
+    processor.port.receive({
+      type: 'noteExpression',
+      ...expression({ bend: -0.25, pressure: 0.5, slide: 0.75 }),
+    });
+    render();
+
+    const voice = voiceFor(60);
+    assert.strictEqual(voice.noteBend, -0.25);
+    assert.strictEqual(voice.noteBendSemitones, -12);
+    assert.strictEqual(voice.pressure, 0.5);
+    assert.strictEqual(voice.slide, 0.75);
+    assert.strictEqual(voiceFor(64).slide, 0);
+    assert.strictEqual(voiceFor(64).channel, 3);
+  });
+
+  it('should clear expression for ordinary notes and drop invalid messages', () => {
+    const { processor, render, voiceFor } = createProcessor();
+    processor.port.receive({
+      type: 'noteOn',
+      midi: 60,
+      velocity: 1,
+      expression: { channel: 2, bend: 'up' },
+    });
+    processor.port.receive({ type: 'noteOn', midi: 62, velocity: 1 });
+    processor.port.receive({ type: 'noteExpression', channel: -1, bend: 1 });
+    render();
+
+    assert.strictEqual(voiceFor(60), undefined);
+    const voice = voiceFor(62);
+    assert.strictEqual(voice.channel, -1);
+    assert.strictEqual(voice.noteBend, 0);
+  });
+
+  it('should expose MPE Bend and MPE Slide as matrix sources', () => {
+    const { processor, parameters, render, voiceFor } = createProcessor();
+    processor.port.receive({
+      type: 'noteOn',
+      midi: 60,
+      velocity: 1,
+      expression: expression({ bend: -0.5, slide: 0.25 }),
+    });
+    render();
+    const voice = voiceFor(60);
+    const params = { ...parameters, pitchBend: [0] };
+    assert.strictEqual(
+      processor.getMatrixSourceValue(voice, 19, 1, params, 0, 0, 0),
+      -0.5
+    );
+    assert.strictEqual(
+      processor.getMatrixSourceValue(voice, 20, 1, params, 0, 0, 0),
+      0.25
+    );
+    // MPE Bend is bipolar, so polarity conversion treats it as -1..1
+    assert.ok(worklet.MATRIX_BIPOLAR_SOURCES.includes(19));
+  });
+});
+
+describe('PolyPWMSynthProcessor aftertouch slots', () => {
+  // Note 60 with the given pressure messages, queued after the note-on
+  const render = (overrides, messages = []) =>
+    renderNote({ filterCutoff: 1000, ...overrides }, { messages });
+
+  const slot = { aftertouchDest1: 12, aftertouchAmount1: 1 }; // LP Cutoff
+  const aftertouch = { type: 'aftertouch', value: 127 };
+  const pressure = (midi) => ({ type: 'polyPressure', midi, value: 127 });
+
+  it('should follow channel pressure by default', () => {
+    const dry = render(slot);
+    assert.notDeepStrictEqual(render(slot, [aftertouch]), dry);
+    assert.deepStrictEqual(render(slot, [pressure(60)]), dry);
+
+    // Same scaling as a matrix slot from Aftertouch to F1 Cutoff
+    assert.deepStrictEqual(
+      render(slot, [aftertouch]),
+      render({ matrixSource2: 5, matrixDest2: 13, matrixAmount2: 100 }, [
+        aftertouch,
+      ])
+    );
+  });
+
+  it('should follow only the pressed key per voice', () => {
+    const perVoice = { ...slot, aftertouchPerVoice1: 1 };
+    const dry = render(perVoice);
+    assert.deepStrictEqual(render(perVoice, [aftertouch]), dry);
+    assert.deepStrictEqual(render(perVoice, [pressure(64)]), dry);
+    assert.notDeepStrictEqual(render(perVoice, [pressure(60)]), dry);
+  });
+});
+
+describe('ParameterSmoother', () => {
+  const block = (value) => new Float32Array([value]);
+
+  it('should start at the first value and glide to later ones', () => {
+    const smoother = new ParameterSmoother(SAMPLE_RATE, { cutoff: 0.02 });
+    assert.ok(
+      smoother.process('cutoff', block(500), 128).every((v) => v === 500)
+    );
+
+    const out = smoother.process('cutoff', block(1000), 128);
+    assert.ok(out[0] > 500);
+    for (let i = 1; i < 128; i++) assert.ok(out[i] > out[i - 1]);
+    assert.ok(out[127] < 1000);
+
+    // Settles on the exact target
+    for (let i = 0; i < 100; i++) smoother.process('cutoff', block(1000), 128);
+    assert.strictEqual(smoother.process('cutoff', block(1000), 128)[0], 1000);
+  });
+
+  it('should smooth a-rate values sample by sample', () => {
+    const smoother = new ParameterSmoother(SAMPLE_RATE, { volume: 0.02 });
+    const steps = new Float32Array(128).fill(0);
+    steps.fill(1, 64);
+    const out = smoother.process('volume', steps, 128);
+    assert.strictEqual(out[63], 0);
+    assert.ok(out[64] > 0 && out[127] < 1);
+  });
+
+  it('should pass through parameters that are not smoothed', () => {
+    const smoother = new ParameterSmoother(SAMPLE_RATE, { volume: 0.02 });
+    const input = block(1);
+    assert.strictEqual(smoother.process('other', input, 128), input);
+    smoother.setTimes({ volume: 0 });
+    assert.strictEqual(smoother.process('volume', input, 128), input);
+  });
+});
+
+describe('PolyPWMSynthProcessor parameter smoothing', () => {
+  // Run a block at each filter cutoff and return the smoothed value after it
+  function runCutoffs(processor, cutoffs) {
+    const outputs = [[new Float32Array(128), new Float32Array(128)]];
+    for (const filterCutoff of cutoffs) {
+      processor.process(
+        [],
+        outputs,
+        createParameterValues(Processor.parameterDescriptors, { filterCutoff })
+      );
+    }
+    return processor.smoother.states.get('filterCutoff').value;
+  }
+
+  it('should glide block steps with the registry times', () => {
+    const value = runCutoffs(new Processor(), [1000, 2000]);
+    assert.ok(value > 1000 && value < 2000);
+  });
+
+  it('should take smoothing times from messages', () => {
+    const processor = new Processor();
+    processor.port.receive({ type: 'smoothing', times: { filterCutoff: 0 } });
+    assert.strictEqual(runCutoffs(processor, [1000, 2000]), 2000);
+
+    // Invalid messages are ignored as a whole
+    processor.port.receive({
+      type: 'smoothing',
+      times: { filterCutoff: 0.02, hpfCutoff: -1 },
+    });
+    processor.port.receive({ type: 'smoothing', times: null });
+    assert.strictEqual(processor.smoother.states.get('filterCutoff').coeff, 1);
+  });
+
+  it('should glide each MIDI CC read by the matrix', () => {
+    const { processor, render } = createProcessor();
+    const ccAt = (sampleIndex) => processor.ccValueAt(74, sampleIndex);
+    processor.port.receive({ type: 'controlChange', cc: 74, value: 127 });
+    render();
+    const first = processor.ccValues[74];
+    assert.ok(first > 0 && first < 1);
+    assert.strictEqual(processor.ccValues[1], 0);
+
+    // Within a block the value moves sample by sample
+    processor.prepareCcSmoothing(128);
+    assert.ok(ccAt(0) > first && ccAt(127) > ccAt(0) && ccAt(127) < 1);
+
+    for (let i = 0; i < 200; i++) render();
+    assert.strictEqual(processor.ccValues[74], 1);
+  });
+
+  it('should smooth oscillator 2 fine tune and the filter envelope amounts', () => {
+    const processor = new Processor();
+    for (const name of ['oscillator2FineTune', 'lpEnvAmount', 'hpEnvAmount']) {
+      assert.ok(processor.smoother.getCoefficient(name) < 1, name);
+    }
+    assert.strictEqual(
+      processor.smoother.getCoefficient('oscillator2CoarseTune'),
+      1
+    );
+  });
+});
+
+describe('Analog drift', () => {
+  // One note on a fresh processor; `setup` runs on every voice beforehand
+  function renderDrift(overrides = {}, setup = () => {}) {
+    const { processor, render } = createProcessor({
+      filterCutoff: 1000,
+      driftAmount: 1,
+      driftPitch: 0,
+      driftCutoff: 0,
+      driftEnvelope: 0,
+      driftPhase: 0,
+      ...overrides,
+    });
+    processor.voiceAllocator.voices.forEach(setup);
+    processor.port.receive({ type: 'noteOn', midi: 60, velocity: 1 });
+    return { samples: render(), processor };
+  }
+
+  it('should draw per-voice offsets once and keep them through reset', () => {
+    const allocator = new VoiceAllocator(MAX_VOICES, SAMPLE_RATE);
+    const offsets = new Set(allocator.voices.map((v) => v.driftCutoff));
+    assert.strictEqual(offsets.size, MAX_VOICES);
+
+    const voice = new Voice();
+    const { driftCutoff, driftEnvelope, driftRate } = voice;
+    voice.reset();
+    assert.strictEqual(voice.driftCutoff, driftCutoff);
+    assert.strictEqual(voice.driftEnvelope, driftEnvelope);
+    assert.strictEqual(voice.driftRate, driftRate);
+  });
+
+  it('should offset the cutoff by the voice drift and depth', () => {
+    const up = (v) => (v.driftCutoff = 1);
+    const down = (v) => (v.driftCutoff = -1);
+    assert.deepStrictEqual(
+      renderDrift({ driftCutoff: 0 }, up).samples,
+      renderDrift({ driftCutoff: 0 }, down).samples
+    );
+    assert.notDeepStrictEqual(
+      renderDrift({ driftCutoff: 1 }, up).samples,
+      renderDrift({ driftCutoff: 1 }, down).samples
+    );
+    // The global amount scales every depth
+    assert.deepStrictEqual(
+      renderDrift({ driftAmount: 0, driftCutoff: 1 }, up).samples,
+      renderDrift({ driftAmount: 0, driftCutoff: 1 }, down).samples
+    );
+  });
+
+  it('should lengthen or shorten envelope times per voice', () => {
+    const level = (driftEnvelope) =>
+      renderDrift(
+        { driftEnvelope: 1, envelopeAttack: 0.01 },
+        (v) => (v.driftEnvelope = driftEnvelope)
+      ).processor.voiceAllocator.voices.find((v) => v.active).ampEnv.value;
+    assert.ok(level(-1) > level(0));
+    assert.ok(level(0) > level(1));
+  });
+
+  it('should wander the pitch only with pitch depth', () => {
+    const dry = renderDrift({ driftAmount: 0, driftPitch: 1 }).samples;
+    assert.deepStrictEqual(renderDrift().samples, dry);
+    assert.notDeepStrictEqual(renderDrift({ driftPitch: 1 }).samples, dry);
+  });
+
+  it('should randomize oscillator phases on note-on', () => {
+    const allocator = new VoiceAllocator(MAX_VOICES, SAMPLE_RATE);
+    allocator.noteOn(60, 1, 0);
+    assert.strictEqual(allocator.voices[0].osc1.phase, 0);
+
+    allocator.driftPhase = 0.5;
+    allocator.noteOn(64, 1, 0);
+    const voice = allocator.voices.find((v) => v.midi === 64);
+    for (const osc of [voice.osc1, voice.osc2, voice.subOsc1, voice.subOsc2]) {
+      assert.ok(osc.phase >= 0 && osc.phase < 0.5);
+    }
+    assert.notStrictEqual(voice.osc1.phase, 0);
+  });
+});
+
+describe('PolyPWMSynthProcessor filter routing', () => {
+  // Render a few blocks of one note and return the [left, right] samples
+  // (PWM off: its LFO starts at a random phase)
+  function render(overrides) {
+    const { processor, outputs, render } = createProcessor({
+      filterCutoff: 300,
+      hpfCutoff: 3000,
+      ...overrides,
+    });
+    const left = [];
+    const right = [];
+    processor.port.receive({ type: 'noteOn', midi: 48, velocity: 1 });
+    for (let block = 0; block < 8; block++) {
+      left.push(...render());
+      right.push(...outputs[0][1]);
+    }
+    return [left, right];
+  }
+
+  it('should send the main filter left and the HPF right in split mode', () => {
+    const [splitLeft, splitRight] = render({ filterRouting: 3 });
+    const [lpOnly] = render({ filterRouting: 2, filterBalance: 0 });
+    const [, hpOnly] = render({ filterRouting: 2, filterBalance: 1 });
+
+    assert.deepStrictEqual(splitLeft, lpOnly);
+    assert.deepStrictEqual(splitRight, hpOnly);
+    assert.notDeepStrictEqual(splitLeft, splitRight);
+  });
+
+  it('should sum both filters at full level in the balance centre', () => {
+    const [lpOnly] = render({ filterRouting: 2, filterBalance: 0 });
+    const [hpOnly] = render({ filterRouting: 2, filterBalance: 1 });
+    const [both] = render({ filterRouting: 2, filterBalance: 0.5 });
+
+    both.forEach((v, i) => {
+      assert.ok(Math.abs(v - (lpOnly[i] + hpOnly[i])) < 1e-6);
+    });
+  });
+
+  it('should keep the channels identical in serial routings', () => {
+    for (const filterRouting of [0, 1]) {
+      const [left, right] = render({
+        filterRouting,
+        panningPosition: 0,
+        panningModulationDepth: 0,
+      });
+      assert.deepStrictEqual(left, right);
+      assert.ok(left.some((v) => v !== 0));
+    }
+  });
+});
+
+describe('VoiceAllocator mono/legato modes', () => {
+  let allocator;
+  let voice;
+
+  beforeEach(() => {
+    allocator = new VoiceAllocator(8, SAMPLE_RATE);
+    allocator.setVoiceMode(VOICE_MODE_MONO);
+    voice = allocator.voices[0];
+  });
+
+  it('should play every note on a single voice', () => {
+    allocator.noteOn(60, 0.8, 0);
+    allocator.noteOn(64, 0.8, 0);
+    allocator.noteOn(67, 0.8, 0);
+    assert.strictEqual(allocator.getActiveVoiceCount(), 1);
+    assert.strictEqual(voice.midi, 67);
+  });
+
+  it('should fall back to the previous held note on release', () => {
+    allocator.noteOn(60, 0.8, 0);
+    allocator.noteOn(64, 0.8, 0);
+    allocator.noteOn(67, 0.8, 0);
+
+    allocator.noteOff(67);
+    assert.strictEqual(voice.midi, 64);
+    assert.strictEqual(voice.gate, true);
+
+    // Releasing a note that isn't sounding keeps the current one
+    allocator.noteOff(60);
+    assert.strictEqual(voice.midi, 64);
+
+    allocator.noteOff(64);
+    assert.strictEqual(voice.gate, false);
+    assert.strictEqual(voice.ampEnv.state, 'release');
+  });
+
+  it('should honour low and high note priority', () => {
+    allocator.notePriority = NOTE_PRIORITY_LOW;
+    allocator.noteOn(60, 0.8, 0);
+    allocator.noteOn(64, 0.8, 0);
+    assert.strictEqual(voice.midi, 60);
+    allocator.noteOn(55, 0.8, 0);
+    assert.strictEqual(voice.midi, 55);
+    allocator.noteOff(55);
+    assert.strictEqual(voice.midi, 60);
+
+    allocator.allNotesOff();
+    allocator.notePriority = NOTE_PRIORITY_HIGH;
+    allocator.noteOn(60, 0.8, 0);
+    allocator.noteOn(55, 0.8, 0);
+    assert.strictEqual(voice.midi, 60);
+    allocator.noteOff(60);
+    assert.strictEqual(voice.midi, 55);
+  });
+
+  it('should retrigger envelopes on every note in mono mode', () => {
+    allocator.noteOn(60, 0.8, 0);
+    voice.ampEnv.state = 'sustain';
+    allocator.noteOn(62, 0.8, 0);
+    assert.strictEqual(voice.ampEnv.state, 'attack');
+  });
+
+  it('should retrigger the step sequencer when falling back in mono mode', () => {
+    allocator.noteOn(60, 0.8, 0);
+    allocator.noteOn(64, 0.8, 0);
+    voice.stepSeq.triggered = false;
+    allocator.noteOff(64);
+    assert.strictEqual(voice.midi, 60);
+    assert.strictEqual(voice.stepSeq.triggered, true);
+  });
+
+  it('should not retrigger envelopes on legato transitions', () => {
+    allocator.setVoiceMode(VOICE_MODE_LEGATO);
+    allocator.noteOn(60, 0.8, 0);
+    voice.ampEnv.state = 'sustain';
+    voice.filterEnv.state = 'sustain';
+
+    allocator.noteOn(62, 0.5, 0);
+    assert.strictEqual(voice.midi, 62);
+    assert.strictEqual(voice.ampEnv.state, 'sustain');
+    assert.strictEqual(voice.filterEnv.state, 'sustain');
+    assert.strictEqual(voice.velocity, 0.8);
+
+    allocator.noteOff(62);
+    assert.strictEqual(voice.midi, 60);
+    assert.strictEqual(voice.ampEnv.state, 'sustain');
+
+    // Detached note retriggers
+    allocator.noteOff(60);
+    allocator.noteOn(64, 0.8, 0);
+    assert.strictEqual(voice.ampEnv.state, 'attack');
+  });
+
+  it('should glide in constant time regardless of interval', () => {
+    allocator.portamentoTime = 0.01; // 480 samples
+    allocator.portamentoMode = PORTAMENTO_CONSTANT_TIME;
+
+    allocator.noteOn(60, 0.8, 0);
+    assert.strictEqual(voice.pitch, 60);
+
+    allocator.noteOn(72, 0.8, 0);
+    assert.strictEqual(voice.pitch, 60);
+    advance(voice, 240);
+    assert.ok(Math.abs(voice.pitch - 66) < 0.01);
+    advance(voice, 241);
+    assert.strictEqual(voice.pitch, 72);
+  });
+
+  it('should glide in constant rate (time per octave)', () => {
+    allocator.portamentoTime = 0.01; // 480 samples per octave
+    allocator.portamentoMode = PORTAMENTO_CONSTANT_RATE;
+
+    allocator.noteOn(60, 0.8, 0);
+    allocator.noteOn(84, 0.8, 0);
+    advance(voice, 480);
+    assert.ok(Math.abs(voice.pitch - 72) < 0.01);
+    advance(voice, 481);
+    assert.strictEqual(voice.pitch, 84);
+  });
+
+  it('should only glide between overlapping notes in legato-glide mode', () => {
+    allocator.portamentoTime = 0.1;
+    allocator.portamentoLegatoOnly = true;
+
+    allocator.noteOn(60, 0.8, 0);
+    allocator.noteOff(60);
+    allocator.noteOn(67, 0.8, 0);
+    assert.strictEqual(voice.pitch, 67);
+
+    allocator.noteOn(72, 0.8, 0);
+    assert.strictEqual(voice.pitch, 67);
+    assert.ok(voice.glideStep > 0);
+  });
+
+  it('should not glide in poly mode', () => {
+    allocator.setVoiceMode(VOICE_MODE_POLY);
+    allocator.portamentoTime = 0.1;
+    allocator.noteOn(60, 0.8, 0);
+    allocator.noteOn(64, 0.8, 0);
+    assert.strictEqual(allocator.getActiveVoiceCount(), 2);
+    assert.strictEqual(allocator.voices[1].pitch, 64);
+  });
+
+  it('should release everything when the voice mode changes', () => {
+    allocator.noteOn(60, 0.8, 0);
+    allocator.setVoiceMode(VOICE_MODE_POLY);
+    assert.strictEqual(voice.gate, false);
+    assert.strictEqual(allocator.heldNotes.length, 0);
+  });
+});
+
+describe('VoiceAllocator polyphony and voice stealing', () => {
+  let allocator;
+
+  // Fill the pool with notes 60, 62, 64, 66 played at frames 0..3
+  function fill() {
+    [60, 62, 64, 66].forEach((midi, frame) =>
+      allocator.noteOn(midi, 0.8, frame)
+    );
+  }
+
+  // Copy into a host-realm array so deepStrictEqual can compare it
+  const playing = () =>
+    Array.from(
+      allocator.voices.filter((v) => v.active),
+      (v) => v.midi
+    ).sort((a, b) => a - b);
+
+  beforeEach(() => {
+    allocator = new VoiceAllocator(32, SAMPLE_RATE);
+    allocator.setPolyphony(4);
+  });
+
+  it('should limit playable voices to the polyphony setting', () => {
+    fill();
+    allocator.noteOn(67, 0.8, 4);
+    assert.strictEqual(allocator.getActiveVoiceCount(), 4);
+    assert.ok(allocator.voices.slice(4).every((v) => !v.active));
+  });
+
+  it('should clamp polyphony to the voice pool', () => {
+    allocator.setPolyphony(64);
+    assert.strictEqual(allocator.polyphony, 32);
+    allocator.setPolyphony(0);
+    assert.strictEqual(allocator.polyphony, 1);
+  });
+
+  it('should release voices above a reduced polyphony', () => {
+    fill();
+    allocator.setPolyphony(2);
+    assert.strictEqual(allocator.voices[1].gate, true);
+    assert.strictEqual(allocator.voices[2].gate, false);
+    assert.strictEqual(allocator.noteToVoice.has(64), false);
+  });
+
+  it('should steal the oldest voice', () => {
+    allocator.voiceStealing = STEAL_OLDEST;
+    fill();
+    allocator.noteOn(67, 0.8, 4);
+    assert.deepStrictEqual(playing(), [62, 64, 66, 67]);
+  });
+
+  it('should steal the quietest voice', () => {
+    allocator.voiceStealing = STEAL_QUIETEST;
+    fill();
+    allocator.voices.forEach((v, i) => (v.ampEnv.value = i === 2 ? 0.1 : 0.8));
+    allocator.noteOn(67, 0.8, 4);
+    assert.deepStrictEqual(playing(), [60, 62, 66, 67]);
+  });
+
+  it('should steal the lowest or highest note', () => {
+    allocator.voiceStealing = STEAL_LOWEST;
+    fill();
+    allocator.noteOn(67, 0.8, 4);
+    assert.deepStrictEqual(playing(), [62, 64, 66, 67]);
+
+    allocator.voiceStealing = STEAL_HIGHEST;
+    allocator.noteOn(59, 0.8, 5);
+    assert.deepStrictEqual(playing(), [59, 62, 64, 66]);
+  });
+
+  it('should protect held notes over released ones', () => {
+    allocator.voiceStealing = STEAL_RELEASED_FIRST;
+    fill();
+    allocator.noteOff(64);
+    allocator.noteOn(67, 0.8, 4);
+    assert.deepStrictEqual(playing(), [60, 62, 66, 67]);
+
+    // Without released voices the oldest held note goes
+    allocator.noteOn(69, 0.8, 5);
+    assert.deepStrictEqual(playing(), [62, 66, 67, 69]);
+  });
+});
+
+describe('PolyPWMSynthProcessor voice mode parameters', () => {
+  it('should apply voiceMode from parameters before queued notes', () => {
+    const { processor, outputs } = playNote(
+      { voiceMode: VOICE_MODE_MONO },
+      { velocity: 0.8, messages: [{ type: 'noteOn', midi: 64, velocity: 0.8 }] }
+    );
+
+    assert.strictEqual(processor.voiceAllocator.voiceMode, VOICE_MODE_MONO);
+    assert.strictEqual(processor.voiceAllocator.getActiveVoiceCount(), 1);
+    assert.ok(outputs[0][0].some((v) => v !== 0));
+  });
+
+  it('should report stacked unison voices in the active voice count', () => {
+    const { processor, outputs } = playNote(
+      { unisonVoices: 3 },
+      { velocity: 0.8, messages: [{ type: 'noteOn', midi: 64, velocity: 0.8 }] }
+    );
+
+    assert.strictEqual(processor.voiceAllocator.getActiveVoiceCount(), 6);
+    // Default spread places the stacked voices apart in the stereo field
+    const [left, right] = outputs[0];
+    assert.ok(left.some((v, i) => v !== right[i]));
+  });
+
+  it('should route the filter morph matrix destination', () => {
+    const render = (overrides) => {
+      const fixture = createProcessor({
+        filterMode: 5,
+        filterMorph: 0,
+        filterCutoff: 200,
+        ...overrides,
+      });
+      fixture.processor.port.receive({ type: 'noteOn', midi: 84, velocity: 1 });
+      let energy = 0;
+      for (let block = 0; block < 20; block++) {
+        for (const v of fixture.render()) energy += v * v;
+      }
+      return energy;
+    };
+
+    // Velocity -> Filter Morph opens the high note through the HP side
+    const closed = render({});
+    const morphed = render({
+      matrixSource1: 2,
+      matrixDest1: 26,
+      matrixAmount1: 100,
+    });
+    assert.ok(morphed > closed * 4);
+  });
+
+  it('should report polyphony as the voice count total', () => {
+    const { processor, render } = createProcessor({ polyphony: 16 });
+    processor.port.receive({ type: 'noteOn', midi: 60, velocity: 0.8 });
+    // Voice count is reported every ~100 ms
+    for (let i = 0; i < 40; i++) render();
+
+    const report = processor.port.messages.find((m) => m.type === 'voiceCount');
+    assert.deepStrictEqual(
+      { ...report },
+      {
+        type: 'voiceCount',
+        active: 1,
+        total: 16,
+      }
+    );
+  });
+});
+
+describe('VoiceAllocator unison', () => {
+  let allocator;
+
+  beforeEach(() => {
+    allocator = new VoiceAllocator(8, SAMPLE_RATE);
+    allocator.unisonVoices = 4;
+    allocator.unisonDetune = 20;
+    allocator.unisonSpread = 1;
+    allocator.unisonPhaseRandom = 0;
+  });
+
+  const sounding = () => allocator.voices.filter((v) => v.active);
+
+  it('should stack voices per note and count each one', () => {
+    allocator.noteOn(60, 0.8, 0);
+    assert.strictEqual(allocator.getActiveVoiceCount(), 4);
+    assert.strictEqual(allocator.noteToVoice.get(60).length, 4);
+    assert.ok(sounding().every((v) => v.midi === 60));
+  });
+
+  it('should spread detune and pan symmetrically across the stack', () => {
+    allocator.noteOn(60, 0.8, 0);
+    const stack = allocator.noteToVoice.get(60).map((i) => allocator.voices[i]);
+
+    assert.strictEqual(stack[0].unisonDetune, -0.2);
+    assert.strictEqual(stack[3].unisonDetune, 0.2);
+    assert.strictEqual(stack[0].unisonPan, -1);
+    assert.strictEqual(stack[3].unisonPan, 1);
+    assert.ok(stack.every((v) => v.unisonGain === 0.5));
+  });
+
+  it('should randomize oscillator phases only when enabled', () => {
+    allocator.noteOn(60, 0.8, 0);
+    assert.ok(sounding().every((v) => v.osc1.phase === 0));
+
+    allocator.unisonPhaseRandom = 1;
+    allocator.noteOn(64, 0.8, 0);
+    const phases = allocator.noteToVoice
+      .get(64)
+      .map((i) => allocator.voices[i].osc1.phase);
+    assert.ok(phases.some((p) => p !== 0));
+  });
+
+  it('should release the whole stack on note off', () => {
+    allocator.noteOn(60, 0.8, 0);
+    allocator.noteOff(60);
+    assert.ok(sounding().every((v) => !v.gate));
+  });
+
+  it('should steal from the shared pool when stacks exceed it', () => {
+    allocator.noteOn(60, 0.8, 0);
+    allocator.noteOn(64, 0.8, 0);
+    allocator.noteOn(67, 0.8, 0);
+
+    assert.strictEqual(allocator.getActiveVoiceCount(), 8);
+    assert.strictEqual(allocator.noteToVoice.get(67).length, 4);
+    assert.strictEqual(allocator.noteToVoice.has(60), false);
+    assert.strictEqual(new Set(allocator.noteToVoice.get(67)).size, 4);
+  });
+
+  it('should not stack more voices than the pool holds', () => {
+    allocator = new VoiceAllocator(2, SAMPLE_RATE);
+    allocator.unisonVoices = 8;
+    allocator.noteOn(60, 0.8, 0);
+    assert.strictEqual(allocator.getActiveVoiceCount(), 2);
+  });
+
+  it('should drive a unison stack from mono mode', () => {
+    allocator.setVoiceMode(VOICE_MODE_LEGATO);
+    allocator.noteOn(60, 0.8, 0);
+    allocator.noteOn(62, 0.8, 0);
+    assert.strictEqual(allocator.getActiveVoiceCount(), 4);
+    assert.ok(sounding().every((v) => v.midi === 62));
+
+    allocator.noteOff(62);
+    assert.ok(sounding().every((v) => v.midi === 60));
+    allocator.noteOff(60);
+    assert.ok(sounding().every((v) => !v.gate));
+  });
+});
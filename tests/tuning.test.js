@@ -0,0 +1,202 @@
+// tests/tuning.test.js - Unit tests for audio/tuning.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  BUILTIN_TUNINGS,
+  TUNING_NOTES,
+  buildTuningTable,
+  createBuiltinTuning,
+  getMappingReference,
+  parseKbm,
+  parseScl,
+} from '../audio/tuning.js';
+
+const close = (actual, expected, message) =>
+  assert.ok(
+    Math.abs(actual - expected) < 1e-9,
+    message ?? `${actual} != ${expected}`
+  );
+
+describe('parseScl', () => {
+  it('should read cents, ratios and integers, skipping comments', () => {
+    const scale = parseScl(
+      [
+        '! test.scl',
+        '!',
+        'Test scale',
+        ' 4',
+        '!',
+        ' 100.0 first degree',
+        ' 5/4',
+        ' 3/2',
+        ' 2',
+      ].join('\r\n')
+    );
+    assert.strictEqual(scale.description, 'Test scale');
+    assert.strictEqual(scale.cents.length, 4);
+    assert.strictEqual(scale.cents[0], 100);
+    close(scale.cents[1], 386.3137138648348);
+    close(scale.cents[2], 701.9550008653874);
+    assert.strictEqual(scale.cents[3], 1200);
+  });
+
+  it('should reject malformed files', () => {
+    assert.throws(() => parseScl('Only a description'), /Not a Scala/);
+    assert.throws(() => parseScl('Empty\n0\n'), /no notes/);
+    assert.throws(() => parseScl('Short\n3\n100.0\n2/1\n'), /2 of 3/);
+    assert.throws(() => parseScl('Bad\n1\n0/1\n'), /Bad pitch/);
+    assert.throws(() => parseScl('Bad\n1\nabc.0\n'), /Bad pitch/);
+  });
+});
+
+describe('parseKbm', () => {
+  it('should read the header and mapping, with x as unmapped', () => {
+    const keyboard = parseKbm(
+      [
+        '! test.kbm',
+        '3 ! size',
+        '0',
+        '127',
+        '60',
+        '69',
+        '432.0',
+        '2',
+        '! mapping',
+        '0',
+        'x',
+        '1',
+      ].join('\n')
+    );
+    assert.strictEqual(keyboard.size, 3);
+    assert.strictEqual(keyboard.middleNote, 60);
+    assert.strictEqual(keyboard.referenceNote, 69);
+    assert.strictEqual(keyboard.referenceFrequency, 432);
+    assert.strictEqual(keyboard.octaveDegree, 2);
+    assert.deepStrictEqual(keyboard.mapping, [0, null, 1]);
+  });
+
+  it('should treat missing trailing entries as unmapped', () => {
+    const keyboard = parseKbm('2\n0\n127\n60\n60\n261.6\n1\n0\n');
+    assert.deepStrictEqual(keyboard.mapping, [0, null]);
+  });
+
+  it('should reject malformed headers', () => {
+    assert.throws(() => parseKbm('0\n0\n127\n'), /Not a Scala/);
+    assert.throws(() => parseKbm('0\n0\n127\n60\n69\nabc\n0\n'), /header/);
+    assert.throws(() => parseKbm('0\n0\n127\n60\n69\n0\n0\n'), /header/);
+  });
+});
+
+describe('buildTuningTable', () => {
+  it('should reproduce 12-TET exactly', () => {
+    const table = buildTuningTable(BUILTIN_TUNINGS[0]);
+    assert.strictEqual(table.length, TUNING_NOTES);
+    for (let key = 0; key < TUNING_NOTES; key++) {
+      close(table[key], key, `key ${key}`);
+    }
+  });
+
+  it('should keep A4 as the reference for other scales', () => {
+    const table = buildTuningTable(BUILTIN_TUNINGS[1]); // Just Intonation
+    assert.strictEqual(table[69], 69);
+    // C is a pure major sixth (5/3) below A, E a pure major third above C
+    const c = 69 - (1200 * Math.log2(5 / 3)) / 100;
+    close(table[60], c);
+    close(table[64], c + (1200 * Math.log2(5 / 4)) / 100);
+    close(table[72] - table[60], 12);
+  });
+
+  it('should step through scales with more than 12 notes', () => {
+    const table = buildTuningTable(BUILTIN_TUNINGS[3]); // 19-EDO
+    close(table[70] - table[69], 12 / 19);
+    close(table[60 + 19] - table[60], 12);
+  });
+
+  it('should follow the keyboard mapping', () => {
+    const keyboard = {
+      size: 2,
+      firstNote: 48,
+      lastNote: 72,
+      middleNote: 60,
+      referenceNote: 60,
+      referenceFrequency: 440 * Math.pow(2, -9 / 12),
+      octaveDegree: 12,
+      mapping: [0, null],
+    };
+    const table = buildTuningTable(BUILTIN_TUNINGS[0], keyboard);
+    close(table[60], 60);
+    close(table[62], 72); // Each 2-key repeat is a full octave
+    close(table[58], 48);
+    assert.ok(Number.isNaN(table[61])); // Unmapped key
+    assert.ok(Number.isNaN(table[80])); // Outside the mapped range
+  });
+
+  it('should leave keys marked x in a .kbm file unmapped', () => {
+    const keyboard = parseKbm('3\n0\n127\n60\n60\n261.6\n2\n0\nx\n1\n');
+    const table = buildTuningTable(BUILTIN_TUNINGS[0], keyboard);
+    close(table[60], 60);
+    assert.ok(Number.isNaN(table[61]));
+    close(table[62], 61);
+    close(table[63], 62); // Next repeat, one 2-degree period up
+    assert.ok(Number.isNaN(table[64]));
+  });
+
+  it('should leave the reference frequency to tuningReference', () => {
+    const keyboard = {
+      size: 0,
+      firstNote: 0,
+      lastNote: 127,
+      middleNote: 60,
+      referenceNote: 69,
+      referenceFrequency: 432,
+      octaveDegree: 0,
+      mapping: [],
+    };
+    const table = buildTuningTable(BUILTIN_TUNINGS[0], keyboard);
+    assert.strictEqual(table[69], 69);
+    assert.strictEqual(table[60], 60);
+  });
+
+  it('should reject a mapping that leaves the reference note unmapped', () => {
+    const keyboard = {
+      size: 1,
+      firstNote: 0,
+      lastNote: 127,
+      middleNote: 60,
+      referenceNote: 69,
+      referenceFrequency: 440,
+      octaveDegree: 0,
+      mapping: [null],
+    };
+    assert.throws(
+      () => buildTuningTable(BUILTIN_TUNINGS[0], keyboard),
+      /reference note/
+    );
+  });
+});
+
+describe('getMappingReference', () => {
+  it('should give the A4 frequency implied by the mapping', () => {
+    assert.strictEqual(getMappingReference(), 440);
+    close(
+      getMappingReference({ referenceNote: 69, referenceFrequency: 432 }),
+      432
+    );
+    // Middle C at its 440 Hz 12-TET frequency
+    close(
+      getMappingReference({ referenceNote: 60, referenceFrequency: 261.6 }),
+      261.6 * Math.pow(2, 9 / 12)
+    );
+  });
+});
+
+describe('createBuiltinTuning', () => {
+  it('should build every built-in tuning', () => {
+    BUILTIN_TUNINGS.forEach((entry, index) => {
+      const { name, table } = createBuiltinTuning(index);
+      assert.strictEqual(name, entry.name);
+      assert.strictEqual(table[69], 69);
+    });
+    assert.throws(() => createBuiltinTuning(BUILTIN_TUNINGS.length), /Unknown/);
+  });
+});
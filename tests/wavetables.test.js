@@ -0,0 +1,230 @@
+// tests/wavetables.test.js - Unit tests for audio/wavetables.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  WAVETABLE_SIZE,
+  WAVETABLE_MAX_FRAMES,
+  WAVETABLE_LEVELS,
+  buildWavetable,
+  BUILTIN_WAVETABLES,
+  createBuiltinWavetable,
+  parseWav,
+  wavToFrames,
+} from '../audio/wavetables.js';
+
+// Magnitude of one harmonic in a frame (single-bin DFT)
+function harmonicMagnitude(samples, offset, harmonic) {
+  let re = 0;
+  let im = 0;
+  for (let i = 0; i < WAVETABLE_SIZE; i++) {
+    const angle = (2 * Math.PI * harmonic * i) / WAVETABLE_SIZE;
+    re += samples[offset + i] * Math.cos(angle);
+    im -= samples[offset + i] * Math.sin(angle);
+  }
+  return Math.hypot(re, im) / (WAVETABLE_SIZE / 2);
+}
+
+function sawFrame(length = WAVETABLE_SIZE) {
+  return Float32Array.from({ length }, (_, i) => (2 * i) / length - 1);
+}
+
+/**
+ * Build a WAV file in memory
+ * @param {Float32Array[]} channels - Per-channel samples
+ * @param {object} [options]
+ * @param {number} [options.bits=16] - 16-bit PCM or 32-bit float
+ * @param {number} [options.clm=0] - Serum 'clm ' frame size (0 = no chunk)
+ */
+function createWav(channels, { bits = 16, clm = 0 } = {}) {
+  const float = bits === 32;
+  const bytes = bits / 8;
+  const length = channels[0].length;
+  const dataSize = length * channels.length * bytes;
+  const clmText = clm ? `<!>${clm} 00000000 wavetable` : '';
+  const clmSize = clmText.length + (clmText.length & 1);
+  const buffer = new ArrayBuffer(
+    12 + 24 + (clm ? 8 + clmSize : 0) + 8 + dataSize
+  );
+  const view = new DataView(buffer);
+  const writeTag = (offset, tag) => {
+    for (let i = 0; i < 4; i++) view.setUint8(offset + i, tag.charCodeAt(i));
+  };
+
+  writeTag(0, 'RIFF');
+  view.setUint32(4, buffer.byteLength - 8, true);
+  writeTag(8, 'WAVE');
+  writeTag(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, float ? 3 : 1, true);
+  view.setUint16(22, channels.length, true);
+  view.setUint32(24, 44100, true);
+  view.setUint32(28, 44100 * channels.length * bytes, true);
+  view.setUint16(32, channels.length * bytes, true);
+  view.setUint16(34, bits, true);
+
+  let offset = 36;
+  if (clm) {
+    writeTag(offset, 'clm ');
+    view.setUint32(offset + 4, clmText.length, true);
+    for (let i = 0; i < clmText.length; i++) {
+      view.setUint8(offset + 8 + i, clmText.charCodeAt(i));
+    }
+    offset += 8 + clmSize;
+  }
+
+  writeTag(offset, 'data');
+  view.setUint32(offset + 4, dataSize, true);
+  offset += 8;
+  for (let i = 0; i < length; i++) {
+    for (const channel of channels) {
+      if (float) view.setFloat32(offset, channel[i], true);
+      else view.setInt16(offset, Math.round(channel[i] * 32767), true);
+      offset += bytes;
+    }
+  }
+  return buffer;
+}
+
+describe('buildWavetable', () => {
+  it('should build one mipmap level per octave', () => {
+    const table = buildWavetable([sawFrame()], 'Saw');
+    assert.strictEqual(table.name, 'Saw');
+    assert.strictEqual(table.frameCount, 1);
+    assert.strictEqual(table.size, WAVETABLE_SIZE);
+    assert.strictEqual(table.levels.length, WAVETABLE_LEVELS);
+    for (const level of table.levels) {
+      assert.strictEqual(level.length, WAVETABLE_SIZE);
+    }
+  });
+
+  it('should band-limit each level to (size / 2) >> level harmonics', () => {
+    const table = buildWavetable([sawFrame()]);
+
+    // Level 4 keeps harmonics 1-64
+    const level4 = table.levels[4];
+    assert.ok(harmonicMagnitude(level4, 0, 64) > 0.001);
+    assert.ok(harmonicMagnitude(level4, 0, 65) < 1e-5);
+    assert.ok(harmonicMagnitude(level4, 0, 200) < 1e-5);
+
+    // The top level is a pure sine
+    const top = table.levels[WAVETABLE_LEVELS - 1];
+    assert.ok(harmonicMagnitude(top, 0, 1) > 0.1);
+    assert.ok(harmonicMagnitude(top, 0, 2) < 1e-5);
+  });
+
+  it('should remove DC and normalize the table to a peak of 1', () => {
+    const offsetSine = Float32Array.from(
+      { length: 512 },
+      (_, i) => 0.2 + 0.3 * Math.sin((2 * Math.PI * i) / 512)
+    );
+    const table = buildWavetable([offsetSine]);
+    const level = table.levels[0];
+    const mean = level.reduce((sum, v) => sum + v, 0) / level.length;
+    const peak = level.reduce((max, v) => Math.max(max, Math.abs(v)), 0);
+    assert.ok(Math.abs(mean) < 1e-6);
+    assert.ok(Math.abs(peak - 1) < 1e-6);
+  });
+
+  it('should keep relative frame levels when normalizing', () => {
+    const loud = sawFrame();
+    const quiet = loud.map((v) => v * 0.25);
+    const table = buildWavetable([loud, quiet]);
+    const ratio =
+      harmonicMagnitude(table.levels[0], WAVETABLE_SIZE, 1) /
+      harmonicMagnitude(table.levels[0], 0, 1);
+    assert.ok(Math.abs(ratio - 0.25) < 1e-3);
+  });
+
+  it('should limit the table to WAVETABLE_MAX_FRAMES frames', () => {
+    const frames = Array.from({ length: 100 }, () => sawFrame(64));
+    const table = buildWavetable(frames);
+    assert.strictEqual(table.frameCount, WAVETABLE_MAX_FRAMES);
+    assert.strictEqual(
+      table.levels[0].length,
+      WAVETABLE_MAX_FRAMES * WAVETABLE_SIZE
+    );
+  });
+
+  it('should reject empty or degenerate input', () => {
+    assert.throws(() => buildWavetable([]), /at least one frame/);
+    assert.throws(() => buildWavetable([new Float32Array(1)]), /two samples/);
+  });
+});
+
+describe('built-in wavetables', () => {
+  it('should all build valid tables', () => {
+    BUILTIN_WAVETABLES.forEach((entry, index) => {
+      const table = createBuiltinWavetable(index);
+      assert.strictEqual(table.name, entry.name);
+      assert.ok(table.frameCount > 1);
+      assert.ok(table.levels[0].every(Number.isFinite));
+    });
+  });
+
+  it('should throw for an unknown index', () => {
+    assert.throws(
+      () => createBuiltinWavetable(BUILTIN_WAVETABLES.length),
+      /Unknown built-in wavetable/
+    );
+  });
+});
+
+describe('parseWav', () => {
+  it('should read 16-bit PCM', () => {
+    const input = Float32Array.from([0, 0.5, -0.5, 0.25]);
+    const { sampleRate, samples, frameSize } = parseWav(createWav([input]));
+    assert.strictEqual(sampleRate, 44100);
+    assert.strictEqual(frameSize, 0);
+    assert.strictEqual(samples.length, 4);
+    samples.forEach((v, i) => assert.ok(Math.abs(v - input[i]) < 1e-4));
+  });
+
+  it('should read 32-bit float and mix stereo to mono', () => {
+    const left = Float32Array.from([1, 0.5, 0]);
+    const right = Float32Array.from([0, -0.5, 0.5]);
+    const { samples } = parseWav(createWav([left, right], { bits: 32 }));
+    assert.deepStrictEqual(Array.from(samples), [0.5, 0, 0.25]);
+  });
+
+  it('should read the frame size from a clm chunk', () => {
+    const { frameSize } = parseWav(
+      createWav([new Float32Array(256)], { clm: 128 })
+    );
+    assert.strictEqual(frameSize, 128);
+  });
+
+  it('should reject files that are not WAV', () => {
+    assert.throws(() => parseWav(new ArrayBuffer(16)), /Not a WAV file/);
+  });
+});
+
+describe('wavToFrames', () => {
+  it('should treat a short file as a single cycle', () => {
+    const frames = wavToFrames(createWav([sawFrame(600)]));
+    assert.strictEqual(frames.length, 1);
+    assert.strictEqual(frames[0].length, 600);
+  });
+
+  it('should split long files into WAVETABLE_SIZE frames', () => {
+    const frames = wavToFrames(
+      createWav([new Float32Array(WAVETABLE_SIZE * 3)])
+    );
+    assert.strictEqual(frames.length, 3);
+    assert.strictEqual(frames[0].length, WAVETABLE_SIZE);
+  });
+
+  it('should use the clm frame size when present', () => {
+    const frames = wavToFrames(
+      createWav([new Float32Array(1024)], { clm: 256 })
+    );
+    assert.strictEqual(frames.length, 4);
+    assert.strictEqual(frames[0].length, 256);
+  });
+
+  it('should reject files that are too short', () => {
+    assert.throws(
+      () => wavToFrames(createWav([new Float32Array(4)])),
+      /too short/
+    );
+  });
+});
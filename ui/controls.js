@@ -3,8 +3,20 @@
 import { initMIDIUI } from './midi-controls.js';
 import { initParameterControls } from './parameter-controls.js';
 import { initKeyboard } from './keyboard.js';
+import { initPatchControls } from './patch-controls.js';
+import { initPresetControls } from './preset-controls.js';
+import { initWavetableControls } from './wavetable-controls.js';
+import { initTuningControls } from './tuning-controls.js';
+import { initMsegEditor } from './mseg-editor.js';
+import { initStepSeqEditor } from './step-seq-editor.js';
 
-export function initUI({ synth, midiInput, tempoManager }) {
+export function initUI({
+  synth,
+  midiInput,
+  tempoManager,
+  patchManager,
+  presetBrowser,
+}) {
   const byId = (id) => {
     const element = document.getElementById(id);
     if (!element) {
@@ -67,16 +79,32 @@ export function initUI({ synth, midiInput, tempoManager }) {
 
   // Setup synth parameter controls
   initParameterControls(synth, tempoManager);
+  initWavetableControls(synth);
+  initTuningControls(synth);
+  initMsegEditor(synth);
+  initStepSeqEditor(synth);
+
+  // Setup patch save/load panel
+  if (patchManager) {
+    initPatchControls(patchManager);
+  }
+  if (presetBrowser) {
+    initPresetControls(presetBrowser);
+  }
 
   // Setup keyboard
   initKeyboard(synth);
 
   // Setup voice count display
   const voiceCountValue = byId('voiceCountValue');
+  const voiceCountTotal = byId('voiceCountTotal');
   if (voiceCountValue) {
     window.addEventListener('voiceCount', (event) => {
-      const { active } = event.detail;
+      const { active, total } = event.detail;
       voiceCountValue.textContent = active;
+      if (voiceCountTotal && total) {
+        voiceCountTotal.textContent = total;
+      }
 
       // Optional: Add visual feedback for voice pressure
       const voiceCountElement = byId('voiceCount');
@@ -84,10 +112,12 @@ export function initUI({ synth, midiInput, tempoManager }) {
         // Remove all color classes first
         voiceCountElement.classList.remove('green', 'orange', 'red');
 
-        // Add appropriate color class based on active voices
-        if (active >= 7) {
+        // Add appropriate color class based on the share of voices in use
+        // (7/8 and 5/8 of the configured polyphony)
+        const usage = total ? active / total : 0;
+        if (usage >= 0.875) {
           voiceCountElement.classList.add('red'); // Red when nearly full
-        } else if (active >= 5) {
+        } else if (usage >= 0.625) {
           voiceCountElement.classList.add('orange'); // Orange when getting full
         } else if (active > 0) {
           voiceCountElement.classList.add('green'); // Green when active
@@ -3,8 +3,23 @@
 import {
   MATRIX_SOURCES,
   MATRIX_DESTINATIONS,
+  MATRIX_CURVES,
+  MATRIX_POLARITIES,
+  AFTERTOUCH_DESTINATIONS,
+  AFTERTOUCH_SLOTS,
 } from '../utils/parameter-registry.js';
 
+// Source whose slot needs a CC number
+const MIDI_CC_SOURCE = MATRIX_SOURCES.indexOf('MIDI CC');
+
+// Destination whose slot needs an effect parameter
+const FX_DESTINATION = MATRIX_DESTINATIONS.indexOf('FX Parameter');
+
+const ccOptionsHTML = Array.from(
+  { length: 128 },
+  (_, cc) => `<option value="${cc}">CC ${cc}</option>`
+).join('');
+
 /**
  * Generate HTML for a single matrix slot
  * @param {number} slotNum - Slot number (1-12)
@@ -19,12 +34,28 @@ function generateMatrixSlot(slotNum) {
     (name, index) => `<option value="${index}">${name}</option>`
   ).join('');
 
+  const viaHTML = MATRIX_SOURCES.map(
+    (name, index) =>
+      `<option value="${index}">${index === 0 ? 'No Via' : `Via ${name}`}</option>`
+  ).join('');
+
+  const curvesHTML = MATRIX_CURVES.map(
+    (name, index) => `<option value="${index}">${name}</option>`
+  ).join('');
+
+  const polaritiesHTML = MATRIX_POLARITIES.map(
+    (name, index) => `<option value="${index}">${name}</option>`
+  ).join('');
+
   return `
     <div class="matrix-slot">
       <span class="matrix-slot-number">${slotNum}</span>
       <select class="matrix-source" id="matrixSource${slotNum}" data-param="matrixSource${slotNum}">
         ${sourcesHTML}
       </select>
+      <select class="matrix-cc" id="matrixCC${slotNum}" data-param="matrixCC${slotNum}" title="CC number for the MIDI CC source">
+        ${ccOptionsHTML}
+      </select>
       <span class="matrix-arrow">→</span>
       <select class="matrix-dest" id="matrixDest${slotNum}" data-param="matrixDest${slotNum}">
         ${destinationsHTML}
@@ -40,13 +71,104 @@ function generateMatrixSlot(slotNum) {
         value="0"
       />
       <span class="matrix-amount-value" id="matrixAmount${slotNum}Val" data-slot="${slotNum}">+0%</span>
+      <div class="matrix-slot-options">
+        <select class="matrix-via" id="matrixVia${slotNum}" data-param="matrixVia${slotNum}" title="Scale the amount by another source">
+          ${viaHTML}
+        </select>
+        <select class="matrix-curve" id="matrixCurve${slotNum}" data-param="matrixCurve${slotNum}" title="Response curve">
+          ${curvesHTML}
+        </select>
+        <select class="matrix-polarity" id="matrixPolarity${slotNum}" data-param="matrixPolarity${slotNum}" title="Source polarity">
+          ${polaritiesHTML}
+        </select>
+        <select class="matrix-bypass" id="matrixBypass${slotNum}" data-param="matrixBypass${slotNum}" title="Bypass this slot">
+          <option value="0">Active</option>
+          <option value="1">Bypassed</option>
+        </select>
+        <select class="matrix-fx-target" id="matrixFxTarget${slotNum}" title="Effect parameter for the FX Parameter destination">
+          <option value="">No Effect</option>
+        </select>
+      </div>
     </div>
   `;
 }
 
+/**
+ * Generate HTML for an aftertouch slot
+ * @param {number} slotNum - Slot number (1-4)
+ * @returns {string} HTML string for the slot
+ */
+function generateAftertouchSlot(slotNum) {
+  const destinationsHTML = AFTERTOUCH_DESTINATIONS.map(
+    (name, index) => `<option value="${index}">${name}</option>`
+  ).join('');
+
+  return `
+    <div class="matrix-slot aftertouch-slot">
+      <span class="matrix-slot-number">${slotNum}</span>
+      <select class="aftertouch-mode" id="atPerVoice${slotNum}" data-param="aftertouchPerVoice${slotNum}" title="Channel pressure, or each key's own pressure">
+        <option value="0">Channel</option>
+        <option value="1">Per Voice</option>
+      </select>
+      <span class="matrix-arrow">→</span>
+      <select class="matrix-dest" id="atDest${slotNum}" data-param="aftertouchDest${slotNum}">
+        ${destinationsHTML}
+      </select>
+      <input
+        type="range"
+        class="matrix-amount"
+        id="atAmount${slotNum}"
+        data-param="aftertouchAmount${slotNum}"
+        min="-1"
+        max="1"
+        step="0.01"
+        value="0"
+      />
+      <span class="matrix-amount-value" id="atAmount${slotNum}Val">0.00</span>
+    </div>
+  `;
+}
+
+/**
+ * Show a slot's CC number picker only while its source is MIDI CC
+ * @param {number} slotNum - Slot number (1-12)
+ * @param {number} sourceIndex - Selected source (see MATRIX_SOURCES)
+ */
+function updateCCVisibility(slotNum, sourceIndex) {
+  const ccSelect = document.getElementById(`matrixCC${slotNum}`);
+  if (ccSelect) {
+    ccSelect.style.visibility =
+      Math.round(sourceIndex) === MIDI_CC_SOURCE ? 'visible' : 'hidden';
+  }
+}
+
+/**
+ * Show a slot's effect parameter picker only while its destination is FX
+ * @param {number} slotNum - Slot number (1-12)
+ * @param {number} destIndex - Selected destination (see MATRIX_DESTINATIONS)
+ */
+function updateFxTargetVisibility(slotNum, destIndex) {
+  const targetSelect = document.getElementById(`matrixFxTarget${slotNum}`);
+  if (targetSelect) {
+    targetSelect.style.visibility =
+      Math.round(destIndex) === FX_DESTINATION ? 'visible' : 'hidden';
+  }
+}
+
+/**
+ * Dim a slot while it is bypassed
+ * @param {number} slotNum - Slot number (1-12)
+ * @param {number} bypass - Bypass value (0 or 1)
+ */
+function updateBypassState(slotNum, bypass) {
+  const slot = document.getElementById(`matrixSource${slotNum}`)?.parentElement;
+  slot?.classList.toggle('bypassed', Math.round(bypass) > 0);
+}
+
 /**
  * Initialize the modulation matrix UI
- * Creates 12 slots and attaches double-click reset handlers
+ * Creates 12 slots and attaches double-click reset and source change handlers,
+ * then the aftertouch slots below them
  */
 export function initializeMatrixUI() {
   const container = document.getElementById('modulationMatrix');
@@ -62,6 +184,46 @@ export function initializeMatrixUI() {
   }
   container.innerHTML = html.join('');
 
+  // Default controller for the MIDI CC source: the mod wheel
+  for (let i = 1; i <= 12; i++) {
+    const ccSelect = document.getElementById(`matrixCC${i}`);
+    const sourceSelect = document.getElementById(`matrixSource${i}`);
+    if (ccSelect) ccSelect.value = '1';
+    updateCCVisibility(i, sourceSelect ? +sourceSelect.value : 0);
+    sourceSelect?.addEventListener('change', (e) =>
+      updateCCVisibility(i, +e.target.value)
+    );
+    document
+      .getElementById(`matrixBypass${i}`)
+      ?.addEventListener('change', (e) =>
+        updateBypassState(i, +e.target.value)
+      );
+
+    const destSelect = document.getElementById(`matrixDest${i}`);
+    updateFxTargetVisibility(i, destSelect ? +destSelect.value : 0);
+    destSelect?.addEventListener('change', (e) =>
+      updateFxTargetVisibility(i, +e.target.value)
+    );
+  }
+
+  const aftertouchContainer = document.getElementById('aftertouchSlots');
+  if (aftertouchContainer) {
+    const slots = [];
+    for (let i = 1; i <= AFTERTOUCH_SLOTS; i++) {
+      slots.push(generateAftertouchSlot(i));
+    }
+    aftertouchContainer.innerHTML = slots.join('');
+  }
+
+  window.addEventListener('patchLoaded', (event) => {
+    const parameters = event.detail.patch.parameters || {};
+    for (let i = 1; i <= 12; i++) {
+      updateCCVisibility(i, parameters[`matrixSource${i}`] ?? 0);
+      updateBypassState(i, parameters[`matrixBypass${i}`] ?? 0);
+      updateFxTargetVisibility(i, parameters[`matrixDest${i}`] ?? 0);
+    }
+  });
+
   // Attach double-click reset handlers to amount value spans
   for (let i = 1; i <= 12; i++) {
     const valueSpan = document.getElementById(`matrixAmount${i}Val`);
@@ -79,3 +241,52 @@ export function initializeMatrixUI() {
 
   console.log('Modulation matrix UI initialized with 12 slots');
 }
+
+/**
+ * Fill the effect parameter pickers from the FX chain and route slots
+ * Options are rebuilt whenever the chain changes; a slot keeps its target
+ * while the effect exists, wherever it moves in the chain.
+ * @param {FXController} fxController - FX chain controller
+ */
+export function initMatrixFxTargets(fxController) {
+  const refresh = () => {
+    const optionsHTML = fxController
+      .getModulationTargets()
+      .map(
+        ({ instanceId, param, label }) =>
+          `<option value="${instanceId}:${param}">${label}</option>`
+      )
+      .join('');
+
+    for (let i = 1; i <= 12; i++) {
+      const select = document.getElementById(`matrixFxTarget${i}`);
+      if (!select) continue;
+      select.innerHTML = `<option value="">No Effect</option>${optionsHTML}`;
+      const target = fxController.getModulationTarget(i);
+      select.value = target ? `${target.instanceId}:${target.param}` : '';
+    }
+  };
+
+  for (let i = 1; i <= 12; i++) {
+    document
+      .getElementById(`matrixFxTarget${i}`)
+      ?.addEventListener('change', (e) => {
+        const value = e.target.value;
+        if (!value) {
+          fxController.clearModulationTarget(i);
+          return;
+        }
+        const split = value.lastIndexOf(':');
+        fxController.setModulationTarget(
+          i,
+          value.slice(0, split),
+          value.slice(split + 1)
+        );
+      });
+  }
+
+  window.addEventListener('fxChainChanged', refresh);
+  // Patches restore their targets before patchLoaded is dispatched
+  window.addEventListener('patchLoaded', refresh);
+  refresh();
+}
@@ -41,6 +41,38 @@ export function initMIDIUI(midiInput) {
     updateVelocityCurve(e.target.value)
   );
 
+  // MPE mode and per-note bend range. Controllers can also switch MPE on
+  // with the MPE Configuration Message, which updates these controls.
+  const mpeModeEl = document.getElementById('mpeMode');
+  const mpeModeVal = document.getElementById('mpeModeVal');
+  const mpeBendRangeEl = document.getElementById('mpeBendRange');
+  const mpeBendRangeVal = document.getElementById('mpeBendRangeVal');
+
+  const showMPEState = ({ enabled, zones, bendRange, pitchBendRange }) => {
+    mpeModeEl.value = enabled ? '1' : '0';
+    const parts = [];
+    if (zones.lower > 0) parts.push(`L${zones.lower}`);
+    if (zones.upper > 0) parts.push(`U${zones.upper}`);
+    mpeModeVal.textContent = enabled ? parts.join(' ') : 'Off';
+
+    const range =
+      enabled && zones.lower === 0 ? bendRange.upper : bendRange.lower;
+    mpeBendRangeEl.value = range;
+    mpeBendRangeVal.textContent = `±${range}`;
+    pitchBendRangeEl.value = pitchBendRange;
+    pitchBendRangeVal.textContent = `±${pitchBendRange}`;
+  };
+  midiInput.onMPEChange = showMPEState;
+
+  mpeModeEl.addEventListener('change', (e) =>
+    midiInput.setMPEEnabled(e.target.value === '1')
+  );
+  mpeBendRangeEl.addEventListener('input', (e) => {
+    const v = Math.round(+e.target.value);
+    mpeBendRangeVal.textContent = `±${v}`;
+    midiInput.setMPEBendRange(v);
+  });
+
   // Update device list
   const updateDeviceList = () => {
     const devices = midiInput.getAvailableInputs();
@@ -0,0 +1,274 @@
+// ui/mseg-editor.js - MSEG breakpoint editor (canvas)
+import { MSEG_MAX_POINTS, getParameter } from '../utils/parameter-registry.js';
+
+const POINT_RADIUS = 5;
+
+/**
+ * Bend a linear 0-1 ramp the same way the worklet does
+ * @param {number} t - Segment progress (0-1)
+ * @param {number} curve - -1 (log) to +1 (exp), 0 = linear
+ * @returns {number} Shaped progress (0-1)
+ */
+export function shapeMsegSegment(t, curve) {
+  if (Math.abs(curve) < 0.001) return t;
+  const k = curve * 6;
+  return (Math.exp(k * t) - 1) / (Math.exp(k) - 1);
+}
+
+/**
+ * Read the active breakpoints from the synth
+ * @param {{getParam: Function}} synth - Synth (or anything with getParam)
+ * @returns {Array<{time: number, level: number, curve: number}>} Points
+ */
+export function readMsegPoints(synth) {
+  const value = (name) =>
+    synth.getParam(name) ?? getParameter(name).defaultValue;
+  const count = Math.max(
+    2,
+    Math.min(MSEG_MAX_POINTS, Math.round(value('msegPointCount')))
+  );
+
+  const points = [];
+  let time = 0;
+  for (let i = 0; i < count; i++) {
+    // Same rules as the worklet: first point at 0, times never go back
+    if (i > 0) time = Math.max(time, value(`msegTime${i + 1}`));
+    points.push({
+      time,
+      level: value(`msegLevel${i + 1}`),
+      curve: value(`msegCurve${i + 1}`),
+    });
+  }
+  return points;
+}
+
+/**
+ * Convert breakpoints to synth parameters
+ * Unused slots are reset to their registry defaults.
+ * @param {Array<{time: number, level: number, curve: number}>} points
+ * @returns {Object<string, number>} Parameter name -> value
+ */
+export function msegPointsToParams(points) {
+  const params = { msegPointCount: points.length };
+  for (let i = 0; i < MSEG_MAX_POINTS; i++) {
+    const point = points[i];
+    for (const [key, field] of [
+      ['msegTime', 'time'],
+      ['msegLevel', 'level'],
+      ['msegCurve', 'curve'],
+    ]) {
+      const name = `${key}${i + 1}`;
+      params[name] = point ? point[field] : getParameter(name).defaultValue;
+    }
+  }
+  params.msegTime1 = 0;
+  return params;
+}
+
+/**
+ * Insert a breakpoint, keeping points ordered by time
+ * @param {Array<object>} points - Current points
+ * @param {number} time - Position (0-1)
+ * @param {number} level - Level (0-1)
+ * @returns {{points: Array<object>, index: number}} New points and the index
+ *   of the inserted point (-1 if the shape is full)
+ */
+export function insertMsegPoint(points, time, level) {
+  if (points.length >= MSEG_MAX_POINTS) return { points, index: -1 };
+  let index = points.findIndex((p) => p.time > time);
+  if (index <= 0) index = index === 0 ? 1 : points.length;
+  const next = points.slice();
+  next.splice(index, 0, { time, level, curve: 0 });
+  return { points: next, index };
+}
+
+/**
+ * Remove a breakpoint (the shape keeps at least two)
+ * @param {Array<object>} points - Current points
+ * @param {number} index - Point to remove
+ * @returns {Array<object>} New points
+ */
+export function removeMsegPoint(points, index) {
+  if (points.length <= 2 || index < 0 || index >= points.length) return points;
+  const next = points.filter((_, i) => i !== index);
+  next[0] = { ...next[0], time: 0 };
+  return next;
+}
+
+export function initMsegEditor(synth) {
+  const canvas = document.getElementById('msegCanvas');
+  if (!canvas) {
+    console.error('MSEG editor canvas not found');
+    return;
+  }
+  const ctx = canvas.getContext('2d');
+  const pointCountVal = document.getElementById('msegPointCountVal');
+  const loopControls = ['msegLoop', 'msegLoopStart', 'msegLoopEnd'];
+
+  // Loop settings come from their sliders, which update before the synth does
+  const loopSetting = (id) => {
+    const el = document.getElementById(id);
+    return Math.round(el ? +el.value : synth.getParam(id));
+  };
+
+  let points = readMsegPoints(synth);
+  let drag = null; // { index } for points, { segment, startY, curve } for curves
+
+  const toX = (time) => POINT_RADIUS + time * (canvas.width - 2 * POINT_RADIUS);
+  const toY = (level) =>
+    POINT_RADIUS + (1 - level) * (canvas.height - 2 * POINT_RADIUS);
+  const fromX = (x) =>
+    Math.max(
+      0,
+      Math.min(1, (x - POINT_RADIUS) / (canvas.width - 2 * POINT_RADIUS))
+    );
+  const fromY = (y) =>
+    Math.max(
+      0,
+      Math.min(1, 1 - (y - POINT_RADIUS) / (canvas.height - 2 * POINT_RADIUS))
+    );
+
+  const draw = () => {
+    const { width, height } = canvas;
+    ctx.clearRect(0, 0, width, height);
+
+    // Loop region
+    if (loopSetting('msegLoop') > 0) {
+      const start = points[loopSetting('msegLoopStart')];
+      const end = points[loopSetting('msegLoopEnd')];
+      if (start && end && end.time > start.time) {
+        ctx.fillStyle = 'rgba(164, 242, 168, 0.12)';
+        ctx.fillRect(
+          toX(start.time),
+          0,
+          toX(end.time) - toX(start.time),
+          height
+        );
+      }
+    }
+
+    // Segments
+    ctx.strokeStyle = '#6ea8fe';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(toX(points[0].time), toY(points[0].level));
+    for (let i = 1; i < points.length; i++) {
+      const a = points[i - 1];
+      const b = points[i];
+      const steps = Math.max(1, Math.round(toX(b.time) - toX(a.time)));
+      for (let s = 1; s <= steps; s++) {
+        const t = s / steps;
+        const level =
+          a.level + (b.level - a.level) * shapeMsegSegment(t, b.curve);
+        ctx.lineTo(toX(a.time + (b.time - a.time) * t), toY(level));
+      }
+    }
+    ctx.stroke();
+
+    // Breakpoints
+    points.forEach((point, i) => {
+      ctx.fillStyle = drag?.index === i ? '#a4f2a8' : '#e6e7ea';
+      ctx.beginPath();
+      ctx.arc(toX(point.time), toY(point.level), POINT_RADIUS, 0, 2 * Math.PI);
+      ctx.fill();
+    });
+
+    if (pointCountVal) pointCountVal.textContent = points.length;
+  };
+
+  const commit = () => {
+    for (const [name, value] of Object.entries(msegPointsToParams(points))) {
+      synth.setParam(name, value);
+    }
+    draw();
+  };
+
+  const canvasPosition = (e) => {
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: ((e.clientX - rect.left) * canvas.width) / rect.width,
+      y: ((e.clientY - rect.top) * canvas.height) / rect.height,
+    };
+  };
+
+  const hitPoint = ({ x, y }) =>
+    points.findIndex(
+      (p) => Math.hypot(toX(p.time) - x, toY(p.level) - y) <= POINT_RADIUS * 2
+    );
+
+  const hitSegment = ({ x }) => {
+    const time = fromX(x);
+    const index = points.findIndex((p, i) => i > 0 && p.time >= time);
+    return index > 0 ? index : -1;
+  };
+
+  // Drag a point to move it; shift-drag a segment to bend it
+  canvas.addEventListener('pointerdown', (e) => {
+    const pos = canvasPosition(e);
+    const index = hitPoint(pos);
+    if (index >= 0 && !e.shiftKey) {
+      drag = { index };
+    } else if (e.shiftKey) {
+      const segment = hitSegment(pos);
+      if (segment < 0) return;
+      drag = { segment, startY: pos.y, curve: points[segment].curve };
+    } else {
+      return;
+    }
+    canvas.setPointerCapture(e.pointerId);
+    draw();
+  });
+
+  canvas.addEventListener('pointermove', (e) => {
+    if (!drag) return;
+    const pos = canvasPosition(e);
+    points = points.slice();
+
+    if (drag.segment !== undefined) {
+      const delta = (pos.y - drag.startY) / (canvas.height / 2);
+      const curve = Math.max(-1, Math.min(1, drag.curve + delta));
+      points[drag.segment] = { ...points[drag.segment], curve };
+    } else {
+      const i = drag.index;
+      const min = i === 0 ? 0 : points[i - 1].time;
+      const max = i === 0 ? 0 : (points[i + 1]?.time ?? 1);
+      points[i] = {
+        ...points[i],
+        time: Math.max(min, Math.min(max, fromX(pos.x))),
+        level: fromY(pos.y),
+      };
+    }
+    commit();
+  });
+
+  const endDrag = () => {
+    drag = null;
+    draw();
+  };
+  canvas.addEventListener('pointerup', endDrag);
+  canvas.addEventListener('pointercancel', endDrag);
+
+  // Double-click adds a point, or removes the one under the cursor
+  canvas.addEventListener('dblclick', (e) => {
+    const pos = canvasPosition(e);
+    const index = hitPoint(pos);
+    if (index >= 0) {
+      points = removeMsegPoint(points, index);
+    } else {
+      ({ points } = insertMsegPoint(points, fromX(pos.x), fromY(pos.y)));
+    }
+    commit();
+  });
+
+  // Loop settings change the shaded region
+  for (const id of loopControls) {
+    document.getElementById(id)?.addEventListener('input', draw);
+  }
+
+  window.addEventListener('patchLoaded', () => {
+    points = readMsegPoints(synth);
+    draw();
+  });
+
+  draw();
+}
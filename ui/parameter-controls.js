@@ -35,6 +35,11 @@ export function initParameterControls(synth, tempoManager = null) {
     };
   };
 
+  // Control sync functions (param name -> value => void)
+  // Used to reflect externally applied values (e.g. loaded patches) in the UI
+  // without sending them back to the synth
+  const controlSync = new Map();
+
   // Bind slider helpers with throttled parameter updates
   // If fmt is not provided, use displayFormat from parameter registry
   const bind = (id, param, fmt) => {
@@ -43,13 +48,15 @@ export function initParameterControls(synth, tempoManager = null) {
 
     // Check if this is a select element (source/dest dropdowns don't need Val spans)
     const isSelect = el.tagName === 'SELECT';
-    const val = isSelect ? null : byId(id + 'Val');
+    const val = isSelect
+      ? document.getElementById(id + 'Val')
+      : byId(id + 'Val');
 
     // For non-select elements, we need the Val span
     if (!isSelect && !val) return;
 
     // Get format function from parameter registry if not provided
-    if (!fmt && !isSelect) {
+    if (!fmt && val) {
       const paramDef = getParameter(param);
       fmt = paramDef?.displayFormat || ((v) => v.toString());
     }
@@ -68,6 +75,13 @@ export function initParameterControls(synth, tempoManager = null) {
     };
     apply(el.value);
 
+    controlSync.set(param, (v) => {
+      el.value = v;
+      if (val) {
+        val.textContent = fmt(+v);
+      }
+    });
+
     // Use 'change' event for selects, 'input' for range sliders
     const eventType = isSelect ? 'change' : 'input';
     el.addEventListener(eventType, (e) => {
@@ -106,6 +120,8 @@ export function initParameterControls(synth, tempoManager = null) {
   bind('coarse', 'oscillatorCoarseTune');
   bind('fine', 'oscillatorFineTune');
   bind('oscVolume', 'oscillatorVolume');
+  bind('osc1Waveform', 'oscillatorWaveform');
+  bind('osc1Morph', 'oscillatorMorph');
   bind('pulseWidth', 'pulseWidth');
   bind('pwmDepth', 'pulseWidthModulationDepth');
   bind('pwmRate', 'pulseWidthModulationRate');
@@ -124,11 +140,18 @@ export function initParameterControls(synth, tempoManager = null) {
       synth.setParam('oscillator2Waveform', idx);
     };
     applyOsc2Waveform(osc2WaveformEl.value);
+    controlSync.set('oscillator2Waveform', (v) => {
+      const idx = Math.round(+v);
+      osc2WaveformEl.value = idx;
+      osc2WaveformVal.textContent = fmt(idx);
+    });
     osc2WaveformEl.addEventListener('change', (e) =>
       applyOsc2Waveform(e.target.value)
     );
   }
 
+  bind('osc2Wavetable', 'oscillator2Wavetable');
+  bind('osc2WtPosition', 'oscillator2WavetablePosition');
   bind('osc2Coarse', 'oscillator2CoarseTune');
   bind('osc2Fine', 'oscillator2FineTune');
   bind('osc2Volume', 'oscillator2Volume');
@@ -146,6 +169,30 @@ export function initParameterControls(synth, tempoManager = null) {
   bind('velocityAmt', 'velocityAmount');
   bind('master', 'masterVolume');
 
+  // Voice mode and portamento
+  bind('voiceMode', 'voiceMode');
+  bind('notePriority', 'notePriority');
+  bind('polyphony', 'polyphony');
+  bind('voiceStealing', 'voiceStealing');
+  bind('portamentoTime', 'portamentoTime');
+  bind('portamentoMode', 'portamentoMode');
+  bind('portamentoLegato', 'portamentoLegato');
+
+  // Unison
+  bind('unisonVoices', 'unisonVoices');
+  bind('unisonDetune', 'unisonDetune');
+  bind('unisonSpread', 'unisonSpread');
+  bind('unisonPhaseRandom', 'unisonPhaseRandom');
+  bind('driftAmount', 'driftAmount');
+  bind('driftPitch', 'driftPitch');
+  bind('driftCutoff', 'driftCutoff');
+  bind('driftEnvelope', 'driftEnvelope');
+  bind('driftPhase', 'driftPhase');
+
+  // Tuning (built-in scale selection; Scala import lives in tuning-controls)
+  bind('tuning', 'tuning');
+  bind('tuningReference', 'tuningReference');
+
   // Filter envelope controls
   bind('filterAttack', 'filterEnvAttack');
   bind('filterDecay', 'filterEnvDecay');
@@ -168,10 +215,73 @@ export function initParameterControls(synth, tempoManager = null) {
     };
     apply(el.value);
     el.addEventListener('input', (e) => apply(e.target.value));
+
+    controlSync.set(param, (v) => {
+      const percent = Math.round(v * 100);
+      el.value = percent;
+      val.textContent = percent;
+    });
   };
   bindEnvAmount('lpEnvAmount', 'lpEnvAmount');
   bindEnvAmount('hpEnvAmount', 'hpEnvAmount');
+  bind('filterEnvVelocity', 'filterEnvVelocity');
+
+  // Mod envelope (DAHDSR with per-stage curves)
+  bind('modEnvDelay', 'modEnvDelay');
+  bind('modEnvAttack', 'modEnvAttack');
+  bind('modEnvHold', 'modEnvHold');
+  bind('modEnvDecay', 'modEnvDecay');
+  bind('modEnvSustain', 'modEnvSustain');
+  bind('modEnvRelease', 'modEnvRelease');
+  bind('modEnvAttackCurve', 'modEnvAttackCurve');
+  bind('modEnvDecayCurve', 'modEnvDecayCurve');
+  bind('modEnvReleaseCurve', 'modEnvReleaseCurve');
+
+  // MSEG timing and loop (breakpoints are edited in ui/mseg-editor.js)
+  bind('msegLength', 'msegLength');
+  bind('msegTempoSync', 'msegTempoSync');
+  bind('msegSyncDivision', 'msegSyncDivision');
+  bind('msegRetrigger', 'msegRetrigger');
+  bind('msegLoop', 'msegLoop');
+  bind('msegLoopStart', 'msegLoopStart');
+  bind('msegLoopEnd', 'msegLoopEnd');
+
+  // Step sequencer timing (steps are edited in ui/step-seq-editor.js)
+  bind('stepSeqSteps', 'stepSeqSteps');
+  bind('stepSeqSyncDivision', 'stepSeqSyncDivision');
+  bind('stepSeqSwing', 'stepSeqSwing');
+  bind('stepSeqRetrigger', 'stepSeqRetrigger');
   // Exponential filter cutoff mapping (20Hz - 20kHz)
+  const minFreq = 20;
+  const maxFreq = 20000;
+  const sliderToFreq = (sliderValue, gentle) => {
+    if (gentle) {
+      // Gentler curve for lowpass: mix linear and exponential
+      const linearPart = minFreq + (maxFreq - minFreq) * sliderValue;
+      const expPart = minFreq * Math.pow(maxFreq / minFreq, sliderValue);
+      // Blend: 60% linear + 40% exponential for more usable range
+      return 0.6 * linearPart + 0.4 * expPart;
+    }
+    // Full exponential for highpass
+    return minFreq * Math.pow(maxFreq / minFreq, sliderValue);
+  };
+  // Inverse mapping (Hz -> slider position) for syncing loaded values
+  const freqToSlider = (freq, gentle) => {
+    const f = Math.max(minFreq, Math.min(maxFreq, freq));
+    if (!gentle) {
+      return Math.log(f / minFreq) / Math.log(maxFreq / minFreq);
+    }
+    // Blended curve has no closed-form inverse; it is monotonic, so bisect
+    let lo = 0;
+    let hi = 1;
+    for (let i = 0; i < 30; i++) {
+      const mid = (lo + hi) / 2;
+      if (sliderToFreq(mid, true) < f) lo = mid;
+      else hi = mid;
+    }
+    return (lo + hi) / 2;
+  };
+
   const bindExpFilter = (id, param, fmt, gentle = false) => {
     const el = byId(id);
     const val = byId(id + 'Val');
@@ -182,38 +292,48 @@ export function initParameterControls(synth, tempoManager = null) {
     }, 16);
 
     const apply = (sliderValue) => {
-      const minFreq = 20;
-      const maxFreq = 20000;
-      let expValue;
-
-      if (gentle) {
-        // Gentler curve for lowpass: mix linear and exponential
-        const linearPart = minFreq + (maxFreq - minFreq) * sliderValue;
-        const expPart = minFreq * Math.pow(maxFreq / minFreq, sliderValue);
-        // Blend: 60% linear + 40% exponential for more usable range
-        expValue = 0.6 * linearPart + 0.4 * expPart;
-      } else {
-        // Full exponential for highpass
-        expValue = minFreq * Math.pow(maxFreq / minFreq, sliderValue);
-      }
-
+      const expValue = sliderToFreq(+sliderValue, gentle);
       val.textContent = fmt(expValue);
       throttledSetParam(expValue);
     };
     apply(el.value);
     el.addEventListener('input', (e) => apply(e.target.value));
+
+    controlSync.set(param, (v) => {
+      el.value = freqToSlider(v, gentle);
+      val.textContent = fmt(v);
+    });
   };
 
   bindExpFilter('filterCutoff', 'filterCutoff', (v) => Math.round(v), true); // gentle=true
   bind('filterResonance', 'filterResonance');
+  bind('filterMode', 'filterMode');
+  bind('filterMorph', 'filterMorph');
   bindExpFilter('hpfCutoff', 'hpfCutoff', (v) => Math.round(v));
   bind('hpfResonance', 'hpfResonance');
+  bind('filterRouting', 'filterRouting');
+  bind('filterBalance', 'filterBalance');
+  bind('lpKeyTrack', 'lpKeyTrack');
+  bind('hpKeyTrack', 'hpKeyTrack');
+  bind('keyTrackPivot', 'keyTrackPivot');
 
   // Modulation Matrix (12 slots)
   for (let i = 1; i <= 12; i++) {
     bind(`matrixSource${i}`, `matrixSource${i}`);
     bind(`matrixDest${i}`, `matrixDest${i}`);
     bind(`matrixAmount${i}`, `matrixAmount${i}`);
+    bind(`matrixCC${i}`, `matrixCC${i}`);
+    bind(`matrixVia${i}`, `matrixVia${i}`);
+    bind(`matrixCurve${i}`, `matrixCurve${i}`);
+    bind(`matrixPolarity${i}`, `matrixPolarity${i}`);
+    bind(`matrixBypass${i}`, `matrixBypass${i}`);
+  }
+
+  // Aftertouch slots (4)
+  for (let i = 1; i <= 4; i++) {
+    bind(`atDest${i}`, `aftertouchDest${i}`);
+    bind(`atAmount${i}`, `aftertouchAmount${i}`);
+    bind(`atPerVoice${i}`, `aftertouchPerVoice${i}`);
   }
 
   // LFO1 parameters
@@ -232,6 +352,11 @@ export function initParameterControls(synth, tempoManager = null) {
       synth.setParam('lfo1Waveform', idx);
     };
     applyLFO1Waveform(lfo1WaveformEl.value);
+    controlSync.set('lfo1Waveform', (v) => {
+      const idx = Math.round(+v);
+      lfo1WaveformEl.value = idx;
+      lfo1WaveformVal.textContent = fmt(idx);
+    });
     lfo1WaveformEl.addEventListener('change', (e) =>
       applyLFO1Waveform(e.target.value)
     );
@@ -252,12 +377,18 @@ export function initParameterControls(synth, tempoManager = null) {
       synth.setParam('lfo1SyncDivision', idx);
     };
     applyLFO1SyncDivision(lfo1SyncDivisionEl.value);
+    controlSync.set('lfo1SyncDivision', (v) => {
+      const idx = Math.round(+v);
+      lfo1SyncDivisionEl.value = idx;
+      lfo1SyncDivisionVal.textContent = fmt(idx);
+    });
     lfo1SyncDivisionEl.addEventListener('change', (e) =>
       applyLFO1SyncDivision(e.target.value)
     );
   }
 
   bind('lfo1Retrigger', 'lfo1Retrigger');
+  bind('lfo1Mode', 'lfo1Mode');
   bind('lfo1FadeIn', 'lfo1FadeIn');
 
   // LFO2 parameters
@@ -276,6 +407,11 @@ export function initParameterControls(synth, tempoManager = null) {
       synth.setParam('lfo2Waveform', idx);
     };
     applyLFO2Waveform(lfo2WaveformEl.value);
+    controlSync.set('lfo2Waveform', (v) => {
+      const idx = Math.round(+v);
+      lfo2WaveformEl.value = idx;
+      lfo2WaveformVal.textContent = fmt(idx);
+    });
     lfo2WaveformEl.addEventListener('change', (e) =>
       applyLFO2Waveform(e.target.value)
     );
@@ -296,11 +432,26 @@ export function initParameterControls(synth, tempoManager = null) {
       synth.setParam('lfo2SyncDivision', idx);
     };
     applyLFO2SyncDivision(lfo2SyncDivisionEl.value);
+    controlSync.set('lfo2SyncDivision', (v) => {
+      const idx = Math.round(+v);
+      lfo2SyncDivisionEl.value = idx;
+      lfo2SyncDivisionVal.textContent = fmt(idx);
+    });
     lfo2SyncDivisionEl.addEventListener('change', (e) =>
       applyLFO2SyncDivision(e.target.value)
     );
   }
 
   bind('lfo2Retrigger', 'lfo2Retrigger');
+  bind('lfo2Mode', 'lfo2Mode');
   bind('lfo2FadeIn', 'lfo2FadeIn');
+
+  // Reflect loaded patches in the controls
+  window.addEventListener('patchLoaded', (event) => {
+    const { parameters } = event.detail.patch;
+    for (const [name, value] of Object.entries(parameters)) {
+      const sync = controlSync.get(name);
+      if (sync) sync(value);
+    }
+  });
 }
@@ -0,0 +1,127 @@
+// ui/patch-controls.js - patch save/load/import/export panel
+
+export function initPatchControls(patchManager) {
+  const selectEl = document.getElementById('patchSelect');
+  const nameEl = document.getElementById('patchName');
+  const loadBtn = document.getElementById('patchLoad');
+  const saveBtn = document.getElementById('patchSave');
+  const deleteBtn = document.getElementById('patchDelete');
+  const exportBtn = document.getElementById('patchExport');
+  const importBtn = document.getElementById('patchImport');
+  const importFileEl = document.getElementById('patchImportFile');
+  const statusEl = document.getElementById('patchStatus');
+
+  if (!selectEl || !nameEl || !statusEl) {
+    console.error('Patch panel elements not found');
+    return;
+  }
+
+  const setStatus = (message, isError = false) => {
+    statusEl.textContent = message;
+    statusEl.classList.toggle('error', isError);
+  };
+
+  const renderPatchList = (selectedName = null) => {
+    const names = patchManager.getPatchNames();
+    selectEl.innerHTML = '';
+
+    if (names.length === 0) {
+      const option = document.createElement('option');
+      option.value = '';
+      option.textContent = 'No saved patches';
+      selectEl.appendChild(option);
+      selectEl.disabled = true;
+      return;
+    }
+
+    selectEl.disabled = false;
+    names.forEach((name) => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      selectEl.appendChild(option);
+    });
+    if (selectedName && names.includes(selectedName)) {
+      selectEl.value = selectedName;
+    }
+  };
+
+  loadBtn?.addEventListener('click', () => {
+    const name = selectEl.value;
+    if (!name) return;
+    if (patchManager.loadPatch(name)) {
+      nameEl.value = name;
+      setStatus(`Loaded "${name}"`);
+    } else {
+      setStatus(`Patch "${name}" not found`, true);
+    }
+  });
+
+  // Double-click a patch in the list to load it
+  selectEl.addEventListener('dblclick', () => loadBtn?.click());
+
+  saveBtn?.addEventListener('click', () => {
+    try {
+      const patch = patchManager.savePatch(nameEl.value);
+      renderPatchList(patch.name);
+      setStatus(`Saved "${patch.name}"`);
+    } catch (err) {
+      setStatus(err.message, true);
+    }
+  });
+
+  deleteBtn?.addEventListener('click', () => {
+    const name = selectEl.value;
+    if (!name) return;
+    if (!confirm(`Delete patch "${name}"?`)) return;
+    patchManager.deletePatch(name);
+    renderPatchList();
+    setStatus(`Deleted "${name}"`);
+  });
+
+  exportBtn?.addEventListener('click', () => {
+    try {
+      const name = nameEl.value.trim() || 'Untitled';
+      const json = patchManager.exportPatch(name);
+      const blob = new Blob([json], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${name.replace(/[^\w\- ]+/g, '_')}.json`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+      setStatus(`Exported "${name}"`);
+    } catch (err) {
+      setStatus(err.message, true);
+    }
+  });
+
+  importBtn?.addEventListener('click', () => importFileEl?.click());
+
+  importFileEl?.addEventListener('change', async () => {
+    const file = importFileEl.files?.[0];
+    if (!file) return;
+
+    try {
+      const patch = patchManager.importPatch(await file.text());
+      patchManager.applyPatch(patch);
+      renderPatchList(patch.name);
+      nameEl.value = patch.name;
+      setStatus(`Imported "${patch.name}"`);
+    } catch (err) {
+      setStatus(err.message, true);
+    } finally {
+      // Allow re-importing the same file
+      importFileEl.value = '';
+    }
+  });
+
+  // Keep the name field in step with patches loaded elsewhere (preset browser)
+  window.addEventListener('patchLoaded', (event) => {
+    nameEl.value = event.detail.patch.name;
+  });
+
+  renderPatchList();
+}
@@ -0,0 +1,133 @@
+// ui/preset-controls.js - preset browser panel (categories, search, favorites)
+
+export function initPresetControls(presetBrowser) {
+  const categoryEl = document.getElementById('presetCategory');
+  const searchEl = document.getElementById('presetSearch');
+  const listEl = document.getElementById('presetList');
+  const prevBtn = document.getElementById('presetPrev');
+  const nextBtn = document.getElementById('presetNext');
+  const favoriteBtn = document.getElementById('presetFavorite');
+  const currentEl = document.getElementById('presetCurrent');
+
+  if (!categoryEl || !searchEl || !listEl) {
+    console.error('Preset browser elements not found');
+    return;
+  }
+
+  const updateCurrent = () => {
+    const id = presetBrowser.currentId;
+    const entry = id
+      ? presetBrowser.getEntries().find((e) => e.id === id)
+      : null;
+
+    if (currentEl) {
+      currentEl.textContent = entry ? entry.name : '—';
+      currentEl.title = entry ? entry.category : '';
+    }
+    if (favoriteBtn) {
+      const isFavorite = entry ? presetBrowser.isFavorite(entry.id) : false;
+      favoriteBtn.textContent = isFavorite ? '★' : '☆';
+      favoriteBtn.classList.toggle('active', isFavorite);
+      favoriteBtn.disabled = !entry;
+    }
+  };
+
+  const renderList = () => {
+    const entries = presetBrowser.getFilteredEntries();
+    listEl.innerHTML = '';
+
+    if (entries.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'small preset-empty';
+      empty.textContent = 'No presets match';
+      listEl.appendChild(empty);
+      return;
+    }
+
+    entries.forEach((entry) => {
+      const row = document.createElement('div');
+      row.className = 'preset-item';
+      row.classList.toggle('selected', entry.id === presetBrowser.currentId);
+      row.dataset.id = entry.id;
+
+      const star = document.createElement('button');
+      star.type = 'button';
+      star.className = 'preset-star';
+      star.classList.toggle('active', presetBrowser.isFavorite(entry.id));
+      star.textContent = presetBrowser.isFavorite(entry.id) ? '★' : '☆';
+      star.title = 'Toggle favorite';
+      star.addEventListener('click', (e) => {
+        e.stopPropagation();
+        presetBrowser.toggleFavorite(entry.id);
+        renderList();
+        updateCurrent();
+      });
+
+      const name = document.createElement('span');
+      name.className = 'preset-name';
+      name.textContent = entry.name;
+
+      const category = document.createElement('span');
+      category.className = 'preset-category';
+      category.textContent = entry.category;
+
+      row.appendChild(star);
+      row.appendChild(name);
+      row.appendChild(category);
+      row.addEventListener('click', () => {
+        presetBrowser.select(entry.id);
+        renderList();
+        updateCurrent();
+      });
+
+      listEl.appendChild(row);
+    });
+
+    listEl.querySelector('.preset-item.selected')?.scrollIntoView({
+      block: 'nearest',
+    });
+  };
+
+  // Category filter options
+  presetBrowser.getFilters().forEach((filter) => {
+    const option = document.createElement('option');
+    option.value = filter;
+    option.textContent = filter;
+    categoryEl.appendChild(option);
+  });
+  categoryEl.value = presetBrowser.category;
+  categoryEl.addEventListener('change', (e) => {
+    presetBrowser.setCategory(e.target.value);
+    renderList();
+  });
+
+  searchEl.addEventListener('input', (e) => {
+    presetBrowser.setSearch(e.target.value);
+    renderList();
+  });
+
+  const step = (direction) => {
+    if (direction > 0) presetBrowser.next();
+    else presetBrowser.previous();
+    renderList();
+    updateCurrent();
+  };
+  prevBtn?.addEventListener('click', () => step(-1));
+  nextBtn?.addEventListener('click', () => step(1));
+
+  favoriteBtn?.addEventListener('click', () => {
+    if (!presetBrowser.currentId) return;
+    presetBrowser.toggleFavorite(presetBrowser.currentId);
+    renderList();
+    updateCurrent();
+  });
+
+  // User patches saved, imported or deleted in the patch panel
+  window.addEventListener('patchListChanged', () => {
+    renderList();
+    updateCurrent();
+  });
+
+  renderList();
+  updateCurrent();
+}
@@ -0,0 +1,160 @@
+// ui/step-seq-editor.js - Modulation step sequencer editor (canvas)
+import {
+  STEP_SEQ_MAX_STEPS,
+  getParameter,
+} from '../utils/parameter-registry.js';
+
+const STEP_GAP = 2;
+
+/**
+ * Read the steps from the synth
+ * @param {{getParam: Function}} synth - Synth (or anything with getParam)
+ * @returns {{count: number, steps: Array<{value: number, glide: number}>}}
+ *   Active step count and all STEP_SEQ_MAX_STEPS steps
+ */
+export function readStepSeq(synth) {
+  const value = (name) =>
+    synth.getParam(name) ?? getParameter(name).defaultValue;
+  const count = Math.max(
+    1,
+    Math.min(STEP_SEQ_MAX_STEPS, Math.round(value('stepSeqSteps')))
+  );
+
+  const steps = [];
+  for (let i = 0; i < STEP_SEQ_MAX_STEPS; i++) {
+    steps.push({
+      value: value(`stepSeqValue${i + 1}`),
+      glide: value(`stepSeqGlide${i + 1}`),
+    });
+  }
+  return { count, steps };
+}
+
+/**
+ * Sequencer output within a step, the same way the worklet computes it
+ * @param {Array<{value: number, glide: number}>} steps - All steps
+ * @param {number} count - Active step count
+ * @param {number} index - Step (0 to count - 1)
+ * @param {number} t - Progress through the step (0-1)
+ * @returns {number} Value (0-1)
+ */
+export function stepSeqValueAt(steps, count, index, t) {
+  const { value, glide } = steps[index];
+  if (glide <= 0 || t >= glide) return value;
+  const previous = steps[index > 0 ? index - 1 : count - 1].value;
+  return previous + (value - previous) * (t / glide);
+}
+
+export function initStepSeqEditor(synth) {
+  const canvas = document.getElementById('stepSeqCanvas');
+  if (!canvas) {
+    console.error('Step sequencer canvas not found');
+    return;
+  }
+  const ctx = canvas.getContext('2d');
+  const stepsEl = document.getElementById('stepSeqSteps');
+
+  let { count, steps } = readStepSeq(synth);
+  let drag = null; // { glide: false } draws values, { glide: true, index } sets a glide
+
+  const stepWidth = () => canvas.width / STEP_SEQ_MAX_STEPS;
+  const toY = (value) => (1 - value) * canvas.height;
+
+  const draw = () => {
+    const { width, height } = canvas;
+    const w = stepWidth();
+    ctx.clearRect(0, 0, width, height);
+
+    steps.forEach((step, i) => {
+      const x = i * w;
+      const active = i < count;
+
+      // Bar for the step value
+      ctx.fillStyle = active ? 'rgba(110, 168, 254, 0.55)' : '#262a31';
+      ctx.fillRect(
+        x + STEP_GAP / 2,
+        toY(step.value),
+        w - STEP_GAP,
+        height - toY(step.value)
+      );
+
+      // Output line, including the glide from the previous step
+      if (!active) return;
+      ctx.strokeStyle = '#e6e7ea';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      const segments = Math.max(1, Math.round(w));
+      for (let s = 0; s <= segments; s++) {
+        const t = s / segments;
+        const y = toY(stepSeqValueAt(steps, count, i, t));
+        if (s === 0) ctx.moveTo(x + t * w, y);
+        else ctx.lineTo(x + t * w, y);
+      }
+      ctx.stroke();
+    });
+  };
+
+  const canvasPosition = (e) => {
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: ((e.clientX - rect.left) * canvas.width) / rect.width,
+      y: ((e.clientY - rect.top) * canvas.height) / rect.height,
+    };
+  };
+
+  const clamp01 = (v) => Math.max(0, Math.min(1, v));
+
+  const stepAt = (x) =>
+    Math.max(0, Math.min(STEP_SEQ_MAX_STEPS - 1, Math.floor(x / stepWidth())));
+
+  const setStep = (index, field, value) => {
+    steps = steps.slice();
+    steps[index] = { ...steps[index], [field]: value };
+    const prefix = field === 'glide' ? 'stepSeqGlide' : 'stepSeqValue';
+    synth.setParam(`${prefix}${index + 1}`, value);
+    draw();
+  };
+
+  // Drag draws values across steps; Shift-drag sets a step's glide from the
+  // horizontal position within it
+  const edit = (pos) => {
+    if (drag.glide) {
+      const start = drag.index * stepWidth();
+      setStep(drag.index, 'glide', clamp01((pos.x - start) / stepWidth()));
+    } else {
+      setStep(stepAt(pos.x), 'value', clamp01(1 - pos.y / canvas.height));
+    }
+  };
+
+  canvas.addEventListener('pointerdown', (e) => {
+    const pos = canvasPosition(e);
+    drag = e.shiftKey
+      ? { glide: true, index: stepAt(pos.x) }
+      : { glide: false };
+    canvas.setPointerCapture(e.pointerId);
+    edit(pos);
+  });
+
+  canvas.addEventListener('pointermove', (e) => {
+    if (drag) edit(canvasPosition(e));
+  });
+
+  const endDrag = () => {
+    drag = null;
+  };
+  canvas.addEventListener('pointerup', endDrag);
+  canvas.addEventListener('pointercancel', endDrag);
+
+  // The step count slider updates before the synth does
+  stepsEl?.addEventListener('input', () => {
+    count = Math.round(+stepsEl.value);
+    draw();
+  });
+
+  window.addEventListener('patchLoaded', () => {
+    ({ count, steps } = readStepSeq(synth));
+    draw();
+  });
+
+  draw();
+}
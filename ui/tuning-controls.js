@@ -0,0 +1,121 @@
+// ui/tuning-controls.js - built-in tuning selection and Scala .scl/.kbm import
+import {
+  BUILTIN_TUNINGS,
+  DEFAULT_KEYBOARD_MAPPING,
+  buildTuningTable,
+  getMappingReference,
+  parseKbm,
+  parseScl,
+} from '../audio/tuning.js';
+
+export function initTuningControls(synth) {
+  const tuningEl = document.getElementById('tuning');
+  const sclFileEl = document.getElementById('tuningSclFile');
+  const kbmFileEl = document.getElementById('tuningKbmFile');
+  const statusEl = document.getElementById('tuningStatus');
+  const referenceEl = document.getElementById('tuningReference');
+
+  if (!tuningEl) {
+    console.error('Tuning controls not found');
+    return;
+  }
+
+  const setStatus = (message, isError = false) => {
+    if (!statusEl) return;
+    statusEl.textContent = message;
+    statusEl.classList.toggle('error', isError);
+  };
+
+  // The tuning parameter only selects a built-in scale; imported scales and
+  // keyboard mappings are kept here and combined into the table sent over
+  let scale = {
+    name: BUILTIN_TUNINGS[0].name,
+    cents: BUILTIN_TUNINGS[0].cents,
+  };
+  let keyboard = DEFAULT_KEYBOARD_MAPPING;
+
+  // Build first, so a bad scale/mapping pair leaves the current tuning alone
+  const apply = (nextScale, nextKeyboard) => {
+    const table = buildTuningTable(nextScale, nextKeyboard);
+    scale = nextScale;
+    keyboard = nextKeyboard;
+    synth.setTuning({ name: scale.name, table });
+  };
+
+  // The table leaves the reference frequency to tuningReference, so a
+  // mapping's frequency goes through the A4 slider (and its bound handler)
+  const applyReference = (mapping) => {
+    if (!referenceEl) return '';
+    const frequency = getMappingReference(mapping);
+    const min = +referenceEl.min;
+    const max = +referenceEl.max;
+    referenceEl.value = Math.min(max, Math.max(min, frequency));
+    referenceEl.dispatchEvent(new Event('input'));
+    return frequency < min || frequency > max
+      ? ` (A4 ${frequency.toFixed(1)} Hz clamped to ${referenceEl.value} Hz)`
+      : '';
+  };
+
+  const loadBuiltin = (index) => {
+    const entry = BUILTIN_TUNINGS[Math.round(index)];
+    if (!entry) return;
+    try {
+      apply(entry, keyboard);
+      setStatus(keyboard === DEFAULT_KEYBOARD_MAPPING ? '' : 'Custom mapping');
+    } catch (err) {
+      setStatus(err.message, true);
+    }
+  };
+
+  tuningEl.addEventListener('change', (e) => loadBuiltin(e.target.value));
+
+  document
+    .getElementById('tuningSclImport')
+    ?.addEventListener('click', () => sclFileEl?.click());
+  document
+    .getElementById('tuningKbmImport')
+    ?.addEventListener('click', () => kbmFileEl?.click());
+
+  const onImport = (fileEl, load) => {
+    fileEl?.addEventListener('change', async () => {
+      const file = fileEl.files?.[0];
+      if (!file) return;
+      try {
+        setStatus(load(file.name, await file.text()));
+      } catch (err) {
+        setStatus(err.message, true);
+      } finally {
+        // Allow re-importing the same file
+        fileEl.value = '';
+      }
+    });
+  };
+
+  onImport(sclFileEl, (fileName, text) => {
+    const { description, cents } = parseScl(text);
+    const name = description || fileName.replace(/\.scl$/i, '');
+    apply({ name, cents }, keyboard);
+    return `Loaded "${name}" (${cents.length} notes)`;
+  });
+
+  onImport(kbmFileEl, (fileName, text) => {
+    const mapping = parseKbm(text);
+    apply(scale, mapping);
+    const name = fileName.replace(/\.kbm$/i, '');
+    return `Mapping "${name}" on ${scale.name}${applyReference(mapping)}`;
+  });
+
+  document.getElementById('tuningKbmReset')?.addEventListener('click', () => {
+    apply(scale, DEFAULT_KEYBOARD_MAPPING);
+    applyReference(DEFAULT_KEYBOARD_MAPPING);
+    setStatus('');
+  });
+
+  // Patches store the built-in tuning index; imported files aren't saved
+  window.addEventListener('patchLoaded', (event) => {
+    const index = event.detail.patch.parameters?.tuning;
+    if (index !== undefined) loadBuiltin(index);
+  });
+
+  loadBuiltin(tuningEl.value);
+}
@@ -0,0 +1,66 @@
+// ui/wavetable-controls.js - oscillator 2 wavetable selection and WAV import
+import {
+  buildWavetable,
+  createBuiltinWavetable,
+  wavToFrames,
+} from '../audio/wavetables.js';
+
+export function initWavetableControls(synth) {
+  const tableEl = document.getElementById('osc2Wavetable');
+  const importBtn = document.getElementById('wavetableImport');
+  const importFileEl = document.getElementById('wavetableImportFile');
+  const statusEl = document.getElementById('wavetableStatus');
+
+  if (!tableEl) {
+    console.error('Wavetable controls not found');
+    return;
+  }
+
+  const setStatus = (message, isError = false) => {
+    if (!statusEl) return;
+    statusEl.textContent = message;
+    statusEl.classList.toggle('error', isError);
+  };
+
+  // The oscillator2Wavetable parameter only selects the table; the samples
+  // themselves are built here and sent to the worklet
+  const loadBuiltin = (index) => {
+    try {
+      synth.setWavetable(createBuiltinWavetable(index));
+      setStatus('');
+    } catch (err) {
+      setStatus(err.message, true);
+    }
+  };
+
+  tableEl.addEventListener('change', (e) => loadBuiltin(e.target.value));
+
+  importBtn?.addEventListener('click', () => importFileEl?.click());
+
+  importFileEl?.addEventListener('change', async () => {
+    const file = importFileEl.files?.[0];
+    if (!file) return;
+
+    try {
+      const name = file.name.replace(/\.wav$/i, '');
+      const table = buildWavetable(wavToFrames(await file.arrayBuffer()), name);
+      synth.setWavetable(table);
+      setStatus(
+        `Loaded "${name}" (${table.frameCount} frame${table.frameCount === 1 ? '' : 's'})`
+      );
+    } catch (err) {
+      setStatus(err.message, true);
+    } finally {
+      // Allow re-importing the same file
+      importFileEl.value = '';
+    }
+  });
+
+  // Patches store the built-in table index; imported tables aren't saved
+  window.addEventListener('patchLoaded', (event) => {
+    const index = event.detail.patch.parameters?.oscillator2Wavetable;
+    if (index !== undefined) loadBuiltin(index);
+  });
+
+  loadBuiltin(tableEl.value);
+}
@@ -13,8 +13,42 @@
  * - unit: display unit (optional)
  * - displayFormat: function to format value for UI (optional)
  * - displayScale: 'linear' or 'exponential' for UI sliders (optional)
+ * - smoothingTime: seconds the worklet takes to glide to a new value
+ *   (optional; parameters without one change immediately)
  */
 
+// Parameter smoothing times (seconds): long enough to hide block steps and
+// 7-bit MIDI CC jumps, short enough to feel immediate
+const SMOOTHING_TIME = 0.02;
+const SMOOTHING_TIME_FAST = 0.005;
+
+// Default smoothing time for numeric FX parameters (see fx/parameter-manager.js)
+export const FX_SMOOTHING_TIME = 0.02;
+
+// Note names for pitch displays (same as utils/music.js; the registry stays
+// import-free because it is inlined into the worklet)
+const NOTE_NAMES = [
+  'C',
+  'C#',
+  'D',
+  'D#',
+  'E',
+  'F',
+  'F#',
+  'G',
+  'G#',
+  'A',
+  'A#',
+  'B',
+];
+
+// Envelope curve display: -1 = logarithmic, 0 = linear, +1 = exponential
+function formatEnvelopeCurve(v) {
+  const percent = Math.round(Math.abs(v) * 100);
+  if (percent === 0) return 'Linear';
+  return `${v < 0 ? 'Log' : 'Exp'} ${percent}`;
+}
+
 /**
  * Modulation matrix source names
  */
@@ -29,6 +63,17 @@ export const MATRIX_SOURCES = [
   'LFO2',
   'Amp Env',
   'Filter Env',
+  'Mod Env',
+  'MSEG',
+  'Step Seq',
+  'Key Random',
+  'Alternate',
+  'Release Vel',
+  'MIDI CC',
+  'Sustain',
+  'Poly Pressure',
+  'MPE Bend',
+  'MPE Slide',
 ];
 
 /**
@@ -61,26 +106,211 @@ export const MATRIX_DESTINATIONS = [
   'Pan Depth',
   'Pan Rate',
   'Master Volume',
+  'Filter Morph',
+  'OSC1 Morph',
+  'OSC2 WT Position',
+  'FX Parameter',
 ];
 
 /**
  * Get matrix source name by index
- * @param {number} index - Source index (0-9)
+ * @param {number} index - Source index (see MATRIX_SOURCES)
  * @returns {string} Source name
  */
 export function getMatrixSourceName(index) {
   return MATRIX_SOURCES[Math.round(index)] || 'None';
 }
 
+/**
+ * Aftertouch slot destination names (the slots predate the matrix and keep
+ * their own destination list)
+ */
+export const AFTERTOUCH_DESTINATIONS = [
+  'None',
+  'OSC1 Pitch',
+  'OSC1 Volume',
+  'Sub1 Volume',
+  'OSC1 PW',
+  'PWM Rate',
+  'FM Depth',
+  'OSC2 Pitch',
+  'OSC2 Volume',
+  'Sub2 Volume',
+  'Ring Volume',
+  'Noise Volume',
+  'LP Cutoff',
+  'LP Resonance',
+  'HP Cutoff',
+  'HP Resonance',
+  'Pan Depth',
+  'Pan Rate',
+];
+
 /**
  * Get matrix destination name by index
- * @param {number} index - Destination index (0-25)
+ * @param {number} index - Destination index (see MATRIX_DESTINATIONS)
  * @returns {string} Destination name
  */
 export function getMatrixDestinationName(index) {
   return MATRIX_DESTINATIONS[Math.round(index)] || 'None';
 }
 
+/**
+ * Matrix slot response curve names
+ */
+export const MATRIX_CURVES = [
+  'Linear',
+  'Exponential',
+  'Logarithmic',
+  'S-Curve',
+  'Stepped',
+];
+
+/**
+ * Matrix slot polarity names
+ * Native keeps the source's own range (0..1 or -1..+1); the others convert
+ * sources of the opposite polarity.
+ */
+export const MATRIX_POLARITIES = ['Native', 'Unipolar', 'Bipolar'];
+
+/**
+ * Maximum number of MSEG breakpoints
+ */
+export const MSEG_MAX_POINTS = 16;
+
+// Default MSEG shape: a plain attack/decay/release contour on four points
+const MSEG_DEFAULT_POINTS = [
+  { time: 0.0, level: 0.0 },
+  { time: 0.1, level: 1.0 },
+  { time: 0.4, level: 0.5 },
+  { time: 1.0, level: 0.0 },
+];
+
+/**
+ * MSEG breakpoint parameters: msegTime/msegLevel/msegCurve 1-16
+ * Times are positions within the envelope length (0-1); each curve bends the
+ * segment leading into its point (-1 log, 0 linear, +1 exp).
+ * @returns {Array<object>} Parameter definitions
+ */
+function createMsegPointParameters() {
+  const parameters = [];
+  for (let i = 0; i < MSEG_MAX_POINTS; i++) {
+    const point = MSEG_DEFAULT_POINTS[i] || { time: 1.0, level: 0.0 };
+    parameters.push(
+      {
+        name: `msegTime${i + 1}`,
+        defaultValue: point.time,
+        minValue: 0.0,
+        maxValue: 1.0,
+        automationRate: 'k-rate',
+        unit: '%',
+        displayFormat: (v) => Math.round(v * 100),
+      },
+      {
+        name: `msegLevel${i + 1}`,
+        defaultValue: point.level,
+        minValue: 0.0,
+        maxValue: 1.0,
+        automationRate: 'k-rate',
+        unit: '%',
+        displayFormat: (v) => Math.round(v * 100),
+      },
+      {
+        name: `msegCurve${i + 1}`,
+        defaultValue: 0.0,
+        minValue: -1.0,
+        maxValue: 1.0,
+        automationRate: 'k-rate',
+        unit: '',
+        displayFormat: formatEnvelopeCurve,
+      }
+    );
+  }
+  return parameters;
+}
+
+/**
+ * Number of steps in the modulation step sequencer
+ */
+export const STEP_SEQ_MAX_STEPS = 16;
+
+/**
+ * Step sequencer step parameters: stepSeqValue/stepSeqGlide 1-16
+ * Glide is the fraction of the step spent sliding from the previous value.
+ * @returns {Array<object>} Parameter definitions
+ */
+function createStepSeqParameters() {
+  const parameters = [];
+  for (let i = 0; i < STEP_SEQ_MAX_STEPS; i++) {
+    parameters.push(
+      {
+        name: `stepSeqValue${i + 1}`,
+        defaultValue: 0.0,
+        minValue: 0.0,
+        maxValue: 1.0,
+        automationRate: 'k-rate',
+        unit: '%',
+        displayFormat: (v) => Math.round(v * 100),
+      },
+      {
+        name: `stepSeqGlide${i + 1}`,
+        defaultValue: 0.0,
+        minValue: 0.0,
+        maxValue: 1.0,
+        automationRate: 'k-rate',
+        unit: '%',
+        displayFormat: (v) => Math.round(v * 100),
+      }
+    );
+  }
+  return parameters;
+}
+
+/**
+ * Number of aftertouch slots
+ */
+export const AFTERTOUCH_SLOTS = 4;
+
+/**
+ * Aftertouch slot parameters: aftertouchDest/Amount/PerVoice 1-4
+ * @returns {Array<object>} Parameter definitions
+ */
+function createAftertouchParameters() {
+  const parameters = [];
+  for (let i = 1; i <= AFTERTOUCH_SLOTS; i++) {
+    parameters.push(
+      {
+        name: `aftertouchDest${i}`,
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: AFTERTOUCH_DESTINATIONS.length - 1,
+        automationRate: 'k-rate',
+        unit: '',
+        displayFormat: (v) => AFTERTOUCH_DESTINATIONS[Math.round(v)] || 'None',
+      },
+      {
+        name: `aftertouchAmount${i}`,
+        defaultValue: 0.0,
+        minValue: -1.0,
+        maxValue: 1.0,
+        automationRate: 'k-rate',
+        unit: '',
+        displayFormat: (v) => v.toFixed(2),
+      },
+      {
+        name: `aftertouchPerVoice${i}`,
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: 'k-rate',
+        unit: '',
+        displayFormat: (v) => (v > 0 ? 'Per Voice' : 'Channel'),
+      }
+    );
+  }
+  return parameters;
+}
+
 export const SYNTH_PARAMETERS = [
   // === OSCILLATOR 1 ===
   {
@@ -107,15 +337,39 @@ export const SYNTH_PARAMETERS = [
     minValue: 0.0,
     maxValue: 1.0,
     automationRate: 'a-rate',
+    smoothingTime: SMOOTHING_TIME,
     unit: '%',
     displayFormat: (v) => Math.round(v * 100),
   },
+  {
+    name: 'oscillatorWaveform',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: 4,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => {
+      const waveforms = ['Pulse', 'Saw', 'Triangle', 'Sine', 'Morph'];
+      return waveforms[Math.round(v)] || 'Pulse';
+    },
+  },
+  {
+    name: 'oscillatorMorph',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: 1,
+    automationRate: 'k-rate',
+    smoothingTime: SMOOTHING_TIME,
+    unit: '%',
+    displayFormat: (v) => Math.round(v * 100), // 0 = Pulse, 33 = Saw, 67 = Tri, 100 = Sine
+  },
   {
     name: 'pulseWidth',
     defaultValue: 0.5,
     minValue: 0.01,
     maxValue: 0.99,
     automationRate: 'a-rate',
+    smoothingTime: SMOOTHING_TIME,
     unit: '%',
     displayFormat: (v) => Math.round(v * 100),
   },
@@ -125,6 +379,7 @@ export const SYNTH_PARAMETERS = [
     minValue: 0.0,
     maxValue: 1.0,
     automationRate: 'a-rate',
+    smoothingTime: SMOOTHING_TIME,
     unit: '%',
     displayFormat: (v) => Math.round(v * 100),
   },
@@ -143,6 +398,7 @@ export const SYNTH_PARAMETERS = [
     minValue: 0.0,
     maxValue: 1.0,
     automationRate: 'a-rate',
+    smoothingTime: SMOOTHING_TIME,
     unit: '%',
     displayFormat: (v) => Math.round(v * 100),
   },
@@ -152,6 +408,7 @@ export const SYNTH_PARAMETERS = [
     minValue: 0.0,
     maxValue: 1.0,
     automationRate: 'a-rate',
+    smoothingTime: SMOOTHING_TIME,
     unit: '%',
     displayFormat: (v) => Math.round(v * 100),
   },
@@ -161,15 +418,46 @@ export const SYNTH_PARAMETERS = [
     name: 'oscillator2Waveform',
     defaultValue: 0,
     minValue: 0,
-    maxValue: 3,
+    maxValue: 4,
     automationRate: 'k-rate',
     unit: '',
     displayFormat: (v) => {
-      const waveforms = ['Saw', 'Triangle', 'Sine', 'Square'];
+      const waveforms = ['Saw', 'Triangle', 'Sine', 'Square', 'Wavetable'];
       return waveforms[Math.round(v)] || 'Saw';
     },
   },
   {
+    name: 'oscillator2Wavetable',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: 4,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => {
+      // Built-in tables from audio/wavetables.js (kept inline: no imports here)
+      const tables = [
+        'Basic Shapes',
+        'PWM Sweep',
+        'Harmonic Sweep',
+        'Sync Sweep',
+        'Formant',
+      ];
+      return tables[Math.round(v)] || 'Basic Shapes';
+    },
+  },
+  {
+    name: 'oscillator2WavetablePosition',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: 1,
+    automationRate: 'k-rate',
+    smoothingTime: SMOOTHING_TIME,
+    unit: '%',
+    displayFormat: (v) => Math.round(v * 100),
+  },
+  {
+    // Not smoothed: semitone steps are musical intervals, and a glide between
+    // them would sound as a pitch sweep rather than hide a zipper
     name: 'oscillator2CoarseTune',
     defaultValue: 0,
     minValue: -48,
@@ -184,6 +472,7 @@ export const SYNTH_PARAMETERS = [
     minValue: -50,
     maxValue: 50,
     automationRate: 'a-rate',
+    smoothingTime: SMOOTHING_TIME,
     unit: 'cents',
     displayFormat: (v) => Math.round(v),
   },
@@ -193,6 +482,7 @@ export const SYNTH_PARAMETERS = [
     minValue: 0.0,
     maxValue: 1.0,
     automationRate: 'a-rate',
+    smoothingTime: SMOOTHING_TIME,
     unit: '%',
     displayFormat: (v) => Math.round(v * 100),
   },
@@ -202,10 +492,12 @@ export const SYNTH_PARAMETERS = [
     minValue: 0.0,
     maxValue: 1.0,
     automationRate: 'a-rate',
+    smoothingTime: SMOOTHING_TIME,
     unit: '%',
     displayFormat: (v) => Math.round(v * 100),
   },
   {
+    // Not smoothed: an on/off switch has no values in between
     name: 'oscillator2HardSync',
     defaultValue: 0,
     minValue: 0,
@@ -222,6 +514,7 @@ export const SYNTH_PARAMETERS = [
     minValue: 0.0,
     maxValue: 1.0,
     automationRate: 'a-rate',
+    smoothingTime: SMOOTHING_TIME,
     unit: '%',
     displayFormat: (v) => Math.round(v * 100),
   },
@@ -231,6 +524,7 @@ export const SYNTH_PARAMETERS = [
     minValue: 0.0,
     maxValue: 1.0,
     automationRate: 'a-rate',
+    smoothingTime: SMOOTHING_TIME,
     unit: '%',
     displayFormat: (v) => Math.round(v * 100),
   },
@@ -258,7 +552,7 @@ export const SYNTH_PARAMETERS = [
     name: 'lfo1Waveform',
     defaultValue: 0,
     minValue: 0,
-    maxValue: 5,
+    maxValue: 7,
     automationRate: 'k-rate',
     unit: '',
     displayFormat: (v) => {
@@ -269,6 +563,8 @@ export const SYNTH_PARAMETERS = [
         'Saw Up',
         'Saw Down',
         'S&H',
+        'Smooth Random',
+        'Noise',
       ];
       return waveforms[Math.round(v)] || 'Sine';
     },
@@ -327,6 +623,15 @@ export const SYNTH_PARAMETERS = [
     unit: '',
     displayFormat: (v) => (v > 0 ? 'Key' : 'Free'),
   },
+  {
+    name: 'lfo1Mode',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => (v > 0 ? 'Global' : 'Per Voice'),
+  },
   {
     name: 'lfo1FadeIn',
     defaultValue: 0.0,
@@ -361,7 +666,7 @@ export const SYNTH_PARAMETERS = [
     name: 'lfo2Waveform',
     defaultValue: 0,
     minValue: 0,
-    maxValue: 5,
+    maxValue: 7,
     automationRate: 'k-rate',
     unit: '',
     displayFormat: (v) => {
@@ -372,6 +677,8 @@ export const SYNTH_PARAMETERS = [
         'Saw Up',
         'Saw Down',
         'S&H',
+        'Smooth Random',
+        'Noise',
       ];
       return waveforms[Math.round(v)] || 'Sine';
     },
@@ -430,6 +737,15 @@ export const SYNTH_PARAMETERS = [
     unit: '',
     displayFormat: (v) => (v > 0 ? 'Key' : 'Free'),
   },
+  {
+    name: 'lfo2Mode',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => (v > 0 ? 'Global' : 'Per Voice'),
+  },
   {
     name: 'lfo2FadeIn',
     defaultValue: 0.0,
@@ -448,6 +764,7 @@ export const SYNTH_PARAMETERS = [
     minValue: -1.0,
     maxValue: 1.0,
     automationRate: 'a-rate',
+    smoothingTime: SMOOTHING_TIME,
     unit: '%',
     displayFormat: (v) => `${(v * 100).toFixed(0)}%`,
   },
@@ -457,6 +774,7 @@ export const SYNTH_PARAMETERS = [
     minValue: 0.0,
     maxValue: 1.0,
     automationRate: 'a-rate',
+    smoothingTime: SMOOTHING_TIME,
     unit: '%',
     displayFormat: (v) => Math.round(v * 100),
   },
@@ -526,6 +844,7 @@ export const SYNTH_PARAMETERS = [
     minValue: -1,
     maxValue: 1,
     automationRate: 'a-rate',
+    smoothingTime: SMOOTHING_TIME_FAST,
     unit: '',
     displayFormat: (v) => v.toFixed(2),
   },
@@ -544,445 +863,1331 @@ export const SYNTH_PARAMETERS = [
     minValue: 0,
     maxValue: 1,
     automationRate: 'k-rate',
+    smoothingTime: SMOOTHING_TIME,
     unit: '',
     displayFormat: (v) => Math.round(v * 100) + '%',
   },
-
-  // === FILTER (LOWPASS) ===
-  {
-    name: 'filterCutoff',
-    defaultValue: 5000,
-    minValue: 20,
-    maxValue: 20000,
-    automationRate: 'a-rate',
-    unit: 'Hz',
-    displayFormat: (v) => Math.round(v),
-    displayScale: 'exponential',
-  },
   {
-    name: 'filterResonance',
-    defaultValue: 0.1,
-    minValue: 0.0,
-    maxValue: 0.95,
-    automationRate: 'a-rate',
-    unit: '%',
-    displayFormat: (v) => Math.round(v * 100),
+    name: 'sustainPedal',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => (v > 0 ? 'On' : 'Off'),
   },
 
-  // === FILTER (HIGHPASS) ===
-  {
-    name: 'hpfCutoff',
-    defaultValue: 20,
-    minValue: 20,
-    maxValue: 20000,
-    automationRate: 'a-rate',
-    unit: 'Hz',
-    displayFormat: (v) => Math.round(v),
-    displayScale: 'exponential',
-  },
+  // === TUNING ===
+  // The tuning table itself is built on the main thread (audio/tuning.js) and
+  // sent to the worklet; this parameter selects a built-in one
   {
-    name: 'hpfResonance',
-    defaultValue: 0.1,
-    minValue: 0.0,
-    maxValue: 0.95,
-    automationRate: 'a-rate',
-    unit: '%',
-    displayFormat: (v) => Math.round(v * 100),
+    name: 'tuning',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: 3,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => {
+      // Built-in tunings from audio/tuning.js (kept inline: no imports here)
+      const tunings = ['12-TET', 'Just Intonation', 'Pythagorean', '19-EDO'];
+      return tunings[Math.round(v)] || '12-TET';
+    },
   },
-
-  // === FILTER ENVELOPE ===
   {
-    name: 'filterEnvAttack',
-    defaultValue: 0.005,
-    minValue: 0.001,
-    maxValue: 6.0,
+    // Frequency of A4; scales the whole tuning (set from imported .kbm files)
+    name: 'tuningReference',
+    defaultValue: 440,
+    minValue: 400,
+    maxValue: 480,
     automationRate: 'k-rate',
-    unit: 'ms',
-    displayFormat: (v) => Math.round(v * 1000),
+    unit: 'Hz',
+    displayFormat: (v) => v.toFixed(1),
   },
+
+  // === VOICE MODE ===
   {
-    name: 'filterEnvDecay',
-    defaultValue: 0.1,
-    minValue: 0.001,
-    maxValue: 6.0,
+    name: 'voiceMode',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: 2,
     automationRate: 'k-rate',
-    unit: 'ms',
-    displayFormat: (v) => Math.round(v * 1000),
+    unit: '',
+    displayFormat: (v) => {
+      const modes = ['Poly', 'Mono', 'Legato'];
+      return modes[Math.round(v)] || 'Poly';
+    },
   },
   {
-    name: 'filterEnvSustain',
-    defaultValue: 0.7,
-    minValue: 0.0,
-    maxValue: 1.0,
+    name: 'notePriority',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: 2,
     automationRate: 'k-rate',
-    unit: '%',
-    displayFormat: (v) => Math.round(v * 100),
+    unit: '',
+    displayFormat: (v) => {
+      const priorities = ['Last', 'Low', 'High'];
+      return priorities[Math.round(v)] || 'Last';
+    },
   },
   {
-    name: 'filterEnvRelease',
-    defaultValue: 0.2,
-    minValue: 0.001,
-    maxValue: 6.0,
+    name: 'portamentoTime',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: 5.0,
     automationRate: 'k-rate',
     unit: 'ms',
     displayFormat: (v) => Math.round(v * 1000),
   },
   {
-    name: 'lpEnvAmount',
-    defaultValue: 0.0,
-    minValue: -1.0,
-    maxValue: 1.0,
-    automationRate: 'a-rate',
-    unit: '',
-    displayFormat: (v) => Math.round(v * 100),
-  },
-  {
-    name: 'hpEnvAmount',
-    defaultValue: 0.0,
-    minValue: -1.0,
-    maxValue: 1.0,
-    automationRate: 'a-rate',
+    name: 'portamentoMode',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: 1,
+    automationRate: 'k-rate',
     unit: '',
-    displayFormat: (v) => Math.round(v * 100),
+    displayFormat: (v) => (v > 0 ? 'Rate' : 'Time'),
   },
-
-  // === LEGACY AFTERTOUCH (DEPRECATED - kept for backward compatibility) ===
-  // TODO: Remove after worklet migration to matrix system
   {
-    name: 'aftertouchDest1',
+    name: 'portamentoLegato',
     defaultValue: 0,
     minValue: 0,
-    maxValue: 17,
+    maxValue: 1,
     automationRate: 'k-rate',
     unit: '',
-    displayFormat: (v) => 'None',
+    displayFormat: (v) => (v > 0 ? 'Legato' : 'Always'),
   },
+
+  // === POLYPHONY ===
   {
-    name: 'aftertouchAmount1',
-    defaultValue: 0.0,
-    minValue: -1.0,
-    maxValue: 1.0,
+    name: 'polyphony',
+    defaultValue: 8,
+    minValue: 1,
+    maxValue: 32,
     automationRate: 'k-rate',
     unit: '',
-    displayFormat: (v) => '0.00',
+    displayFormat: (v) => Math.round(v),
   },
   {
-    name: 'aftertouchDest2',
-    defaultValue: 0,
+    name: 'voiceStealing',
+    defaultValue: 4,
     minValue: 0,
-    maxValue: 17,
+    maxValue: 4,
     automationRate: 'k-rate',
     unit: '',
-    displayFormat: (v) => 'None',
+    displayFormat: (v) => {
+      const policies = [
+        'Oldest',
+        'Quietest',
+        'Lowest',
+        'Highest',
+        'Protect Held',
+      ];
+      return policies[Math.round(v)] || 'Protect Held';
+    },
   },
+
+  // === UNISON ===
   {
-    name: 'aftertouchAmount2',
-    defaultValue: 0.0,
-    minValue: -1.0,
-    maxValue: 1.0,
+    name: 'unisonVoices',
+    defaultValue: 1,
+    minValue: 1,
+    maxValue: 8,
     automationRate: 'k-rate',
     unit: '',
-    displayFormat: (v) => '0.00',
+    displayFormat: (v) => (Math.round(v) > 1 ? Math.round(v) : 'Off'),
   },
   {
-    name: 'aftertouchDest3',
-    defaultValue: 0,
+    name: 'unisonDetune',
+    defaultValue: 15,
     minValue: 0,
-    maxValue: 17,
+    maxValue: 50,
     automationRate: 'k-rate',
-    unit: '',
-    displayFormat: (v) => 'None',
+    unit: 'cents',
+    displayFormat: (v) => Math.round(v),
   },
   {
-    name: 'aftertouchAmount3',
-    defaultValue: 0.0,
-    minValue: -1.0,
+    name: 'unisonSpread',
+    defaultValue: 0.5,
+    minValue: 0.0,
     maxValue: 1.0,
     automationRate: 'k-rate',
-    unit: '',
-    displayFormat: (v) => '0.00',
+    unit: '%',
+    displayFormat: (v) => Math.round(v * 100),
   },
   {
-    name: 'aftertouchDest4',
-    defaultValue: 0,
-    minValue: 0,
-    maxValue: 17,
+    name: 'unisonPhaseRandom',
+    defaultValue: 1.0,
+    minValue: 0.0,
+    maxValue: 1.0,
     automationRate: 'k-rate',
-    unit: '',
-    displayFormat: (v) => 'None',
+    unit: '%',
+    displayFormat: (v) => Math.round(v * 100),
   },
+
+  // === ANALOG DRIFT ===
+  // Per-voice variation: a slow pitch wander, fixed cutoff and envelope time
+  // offsets drawn once per voice, and random oscillator phase on note-on.
+  // Each depth is scaled by driftAmount (0 = every voice identical).
   {
-    name: 'aftertouchAmount4',
+    name: 'driftAmount',
     defaultValue: 0.0,
-    minValue: -1.0,
+    minValue: 0.0,
     maxValue: 1.0,
     automationRate: 'k-rate',
-    unit: '',
-    displayFormat: (v) => '0.00',
+    unit: '%',
+    displayFormat: (v) => Math.round(v * 100),
+  },
+  {
+    // Up to ±12 cents
+    name: 'driftPitch',
+    defaultValue: 0.5,
+    minValue: 0.0,
+    maxValue: 1.0,
+    automationRate: 'k-rate',
+    unit: '%',
+    displayFormat: (v) => Math.round(v * 100),
+  },
+  {
+    // Up to ±1/2 octave
+    name: 'driftCutoff',
+    defaultValue: 0.5,
+    minValue: 0.0,
+    maxValue: 1.0,
+    automationRate: 'k-rate',
+    unit: '%',
+    displayFormat: (v) => Math.round(v * 100),
+  },
+  {
+    // Up to ±25% on attack, decay and release
+    name: 'driftEnvelope',
+    defaultValue: 0.5,
+    minValue: 0.0,
+    maxValue: 1.0,
+    automationRate: 'k-rate',
+    unit: '%',
+    displayFormat: (v) => Math.round(v * 100),
+  },
+  {
+    name: 'driftPhase',
+    defaultValue: 0.5,
+    minValue: 0.0,
+    maxValue: 1.0,
+    automationRate: 'k-rate',
+    unit: '%',
+    displayFormat: (v) => Math.round(v * 100),
+  },
+
+  // === FILTER (LOWPASS) ===
+  {
+    name: 'filterCutoff',
+    defaultValue: 5000,
+    minValue: 20,
+    maxValue: 20000,
+    automationRate: 'a-rate',
+    smoothingTime: SMOOTHING_TIME,
+    unit: 'Hz',
+    displayFormat: (v) => Math.round(v),
+    displayScale: 'exponential',
+  },
+  {
+    name: 'filterResonance',
+    defaultValue: 0.1,
+    minValue: 0.0,
+    maxValue: 0.95,
+    automationRate: 'a-rate',
+    smoothingTime: SMOOTHING_TIME,
+    unit: '%',
+    displayFormat: (v) => Math.round(v * 100),
+  },
+  {
+    name: 'filterMode',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: 5,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => {
+      const modes = ['LP24', 'LP12', 'BP', 'Notch', 'Peak', 'Morph'];
+      return modes[Math.round(v)] || 'LP24';
+    },
+  },
+  {
+    name: 'filterMorph',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: 1,
+    automationRate: 'k-rate',
+    smoothingTime: SMOOTHING_TIME,
+    unit: '%',
+    displayFormat: (v) => Math.round(v * 100), // 0 = LP, 50 = BP, 100 = HP
+  },
+
+  // === FILTER (HIGHPASS) ===
+  {
+    name: 'hpfCutoff',
+    defaultValue: 20,
+    minValue: 20,
+    maxValue: 20000,
+    automationRate: 'a-rate',
+    smoothingTime: SMOOTHING_TIME,
+    unit: 'Hz',
+    displayFormat: (v) => Math.round(v),
+    displayScale: 'exponential',
+  },
+  {
+    name: 'hpfResonance',
+    defaultValue: 0.1,
+    minValue: 0.0,
+    maxValue: 0.95,
+    automationRate: 'a-rate',
+    smoothingTime: SMOOTHING_TIME,
+    unit: '%',
+    displayFormat: (v) => Math.round(v * 100),
+  },
+
+  // === FILTER ROUTING ===
+  {
+    name: 'filterRouting',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: 3,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => {
+      const routings = ['HP→LP', 'LP→HP', 'Parallel', 'Split'];
+      return routings[Math.round(v)] || 'HP→LP';
+    },
+  },
+  {
+    name: 'filterBalance',
+    defaultValue: 0.5,
+    minValue: 0.0,
+    maxValue: 1.0,
+    automationRate: 'k-rate',
+    smoothingTime: SMOOTHING_TIME,
+    unit: '%',
+    displayFormat: (v) => Math.round(v * 100), // 0 = LP only, 100 = HP only
+  },
+
+  // === FILTER KEY TRACKING ===
+  {
+    name: 'lpKeyTrack',
+    defaultValue: 0.0,
+    minValue: 0.0,
+    maxValue: 1.0,
+    automationRate: 'k-rate',
+    unit: '%',
+    displayFormat: (v) => Math.round(v * 100),
+  },
+  {
+    name: 'hpKeyTrack',
+    defaultValue: 0.0,
+    minValue: 0.0,
+    maxValue: 1.0,
+    automationRate: 'k-rate',
+    unit: '%',
+    displayFormat: (v) => Math.round(v * 100),
+  },
+  {
+    name: 'keyTrackPivot',
+    defaultValue: 60,
+    minValue: 0,
+    maxValue: 127,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => {
+      const note = Math.round(v);
+      return `${NOTE_NAMES[note % 12]}${Math.floor(note / 12) - 1}`;
+    },
+  },
+
+  // === FILTER ENVELOPE ===
+  {
+    name: 'filterEnvAttack',
+    defaultValue: 0.005,
+    minValue: 0.001,
+    maxValue: 6.0,
+    automationRate: 'k-rate',
+    unit: 'ms',
+    displayFormat: (v) => Math.round(v * 1000),
+  },
+  {
+    name: 'filterEnvDecay',
+    defaultValue: 0.1,
+    minValue: 0.001,
+    maxValue: 6.0,
+    automationRate: 'k-rate',
+    unit: 'ms',
+    displayFormat: (v) => Math.round(v * 1000),
+  },
+  {
+    name: 'filterEnvSustain',
+    defaultValue: 0.7,
+    minValue: 0.0,
+    maxValue: 1.0,
+    automationRate: 'k-rate',
+    unit: '%',
+    displayFormat: (v) => Math.round(v * 100),
+  },
+  {
+    name: 'filterEnvRelease',
+    defaultValue: 0.2,
+    minValue: 0.001,
+    maxValue: 6.0,
+    automationRate: 'k-rate',
+    unit: 'ms',
+    displayFormat: (v) => Math.round(v * 1000),
+  },
+  {
+    name: 'lpEnvAmount',
+    defaultValue: 0.0,
+    minValue: -1.0,
+    maxValue: 1.0,
+    automationRate: 'a-rate',
+    smoothingTime: SMOOTHING_TIME,
+    unit: '',
+    displayFormat: (v) => Math.round(v * 100),
+  },
+  {
+    name: 'hpEnvAmount',
+    defaultValue: 0.0,
+    minValue: -1.0,
+    maxValue: 1.0,
+    automationRate: 'a-rate',
+    smoothingTime: SMOOTHING_TIME,
+    unit: '',
+    displayFormat: (v) => Math.round(v * 100),
+  },
+  {
+    name: 'filterEnvVelocity',
+    defaultValue: 0.0,
+    minValue: 0.0,
+    maxValue: 1.0,
+    automationRate: 'k-rate',
+    unit: '%',
+    displayFormat: (v) => Math.round(v * 100),
+  },
+
+  // === MOD ENVELOPE (DAHDSR, matrix source) ===
+  {
+    name: 'modEnvDelay',
+    defaultValue: 0.0,
+    minValue: 0.0,
+    maxValue: 6.0,
+    automationRate: 'k-rate',
+    unit: 'ms',
+    displayFormat: (v) => Math.round(v * 1000),
+  },
+  {
+    name: 'modEnvAttack',
+    defaultValue: 0.005,
+    minValue: 0.0,
+    maxValue: 6.0,
+    automationRate: 'k-rate',
+    unit: 'ms',
+    displayFormat: (v) => Math.round(v * 1000),
+  },
+  {
+    name: 'modEnvHold',
+    defaultValue: 0.0,
+    minValue: 0.0,
+    maxValue: 6.0,
+    automationRate: 'k-rate',
+    unit: 'ms',
+    displayFormat: (v) => Math.round(v * 1000),
+  },
+  {
+    name: 'modEnvDecay',
+    defaultValue: 0.3,
+    minValue: 0.0,
+    maxValue: 6.0,
+    automationRate: 'k-rate',
+    unit: 'ms',
+    displayFormat: (v) => Math.round(v * 1000),
+  },
+  {
+    name: 'modEnvSustain',
+    defaultValue: 0.0,
+    minValue: 0.0,
+    maxValue: 1.0,
+    automationRate: 'k-rate',
+    unit: '%',
+    displayFormat: (v) => Math.round(v * 100),
+  },
+  {
+    name: 'modEnvRelease',
+    defaultValue: 0.2,
+    minValue: 0.0,
+    maxValue: 6.0,
+    automationRate: 'k-rate',
+    unit: 'ms',
+    displayFormat: (v) => Math.round(v * 1000),
+  },
+  {
+    name: 'modEnvAttackCurve',
+    defaultValue: 0.0,
+    minValue: -1.0,
+    maxValue: 1.0,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: formatEnvelopeCurve,
+  },
+  {
+    name: 'modEnvDecayCurve',
+    defaultValue: 0.0,
+    minValue: -1.0,
+    maxValue: 1.0,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: formatEnvelopeCurve,
+  },
+  {
+    name: 'modEnvReleaseCurve',
+    defaultValue: 0.0,
+    minValue: -1.0,
+    maxValue: 1.0,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: formatEnvelopeCurve,
+  },
+
+  // === MSEG (multi-segment envelope, matrix source) ===
+  {
+    name: 'msegPointCount',
+    defaultValue: MSEG_DEFAULT_POINTS.length,
+    minValue: 2,
+    maxValue: MSEG_MAX_POINTS,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => Math.round(v),
+  },
+  {
+    name: 'msegLength',
+    defaultValue: 1.0,
+    minValue: 0.01,
+    maxValue: 30.0,
+    automationRate: 'k-rate',
+    unit: 's',
+    displayFormat: (v) =>
+      v >= 1.0 ? v.toFixed(2) + 's' : Math.round(v * 1000) + 'ms',
+  },
+  {
+    name: 'msegTempoSync',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => (v > 0 ? 'On' : 'Off'),
+  },
+  {
+    name: 'msegSyncDivision',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: 13,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => {
+      const divisions = [
+        '1/1',
+        '1/2',
+        '1/2D',
+        '1/2T',
+        '1/4',
+        '1/4D',
+        '1/4T',
+        '1/8',
+        '1/8D',
+        '1/8T',
+        '1/16',
+        '1/16D',
+        '1/16T',
+        '1/32',
+      ];
+      return divisions[Math.round(v)] || '1/1';
+    },
+  },
+  {
+    name: 'msegRetrigger',
+    defaultValue: 1,
+    minValue: 0,
+    maxValue: 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => (v > 0 ? 'Key' : 'Free'),
+  },
+  {
+    name: 'msegLoop',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => (v > 0 ? 'On' : 'Off'),
+  },
+  {
+    name: 'msegLoopStart',
+    defaultValue: 1,
+    minValue: 0,
+    maxValue: MSEG_MAX_POINTS - 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => Math.round(v) + 1, // Point number
+  },
+  {
+    name: 'msegLoopEnd',
+    defaultValue: 2,
+    minValue: 0,
+    maxValue: MSEG_MAX_POINTS - 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => Math.round(v) + 1,
+  },
+  ...createMsegPointParameters(),
+
+  // === STEP SEQUENCER (tempo-synced, matrix source) ===
+  {
+    name: 'stepSeqSteps',
+    defaultValue: STEP_SEQ_MAX_STEPS,
+    minValue: 1,
+    maxValue: STEP_SEQ_MAX_STEPS,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => Math.round(v),
+  },
+  {
+    name: 'stepSeqSyncDivision',
+    defaultValue: 10, // 1/16
+    minValue: 0,
+    maxValue: 13,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => {
+      const divisions = [
+        '1/1',
+        '1/2',
+        '1/2D',
+        '1/2T',
+        '1/4',
+        '1/4D',
+        '1/4T',
+        '1/8',
+        '1/8D',
+        '1/8T',
+        '1/16',
+        '1/16D',
+        '1/16T',
+        '1/32',
+      ];
+      return divisions[Math.round(v)] || '1/16';
+    },
+  },
+  {
+    name: 'stepSeqSwing', // Delays every second step, up to a 75/25 split
+    defaultValue: 0.0,
+    minValue: 0.0,
+    maxValue: 1.0,
+    automationRate: 'k-rate',
+    unit: '%',
+    displayFormat: (v) => Math.round(v * 100) + '%',
+  },
+  {
+    name: 'stepSeqRetrigger',
+    defaultValue: 1,
+    minValue: 0,
+    maxValue: 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => (v > 0 ? 'Key' : 'Free'),
+  },
+  ...createStepSeqParameters(),
+
+  // === AFTERTOUCH SLOTS ===
+  // Four fixed routes from pressure to AFTERTOUCH_DESTINATIONS, alongside the
+  // matrix. Each reads channel pressure, or the voice's own key pressure (poly
+  // aftertouch or MPE) when set to per voice.
+  ...createAftertouchParameters(),
+
+  // === MODULATION MATRIX (12 slots) ===
+  // Each slot has: source (see MATRIX_SOURCES), destination (see
+  // MATRIX_DESTINATIONS), amount (-100 to +100), the CC number used when
+  // the source is MIDI CC, a via source scaling the amount, response curve,
+  // polarity and bypass. The FX Parameter destination modulates an effect
+  // parameter chosen per slot in the FX chain (FXController.setModulationTarget)
+
+  // Slot 1
+  {
+    name: 'matrixSource1',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: MATRIX_SOURCES.length - 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => getMatrixSourceName(v),
+  },
+  {
+    name: 'matrixDest1',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: MATRIX_DESTINATIONS.length - 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => getMatrixDestinationName(v),
+  },
+  {
+    name: 'matrixAmount1',
+    defaultValue: 0,
+    minValue: -100,
+    maxValue: 100,
+    automationRate: 'k-rate',
+    smoothingTime: SMOOTHING_TIME,
+    unit: '%',
+    displayFormat: (v) => (v >= 0 ? '+' : '') + Math.round(v) + '%',
+  },
+  {
+    name: 'matrixCC1',
+    defaultValue: 1,
+    minValue: 0,
+    maxValue: 127,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => 'CC ' + Math.round(v),
+  },
+  {
+    name: 'matrixVia1', // Scales the amount (None = full amount)
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: MATRIX_SOURCES.length - 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => getMatrixSourceName(v),
+  },
+  {
+    name: 'matrixCurve1',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: MATRIX_CURVES.length - 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => MATRIX_CURVES[Math.round(v)] || 'Linear',
+  },
+  {
+    name: 'matrixPolarity1',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: MATRIX_POLARITIES.length - 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => MATRIX_POLARITIES[Math.round(v)] || 'Native',
+  },
+  {
+    name: 'matrixBypass1',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => (v > 0 ? 'On' : 'Off'),
   },
 
-  // === MODULATION MATRIX (12 slots) ===
-  // Each slot has: source (0-9), destination (0-25), amount (-100 to +100)
-
-  // Slot 1
+  // Slot 2
+  {
+    name: 'matrixSource2',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: MATRIX_SOURCES.length - 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => getMatrixSourceName(v),
+  },
+  {
+    name: 'matrixDest2',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: MATRIX_DESTINATIONS.length - 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => getMatrixDestinationName(v),
+  },
+  {
+    name: 'matrixAmount2',
+    defaultValue: 0,
+    minValue: -100,
+    maxValue: 100,
+    automationRate: 'k-rate',
+    smoothingTime: SMOOTHING_TIME,
+    unit: '%',
+    displayFormat: (v) => (v >= 0 ? '+' : '') + Math.round(v) + '%',
+  },
+  {
+    name: 'matrixCC2',
+    defaultValue: 1,
+    minValue: 0,
+    maxValue: 127,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => 'CC ' + Math.round(v),
+  },
+  {
+    name: 'matrixVia2',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: MATRIX_SOURCES.length - 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => getMatrixSourceName(v),
+  },
+  {
+    name: 'matrixCurve2',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: MATRIX_CURVES.length - 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => MATRIX_CURVES[Math.round(v)] || 'Linear',
+  },
+  {
+    name: 'matrixPolarity2',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: MATRIX_POLARITIES.length - 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => MATRIX_POLARITIES[Math.round(v)] || 'Native',
+  },
+  {
+    name: 'matrixBypass2',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => (v > 0 ? 'On' : 'Off'),
+  },
+
+  // Slot 3
+  {
+    name: 'matrixSource3',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: MATRIX_SOURCES.length - 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => getMatrixSourceName(v),
+  },
+  {
+    name: 'matrixDest3',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: MATRIX_DESTINATIONS.length - 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => getMatrixDestinationName(v),
+  },
+  {
+    name: 'matrixAmount3',
+    defaultValue: 0,
+    minValue: -100,
+    maxValue: 100,
+    automationRate: 'k-rate',
+    smoothingTime: SMOOTHING_TIME,
+    unit: '%',
+    displayFormat: (v) => (v >= 0 ? '+' : '') + Math.round(v) + '%',
+  },
+  {
+    name: 'matrixCC3',
+    defaultValue: 1,
+    minValue: 0,
+    maxValue: 127,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => 'CC ' + Math.round(v),
+  },
+  {
+    name: 'matrixVia3',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: MATRIX_SOURCES.length - 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => getMatrixSourceName(v),
+  },
+  {
+    name: 'matrixCurve3',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: MATRIX_CURVES.length - 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => MATRIX_CURVES[Math.round(v)] || 'Linear',
+  },
+  {
+    name: 'matrixPolarity3',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: MATRIX_POLARITIES.length - 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => MATRIX_POLARITIES[Math.round(v)] || 'Native',
+  },
+  {
+    name: 'matrixBypass3',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => (v > 0 ? 'On' : 'Off'),
+  },
+
+  // Slot 4
+  {
+    name: 'matrixSource4',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: MATRIX_SOURCES.length - 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => getMatrixSourceName(v),
+  },
+  {
+    name: 'matrixDest4',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: MATRIX_DESTINATIONS.length - 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => getMatrixDestinationName(v),
+  },
+  {
+    name: 'matrixAmount4',
+    defaultValue: 0,
+    minValue: -100,
+    maxValue: 100,
+    automationRate: 'k-rate',
+    smoothingTime: SMOOTHING_TIME,
+    unit: '%',
+    displayFormat: (v) => (v >= 0 ? '+' : '') + Math.round(v) + '%',
+  },
+  {
+    name: 'matrixCC4',
+    defaultValue: 1,
+    minValue: 0,
+    maxValue: 127,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => 'CC ' + Math.round(v),
+  },
+  {
+    name: 'matrixVia4',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: MATRIX_SOURCES.length - 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => getMatrixSourceName(v),
+  },
+  {
+    name: 'matrixCurve4',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: MATRIX_CURVES.length - 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => MATRIX_CURVES[Math.round(v)] || 'Linear',
+  },
+  {
+    name: 'matrixPolarity4',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: MATRIX_POLARITIES.length - 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => MATRIX_POLARITIES[Math.round(v)] || 'Native',
+  },
+  {
+    name: 'matrixBypass4',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => (v > 0 ? 'On' : 'Off'),
+  },
+
+  // Slot 5
+  {
+    name: 'matrixSource5',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: MATRIX_SOURCES.length - 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => getMatrixSourceName(v),
+  },
+  {
+    name: 'matrixDest5',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: MATRIX_DESTINATIONS.length - 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => getMatrixDestinationName(v),
+  },
+  {
+    name: 'matrixAmount5',
+    defaultValue: 0,
+    minValue: -100,
+    maxValue: 100,
+    automationRate: 'k-rate',
+    smoothingTime: SMOOTHING_TIME,
+    unit: '%',
+    displayFormat: (v) => (v >= 0 ? '+' : '') + Math.round(v) + '%',
+  },
+  {
+    name: 'matrixCC5',
+    defaultValue: 1,
+    minValue: 0,
+    maxValue: 127,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => 'CC ' + Math.round(v),
+  },
+  {
+    name: 'matrixVia5',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: MATRIX_SOURCES.length - 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => getMatrixSourceName(v),
+  },
   {
-    name: 'matrixSource1',
+    name: 'matrixCurve5',
     defaultValue: 0,
     minValue: 0,
-    maxValue: 9,
+    maxValue: MATRIX_CURVES.length - 1,
     automationRate: 'k-rate',
     unit: '',
-    displayFormat: (v) => getMatrixSourceName(v),
+    displayFormat: (v) => MATRIX_CURVES[Math.round(v)] || 'Linear',
   },
   {
-    name: 'matrixDest1',
+    name: 'matrixPolarity5',
     defaultValue: 0,
     minValue: 0,
-    maxValue: 25,
+    maxValue: MATRIX_POLARITIES.length - 1,
     automationRate: 'k-rate',
     unit: '',
-    displayFormat: (v) => getMatrixDestinationName(v),
+    displayFormat: (v) => MATRIX_POLARITIES[Math.round(v)] || 'Native',
   },
   {
-    name: 'matrixAmount1',
+    name: 'matrixBypass5',
     defaultValue: 0,
-    minValue: -100,
-    maxValue: 100,
+    minValue: 0,
+    maxValue: 1,
     automationRate: 'k-rate',
-    unit: '%',
-    displayFormat: (v) => (v >= 0 ? '+' : '') + Math.round(v) + '%',
+    unit: '',
+    displayFormat: (v) => (v > 0 ? 'On' : 'Off'),
   },
 
-  // Slot 2
+  // Slot 6
   {
-    name: 'matrixSource2',
+    name: 'matrixSource6',
     defaultValue: 0,
     minValue: 0,
-    maxValue: 9,
+    maxValue: MATRIX_SOURCES.length - 1,
     automationRate: 'k-rate',
     unit: '',
     displayFormat: (v) => getMatrixSourceName(v),
   },
   {
-    name: 'matrixDest2',
+    name: 'matrixDest6',
     defaultValue: 0,
     minValue: 0,
-    maxValue: 25,
+    maxValue: MATRIX_DESTINATIONS.length - 1,
     automationRate: 'k-rate',
     unit: '',
     displayFormat: (v) => getMatrixDestinationName(v),
   },
   {
-    name: 'matrixAmount2',
+    name: 'matrixAmount6',
     defaultValue: 0,
     minValue: -100,
     maxValue: 100,
     automationRate: 'k-rate',
+    smoothingTime: SMOOTHING_TIME,
     unit: '%',
     displayFormat: (v) => (v >= 0 ? '+' : '') + Math.round(v) + '%',
   },
-
-  // Slot 3
   {
-    name: 'matrixSource3',
+    name: 'matrixCC6',
+    defaultValue: 1,
+    minValue: 0,
+    maxValue: 127,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => 'CC ' + Math.round(v),
+  },
+  {
+    name: 'matrixVia6',
     defaultValue: 0,
     minValue: 0,
-    maxValue: 9,
+    maxValue: MATRIX_SOURCES.length - 1,
     automationRate: 'k-rate',
     unit: '',
     displayFormat: (v) => getMatrixSourceName(v),
   },
   {
-    name: 'matrixDest3',
+    name: 'matrixCurve6',
     defaultValue: 0,
     minValue: 0,
-    maxValue: 25,
+    maxValue: MATRIX_CURVES.length - 1,
     automationRate: 'k-rate',
     unit: '',
-    displayFormat: (v) => getMatrixDestinationName(v),
+    displayFormat: (v) => MATRIX_CURVES[Math.round(v)] || 'Linear',
   },
   {
-    name: 'matrixAmount3',
+    name: 'matrixPolarity6',
     defaultValue: 0,
-    minValue: -100,
-    maxValue: 100,
+    minValue: 0,
+    maxValue: MATRIX_POLARITIES.length - 1,
     automationRate: 'k-rate',
-    unit: '%',
-    displayFormat: (v) => (v >= 0 ? '+' : '') + Math.round(v) + '%',
+    unit: '',
+    displayFormat: (v) => MATRIX_POLARITIES[Math.round(v)] || 'Native',
+  },
+  {
+    name: 'matrixBypass6',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => (v > 0 ? 'On' : 'Off'),
   },
 
-  // Slot 4
+  // Slot 7
   {
-    name: 'matrixSource4',
+    name: 'matrixSource7',
     defaultValue: 0,
     minValue: 0,
-    maxValue: 9,
+    maxValue: MATRIX_SOURCES.length - 1,
     automationRate: 'k-rate',
     unit: '',
     displayFormat: (v) => getMatrixSourceName(v),
   },
   {
-    name: 'matrixDest4',
+    name: 'matrixDest7',
     defaultValue: 0,
     minValue: 0,
-    maxValue: 25,
+    maxValue: MATRIX_DESTINATIONS.length - 1,
     automationRate: 'k-rate',
     unit: '',
     displayFormat: (v) => getMatrixDestinationName(v),
   },
   {
-    name: 'matrixAmount4',
+    name: 'matrixAmount7',
     defaultValue: 0,
     minValue: -100,
     maxValue: 100,
     automationRate: 'k-rate',
+    smoothingTime: SMOOTHING_TIME,
     unit: '%',
     displayFormat: (v) => (v >= 0 ? '+' : '') + Math.round(v) + '%',
   },
-
-  // Slot 5
   {
-    name: 'matrixSource5',
+    name: 'matrixCC7',
+    defaultValue: 1,
+    minValue: 0,
+    maxValue: 127,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => 'CC ' + Math.round(v),
+  },
+  {
+    name: 'matrixVia7',
     defaultValue: 0,
     minValue: 0,
-    maxValue: 9,
+    maxValue: MATRIX_SOURCES.length - 1,
     automationRate: 'k-rate',
     unit: '',
     displayFormat: (v) => getMatrixSourceName(v),
   },
   {
-    name: 'matrixDest5',
+    name: 'matrixCurve7',
     defaultValue: 0,
     minValue: 0,
-    maxValue: 25,
+    maxValue: MATRIX_CURVES.length - 1,
     automationRate: 'k-rate',
     unit: '',
-    displayFormat: (v) => getMatrixDestinationName(v),
+    displayFormat: (v) => MATRIX_CURVES[Math.round(v)] || 'Linear',
   },
   {
-    name: 'matrixAmount5',
+    name: 'matrixPolarity7',
     defaultValue: 0,
-    minValue: -100,
-    maxValue: 100,
+    minValue: 0,
+    maxValue: MATRIX_POLARITIES.length - 1,
     automationRate: 'k-rate',
-    unit: '%',
-    displayFormat: (v) => (v >= 0 ? '+' : '') + Math.round(v) + '%',
+    unit: '',
+    displayFormat: (v) => MATRIX_POLARITIES[Math.round(v)] || 'Native',
+  },
+  {
+    name: 'matrixBypass7',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => (v > 0 ? 'On' : 'Off'),
   },
 
-  // Slot 6
+  // Slot 8
   {
-    name: 'matrixSource6',
+    name: 'matrixSource8',
     defaultValue: 0,
     minValue: 0,
-    maxValue: 9,
+    maxValue: MATRIX_SOURCES.length - 1,
     automationRate: 'k-rate',
     unit: '',
     displayFormat: (v) => getMatrixSourceName(v),
   },
   {
-    name: 'matrixDest6',
+    name: 'matrixDest8',
     defaultValue: 0,
     minValue: 0,
-    maxValue: 25,
+    maxValue: MATRIX_DESTINATIONS.length - 1,
     automationRate: 'k-rate',
     unit: '',
     displayFormat: (v) => getMatrixDestinationName(v),
   },
   {
-    name: 'matrixAmount6',
+    name: 'matrixAmount8',
     defaultValue: 0,
     minValue: -100,
     maxValue: 100,
     automationRate: 'k-rate',
+    smoothingTime: SMOOTHING_TIME,
     unit: '%',
     displayFormat: (v) => (v >= 0 ? '+' : '') + Math.round(v) + '%',
   },
-
-  // Slot 7
   {
-    name: 'matrixSource7',
+    name: 'matrixCC8',
+    defaultValue: 1,
+    minValue: 0,
+    maxValue: 127,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => 'CC ' + Math.round(v),
+  },
+  {
+    name: 'matrixVia8',
     defaultValue: 0,
     minValue: 0,
-    maxValue: 9,
+    maxValue: MATRIX_SOURCES.length - 1,
     automationRate: 'k-rate',
     unit: '',
     displayFormat: (v) => getMatrixSourceName(v),
   },
   {
-    name: 'matrixDest7',
+    name: 'matrixCurve8',
     defaultValue: 0,
     minValue: 0,
-    maxValue: 25,
+    maxValue: MATRIX_CURVES.length - 1,
     automationRate: 'k-rate',
     unit: '',
-    displayFormat: (v) => getMatrixDestinationName(v),
+    displayFormat: (v) => MATRIX_CURVES[Math.round(v)] || 'Linear',
   },
   {
-    name: 'matrixAmount7',
+    name: 'matrixPolarity8',
     defaultValue: 0,
-    minValue: -100,
-    maxValue: 100,
+    minValue: 0,
+    maxValue: MATRIX_POLARITIES.length - 1,
     automationRate: 'k-rate',
-    unit: '%',
-    displayFormat: (v) => (v >= 0 ? '+' : '') + Math.round(v) + '%',
+    unit: '',
+    displayFormat: (v) => MATRIX_POLARITIES[Math.round(v)] || 'Native',
+  },
+  {
+    name: 'matrixBypass8',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => (v > 0 ? 'On' : 'Off'),
   },
 
-  // Slot 8
+  // Slot 9
   {
-    name: 'matrixSource8',
+    name: 'matrixSource9',
     defaultValue: 0,
     minValue: 0,
-    maxValue: 9,
+    maxValue: MATRIX_SOURCES.length - 1,
     automationRate: 'k-rate',
     unit: '',
     displayFormat: (v) => getMatrixSourceName(v),
   },
   {
-    name: 'matrixDest8',
+    name: 'matrixDest9',
     defaultValue: 0,
     minValue: 0,
-    maxValue: 25,
+    maxValue: MATRIX_DESTINATIONS.length - 1,
     automationRate: 'k-rate',
     unit: '',
     displayFormat: (v) => getMatrixDestinationName(v),
   },
   {
-    name: 'matrixAmount8',
+    name: 'matrixAmount9',
     defaultValue: 0,
     minValue: -100,
     maxValue: 100,
     automationRate: 'k-rate',
+    smoothingTime: SMOOTHING_TIME,
     unit: '%',
     displayFormat: (v) => (v >= 0 ? '+' : '') + Math.round(v) + '%',
   },
-
-  // Slot 9
   {
-    name: 'matrixSource9',
+    name: 'matrixCC9',
+    defaultValue: 1,
+    minValue: 0,
+    maxValue: 127,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => 'CC ' + Math.round(v),
+  },
+  {
+    name: 'matrixVia9',
     defaultValue: 0,
     minValue: 0,
-    maxValue: 9,
+    maxValue: MATRIX_SOURCES.length - 1,
     automationRate: 'k-rate',
     unit: '',
     displayFormat: (v) => getMatrixSourceName(v),
   },
   {
-    name: 'matrixDest9',
+    name: 'matrixCurve9',
     defaultValue: 0,
     minValue: 0,
-    maxValue: 25,
+    maxValue: MATRIX_CURVES.length - 1,
     automationRate: 'k-rate',
     unit: '',
-    displayFormat: (v) => getMatrixDestinationName(v),
+    displayFormat: (v) => MATRIX_CURVES[Math.round(v)] || 'Linear',
   },
   {
-    name: 'matrixAmount9',
+    name: 'matrixPolarity9',
     defaultValue: 0,
-    minValue: -100,
-    maxValue: 100,
+    minValue: 0,
+    maxValue: MATRIX_POLARITIES.length - 1,
     automationRate: 'k-rate',
-    unit: '%',
-    displayFormat: (v) => (v >= 0 ? '+' : '') + Math.round(v) + '%',
+    unit: '',
+    displayFormat: (v) => MATRIX_POLARITIES[Math.round(v)] || 'Native',
+  },
+  {
+    name: 'matrixBypass9',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => (v > 0 ? 'On' : 'Off'),
   },
 
   // Slot 10
@@ -990,7 +2195,7 @@ export const SYNTH_PARAMETERS = [
     name: 'matrixSource10',
     defaultValue: 0,
     minValue: 0,
-    maxValue: 9,
+    maxValue: MATRIX_SOURCES.length - 1,
     automationRate: 'k-rate',
     unit: '',
     displayFormat: (v) => getMatrixSourceName(v),
@@ -999,7 +2204,7 @@ export const SYNTH_PARAMETERS = [
     name: 'matrixDest10',
     defaultValue: 0,
     minValue: 0,
-    maxValue: 25,
+    maxValue: MATRIX_DESTINATIONS.length - 1,
     automationRate: 'k-rate',
     unit: '',
     displayFormat: (v) => getMatrixDestinationName(v),
@@ -1010,16 +2215,62 @@ export const SYNTH_PARAMETERS = [
     minValue: -100,
     maxValue: 100,
     automationRate: 'k-rate',
+    smoothingTime: SMOOTHING_TIME,
     unit: '%',
     displayFormat: (v) => (v >= 0 ? '+' : '') + Math.round(v) + '%',
   },
+  {
+    name: 'matrixCC10',
+    defaultValue: 1,
+    minValue: 0,
+    maxValue: 127,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => 'CC ' + Math.round(v),
+  },
+  {
+    name: 'matrixVia10',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: MATRIX_SOURCES.length - 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => getMatrixSourceName(v),
+  },
+  {
+    name: 'matrixCurve10',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: MATRIX_CURVES.length - 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => MATRIX_CURVES[Math.round(v)] || 'Linear',
+  },
+  {
+    name: 'matrixPolarity10',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: MATRIX_POLARITIES.length - 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => MATRIX_POLARITIES[Math.round(v)] || 'Native',
+  },
+  {
+    name: 'matrixBypass10',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => (v > 0 ? 'On' : 'Off'),
+  },
 
   // Slot 11
   {
     name: 'matrixSource11',
     defaultValue: 0,
     minValue: 0,
-    maxValue: 9,
+    maxValue: MATRIX_SOURCES.length - 1,
     automationRate: 'k-rate',
     unit: '',
     displayFormat: (v) => getMatrixSourceName(v),
@@ -1028,7 +2279,7 @@ export const SYNTH_PARAMETERS = [
     name: 'matrixDest11',
     defaultValue: 0,
     minValue: 0,
-    maxValue: 25,
+    maxValue: MATRIX_DESTINATIONS.length - 1,
     automationRate: 'k-rate',
     unit: '',
     displayFormat: (v) => getMatrixDestinationName(v),
@@ -1039,16 +2290,62 @@ export const SYNTH_PARAMETERS = [
     minValue: -100,
     maxValue: 100,
     automationRate: 'k-rate',
+    smoothingTime: SMOOTHING_TIME,
     unit: '%',
     displayFormat: (v) => (v >= 0 ? '+' : '') + Math.round(v) + '%',
   },
+  {
+    name: 'matrixCC11',
+    defaultValue: 1,
+    minValue: 0,
+    maxValue: 127,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => 'CC ' + Math.round(v),
+  },
+  {
+    name: 'matrixVia11',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: MATRIX_SOURCES.length - 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => getMatrixSourceName(v),
+  },
+  {
+    name: 'matrixCurve11',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: MATRIX_CURVES.length - 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => MATRIX_CURVES[Math.round(v)] || 'Linear',
+  },
+  {
+    name: 'matrixPolarity11',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: MATRIX_POLARITIES.length - 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => MATRIX_POLARITIES[Math.round(v)] || 'Native',
+  },
+  {
+    name: 'matrixBypass11',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => (v > 0 ? 'On' : 'Off'),
+  },
 
   // Slot 12
   {
     name: 'matrixSource12',
     defaultValue: 0,
     minValue: 0,
-    maxValue: 9,
+    maxValue: MATRIX_SOURCES.length - 1,
     automationRate: 'k-rate',
     unit: '',
     displayFormat: (v) => getMatrixSourceName(v),
@@ -1057,7 +2354,7 @@ export const SYNTH_PARAMETERS = [
     name: 'matrixDest12',
     defaultValue: 0,
     minValue: 0,
-    maxValue: 25,
+    maxValue: MATRIX_DESTINATIONS.length - 1,
     automationRate: 'k-rate',
     unit: '',
     displayFormat: (v) => getMatrixDestinationName(v),
@@ -1068,9 +2365,55 @@ export const SYNTH_PARAMETERS = [
     minValue: -100,
     maxValue: 100,
     automationRate: 'k-rate',
+    smoothingTime: SMOOTHING_TIME,
     unit: '%',
     displayFormat: (v) => (v >= 0 ? '+' : '') + Math.round(v) + '%',
   },
+  {
+    name: 'matrixCC12',
+    defaultValue: 1,
+    minValue: 0,
+    maxValue: 127,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => 'CC ' + Math.round(v),
+  },
+  {
+    name: 'matrixVia12',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: MATRIX_SOURCES.length - 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => getMatrixSourceName(v),
+  },
+  {
+    name: 'matrixCurve12',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: MATRIX_CURVES.length - 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => MATRIX_CURVES[Math.round(v)] || 'Linear',
+  },
+  {
+    name: 'matrixPolarity12',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: MATRIX_POLARITIES.length - 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => MATRIX_POLARITIES[Math.round(v)] || 'Native',
+  },
+  {
+    name: 'matrixBypass12',
+    defaultValue: 0,
+    minValue: 0,
+    maxValue: 1,
+    automationRate: 'k-rate',
+    unit: '',
+    displayFormat: (v) => (v > 0 ? 'On' : 'Off'),
+  },
 
   // === TEMPO ===
   {
@@ -1090,6 +2433,7 @@ export const SYNTH_PARAMETERS = [
     minValue: 0.0,
     maxValue: 1.0,
     automationRate: 'a-rate',
+    smoothingTime: SMOOTHING_TIME,
     unit: '%',
     displayFormat: (v) => Math.round(v * 100),
   },
@@ -1140,6 +2484,21 @@ export function getParameterDescriptors() {
   }));
 }
 
+/**
+ * Get smoothing times for the worklet's parameter smoother
+ * @returns {Object<string, number>} Seconds by parameter name, for the
+ *   parameters that define a smoothingTime, and under 'midiCC' the time each
+ *   CC read by the MIDI CC matrix source glides over
+ */
+export function getSmoothingTimes() {
+  const times = {};
+  for (const p of SYNTH_PARAMETERS) {
+    if (p.smoothingTime !== undefined) times[p.name] = p.smoothingTime;
+  }
+  times.midiCC = SMOOTHING_TIME;
+  return times;
+}
+
 /**
  * Validate parameter value against its definition
  * @param {string} name - Parameter name
@@ -1,1219 +1,30 @@
 /**
  * FX Chain AudioWorklet Processor
- * IMPORTANT: This file must be self-contained (no imports) for AudioWorklet
- * All effect classes are inlined below
+ * IMPORTANT: The generated script must be self-contained (no imports) for
+ * AudioWorklet. The effect classes are not written here: they are inlined
+ * from fx/fx-base.js and the effects in fx/effect-registry.js by
+ * fx/worklet-source.js, on the fly in development and by build.js.
  */
 
 // ============================================================================
-// BASE CLASS
+// EFFECTS (INLINED FROM fx/effects)
 // ============================================================================
+// IMPORTANT: Do not edit this section manually!
+// Defines FXBase, the effect classes and EFFECT_CLASSES ([id, class] pairs)
 
-class FXBase {
-  constructor(sampleRate, id) {
-    this.sampleRate = sampleRate;
-    this.id = id;
-    this.enabled = true;
-    this.parameters = new Map();
-  }
-
-  process(inputL, inputR) {
-    throw new Error('process() must be implemented by subclass');
-  }
-
-  setParameter(name, value) {
-    this.parameters.set(name, value);
-    this.onParameterChange(name, value);
-  }
-
-  onParameterChange(name, value) {}
-
-  reset() {}
-}
-
-// ============================================================================
-// HARD CLIP EFFECT
-// ============================================================================
-
-class HardClipEffect extends FXBase {
-  constructor(sampleRate, id) {
-    super(sampleRate, id);
-    this.drive = 1.0;
-    this.threshold = 0.5;
-    this.mix = 1.0;
-
-    // Compensation constants (tunable)
-    this.DRIVE_COMP_STRENGTH = 0.75;
-    this.THRESHOLD_COMP_STRENGTH = 0.3;
-    this.BASE_GAIN = 1.0;
-  }
-
-  process(inputL, inputR) {
-    if (!this.enabled) return [inputL, inputR];
-
-    // Apply drive
-    let wetL = inputL * this.drive;
-    let wetR = inputR * this.drive;
-
-    // Hard clip
-    wetL = Math.max(-this.threshold, Math.min(this.threshold, wetL));
-    wetR = Math.max(-this.threshold, Math.min(this.threshold, wetR));
-
-    // Normalize to [-1, 1]
-    wetL /= this.threshold;
-    wetR /= this.threshold;
-
-    // Apply compensation
-    // Higher drive needs ATTENUATION (divide), not amplification
-    const driveComp = 1.0 / Math.pow(this.drive, this.DRIVE_COMP_STRENGTH);
-    // Lower threshold needs ATTENUATION (multiply by threshold)
-    const thresholdComp = Math.pow(
-      this.threshold,
-      this.THRESHOLD_COMP_STRENGTH
-    );
-    const totalGain = driveComp * thresholdComp * this.BASE_GAIN;
-
-    wetL *= totalGain;
-    wetR *= totalGain;
-
-    // Mix dry/wet
-    const outputL = inputL * (1 - this.mix) + wetL * this.mix;
-    const outputR = inputR * (1 - this.mix) + wetR * this.mix;
-
-    return [outputL, outputR];
-  }
-
-  onParameterChange(name, value) {
-    switch (name) {
-      case 'drive':
-        this.drive = Math.max(1, Math.min(20, value));
-        break;
-      case 'threshold':
-        this.threshold = Math.max(0.1, Math.min(1, value));
-        break;
-      case 'mix':
-        this.mix = Math.max(0, Math.min(1, value));
-        break;
-    }
-  }
-}
-
-// ============================================================================
-// PHASER EFFECT
-// ============================================================================
-
-class PhaserEffect extends FXBase {
-  constructor(sampleRate, id) {
-    super(sampleRate, id);
-
-    this.numStages = 4;
-    this.allpassL = Array(this.numStages)
-      .fill(0)
-      .map(() => ({ a1: 0, zm1: 0 }));
-    this.allpassR = Array(this.numStages)
-      .fill(0)
-      .map(() => ({ a1: 0, zm1: 0 }));
-
-    this.lfoPhase = 0;
-    this.rate = 0.5;
-    this.depth = 0.7;
-    this.feedback = 0.5;
-    this.mix = 0.5;
-    this.minFreq = 200;
-    this.maxFreq = 2000;
-    this.feedbackL = 0;
-    this.feedbackR = 0;
-
-    // Cache coefficient to avoid recalculating every sample
-    this.cachedA1 = 0;
-    this.samplesSinceUpdate = 0;
-    this.updateInterval = 32; // Update coefficient every 32 samples (~0.7ms @ 48kHz)
-  }
-
-  process(inputL, inputR) {
-    if (!this.enabled) return [inputL, inputR];
-
-    // Update LFO and coefficient only periodically
-    if (this.samplesSinceUpdate >= this.updateInterval) {
-      const lfoValue = Math.sin(this.lfoPhase * 2 * Math.PI);
-      this.lfoPhase += (this.rate * this.updateInterval) / this.sampleRate;
-      if (this.lfoPhase >= 1) this.lfoPhase -= 1;
-
-      const freqRange = this.maxFreq - this.minFreq;
-      const currentFreq =
-        this.minFreq + (lfoValue * 0.5 + 0.5) * freqRange * this.depth;
-
-      const omega = (2 * Math.PI * currentFreq) / this.sampleRate;
-      const tanHalfOmega = Math.tan(omega / 2);
-      this.cachedA1 = (tanHalfOmega - 1) / (tanHalfOmega + 1);
-
-      this.samplesSinceUpdate = 0;
-    }
-    this.samplesSinceUpdate++;
-
-    const a1 = this.cachedA1;
-
-    let outputL = inputL + this.feedbackL * this.feedback;
-    for (let i = 0; i < this.numStages; i++) {
-      const stage = this.allpassL[i];
-      const input = outputL;
-      outputL = a1 * input + stage.zm1;
-      stage.zm1 = input - a1 * outputL;
-    }
-    this.feedbackL = outputL;
-
-    let outputR = inputR + this.feedbackR * this.feedback;
-    for (let i = 0; i < this.numStages; i++) {
-      const stage = this.allpassR[i];
-      const input = outputR;
-      outputR = a1 * input + stage.zm1;
-      stage.zm1 = input - a1 * outputR;
-    }
-    this.feedbackR = outputR;
-
-    const finalL = inputL * (1 - this.mix) + outputL * this.mix;
-    const finalR = inputR * (1 - this.mix) + outputR * this.mix;
-
-    return [finalL, finalR];
-  }
-
-  onParameterChange(name, value) {
-    switch (name) {
-      case 'rate':
-        this.rate = Math.max(0.1, Math.min(10, value));
-        break;
-      case 'depth':
-        this.depth = Math.max(0, Math.min(1, value));
-        break;
-      case 'feedback':
-        this.feedback = Math.max(0, Math.min(0.95, value));
-        break;
-      case 'mix':
-        this.mix = Math.max(0, Math.min(1, value));
-        break;
-    }
-  }
-
-  reset() {
-    this.allpassL.forEach((stage) => (stage.zm1 = 0));
-    this.allpassR.forEach((stage) => (stage.zm1 = 0));
-    this.feedbackL = 0;
-    this.feedbackR = 0;
-    this.lfoPhase = 0;
-    this.samplesSinceUpdate = 0;
-    this.cachedA1 = 0;
-  }
-}
-
-// ============================================================================
-// BIT CRUSHER EFFECT
-// ============================================================================
-
-class BitCrusherEffect extends FXBase {
-  constructor(sampleRate, id) {
-    super(sampleRate, id);
-
-    this.bitDepth = 16;
-    this.sampleRateReduction = 1;
-    this.mix = 1.0;
-    this.holdCounterL = 0;
-    this.holdCounterR = 0;
-    this.heldSampleL = 0;
-    this.heldSampleR = 0;
-  }
-
-  process(inputL, inputR) {
-    if (!this.enabled) return [inputL, inputR];
-
-    let crushedL, crushedR;
-
-    if (this.holdCounterL <= 0) {
-      this.heldSampleL = inputL;
-      this.holdCounterL = this.sampleRateReduction;
-    }
-    crushedL = this.heldSampleL;
-    this.holdCounterL--;
-
-    if (this.holdCounterR <= 0) {
-      this.heldSampleR = inputR;
-      this.holdCounterR = this.sampleRateReduction;
-    }
-    crushedR = this.heldSampleR;
-    this.holdCounterR--;
-
-    const levels = Math.pow(2, this.bitDepth);
-    crushedL = Math.round(crushedL * levels) / levels;
-    crushedR = Math.round(crushedR * levels) / levels;
-
-    const outputL = inputL * (1 - this.mix) + crushedL * this.mix;
-    const outputR = inputR * (1 - this.mix) + crushedR * this.mix;
-
-    return [outputL, outputR];
-  }
-
-  onParameterChange(name, value) {
-    switch (name) {
-      case 'bitDepth':
-        this.bitDepth = Math.max(1, Math.min(16, Math.round(value)));
-        break;
-      case 'sampleRateReduction':
-        this.sampleRateReduction = Math.max(1, Math.min(50, Math.round(value)));
-        break;
-      case 'mix':
-        this.mix = Math.max(0, Math.min(1, value));
-        break;
-    }
-  }
-
-  reset() {
-    this.holdCounterL = 0;
-    this.holdCounterR = 0;
-    this.heldSampleL = 0;
-    this.heldSampleR = 0;
-  }
-}
-
-// ============================================================================
-// CHORUS EFFECT
-// ============================================================================
-
-class ChorusEffect extends FXBase {
-  constructor(sampleRate, id) {
-    super(sampleRate, id);
-
-    this.numVoices = 2;
-    this.maxDelayMs = 50;
-    this.maxDelaySamples = Math.floor(
-      (this.maxDelayMs / 1000) * this.sampleRate
-    );
-
-    this.bufferL = new Float32Array(this.maxDelaySamples);
-    this.bufferR = new Float32Array(this.maxDelaySamples);
-    this.writeIndex = 0;
-
-    this.lfoPhases = Array(this.numVoices * 2).fill(0);
-    for (let i = 0; i < this.numVoices; i++) {
-      this.lfoPhases[i * 2] = i / this.numVoices;
-      this.lfoPhases[i * 2 + 1] = (i + 0.5) / this.numVoices;
-    }
-
-    this.rate = 0.5;
-    this.depth = 0.7;
-    this.delay = 20;
-    this.mix = 0.5;
-  }
-
-  process(inputL, inputR) {
-    if (!this.enabled) return [inputL, inputR];
-
-    this.bufferL[this.writeIndex] = inputL;
-    this.bufferR[this.writeIndex] = inputR;
-
-    let chorusL = 0;
-    let chorusR = 0;
-
-    for (let voice = 0; voice < this.numVoices; voice++) {
-      const lfoIndexL = voice * 2;
-      const lfoL = Math.sin(this.lfoPhases[lfoIndexL] * 2 * Math.PI);
-      this.lfoPhases[lfoIndexL] += this.rate / this.sampleRate;
-      if (this.lfoPhases[lfoIndexL] >= 1) this.lfoPhases[lfoIndexL] -= 1;
-
-      const lfoIndexR = voice * 2 + 1;
-      const lfoR = Math.sin(this.lfoPhases[lfoIndexR] * 2 * Math.PI);
-      this.lfoPhases[lfoIndexR] += this.rate / this.sampleRate;
-      if (this.lfoPhases[lfoIndexR] >= 1) this.lfoPhases[lfoIndexR] -= 1;
-
-      const modulationRange = this.delay * 0.3 * this.depth;
-      const delayMsL = this.delay + lfoL * modulationRange;
-      const delayMsR = this.delay + lfoR * modulationRange;
-
-      const delaySamplesL = (delayMsL / 1000) * this.sampleRate;
-      const delaySamplesR = (delayMsR / 1000) * this.sampleRate;
-
-      chorusL += this.readDelayBuffer(this.bufferL, delaySamplesL);
-      chorusR += this.readDelayBuffer(this.bufferR, delaySamplesR);
-    }
-
-    chorusL /= this.numVoices;
-    chorusR /= this.numVoices;
-
-    this.writeIndex = (this.writeIndex + 1) % this.maxDelaySamples;
-
-    const outputL = inputL * (1 - this.mix) + chorusL * this.mix;
-    const outputR = inputR * (1 - this.mix) + chorusR * this.mix;
-
-    return [outputL, outputR];
-  }
-
-  readDelayBuffer(buffer, delaySamples) {
-    const readPos = this.writeIndex - delaySamples;
-    const readIndex1 =
-      (Math.floor(readPos) + this.maxDelaySamples) % this.maxDelaySamples;
-    const readIndex2 = (readIndex1 + 1) % this.maxDelaySamples;
-
-    const frac = readPos - Math.floor(readPos);
-    return buffer[readIndex1] * (1 - frac) + buffer[readIndex2] * frac;
-  }
-
-  onParameterChange(name, value) {
-    switch (name) {
-      case 'rate':
-        this.rate = Math.max(0.1, Math.min(5, value));
-        break;
-      case 'depth':
-        this.depth = Math.max(0, Math.min(1, value));
-        break;
-      case 'delay':
-        this.delay = Math.max(5, Math.min(50, value));
-        break;
-      case 'mix':
-        this.mix = Math.max(0, Math.min(1, value));
-        break;
-    }
-  }
-
-  reset() {
-    this.bufferL.fill(0);
-    this.bufferR.fill(0);
-    this.writeIndex = 0;
-    this.lfoPhases.fill(0);
-    for (let i = 0; i < this.numVoices; i++) {
-      this.lfoPhases[i * 2] = i / this.numVoices;
-      this.lfoPhases[i * 2 + 1] = (i + 0.5) / this.numVoices;
-    }
-  }
-}
-
-// ============================================================================
-// DELAY EFFECT
-// ============================================================================
-
-class DelayEffect extends FXBase {
-  constructor(sampleRate, id) {
-    super(sampleRate, id);
-
-    this.maxDelaySamples = Math.floor(sampleRate * 2);
-    this.bufferL = new Float32Array(this.maxDelaySamples);
-    this.bufferR = new Float32Array(this.maxDelaySamples);
-    this.writeIndexL = 0;
-    this.writeIndexR = 0;
-
-    this.delayTimeL = 0.25;
-    this.delayTimeR = 0.375;
-    this.feedback = 0.3;
-    this.crossFeedback = 0.0;
-    this.mix = 0.3;
-  }
-
-  process(inputL, inputR) {
-    if (!this.enabled) return [inputL, inputR];
-
-    const delaySamplesL = Math.floor(this.delayTimeL * this.sampleRate);
-    const delaySamplesR = Math.floor(this.delayTimeR * this.sampleRate);
-
-    const readIndexL =
-      (this.writeIndexL - delaySamplesL + this.maxDelaySamples) %
-      this.maxDelaySamples;
-    const readIndexR =
-      (this.writeIndexR - delaySamplesR + this.maxDelaySamples) %
-      this.maxDelaySamples;
-
-    const delayedL = this.bufferL[readIndexL];
-    const delayedR = this.bufferR[readIndexR];
-
-    this.bufferL[this.writeIndexL] =
-      inputL + delayedL * this.feedback + delayedR * this.crossFeedback;
-    this.bufferR[this.writeIndexR] =
-      inputR + delayedR * this.feedback + delayedL * this.crossFeedback;
-
-    this.writeIndexL = (this.writeIndexL + 1) % this.maxDelaySamples;
-    this.writeIndexR = (this.writeIndexR + 1) % this.maxDelaySamples;
-
-    const outputL = inputL * (1 - this.mix) + delayedL * this.mix;
-    const outputR = inputR * (1 - this.mix) + delayedR * this.mix;
-
-    return [outputL, outputR];
-  }
-
-  onParameterChange(name, value) {
-    switch (name) {
-      case 'delayTimeL':
-        this.delayTimeL = Math.max(0.001, Math.min(2, value));
-        break;
-      case 'delayTimeR':
-        this.delayTimeR = Math.max(0.001, Math.min(2, value));
-        break;
-      case 'feedback':
-        this.feedback = Math.max(0, Math.min(0.95, value));
-        break;
-      case 'crossFeedback':
-        this.crossFeedback = Math.max(0, Math.min(0.5, value));
-        break;
-      case 'mix':
-        this.mix = Math.max(0, Math.min(1, value));
-        break;
-    }
-  }
-
-  reset() {
-    this.bufferL.fill(0);
-    this.bufferR.fill(0);
-    this.writeIndexL = 0;
-    this.writeIndexR = 0;
-  }
-}
-
-// ============================================================================
-// REVERB EFFECT (Freeverb)
-// ============================================================================
-
-class ReverbEffect extends FXBase {
-  constructor(sampleRate, id) {
-    super(sampleRate, id);
-
-    const scale = sampleRate / 44100;
-
-    this.combDelaysL = [1116, 1188, 1277, 1356, 1422, 1491, 1557, 1617].map(
-      (d) => Math.floor(d * scale)
-    );
-    this.combDelaysR = [
-      1116 + 23,
-      1188 + 23,
-      1277 + 23,
-      1356 + 23,
-      1422 + 23,
-      1491 + 23,
-      1557 + 23,
-      1617 + 23,
-    ].map((d) => Math.floor(d * scale));
-
-    this.allpassDelaysL = [556, 441, 341, 225].map((d) =>
-      Math.floor(d * scale)
-    );
-    this.allpassDelaysR = [556 + 23, 441 + 23, 341 + 23, 225 + 23].map((d) =>
-      Math.floor(d * scale)
-    );
-
-    this.combBuffersL = this.combDelaysL.map(
-      (delay) => new Float32Array(delay)
-    );
-    this.combBuffersR = this.combDelaysR.map(
-      (delay) => new Float32Array(delay)
-    );
-    this.combIndicesL = Array(8).fill(0);
-    this.combIndicesR = Array(8).fill(0);
-
-    this.allpassBuffersL = this.allpassDelaysL.map(
-      (delay) => new Float32Array(delay)
-    );
-    this.allpassBuffersR = this.allpassDelaysR.map(
-      (delay) => new Float32Array(delay)
-    );
-    this.allpassIndicesL = Array(4).fill(0);
-    this.allpassIndicesR = Array(4).fill(0);
-
-    this.roomSize = 0.5;
-    this.damping = 0.5;
-    this.width = 1.0;
-    this.mix = 0.3;
-
-    this.dampingL = Array(8).fill(0);
-    this.dampingR = Array(8).fill(0);
-
-    this.updateParameters();
-  }
-
-  process(inputL, inputR) {
-    if (!this.enabled) return [inputL, inputR];
-
-    const inputMono = (inputL + inputR) * 0.5;
-
-    let combOutL = 0;
-    let combOutR = 0;
-
-    for (let i = 0; i < 8; i++) {
-      const bufL = this.combBuffersL[i];
-      const delayL = this.combDelaysL[i];
-      let idxL = this.combIndicesL[i];
-
-      let outputL = bufL[idxL];
-      this.dampingL[i] =
-        outputL * (1 - this.damping) + this.dampingL[i] * this.damping;
-      bufL[idxL] = inputMono + this.dampingL[i] * this.feedback;
-
-      combOutL += outputL;
-      this.combIndicesL[i] = (idxL + 1) % delayL;
-
-      const bufR = this.combBuffersR[i];
-      const delayR = this.combDelaysR[i];
-      let idxR = this.combIndicesR[i];
-
-      let outputR = bufR[idxR];
-      this.dampingR[i] =
-        outputR * (1 - this.damping) + this.dampingR[i] * this.damping;
-      bufR[idxR] = inputMono + this.dampingR[i] * this.feedback;
-
-      combOutR += outputR;
-      this.combIndicesR[i] = (idxR + 1) % delayR;
-    }
-
-    let allpassOutL = combOutL;
-    let allpassOutR = combOutR;
-
-    for (let i = 0; i < 4; i++) {
-      const bufL = this.allpassBuffersL[i];
-      const delayL = this.allpassDelaysL[i];
-      let idxL = this.allpassIndicesL[i];
-
-      const bufferedL = bufL[idxL];
-      const apInputL = allpassOutL;
-      allpassOutL = -apInputL + bufferedL;
-      bufL[idxL] = apInputL + bufferedL * 0.5;
-
-      this.allpassIndicesL[i] = (idxL + 1) % delayL;
-
-      const bufR = this.allpassBuffersR[i];
-      const delayR = this.allpassDelaysR[i];
-      let idxR = this.allpassIndicesR[i];
-
-      const bufferedR = bufR[idxR];
-      const apInputR = allpassOutR;
-      allpassOutR = -apInputR + bufferedR;
-      bufR[idxR] = apInputR + bufferedR * 0.5;
-
-      this.allpassIndicesR[i] = (idxR + 1) % delayR;
-    }
-
-    const wet1 = this.mix * (this.width / 2 + 0.5);
-    const wet2 = this.mix * ((1 - this.width) / 2);
-
-    const outputL =
-      inputL * (1 - this.mix) + allpassOutL * wet1 + allpassOutR * wet2;
-    const outputR =
-      inputR * (1 - this.mix) + allpassOutR * wet1 + allpassOutL * wet2;
-
-    return [outputL, outputR];
-  }
-
-  updateParameters() {
-    this.feedback = 0.28 + this.roomSize * 0.7;
-  }
-
-  onParameterChange(name, value) {
-    switch (name) {
-      case 'roomSize':
-        this.roomSize = Math.max(0, Math.min(1, value));
-        this.updateParameters();
-        break;
-      case 'damping':
-        this.damping = Math.max(0, Math.min(1, value));
-        break;
-      case 'width':
-        this.width = Math.max(0, Math.min(1, value));
-        break;
-      case 'mix':
-        this.mix = Math.max(0, Math.min(1, value));
-        break;
-    }
-  }
-
-  reset() {
-    this.combBuffersL.forEach((buf) => buf.fill(0));
-    this.combBuffersR.forEach((buf) => buf.fill(0));
-    this.allpassBuffersL.forEach((buf) => buf.fill(0));
-    this.allpassBuffersR.forEach((buf) => buf.fill(0));
-    this.combIndicesL.fill(0);
-    this.combIndicesR.fill(0);
-    this.allpassIndicesL.fill(0);
-    this.allpassIndicesR.fill(0);
-    this.dampingL.fill(0);
-    this.dampingR.fill(0);
-  }
-}
-
-// ============================================================================
-// FLANGER EFFECT
-// ============================================================================
-
-class FlangerEffect extends FXBase {
-  constructor(sampleRate, id) {
-    super(sampleRate, id);
-
-    this.maxDelaySamples = Math.floor(sampleRate * 0.02);
-    this.bufferL = new Float32Array(this.maxDelaySamples);
-    this.bufferR = new Float32Array(this.maxDelaySamples);
-    this.writeIndex = 0;
-
-    this.lfoPhase = 0;
-    this.rate = 0.5;
-    this.depth = 3.0;
-    this.feedback = 0.7;
-    this.mix = 0.5;
-  }
-
-  process(inputL, inputR) {
-    if (!this.enabled) return [inputL, inputR];
-
-    const lfoValue = Math.sin(this.lfoPhase * 2 * Math.PI);
-    this.lfoPhase += this.rate / this.sampleRate;
-    if (this.lfoPhase >= 1) this.lfoPhase -= 1;
-
-    const depthSamples = (this.depth / 1000) * this.sampleRate;
-    const delaySamples = depthSamples * (lfoValue * 0.5 + 0.5);
-
-    const clampedDelay = Math.max(
-      1,
-      Math.min(this.maxDelaySamples - 2, delaySamples)
-    );
-
-    const readPos = this.writeIndex - clampedDelay;
-    const readIndex =
-      (Math.floor(readPos) + this.maxDelaySamples) % this.maxDelaySamples;
-    const readIndexNext = (readIndex + 1) % this.maxDelaySamples;
-    const frac = readPos - Math.floor(readPos);
-
-    const delayedL =
-      this.bufferL[readIndex] * (1 - frac) + this.bufferL[readIndexNext] * frac;
-    const delayedR =
-      this.bufferR[readIndex] * (1 - frac) + this.bufferR[readIndexNext] * frac;
-
-    this.bufferL[this.writeIndex] = inputL + delayedL * this.feedback;
-    this.bufferR[this.writeIndex] = inputR + delayedR * this.feedback;
-
-    this.writeIndex = (this.writeIndex + 1) % this.maxDelaySamples;
-
-    const outputL = inputL * (1 - this.mix) + delayedL * this.mix;
-    const outputR = inputR * (1 - this.mix) + delayedR * this.mix;
-
-    return [outputL, outputR];
-  }
-
-  onParameterChange(name, value) {
-    switch (name) {
-      case 'rate':
-        this.rate = Math.max(0.1, Math.min(5, value));
-        break;
-      case 'depth':
-        this.depth = Math.max(0.1, Math.min(10, value));
-        break;
-      case 'feedback':
-        this.feedback = Math.max(-1, Math.min(1, value));
-        break;
-      case 'mix':
-        this.mix = Math.max(0, Math.min(1, value));
-        break;
-    }
-  }
-
-  reset() {
-    this.bufferL.fill(0);
-    this.bufferR.fill(0);
-    this.writeIndex = 0;
-    this.lfoPhase = 0;
-  }
-}
-
-// ============================================================================
-// TREMOLO EFFECT
-// ============================================================================
-
-class TremoloEffect extends FXBase {
-  constructor(sampleRate, id) {
-    super(sampleRate, id);
-
-    this.lfoPhase = 0;
-    this.rate = 4;
-    this.depth = 0.7;
-    this.stereoPhase = 0;
-    this.waveform = 0;
-  }
-
-  process(inputL, inputR) {
-    if (!this.enabled) return [inputL, inputR];
-
-    const lfoL = this.getLFOValue(this.lfoPhase);
-    const lfoR = this.getLFOValue((this.lfoPhase + this.stereoPhase) % 1.0);
-
-    this.lfoPhase += this.rate / this.sampleRate;
-    if (this.lfoPhase >= 1) this.lfoPhase -= 1;
-
-    const gainL = 1 - this.depth + lfoL * this.depth;
-    const gainR = 1 - this.depth + lfoR * this.depth;
-
-    const outputL = inputL * gainL;
-    const outputR = inputR * gainR;
-
-    return [outputL, outputR];
-  }
-
-  getLFOValue(phase) {
-    const waveformType = Math.round(this.waveform);
-
-    switch (waveformType) {
-      case 0:
-        return Math.sin(phase * 2 * Math.PI) * 0.5 + 0.5;
-      case 1:
-        return phase < 0.5 ? phase * 2 : 2 - phase * 2;
-      case 2:
-        return phase < 0.5 ? 1 : 0;
-      default:
-        return Math.sin(phase * 2 * Math.PI) * 0.5 + 0.5;
-    }
-  }
-
-  onParameterChange(name, value) {
-    switch (name) {
-      case 'rate':
-        this.rate = Math.max(0.1, Math.min(20, value));
-        break;
-      case 'depth':
-        this.depth = Math.max(0, Math.min(1, value));
-        break;
-      case 'stereoPhase':
-        this.stereoPhase = Math.max(0, Math.min(1, value));
-        break;
-      case 'waveform':
-        this.waveform = Math.max(0, Math.min(2, value));
-        break;
-    }
-  }
-
-  reset() {
-    this.lfoPhase = 0;
-  }
-}
-
-// ============================================================================
-// AUTO-WAH EFFECT
-// ============================================================================
-
-class AutoWahEffect extends FXBase {
-  constructor(sampleRate, id) {
-    super(sampleRate, id);
-
-    this.lfoPhase = 0;
-    this.filterStateL = { y1: 0, y2: 0, x1: 0, x2: 0 };
-    this.filterStateR = { y1: 0, y2: 0, x1: 0, x2: 0 };
-
-    this.rate = 0.5;
-    this.centerFreq = 800;
-    this.range = 2.5;
-    this.depth = 0.8;
-    this.resonance = 3.0;
-    this.waveform = 0;
-    this.mix = 1.0;
-  }
-
-  process(inputL, inputR) {
-    if (!this.enabled) return [inputL, inputR];
-
-    const lfo = this.getLFOValue(this.lfoPhase);
-
-    this.lfoPhase += this.rate / this.sampleRate;
-    if (this.lfoPhase >= 1) this.lfoPhase -= 1;
-
-    const rangeSemitones = this.range * 12;
-    const modulationSemitones = (lfo - 0.5) * 2 * rangeSemitones * this.depth;
-    const freq = this.centerFreq * Math.pow(2, modulationSemitones / 12);
-
-    const outputL = this.applyResonantLowpass(inputL, freq, this.filterStateL);
-    const outputR = this.applyResonantLowpass(inputR, freq, this.filterStateR);
-
-    const finalL = inputL * (1 - this.mix) + outputL * this.mix;
-    const finalR = inputR * (1 - this.mix) + outputR * this.mix;
-
-    return [finalL, finalR];
-  }
-
-  getLFOValue(phase) {
-    const waveformType = Math.round(this.waveform);
-
-    switch (waveformType) {
-      case 0:
-        return Math.sin(phase * 2 * Math.PI) * 0.5 + 0.5;
-      case 1:
-        return phase < 0.5 ? phase * 2 : 2 - phase * 2;
-      default:
-        return Math.sin(phase * 2 * Math.PI) * 0.5 + 0.5;
-    }
-  }
-
-  applyResonantLowpass(input, cutoffFreq, state) {
-    const freq = Math.max(20, Math.min(this.sampleRate * 0.45, cutoffFreq));
-    const omega = (2 * Math.PI * freq) / this.sampleRate;
-    const sinOmega = Math.sin(omega);
-    const cosOmega = Math.cos(omega);
-
-    const Q = Math.max(0.5, Math.min(10, this.resonance));
-    const alpha = sinOmega / (2 * Q);
-
-    const b0 = (1 - cosOmega) / 2;
-    const b1 = 1 - cosOmega;
-    const b2 = (1 - cosOmega) / 2;
-    const a0 = 1 + alpha;
-    const a1 = -2 * cosOmega;
-    const a2 = 1 - alpha;
-
-    const b0n = b0 / a0;
-    const b1n = b1 / a0;
-    const b2n = b2 / a0;
-    const a1n = a1 / a0;
-    const a2n = a2 / a0;
-
-    const output =
-      b0n * input +
-      b1n * state.x1 +
-      b2n * state.x2 -
-      a1n * state.y1 -
-      a2n * state.y2;
-
-    state.x2 = state.x1;
-    state.x1 = input;
-    state.y2 = state.y1;
-    state.y1 = output;
-
-    return output;
-  }
-
-  onParameterChange(name, value) {
-    switch (name) {
-      case 'rate':
-        this.rate = Math.max(0.1, Math.min(10, value));
-        break;
-      case 'centerFreq':
-        this.centerFreq = Math.max(200, Math.min(5000, value));
-        break;
-      case 'range':
-        this.range = Math.max(0.5, Math.min(4, value));
-        break;
-      case 'depth':
-        this.depth = Math.max(0, Math.min(1, value));
-        break;
-      case 'resonance':
-        this.resonance = Math.max(0.5, Math.min(10, value));
-        break;
-      case 'waveform':
-        this.waveform = Math.max(0, Math.min(1, value));
-        break;
-      case 'mix':
-        this.mix = Math.max(0, Math.min(1, value));
-        break;
-    }
-  }
-
-  reset() {
-    this.lfoPhase = 0;
-    this.filterStateL = { y1: 0, y2: 0, x1: 0, x2: 0 };
-    this.filterStateR = { y1: 0, y2: 0, x1: 0, x2: 0 };
-  }
-}
-
-// ============================================================================
-// PITCH SHIFTER EFFECT
-// ============================================================================
-
-class PitchShifterEffect extends FXBase {
-  constructor(sampleRate, id) {
-    super(sampleRate, id);
-
-    // Scale buffer and grain sizes based on sample rate
-    // Target: ~85ms latency @ 48kHz (was ~170ms)
-    const baseBufferSize = 4096; // Base for 48kHz
-    const baseGrainSize = 1024; // Base for 48kHz
-    const scaleFactor = sampleRate / 48000;
-
-    this.bufferSize = Math.pow(
-      2,
-      Math.round(Math.log2(baseBufferSize * scaleFactor))
-    );
-    this.bufferL = new Float32Array(this.bufferSize);
-    this.bufferR = new Float32Array(this.bufferSize);
-    this.writeIndex = 0;
-
-    this.grainSize = Math.pow(
-      2,
-      Math.round(Math.log2(baseGrainSize * scaleFactor))
-    );
-    this.overlapFactor = 4;
-    this.hopSize = Math.floor(this.grainSize / this.overlapFactor);
-
-    this.grainPhase = 0;
-    this.outputPhase = 0;
-
-    this.fadeBuffer = this.createHannWindow(this.grainSize);
-
-    this.coarse = 0;
-    this.fine = 0;
-    this.dry = 1.0;
-    this.wet = 0.0;
-
-    // Block processing: update once per hop instead of per sample
-    this.blockCounter = 0;
-    this.blockOutput = { L: 0, R: 0 };
-  }
-
-  createHannWindow(size) {
-    const window = new Float32Array(size);
-    for (let i = 0; i < size; i++) {
-      window[i] = 0.5 * (1 - Math.cos((2 * Math.PI * i) / (size - 1)));
-    }
-    return window;
-  }
-
-  process(inputL, inputR) {
-    if (!this.enabled) return [inputL, inputR];
-
-    // Write to circular buffer
-    this.bufferL[this.writeIndex] = inputL;
-    this.bufferR[this.writeIndex] = inputR;
-    this.writeIndex = (this.writeIndex + 1) % this.bufferSize;
-
-    const semitones = this.coarse + this.fine / 100.0;
-
-    // Bypass if no shift
-    if (Math.abs(semitones) < 0.01) {
-      return [
-        inputL * this.dry + inputL * this.wet,
-        inputR * this.dry + inputR * this.wet,
-      ];
-    }
-
-    // Block-based processing: only recompute grains at hop boundaries
-    if (this.blockCounter >= this.hopSize) {
-      const pitchRatio = Math.pow(2, semitones / 12);
-
-      let shiftedL = 0;
-      let shiftedR = 0;
-
-      // Process overlapping grains
-      for (let grain = 0; grain < this.overlapFactor; grain++) {
-        const grainOffset = grain * this.hopSize;
-        const readPhase =
-          (this.grainPhase + grainOffset * pitchRatio) % this.grainSize;
-
-        const samplesToRead = this.grainSize / 2;
-        const readPos =
-          this.writeIndex - samplesToRead + readPhase * pitchRatio;
-
-        const sampleL = this.readBuffer(this.bufferL, readPos);
-        const sampleR = this.readBuffer(this.bufferR, readPos);
-
-        const windowPos = Math.floor(
-          (readPhase / this.grainSize) * (this.fadeBuffer.length - 1)
-        );
-        const windowValue = this.fadeBuffer[windowPos] || 0;
-
-        shiftedL += sampleL * windowValue;
-        shiftedR += sampleR * windowValue;
-      }
-
-      this.blockOutput.L = shiftedL / this.overlapFactor;
-      this.blockOutput.R = shiftedR / this.overlapFactor;
-
-      this.grainPhase = (this.grainPhase + this.hopSize) % this.grainSize;
-      this.blockCounter = 0;
-    }
-
-    this.blockCounter++;
-
-    // Use cached block output
-    const outputL = inputL * this.dry + this.blockOutput.L * this.wet;
-    const outputR = inputR * this.dry + this.blockOutput.R * this.wet;
-
-    return [outputL, outputR];
-  }
-
-  readBuffer(buffer, position) {
-    let pos = position;
-    while (pos < 0) pos += this.bufferSize;
-    pos = pos % this.bufferSize;
-
-    const index1 = Math.floor(pos);
-    const index2 = (index1 + 1) % this.bufferSize;
-    const frac = pos - index1;
-
-    return buffer[index1] * (1 - frac) + buffer[index2] * frac;
-  }
-
-  onParameterChange(name, value) {
-    switch (name) {
-      case 'enabled':
-        this.enabled = Math.round(value);
-        break;
-      case 'coarse':
-        this.coarse = Math.max(-24, Math.min(24, value));
-        break;
-      case 'fine':
-        this.fine = Math.max(-50, Math.min(50, value));
-        break;
-      case 'dry':
-        this.dry = Math.max(0, Math.min(1, value));
-        break;
-      case 'wet':
-        this.wet = Math.max(0, Math.min(1, value));
-        break;
-    }
-  }
-
-  reset() {
-    this.bufferL.fill(0);
-    this.bufferR.fill(0);
-    this.writeIndex = 0;
-    this.grainPhase = 0;
-    this.outputPhase = 0;
-    this.blockCounter = 0;
-    this.blockOutput.L = 0;
-    this.blockOutput.R = 0;
-  }
-}
-
-// ============================================================================
-// FREQUENCY SHIFTER EFFECT
-// ============================================================================
-
-class FreqShifterEffect extends FXBase {
-  constructor(sampleRate, id) {
-    super(sampleRate, id);
-
-    this.numStages = 12;
-    this.allpassIL = this.createAllpassChain(this.numStages);
-    this.allpassQL = this.createAllpassChain(this.numStages);
-    this.allpassIR = this.createAllpassChain(this.numStages);
-    this.allpassQR = this.createAllpassChain(this.numStages);
-
-    this.shift = 100;
-    this.mix = 0.5;
-
-    // Compute sample-rate-dependent Hilbert coefficients
-    // Based on pole frequencies designed for optimal 90° phase shift
-    this.hilbertCoeffs = this.computeHilbertCoefficients(sampleRate);
-
-    // Incremental oscillator (faster than Math.sin/cos per sample)
-    // Using phasor rotation: z(n+1) = z(n) * e^(j*2π*f/fs)
-    this.oscI = 1.0; // Real part (cos)
-    this.oscQ = 0.0; // Imaginary part (sin)
-    this.oscIncI = 1.0; // Increment real
-    this.oscIncQ = 0.0; // Increment imag
-    this.updateOscillatorIncrement();
-  }
-
-  computeHilbertCoefficients(sampleRate) {
-    // 12-stage allpass with logarithmically spaced pole frequencies
-    // Covers approximately 20 Hz to Nyquist/4 for good phase approximation
-    const coeffs = [];
-    const minFreq = 20;
-    const maxFreq = sampleRate / 8; // Conservative to avoid aliasing
-
-    for (let i = 0; i < 12; i++) {
-      // Logarithmic spacing
-      const t = i / 11;
-      const freq = minFreq * Math.pow(maxFreq / minFreq, t);
-      const omega = (2 * Math.PI * freq) / sampleRate;
-      const tanHalfOmega = Math.tan(omega / 2);
-      const a = (tanHalfOmega - 1) / (tanHalfOmega + 1);
-      coeffs.push(a);
-    }
-
-    return coeffs;
-  }
-
-  updateOscillatorIncrement() {
-    // Precompute oscillator increment for phasor rotation
-    const omega = (2 * Math.PI * this.shift) / this.sampleRate;
-    this.oscIncI = Math.cos(omega);
-    this.oscIncQ = Math.sin(omega);
-  }
-
-  createAllpassChain(numStages) {
-    return Array(numStages)
-      .fill(0)
-      .map(() => ({ zm1: 0 }));
-  }
-
-  process(inputL, inputR) {
-    if (!this.enabled) return [inputL, inputR];
-
-    const shiftedL = this.processChannel(
-      inputL,
-      this.allpassIL,
-      this.allpassQL
-    );
-    const shiftedR = this.processChannel(
-      inputR,
-      this.allpassIR,
-      this.allpassQR
-    );
-
-    // Increment oscillator using phasor rotation (no sin/cos calls!)
-    const newI = this.oscI * this.oscIncI - this.oscQ * this.oscIncQ;
-    const newQ = this.oscI * this.oscIncQ + this.oscQ * this.oscIncI;
-    this.oscI = newI;
-    this.oscQ = newQ;
-
-    // Periodic renormalization to prevent drift (every ~1000 samples)
-    if (Math.random() < 0.001) {
-      const mag = Math.sqrt(this.oscI * this.oscI + this.oscQ * this.oscQ);
-      this.oscI /= mag;
-      this.oscQ /= mag;
-    }
-
-    const outputL = inputL * (1 - this.mix) + shiftedL * this.mix;
-    const outputR = inputR * (1 - this.mix) + shiftedR * this.mix;
-
-    return [outputL, outputR];
-  }
-
-  processChannel(input, allpassI, allpassQ) {
-    // Apply Hilbert transform via allpass filters
-    let signalI = input;
-    for (let i = 0; i < this.numStages; i++) {
-      const stage = allpassI[i];
-      const a = this.hilbertCoeffs[i];
-      const temp = signalI;
-      signalI = a * temp + stage.zm1;
-      stage.zm1 = temp - a * signalI;
-    }
-
-    let signalQ = input;
-    for (let i = 0; i < this.numStages; i++) {
-      const stage = allpassQ[i];
-      const a = this.hilbertCoeffs[i];
-      const temp = signalQ;
-      signalQ = a * temp + stage.zm1;
-      stage.zm1 = temp - a * signalQ;
-    }
-
-    // Single-sideband modulation using precomputed oscillator
-    const shifted = signalI * this.oscI - signalQ * this.oscQ;
-
-    return shifted;
-  }
-
-  onParameterChange(name, value) {
-    switch (name) {
-      case 'shift':
-        this.shift = Math.max(-500, Math.min(500, value));
-        this.updateOscillatorIncrement(); // Recompute increment when shift changes
-        break;
-      case 'mix':
-        this.mix = Math.max(0, Math.min(1, value));
-        break;
-    }
-  }
-
-  reset() {
-    this.allpassIL.forEach((stage) => (stage.zm1 = 0));
-    this.allpassQL.forEach((stage) => (stage.zm1 = 0));
-    this.allpassIR.forEach((stage) => (stage.zm1 = 0));
-    this.allpassQR.forEach((stage) => (stage.zm1 = 0));
-    this.oscI = 1.0;
-    this.oscQ = 0.0;
-  }
-}
+// BUILD_INLINE_START: effects
+// This comment marks where fx/worklet-source.js inlines the effect classes
+// BUILD_INLINE_END: effects
 
 // ============================================================================
 // FX CHAIN PROCESSOR
 // ============================================================================
 
+// Parameter ramps advance once per sub-block of this many samples
+const RAMP_BLOCK_SIZE = 16;
+// Relative distance at which a ramp snaps to its target
+const RAMP_EPSILON = 1e-6;
+
 class FXChainProcessor extends AudioWorkletProcessor {
   constructor() {
     super();
@@ -1221,23 +32,37 @@ class FXChainProcessor extends AudioWorkletProcessor {
     this.effectsChain = [];
     this.effectsRegistry = new Map();
 
+    // Modulation matrix FX destinations: slot -> { instanceId, param, min,
+    // max, defaultValue }. Keyed by instance, so targets follow effects
+    // through reordering. Values arrive from the synth processor.
+    this.modTargets = new Map();
+    this.modValues = [];
+    // The targets grouped by effect parameter (see updateModRoutes)
+    this.modRoutes = [];
+    this.synthPort = null;
+
+    // Parameter smoothing: instanceId -> param -> state record holding the
+    // value last passed to the effect and its ramp, and the records still
+    // gliding. Until audio runs there is nothing to zipper, so changes before
+    // the first block apply at once.
+    this.paramStates = new Map();
+    this.ramps = [];
+    this.running = false;
+
+    // Scratch block the chain runs in, one ramp step long. Kept at double
+    // precision so effects pass samples on exactly as they compute them.
+    this.blockL = new Float64Array(RAMP_BLOCK_SIZE);
+    this.blockR = new Float64Array(RAMP_BLOCK_SIZE);
+
     this.registerEffects();
 
     this.port.onmessage = (e) => this.handleMessage(e.data);
   }
 
   registerEffects() {
-    this.effectsRegistry.set('hardclip', HardClipEffect);
-    this.effectsRegistry.set('phaser', PhaserEffect);
-    this.effectsRegistry.set('bitcrusher', BitCrusherEffect);
-    this.effectsRegistry.set('chorus', ChorusEffect);
-    this.effectsRegistry.set('delay', DelayEffect);
-    this.effectsRegistry.set('reverb', ReverbEffect);
-    this.effectsRegistry.set('flanger', FlangerEffect);
-    this.effectsRegistry.set('tremolo', TremoloEffect);
-    this.effectsRegistry.set('autowah', AutoWahEffect);
-    this.effectsRegistry.set('freqshifter', FreqShifterEffect);
-    this.effectsRegistry.set('pitchshifter', PitchShifterEffect);
+    for (const [id, EffectClass] of EFFECT_CLASSES) {
+      this.effectsRegistry.set(id, EffectClass);
+    }
   }
 
   handleMessage(msg) {
@@ -1252,7 +77,12 @@ class FXChainProcessor extends AudioWorkletProcessor {
         this.reorderChain(msg.order);
         break;
       case 'setParameter':
-        this.setEffectParameter(msg.instanceId, msg.param, msg.value);
+        this.setEffectParameter(
+          msg.instanceId,
+          msg.param,
+          msg.value,
+          msg.smoothing
+        );
         break;
       case 'setEnabled':
         this.setEffectEnabled(msg.instanceId, msg.enabled);
@@ -1260,6 +90,21 @@ class FXChainProcessor extends AudioWorkletProcessor {
       case 'clear':
         this.clearChain();
         break;
+      case 'connectSynth':
+        // Direct port from the synth processor carrying matrix modulation
+        this.synthPort = msg.port;
+        this.synthPort.onmessage = (e) => this.handleMessage(e.data);
+        break;
+      case 'matrixModulation':
+        this.modValues = msg.values;
+        this.applyModulation();
+        break;
+      case 'setModTarget':
+        this.setModTarget(msg.slot, msg);
+        break;
+      case 'clearModTarget':
+        this.clearModTarget(msg.slot);
+        break;
     }
   }
 
@@ -1275,6 +120,8 @@ class FXChainProcessor extends AudioWorkletProcessor {
       this.effectsChain.splice(position, 0, effect);
     }
 
+    this.updateModRoutes();
+
     this.port.postMessage({
       type: 'effectAdded',
       instanceId,
@@ -1287,6 +134,12 @@ class FXChainProcessor extends AudioWorkletProcessor {
     const index = this.effectsChain.findIndex((e) => e.id === instanceId);
     if (index >= 0) {
       this.effectsChain.splice(index, 1);
+      for (const [slot, target] of this.modTargets) {
+        if (target.instanceId === instanceId) this.modTargets.delete(slot);
+      }
+      this.paramStates.delete(instanceId);
+      this.ramps = this.ramps.filter((state) => state.effect.id !== instanceId);
+      this.updateModRoutes();
       this.port.postMessage({ type: 'effectRemoved', instanceId });
     }
   }
@@ -1298,12 +151,20 @@ class FXChainProcessor extends AudioWorkletProcessor {
       if (effect) newChain.push(effect);
     }
     this.effectsChain = newChain;
+    this.updateModRoutes();
   }
 
-  setEffectParameter(instanceId, param, value) {
+  setEffectParameter(instanceId, param, value, smoothing = 0) {
     const effect = this.effectsChain.find((e) => e.id === instanceId);
     if (effect) {
-      effect.setParameter(param, value);
+      effect.parameters.set(param, value);
+      const state = this.getParamState(effect, param);
+      // A new base value for a modulated parameter keeps its modulation
+      if (this.isModulated(state)) {
+        this.applyModulation();
+      } else {
+        this.applyParameter(state, value, smoothing);
+      }
     } else {
       // Effect not found - likely removed during in-flight parameter update
       // Send error message back to main thread for logging
@@ -1324,6 +185,212 @@ class FXChainProcessor extends AudioWorkletProcessor {
       effect.reset();
     }
     this.effectsChain = [];
+    this.modTargets.clear();
+    this.modRoutes = [];
+    this.paramStates.clear();
+    this.ramps.length = 0;
+  }
+
+  /**
+   * Smoothing state of an effect parameter, created on first use
+   * @param {FXBase} effect - Effect instance
+   * @param {string} param - Parameter name
+   * @returns {object} State record (see applyParameter)
+   */
+  getParamState(effect, param) {
+    let states = this.paramStates.get(effect.id);
+    if (!states) {
+      states = new Map();
+      this.paramStates.set(effect.id, states);
+    }
+    let state = states.get(param);
+    if (!state) {
+      state = {
+        effect,
+        param,
+        hasValue: false, // Whether a value has been passed to the effect
+        value: 0, // Value last passed to the effect
+        target: 0, // Ramp target and per-sub-block coefficient
+        coeff: 0,
+        ramping: false, // Whether the record is in this.ramps
+      };
+      states.set(param, state);
+    }
+    return state;
+  }
+
+  // Take a parameter off the ramp list, keeping its current value
+  stopRamp(state) {
+    if (!state.ramping) return;
+    state.ramping = false;
+    this.ramps.splice(this.ramps.indexOf(state), 1);
+  }
+
+  /**
+   * Pass a value to an effect, gliding to it if the parameter is smoothed
+   * The first value for a parameter applies at once, since there's no
+   * previous value to glide from.
+   * @param {object} state - Parameter state from getParamState()
+   * @param {*} value - New value
+   * @param {number} [smoothing=0] - Glide time in seconds (0 = immediate)
+   */
+  applyParameter(state, value, smoothing = 0) {
+    if (state.hasValue && state.value === value) {
+      // Matrix updates resend unchanged values every block
+      this.stopRamp(state);
+      return;
+    }
+    if (
+      !this.running ||
+      !(smoothing > 0) ||
+      typeof value !== 'number' ||
+      !state.hasValue
+    ) {
+      this.stopRamp(state);
+      state.hasValue = true;
+      state.value = value;
+      state.effect.onParameterChange(state.param, value);
+      return;
+    }
+
+    state.target = value;
+    state.coeff = 1 - Math.exp(-RAMP_BLOCK_SIZE / (smoothing * sampleRate));
+    if (!state.ramping) {
+      state.ramping = true;
+      this.ramps.push(state);
+    }
+  }
+
+  // Move every ramp one sub-block closer to its target
+  advanceRamps() {
+    const ramps = this.ramps;
+    let kept = 0;
+    for (let i = 0; i < ramps.length; i++) {
+      const state = ramps[i];
+      const target = state.target;
+      let value = state.value + (target - state.value) * state.coeff;
+      if (
+        Math.abs(target - value) <=
+        RAMP_EPSILON * Math.max(1, Math.abs(target))
+      ) {
+        value = target;
+        state.ramping = false;
+      } else {
+        ramps[kept++] = state;
+      }
+      state.value = value;
+      state.effect.onParameterChange(state.param, value);
+    }
+    ramps.length = kept;
+  }
+
+  /**
+   * Route a matrix slot to an effect parameter
+   * @param {number} slot - Matrix slot (1-12)
+   * @param {object} target - instanceId, param, and the parameter's min, max,
+   *   defaultValue (used until the parameter is first set) and smoothing
+   */
+  setModTarget(
+    slot,
+    { instanceId, param, min, max, defaultValue, smoothing = 0 }
+  ) {
+    const previous = this.modTargets.get(slot);
+    this.modTargets.set(slot, {
+      instanceId,
+      param,
+      min,
+      max,
+      defaultValue,
+      smoothing,
+    });
+    this.updateModRoutes();
+    if (previous) this.restoreParameter(previous);
+    this.applyModulation();
+  }
+
+  clearModTarget(slot) {
+    const target = this.modTargets.get(slot);
+    if (!target) return;
+    this.modTargets.delete(slot);
+    this.updateModRoutes();
+    this.restoreParameter(target);
+    this.applyModulation();
+  }
+
+  /**
+   * Group the targets of the effects in the chain by parameter
+   * Each route holds the parameter's state record, its range and the
+   * (0-based) slots that add up on it, so matrix updates only sum values.
+   * The range and smoothing come from the lowest slot targeting it.
+   */
+  updateModRoutes() {
+    const routes = [];
+    const slots = Array.from(this.modTargets.keys()).sort((a, b) => a - b);
+    for (const slot of slots) {
+      const target = this.modTargets.get(slot);
+      const effect = this.effectsChain.find((e) => e.id === target.instanceId);
+      if (!effect) continue;
+      const state = this.getParamState(effect, target.param);
+      let route = routes.find((r) => r.state === state);
+      if (!route) {
+        route = {
+          state,
+          min: target.min,
+          max: target.max,
+          defaultValue: target.defaultValue,
+          smoothing: target.smoothing,
+          slots: [],
+        };
+        routes.push(route);
+      }
+      route.slots.push(slot - 1);
+    }
+    this.modRoutes = routes;
+  }
+
+  // Whether a parameter is a matrix target
+  isModulated(state) {
+    for (let i = 0; i < this.modRoutes.length; i++) {
+      if (this.modRoutes[i].state === state) return true;
+    }
+    return false;
+  }
+
+  // Return an effect parameter to its set (unmodulated) value
+  restoreParameter({ instanceId, param, defaultValue, smoothing }) {
+    const effect = this.effectsChain.find((e) => e.id === instanceId);
+    if (effect) {
+      this.applyParameter(
+        this.getParamState(effect, param),
+        effect.parameters.get(param) ?? defaultValue,
+        smoothing
+      );
+    }
+  }
+
+  /**
+   * Apply the latest matrix values to every targeted effect parameter
+   * Modulation is scaled to the parameter's range and added to its set value;
+   * slots targeting the same parameter add up. The set value stays in
+   * effect.parameters, so removing modulation restores it.
+   */
+  applyModulation() {
+    const values = this.modValues;
+    for (let r = 0; r < this.modRoutes.length; r++) {
+      const { state, min, max, defaultValue, smoothing, slots } =
+        this.modRoutes[r];
+      let amount = 0;
+      for (let i = 0; i < slots.length; i++) {
+        amount += values[slots[i]] || 0;
+      }
+      const base = state.effect.parameters.get(state.param) ?? defaultValue;
+      const value = base + amount * (max - min);
+      this.applyParameter(
+        state,
+        Math.max(min, Math.min(max, value)),
+        smoothing
+      );
+    }
   }
 
   process(inputs, outputs) {
@@ -1338,19 +405,28 @@ class FXChainProcessor extends AudioWorkletProcessor {
     const outputR = output[1];
 
     const frameCount = inputL.length;
-
-    for (let i = 0; i < frameCount; i++) {
-      let sampleL = inputL[i];
-      let sampleR = inputR[i];
-
+    this.running = true;
+
+    // Effects run in place on the scratch block, a ramp step at a time
+    const blockL = this.blockL;
+    const blockR = this.blockR;
+    for (let start = 0; start < frameCount; start += RAMP_BLOCK_SIZE) {
+      if (this.ramps.length > 0) this.advanceRamps();
+      const frames = Math.min(RAMP_BLOCK_SIZE, frameCount - start);
+
+      for (let i = 0; i < frames; i++) {
+        blockL[i] = inputL[start + i];
+        blockR[i] = inputR[start + i];
+      }
       for (const effect of this.effectsChain) {
         if (effect.enabled) {
-          [sampleL, sampleR] = effect.process(sampleL, sampleR);
+          effect.processBlock(blockL, blockR, blockL, blockR, frames);
         }
       }
-
-      outputL[i] = sampleL;
-      outputR[i] = sampleR;
+      for (let i = 0; i < frames; i++) {
+        outputL[start + i] = blockL[i];
+        outputR[start + i] = blockR[i];
+      }
     }
 
     return true;
@@ -15,9 +15,192 @@
 // =============================================================================
 // CONFIGURATION
 // =============================================================================
-// Maximum number of simultaneous voices (polyphony limit)
-// Change this value to adjust polyphony. Higher values = more CPU usage.
-const MAX_VOICES = 8;
+// Size of the voice pool. The polyphony parameter selects how many of these
+// voices are playable (1-MAX_VOICES); idle voices cost no CPU.
+const MAX_VOICES = 32;
+
+// Voice modes (matches voiceMode parameter)
+const VOICE_MODE_POLY = 0;
+const VOICE_MODE_MONO = 1; // Single voice, envelopes retrigger on every note
+const VOICE_MODE_LEGATO = 2; // Single voice, overlapping notes don't retrigger
+
+// Note priority for mono/legato modes (matches notePriority parameter)
+const NOTE_PRIORITY_LAST = 0;
+const NOTE_PRIORITY_LOW = 1;
+const NOTE_PRIORITY_HIGH = 2;
+
+// Portamento modes (matches portamentoMode parameter)
+const PORTAMENTO_CONSTANT_TIME = 0; // Glide takes portamentoTime regardless of interval
+const PORTAMENTO_CONSTANT_RATE = 1; // portamentoTime is seconds per octave
+
+// Voice stealing policies (matches voiceStealing parameter)
+const STEAL_OLDEST = 0;
+const STEAL_QUIETEST = 1; // Lowest amp envelope level
+const STEAL_LOWEST = 2; // Lowest note
+const STEAL_HIGHEST = 3; // Highest note
+const STEAL_RELEASED_FIRST = 4; // Released voices before held ones, then oldest
+
+// Oscillator 1 waveforms (matches oscillatorWaveform parameter)
+const OSC1_WAVEFORM_PULSE = 0; // PolyBLEP pulse with PWM
+const OSC1_WAVEFORM_SAW = 1;
+const OSC1_WAVEFORM_TRIANGLE = 2;
+const OSC1_WAVEFORM_SINE = 3;
+const OSC1_WAVEFORM_MORPH = 4; // Crossfade pulse -> saw -> triangle -> sine
+
+// Oscillator 2 wavetable mode (oscillator2Waveform value after Saw/Tri/Sine/Square)
+const OSC2_WAVEFORM_WAVETABLE = 4;
+
+// IIRFilter response types. The HPF always runs FILTER_HP18; the main filter
+// runs the type selected by the filterMode parameter (see FILTER_MODE_TYPES).
+const FILTER_LP24 = 0;
+const FILTER_HP18 = 1;
+const FILTER_LP12 = 2;
+const FILTER_BP = 3;
+const FILTER_NOTCH = 4;
+const FILTER_PEAK = 5;
+const FILTER_MORPH = 6; // Continuous LP -> BP -> HP (12dB), set by filterMorph
+
+// filterMode parameter value -> IIRFilter type
+const FILTER_MODE_TYPES = [
+  FILTER_LP24,
+  FILTER_LP12,
+  FILTER_BP,
+  FILTER_NOTCH,
+  FILTER_PEAK,
+  FILTER_MORPH,
+];
+
+// Filter routing between the HPF and the main filter (matches filterRouting)
+const FILTER_ROUTING_HP_LP = 0; // Serial HPF -> main filter
+const FILTER_ROUTING_LP_HP = 1; // Serial main filter -> HPF
+const FILTER_ROUTING_PARALLEL = 2; // Both filters on the input, summed by filterBalance
+const FILTER_ROUTING_SPLIT = 3; // Main filter feeds the left channel, HPF the right
+
+// Analog drift ranges at full depth (driftAmount and the individual depth at 1)
+const DRIFT_PITCH_CENTS = 12; // Pitch wander, ± cents
+const DRIFT_RATE_MIN = 0.1; // Pitch wander rate, drawn per voice (Hz)
+const DRIFT_RATE_RANGE = 0.4;
+const DRIFT_CUTOFF_OCTAVES = 0.5; // Filter cutoff offset, ± octaves
+const DRIFT_ENV_TIME = 0.25; // Attack/decay/release time offset, ± fraction
+const LFO_WAVEFORM_SMOOTH_RANDOM = 6;
+
+// Matrix slot response curves (matches matrixCurve)
+const MATRIX_CURVE_LINEAR = 0;
+const MATRIX_CURVE_EXP = 1;
+const MATRIX_CURVE_LOG = 2;
+const MATRIX_CURVE_S = 3;
+const MATRIX_CURVE_STEPPED = 4;
+const MATRIX_CURVE_STEP_COUNT = 8; // Levels per polarity for the stepped curve
+
+// Matrix slot polarity (matches matrixPolarity)
+const MATRIX_POLARITY_NATIVE = 0;
+const MATRIX_POLARITY_UNIPOLAR = 1;
+const MATRIX_POLARITY_BIPOLAR = 2;
+
+// Matrix sources whose native range is -1..+1 (all others are 0..1):
+// Pitch Bend, LFO1, LFO2, Alternate, MPE Bend
+const MATRIX_BIPOLAR_SOURCES = [3, 6, 7, 14, 19];
+
+// Matrix destinations (MATRIX_DESTINATIONS in the registry). Voices sum
+// modulation per destination into a Float64Array indexed by these.
+const MATRIX_DEST_OSC1_PITCH = 1;
+const MATRIX_DEST_OSC1_PW = 2;
+const MATRIX_DEST_OSC1_PWM_DEPTH = 3;
+const MATRIX_DEST_OSC1_PWM_RATE = 4;
+const MATRIX_DEST_OSC1_VOLUME = 5;
+const MATRIX_DEST_SUB1_VOLUME = 6;
+const MATRIX_DEST_OSC1_FM = 7;
+const MATRIX_DEST_OSC2_PITCH = 8;
+const MATRIX_DEST_OSC2_VOLUME = 9;
+const MATRIX_DEST_SUB2_VOLUME = 10;
+const MATRIX_DEST_RING_VOLUME = 11;
+const MATRIX_DEST_NOISE_VOLUME = 12;
+const MATRIX_DEST_F1_CUTOFF = 13;
+const MATRIX_DEST_F1_RESONANCE = 14;
+const MATRIX_DEST_F2_CUTOFF = 15;
+const MATRIX_DEST_F2_RESONANCE = 16;
+const MATRIX_DEST_LFO1_RATE = 18;
+const MATRIX_DEST_LFO1_AMOUNT = 19;
+const MATRIX_DEST_LFO2_RATE = 20;
+const MATRIX_DEST_LFO2_AMOUNT = 21;
+const MATRIX_DEST_PAN_POSITION = 22;
+const MATRIX_DEST_PAN_DEPTH = 23;
+const MATRIX_DEST_PAN_RATE = 24;
+const MATRIX_DEST_MASTER_VOLUME = 25;
+const MATRIX_DEST_FILTER_MORPH = 26;
+const MATRIX_DEST_OSC1_MORPH = 27;
+const MATRIX_DEST_WT_POSITION = 28;
+
+// Matrix destination that targets an effect parameter in the FX chain.
+// The value is read once per block for voice-independent sources, otherwise
+// from the newest voice, and sent to fx-chain-processor.js, which owns the
+// slot -> effect instance mapping.
+const MATRIX_DEST_FX = 29;
+const MATRIX_DEST_COUNT = 30;
+const MATRIX_SLOTS = 12;
+
+// Per-slot matrix settings, decoded by MatrixRouting when one changes
+const MATRIX_SETTINGS = [
+  'matrixSource',
+  'matrixDest',
+  'matrixVia',
+  'matrixCurve',
+  'matrixPolarity',
+  'matrixBypass',
+  'matrixCC',
+];
+const MATRIX_SETTING_PARAMS = Array.from(
+  { length: MATRIX_SLOTS * MATRIX_SETTINGS.length },
+  (_, i) =>
+    `${MATRIX_SETTINGS[i % MATRIX_SETTINGS.length]}${
+      Math.floor(i / MATRIX_SETTINGS.length) + 1
+    }`
+);
+const MATRIX_AMOUNT_PARAMS = Array.from(
+  { length: MATRIX_SLOTS },
+  (_, i) => `matrixAmount${i + 1}`
+);
+
+// Aftertouch slots and the matrix destination each of their destinations
+// (AFTERTOUCH_DESTINATIONS in the registry) adds to
+const AFTERTOUCH_SLOT_COUNT = 4;
+const AFTERTOUCH_MOD_TARGETS = [
+  0,
+  MATRIX_DEST_OSC1_PITCH,
+  MATRIX_DEST_OSC1_VOLUME,
+  MATRIX_DEST_SUB1_VOLUME,
+  MATRIX_DEST_OSC1_PW,
+  MATRIX_DEST_OSC1_PWM_RATE,
+  MATRIX_DEST_OSC1_FM,
+  MATRIX_DEST_OSC2_PITCH,
+  MATRIX_DEST_OSC2_VOLUME,
+  MATRIX_DEST_SUB2_VOLUME,
+  MATRIX_DEST_RING_VOLUME,
+  MATRIX_DEST_NOISE_VOLUME,
+  MATRIX_DEST_F1_CUTOFF,
+  MATRIX_DEST_F1_RESONANCE,
+  MATRIX_DEST_F2_CUTOFF,
+  MATRIX_DEST_F2_RESONANCE,
+  MATRIX_DEST_PAN_DEPTH,
+  MATRIX_DEST_PAN_RATE,
+];
+const AFTERTOUCH_DEST_PARAMS = Array.from(
+  { length: AFTERTOUCH_SLOT_COUNT },
+  (_, i) => `aftertouchDest${i + 1}`
+);
+const AFTERTOUCH_AMOUNT_PARAMS = Array.from(
+  { length: AFTERTOUCH_SLOT_COUNT },
+  (_, i) => `aftertouchAmount${i + 1}`
+);
+const AFTERTOUCH_PER_VOICE_PARAMS = Array.from(
+  { length: AFTERTOUCH_SLOT_COUNT },
+  (_, i) => `aftertouchPerVoice${i + 1}`
+);
+
+// Voices compute modulation (LFOs, modulation envelopes, the matrix, pitch,
+// filter cutoffs, pan) once per this many samples; oscillators, filters and
+// the amp envelope still run every sample
+const CONTROL_BLOCK_SIZE = 16;
 
 // Tempo divisions mapping (same as TEMPO_DIVISIONS in utils/music.js)
 // Cannot import from utils due to AudioWorklet scope limitations
@@ -56,13 +239,211 @@ const TEMPO_DIVISION_NAMES = [
   '1/32',
 ];
 
+// MSEG breakpoint slots (MSEG_MAX_POINTS in the parameter registry)
+const MSEG_POINTS = 16;
+const MSEG_TIME_PARAMS = Array.from(
+  { length: MSEG_POINTS },
+  (_, i) => `msegTime${i + 1}`
+);
+const MSEG_LEVEL_PARAMS = Array.from(
+  { length: MSEG_POINTS },
+  (_, i) => `msegLevel${i + 1}`
+);
+const MSEG_CURVE_PARAMS = Array.from(
+  { length: MSEG_POINTS },
+  (_, i) => `msegCurve${i + 1}`
+);
+
+// Step sequencer steps (STEP_SEQ_MAX_STEPS in the parameter registry)
+const STEP_SEQUENCER_STEPS = 16;
+const STEP_SEQ_VALUE_PARAMS = Array.from(
+  { length: STEP_SEQUENCER_STEPS },
+  (_, i) => `stepSeqValue${i + 1}`
+);
+const STEP_SEQ_GLIDE_PARAMS = Array.from(
+  { length: STEP_SEQUENCER_STEPS },
+  (_, i) => `stepSeqGlide${i + 1}`
+);
+
+/**
+ * Apply a matrix slot's polarity conversion and response curve
+ * Curves bend the magnitude, so bipolar values stay symmetric around zero.
+ * @param {number} value - Source value in its native range
+ * @param {boolean} bipolar - Source is natively -1..+1 (otherwise 0..1)
+ * @param {number} polarity - MATRIX_POLARITY_* constant
+ * @param {number} curve - MATRIX_CURVE_* constant
+ * @returns {number} Shaped value
+ */
+function shapeMatrixValue(value, bipolar, polarity, curve) {
+  if (polarity === MATRIX_POLARITY_UNIPOLAR && bipolar) {
+    value = (value + 1.0) * 0.5;
+  } else if (polarity === MATRIX_POLARITY_BIPOLAR && !bipolar) {
+    value = value * 2.0 - 1.0;
+  }
+  if (curve === MATRIX_CURVE_LINEAR) return value;
+
+  const sign = value < 0 ? -1.0 : 1.0;
+  const x = Math.min(1.0, Math.abs(value));
+  switch (curve) {
+    case MATRIX_CURVE_EXP:
+      return sign * x * x;
+    case MATRIX_CURVE_LOG:
+      return sign * (1.0 - (1.0 - x) * (1.0 - x));
+    case MATRIX_CURVE_S:
+      return sign * x * x * (3.0 - 2.0 * x);
+    case MATRIX_CURVE_STEPPED:
+      return (
+        (sign * Math.floor(x * MATRIX_CURVE_STEP_COUNT + 1e-9)) /
+        MATRIX_CURVE_STEP_COUNT
+      );
+    default:
+      return value;
+  }
+}
+
+/**
+ * Value of a parameter array at a sample (k-rate arrays hold one value)
+ * @param {Float32Array} values - Parameter values
+ * @param {number} index - Sample within the block
+ * @returns {number} Value
+ */
+function paramAt(values, index) {
+  return values.length > 1 ? values[index] : values[0];
+}
+
+/**
+ * Fill in a tuning table's unmapped (NaN) keys, so glides across them move
+ * straight from one mapped pitch to the next
+ * Keys between two mapped keys are interpolated; keys past the first or last
+ * mapped key continue it in 12-TET semitones.
+ * @param {Float64Array} table - Pitch per key, at least one mapped
+ * @returns {Float64Array} The same table, filled in
+ */
+function fillUnmappedKeys(table) {
+  let previous = -1;
+  for (let key = 0; key <= table.length; key++) {
+    if (key < table.length && Number.isNaN(table[key])) continue;
+    for (let gap = previous + 1; gap < key; gap++) {
+      if (previous < 0) {
+        table[gap] = table[key] - (key - gap);
+      } else if (key === table.length) {
+        table[gap] = table[previous] + (gap - previous);
+      } else {
+        const t = (gap - previous) / (key - previous);
+        table[gap] = table[previous] + (table[key] - table[previous]) * t;
+      }
+    }
+    previous = key;
+  }
+  return table;
+}
+
+/**
+ * Decoded modulation matrix and aftertouch routing, shared by all voices
+ * Slot settings are compared once per block and decoded again only when one
+ * changes, so voices loop over the slots in use without looking anything up.
+ * Slots aimed at an LFO's rate or amount are kept apart: they run before
+ * the LFOs, everything else after.
+ */
+class MatrixRouting {
+  constructor() {
+    this.settings = new Float64Array(MATRIX_SETTING_PARAMS.length).fill(NaN);
+    this.slots = Array.from({ length: MATRIX_SLOTS }, (_, i) => ({
+      slot: i + 1,
+      source: 0,
+      dest: 0,
+      via: 0,
+      curve: MATRIX_CURVE_LINEAR,
+      polarity: MATRIX_POLARITY_NATIVE,
+      bypass: false,
+      cc: 0,
+      bipolar: false,
+      fx: false, // Routed to the FX chain (in use, aimed at MATRIX_DEST_FX)
+      fxGlobal: false, // FX slot read once per block rather than from a voice
+      amounts: null, // Matrix amount values for the current block
+    }));
+    // Slots in use; the arrays keep their length, the counts say how many
+    this.lfoSlots = new Array(MATRIX_SLOTS).fill(null);
+    this.lfoSlotCount = 0;
+    this.mainSlots = new Array(MATRIX_SLOTS).fill(null);
+    this.mainSlotCount = 0;
+    this.aftertouch = Array.from({ length: AFTERTOUCH_SLOT_COUNT }, () => ({
+      dest: 0,
+      amount: 0,
+      perVoice: false,
+    }));
+  }
+
+  /**
+   * Refresh from the processor parameters
+   * @param {object} parameters - process() parameters
+   * @param {object} params - Cached (smoothed) parameters, for the amounts
+   */
+  update(parameters, params) {
+    let changed = false;
+    for (let i = 0; i < MATRIX_SETTING_PARAMS.length; i++) {
+      const value = parameters[MATRIX_SETTING_PARAMS[i]][0];
+      if (value !== this.settings[i]) {
+        this.settings[i] = value;
+        changed = true;
+      }
+    }
+    if (changed) this.decode();
+
+    for (let i = 0; i < MATRIX_SLOTS; i++) {
+      this.slots[i].amounts = params[MATRIX_AMOUNT_PARAMS[i]];
+    }
+
+    for (let i = 0; i < AFTERTOUCH_SLOT_COUNT; i++) {
+      const slot = this.aftertouch[i];
+      slot.dest =
+        AFTERTOUCH_MOD_TARGETS[
+          Math.round(parameters[AFTERTOUCH_DEST_PARAMS[i]][0])
+        ] || 0;
+      slot.amount = parameters[AFTERTOUCH_AMOUNT_PARAMS[i]][0];
+      slot.perVoice = parameters[AFTERTOUCH_PER_VOICE_PARAMS[i]][0] > 0;
+    }
+  }
+
+  decode() {
+    const count = MATRIX_SETTINGS.length;
+    this.lfoSlotCount = 0;
+    this.mainSlotCount = 0;
+    for (let i = 0; i < MATRIX_SLOTS; i++) {
+      const slot = this.slots[i];
+      const base = i * count;
+      slot.source = Math.round(this.settings[base]);
+      slot.dest = Math.round(this.settings[base + 1]);
+      slot.via = Math.round(this.settings[base + 2]);
+      slot.curve = Math.round(this.settings[base + 3]);
+      slot.polarity = Math.round(this.settings[base + 4]);
+      slot.bypass = this.settings[base + 5] > 0;
+      slot.cc = Math.round(this.settings[base + 6]);
+      slot.bipolar = MATRIX_BIPOLAR_SOURCES.includes(slot.source);
+      slot.fx = false;
+
+      if (slot.source === 0 || slot.dest === 0 || slot.bypass) continue;
+      if (
+        slot.dest >= MATRIX_DEST_LFO1_RATE &&
+        slot.dest <= MATRIX_DEST_LFO2_AMOUNT
+      ) {
+        this.lfoSlots[this.lfoSlotCount++] = slot;
+      } else {
+        slot.fx = slot.dest === MATRIX_DEST_FX;
+        this.mainSlots[this.mainSlotCount++] = slot;
+      }
+    }
+  }
+}
+
 // =============================================================================
 // AUDIO PROCESSING
 // =============================================================================
 
 /**
  * IIR Filter implementation with cascaded biquad sections
- * Supports both 24dB lowpass (2 biquads) and 18dB highpass (3 biquads)
+ * Supports 24dB lowpass (2 biquads), 18dB highpass (3 biquads) and the
+ * single-biquad 12dB lowpass, bandpass, notch, peak and LP/BP/HP morph types
  * Uses coefficient caching to avoid redundant recalculation
  */
 class IIRFilter {
@@ -111,20 +492,48 @@ class IIRFilter {
     this.lastCutoff = -1;
     this.lastResonance = -1;
     this.lastFilterType = -1;
+    this.lastMorph = -1;
+    this.stages = 2; // Biquads in series for the current type
+  }
+
+  /**
+   * Set all biquad stages to the same coefficients (divided by a0)
+   */
+  setStageCoefficients(b0, b1, b2, a1, a2) {
+    this.b0_1 = this.b0_2 = this.b0_3 = b0;
+    this.b1_1 = this.b1_2 = this.b1_3 = b1;
+    this.b2_1 = this.b2_2 = this.b2_3 = b2;
+    this.a1_1 = this.a1_2 = this.a1_3 = a1;
+    this.a2_1 = this.a2_2 = this.a2_3 = a2;
   }
 
-  updateCoefficients(cutoffFreq, resonance, sampleRate, filterType = 0) {
+  updateCoefficients(
+    cutoffFreq,
+    resonance,
+    sampleRate,
+    filterType = FILTER_LP24,
+    morph = 0
+  ) {
     if (
       Math.abs(cutoffFreq - this.lastCutoff) < 0.1 &&
       Math.abs(resonance - this.lastResonance) < 0.001 &&
-      filterType === this.lastFilterType
+      filterType === this.lastFilterType &&
+      Math.abs(morph - this.lastMorph) < 0.001
     ) {
       return;
     }
 
+    // Changing between single and multi-stage types leaves stale state in the
+    // unused biquads; clear it so they start from silence when re-enabled
+    if (filterType !== this.lastFilterType && this.lastFilterType >= 0) {
+      this.x1_2 = this.x2_2 = this.y1_2 = this.y2_2 = 0.0;
+      this.x1_3 = this.x2_3 = this.y1_3 = this.y2_3 = 0.0;
+    }
+
     this.lastCutoff = cutoffFreq;
     this.lastResonance = resonance;
     this.lastFilterType = filterType;
+    this.lastMorph = morph;
 
     cutoffFreq = Math.max(10, Math.min(cutoffFreq, sampleRate * 0.45));
     resonance = Math.max(0, Math.min(resonance, 0.99));
@@ -136,26 +545,107 @@ class IIRFilter {
     const alpha = sin / (2 * Q);
     const norm = 1 / (1 + alpha);
 
-    if (filterType === 0) {
-      // 24dB Lowpass (2 biquads in series)
-      this.b0_1 = this.b0_2 = (1 - cos) * 0.5 * norm;
-      this.b1_1 = this.b1_2 = (1 - cos) * norm;
-      this.b2_1 = this.b2_2 = (1 - cos) * 0.5 * norm;
-      this.a1_1 = this.a1_2 = -2 * cos * norm;
-      this.a2_1 = this.a2_2 = (1 - alpha) * norm;
-    } else {
-      // 18dB Highpass (3 biquads in series)
-      this.b0_1 = this.b0_2 = this.b0_3 = (1 + cos) * 0.5 * norm;
-      this.b1_1 = this.b1_2 = this.b1_3 = -(1 + cos) * norm;
-      this.b2_1 = this.b2_2 = this.b2_3 = (1 + cos) * 0.5 * norm;
-      this.a1_1 = this.a1_2 = this.a1_3 = -2 * cos * norm;
-      this.a2_1 = this.a2_2 = this.a2_3 = (1 - alpha) * norm;
+    const a1 = -2 * cos * norm;
+    const a2 = (1 - alpha) * norm;
+
+    switch (filterType) {
+      case FILTER_HP18:
+        // 18dB Highpass (3 biquads in series)
+        this.stages = 3;
+        this.setStageCoefficients(
+          (1 + cos) * 0.5 * norm,
+          -(1 + cos) * norm,
+          (1 + cos) * 0.5 * norm,
+          a1,
+          a2
+        );
+        break;
+      case FILTER_LP12:
+        this.stages = 1;
+        this.setStageCoefficients(
+          (1 - cos) * 0.5 * norm,
+          (1 - cos) * norm,
+          (1 - cos) * 0.5 * norm,
+          a1,
+          a2
+        );
+        break;
+      case FILTER_BP:
+        // Constant 0dB peak gain bandpass
+        this.stages = 1;
+        this.setStageCoefficients(alpha * norm, 0, -alpha * norm, a1, a2);
+        break;
+      case FILTER_NOTCH:
+        this.stages = 1;
+        this.setStageCoefficients(norm, -2 * cos * norm, norm, a1, a2);
+        break;
+      case FILTER_PEAK: {
+        // Peaking bell: resonance sets the boost (6-24dB) as well as the Q
+        this.stages = 1;
+        const gain = Math.pow(10, (6 + resonance * 18) / 40);
+        const peakNorm = 1 / (1 + alpha / gain);
+        this.b0_1 = (1 + alpha * gain) * peakNorm;
+        this.b1_1 = -2 * cos * peakNorm;
+        this.b2_1 = (1 - alpha * gain) * peakNorm;
+        this.a1_1 = -2 * cos * peakNorm;
+        this.a2_1 = (1 - alpha / gain) * peakNorm;
+        break;
+      }
+      case FILTER_MORPH: {
+        // LP, BP and HP share the denominator, so crossfading the numerators
+        // crossfades the responses: 0 = LP, 0.5 = BP, 1 = HP
+        this.stages = 1;
+        const m = Math.max(0, Math.min(1, morph));
+        const lp = m < 0.5 ? 1 - m * 2 : 0;
+        const bp = m < 0.5 ? m * 2 : 2 - m * 2;
+        const hp = m > 0.5 ? m * 2 - 1 : 0;
+        this.b0_1 =
+          ((1 - cos) * 0.5 * lp + alpha * bp + (1 + cos) * 0.5 * hp) * norm;
+        this.b1_1 = ((1 - cos) * lp - (1 + cos) * hp) * norm;
+        this.b2_1 =
+          ((1 - cos) * 0.5 * lp - alpha * bp + (1 + cos) * 0.5 * hp) * norm;
+        this.a1_1 = a1;
+        this.a2_1 = a2;
+        break;
+      }
+      default:
+        // 24dB Lowpass (2 biquads in series)
+        this.stages = 2;
+        this.setStageCoefficients(
+          (1 - cos) * 0.5 * norm,
+          (1 - cos) * norm,
+          (1 - cos) * 0.5 * norm,
+          a1,
+          a2
+        );
     }
   }
 
-  processSample(input, cutoffFreq, resonance, sampleRate, filterType = 0) {
-    this.updateCoefficients(cutoffFreq, resonance, sampleRate, filterType);
+  processSample(
+    input,
+    cutoffFreq,
+    resonance,
+    sampleRate,
+    filterType = FILTER_LP24,
+    morph = 0
+  ) {
+    this.updateCoefficients(
+      cutoffFreq,
+      resonance,
+      sampleRate,
+      filterType,
+      morph
+    );
+    return this.filterSample(input);
+  }
 
+  /**
+   * Filter one sample with the current coefficients
+   * Voices update coefficients at control rate and call this per sample.
+   * @param {number} input - Input sample
+   * @returns {number} Filtered sample
+   */
+  filterSample(input) {
     // First biquad
     let y1 =
       this.b0_1 * input +
@@ -177,6 +667,10 @@ class IIRFilter {
     this.y2_1 = this.y1_1;
     this.y1_1 = y1;
 
+    if (this.stages === 1) {
+      return y1;
+    }
+
     // Second biquad
     let y2 =
       this.b0_2 * y1 +
@@ -198,7 +692,7 @@ class IIRFilter {
     this.y1_2 = y2;
 
     // For 18dB highpass, add third biquad stage
-    if (filterType === 1) {
+    if (this.stages === 3) {
       let y3 =
         this.b0_3 * y2 +
         this.b1_3 * this.x1_3 +
@@ -235,6 +729,26 @@ class Envelope {
     this.value = 0.0;
     this.state = 'idle'; // 'idle', 'attack', 'decay', 'sustain', 'release'
     this.sustainLevel = 0.7;
+    this.coeffTime = 0; // Stage time and rate the cached coefficient is for
+    this.coeffRate = 0;
+    this.coeff = 1.0;
+  }
+
+  /**
+   * One-pole coefficient for a stage, recomputed only when the time or rate
+   * changes
+   * @param {number} time - Stage time in seconds (> 0)
+   * @param {number} sampleRate - Rate process() is called at
+   * @returns {number} Coefficient
+   */
+  coefficient(time, sampleRate) {
+    if (time !== this.coeffTime || sampleRate !== this.coeffRate) {
+      this.coeffTime = time;
+      this.coeffRate = sampleRate;
+      // Divide by ~4.6 so displayed time matches actual time to reach ~99%
+      this.coeff = 1.0 - Math.exp(-1.0 / ((time / 4.6) * sampleRate));
+    }
+    return this.coeff;
   }
 
   /**
@@ -279,9 +793,7 @@ class Envelope {
         this.value = 1.0;
         this.state = 'decay';
       } else {
-        // Divide by ~4.6 so displayed time matches actual time to reach ~99%
-        const attackCoeff =
-          1.0 - Math.exp(-1.0 / ((attack / 4.6) * sampleRate));
+        const attackCoeff = this.coefficient(attack, sampleRate);
         this.value += (1.0 - this.value) * attackCoeff;
         if (this.value >= 0.9999) {
           this.value = 1.0;
@@ -297,7 +809,7 @@ class Envelope {
         this.value = this.sustainLevel;
         this.state = gate ? 'sustain' : 'release';
       } else {
-        const decayCoeff = 1.0 - Math.exp(-1.0 / ((decay / 4.6) * sampleRate));
+        const decayCoeff = this.coefficient(decay, sampleRate);
         this.value += (this.sustainLevel - this.value) * decayCoeff;
         if (Math.abs(this.value - this.sustainLevel) < 0.0001) {
           this.value = this.sustainLevel;
@@ -320,8 +832,7 @@ class Envelope {
         this.state = 'idle';
         return 0.0;
       } else {
-        const releaseCoeff =
-          1.0 - Math.exp(-1.0 / ((release / 4.6) * sampleRate));
+        const releaseCoeff = this.coefficient(release, sampleRate);
         this.value += (envFloor - this.value) * releaseCoeff;
         if (this.value <= envFloor * 1.5) {
           this.value = 0.0;
@@ -340,17 +851,401 @@ class Envelope {
   isIdle() {
     return this.state === 'idle';
   }
+
+  /**
+   * Current output, as read by the modulation matrix
+   */
+  get level() {
+    return this.value;
+  }
+}
+
+/**
+ * DAHDSR modulation envelope
+ * Stages run in linear time; attack, decay and release each bend by a curve
+ * from -1 (logarithmic: fast start) through 0 (linear) to +1 (exponential:
+ * slow start). Feeds the modulation matrix only.
+ */
+class ModEnvelope {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Reset to initial state
+   */
+  reset() {
+    this.level = 0.0;
+    this.state = 'idle'; // 'idle', 'delay', 'attack', 'hold', 'decay', 'sustain', 'release'
+    this.position = 0.0; // Progress through the current stage (0-1)
+    this.from = 0.0; // Level at the start of the current stage
+  }
+
+  /**
+   * Start the delay stage (attack continues from the current level)
+   */
+  trigger() {
+    this.enter('delay');
+  }
+
+  /**
+   * Release from whichever stage is running
+   */
+  release() {
+    if (this.state !== 'idle') this.enter('release');
+  }
+
+  enter(state) {
+    this.state = state;
+    this.position = 0.0;
+    this.from = this.level;
+  }
+
+  /**
+   * Advance the current stage by one step (see process)
+   * @returns {boolean} True when the stage has finished
+   */
+  step(time, sampleRate) {
+    if (time <= 0) return true;
+    this.position += 1.0 / (time * sampleRate);
+    return this.position >= 1.0 - 1e-9; // Tolerate rounding in the sum
+  }
+
+  /**
+   * Bend a linear 0-1 ramp
+   * @param {number} t - Stage progress (0-1)
+   * @param {number} curve - -1 (log) to +1 (exp), 0 = linear
+   * @returns {number} Shaped progress (0-1)
+   */
+  static shape(t, curve) {
+    if (Math.abs(curve) < 0.001) return t;
+    const k = curve * 6;
+    return (Math.exp(k * t) - 1) / (Math.exp(k) - 1);
+  }
+
+  /**
+   * Advance the envelope by one step
+   * A step is a sample at the audio rate, or a control block when voices
+   * pass the control rate as sampleRate. Zero-length stages are skipped within the same step.
+   * @param {object} env - Stage settings: delay, attack, hold, decay,
+   *   sustain, release (seconds / 0-1) and attackCurve, decayCurve,
+   *   releaseCurve (-1 to 1)
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {number} Current envelope value (0-1)
+   */
+  process(env, sampleRate) {
+    if (this.state === 'delay') {
+      if (!this.step(env.delay, sampleRate)) return this.level;
+      this.enter('attack');
+    }
+
+    if (this.state === 'attack') {
+      if (!this.step(env.attack, sampleRate)) {
+        this.level =
+          this.from +
+          (1.0 - this.from) * ModEnvelope.shape(this.position, env.attackCurve);
+        return this.level;
+      }
+      this.level = 1.0;
+      this.enter('hold');
+    }
+
+    if (this.state === 'hold') {
+      if (!this.step(env.hold, sampleRate)) return this.level;
+      this.enter('decay');
+    }
+
+    if (this.state === 'decay') {
+      if (!this.step(env.decay, sampleRate)) {
+        this.level =
+          this.from +
+          (env.sustain - this.from) *
+            ModEnvelope.shape(this.position, env.decayCurve);
+        return this.level;
+      }
+      this.state = 'sustain';
+    }
+
+    if (this.state === 'sustain') {
+      this.level = env.sustain;
+      return this.level;
+    }
+
+    if (this.state === 'release') {
+      if (!this.step(env.release, sampleRate)) {
+        this.level =
+          this.from *
+          (1.0 - ModEnvelope.shape(this.position, env.releaseCurve));
+        return this.level;
+      }
+      this.level = 0.0;
+      this.state = 'idle';
+    }
+
+    return this.level;
+  }
+}
+
+/**
+ * MSEG breakpoint shape, shared by all voices
+ * Refreshed from the msegTime/msegLevel/msegCurve parameters once per block.
+ */
+class MsegShape {
+  constructor() {
+    this.count = 2;
+    this.times = new Float64Array(MSEG_POINTS); // Positions 0-1, non-decreasing
+    this.levels = new Float64Array(MSEG_POINTS);
+    this.curves = new Float64Array(MSEG_POINTS); // Bend of the segment into each point
+    this.length = 1.0; // Seconds for the whole shape
+    this.retrigger = true;
+    this.loop = false;
+    this.loopStart = 0;
+    this.loopEnd = 0;
+  }
+
+  /**
+   * Read the shape from the processor parameters
+   * @param {object} parameters - process() parameters
+   */
+  update(parameters) {
+    const count = Math.max(
+      2,
+      Math.min(MSEG_POINTS, Math.round(parameters.msegPointCount[0]))
+    );
+    this.count = count;
+
+    // The first point always starts the shape; later points can't go back
+    let time = 0.0;
+    for (let i = 0; i < count; i++) {
+      if (i > 0) {
+        time = Math.max(time, Math.min(1, parameters[MSEG_TIME_PARAMS[i]][0]));
+      }
+      this.times[i] = time;
+      this.levels[i] = parameters[MSEG_LEVEL_PARAMS[i]][0];
+      this.curves[i] = parameters[MSEG_CURVE_PARAMS[i]][0];
+    }
+
+    if (parameters.msegTempoSync[0] > 0) {
+      const divisionIndex = Math.round(parameters.msegSyncDivision[0]);
+      const divisionName = TEMPO_DIVISION_NAMES[divisionIndex] || '1/1';
+      const multiplier = TEMPO_DIVISIONS[divisionName] || 1.0;
+      this.length = 60.0 / parameters.bpm[0] / multiplier;
+    } else {
+      this.length = Math.max(0.01, parameters.msegLength[0]);
+    }
+
+    this.retrigger = parameters.msegRetrigger[0] > 0;
+    this.loopStart = Math.min(
+      count - 1,
+      Math.round(parameters.msegLoopStart[0])
+    );
+    this.loopEnd = Math.min(count - 1, Math.round(parameters.msegLoopEnd[0]));
+    this.loop =
+      parameters.msegLoop[0] > 0 &&
+      this.times[this.loopEnd] > this.times[this.loopStart];
+  }
+}
+
+/**
+ * Multi-segment envelope (MSEG)
+ * Per-voice playhead over the shared MsegShape. With key retrigger the shape
+ * plays once from the start of each note and holds its last point; while the
+ * key is held, reaching the loop end jumps back to the loop start. In free
+ * mode the playhead keeps its position across notes and cycles the shape.
+ */
+class MultiSegmentEnvelope {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Reset to initial state
+   */
+  reset() {
+    this.position = 0.0; // Playhead within the shape (0-1)
+    this.level = 0.0;
+    this.triggered = false;
+  }
+
+  /**
+   * Note on: restart on the next step if the shape retriggers
+   */
+  trigger() {
+    this.triggered = true;
+  }
+
+  /**
+   * Advance the envelope by one step (a control block for voices, which
+   * pass the control rate as sampleRate)
+   * @param {MsegShape} shape - Breakpoint shape
+   * @param {boolean} gate - Key held (loops only run while held)
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {number} Current envelope value (0-1)
+   */
+  process(shape, gate, sampleRate) {
+    const { count, times, levels, curves } = shape;
+    const end = times[count - 1];
+
+    if (this.triggered) {
+      this.triggered = false;
+      if (shape.retrigger) this.position = 0.0;
+    } else {
+      this.position += 1.0 / (shape.length * sampleRate);
+    }
+
+    if (gate && shape.loop) {
+      const loopStartTime = times[shape.loopStart];
+      const loopEndTime = times[shape.loopEnd];
+      if (this.position >= loopEndTime) {
+        this.position =
+          loopStartTime +
+          ((this.position - loopEndTime) % (loopEndTime - loopStartTime));
+      }
+    }
+
+    if (this.position >= end) {
+      this.position = shape.retrigger || end <= 0 ? end : this.position % end;
+    }
+
+    // Find the segment under the playhead
+    let i = 1;
+    while (i < count - 1 && this.position >= times[i]) i++;
+    const start = times[i - 1];
+    const span = times[i] - start;
+    const t = span > 0 ? Math.min(1, (this.position - start) / span) : 1;
+
+    this.level =
+      levels[i - 1] +
+      (levels[i] - levels[i - 1]) * ModEnvelope.shape(t, curves[i]);
+    return this.level;
+  }
+}
+
+/**
+ * Step sequencer pattern, shared by all voices
+ * Refreshed from the stepSeq* parameters once per block.
+ */
+class StepSequence {
+  constructor() {
+    this.steps = STEP_SEQUENCER_STEPS;
+    this.values = new Float64Array(STEP_SEQUENCER_STEPS);
+    this.glides = new Float64Array(STEP_SEQUENCER_STEPS); // Fraction of each step
+    this.rate = 8.0; // Steps per second
+    this.swing = 0.0;
+    this.retrigger = true;
+  }
+
+  /**
+   * Read the pattern from the processor parameters
+   * @param {object} parameters - process() parameters
+   */
+  update(parameters) {
+    this.steps = Math.max(
+      1,
+      Math.min(STEP_SEQUENCER_STEPS, Math.round(parameters.stepSeqSteps[0]))
+    );
+    for (let i = 0; i < this.steps; i++) {
+      this.values[i] = parameters[STEP_SEQ_VALUE_PARAMS[i]][0];
+      this.glides[i] = parameters[STEP_SEQ_GLIDE_PARAMS[i]][0];
+    }
+
+    const divisionIndex = Math.round(parameters.stepSeqSyncDivision[0]);
+    const divisionName = TEMPO_DIVISION_NAMES[divisionIndex] || '1/16';
+    const multiplier = TEMPO_DIVISIONS[divisionName] || 4.0;
+    this.rate = (parameters.bpm[0] / 60.0) * multiplier;
+    this.swing = Math.max(0, Math.min(1, parameters.stepSeqSwing[0]));
+    this.retrigger = parameters.stepSeqRetrigger[0] > 0;
+  }
+}
+
+/**
+ * Modulation step sequencer
+ * Per-voice playhead over the shared StepSequence, in steps. Swing lengthens
+ * the first step of every pair by up to half a step and shortens the second
+ * by the same amount. Each step can glide from the previous step's value.
+ * With key retrigger the pattern restarts on each note; in free mode the
+ * playhead keeps running across notes.
+ */
+class StepSequencer {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Reset to initial state
+   */
+  reset() {
+    this.position = 0.0; // Playhead (0 to step count)
+    this.step = 0;
+    this.level = 0.0;
+    this.triggered = false;
+  }
+
+  /**
+   * Note on: restart on the next step if the pattern retriggers
+   */
+  trigger() {
+    this.triggered = true;
+  }
+
+  /**
+   * Advance the sequencer by one step (a control block for voices, which
+   * pass the control rate as sampleRate)
+   * @param {StepSequence} sequence - Step pattern
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {number} Current value (0-1)
+   */
+  process(sequence, sampleRate) {
+    const { steps, values, glides, swing } = sequence;
+
+    if (this.triggered) {
+      this.triggered = false;
+      if (sequence.retrigger) this.position = 0.0;
+    } else {
+      this.position += sequence.rate / sampleRate;
+    }
+    if (this.position >= steps) this.position %= steps;
+
+    // Step under the playhead and progress through it, with swing
+    const pairStart = Math.floor(this.position / 2) * 2;
+    const pairPosition = this.position - pairStart;
+    const firstLength = pairStart + 1 < steps ? 1.0 + 0.5 * swing : 1.0;
+    let step;
+    let t;
+    if (pairPosition < firstLength) {
+      step = pairStart;
+      t = pairPosition / firstLength;
+    } else {
+      step = pairStart + 1;
+      t = (pairPosition - firstLength) / (2.0 - firstLength);
+    }
+    this.step = step;
+
+    const value = values[step];
+    const glide = glides[step];
+    if (glide > 0 && t < glide) {
+      const previous = values[step > 0 ? step - 1 : steps - 1];
+      this.level = previous + (value - previous) * (t / glide);
+    } else {
+      this.level = value;
+    }
+    return this.level;
+  }
 }
 
 /**
  * LFO (Low Frequency Oscillator)
- * Per-voice modulation source with multiple waveforms and tempo sync
- * Supports: Sine, Triangle, Square, Saw Up, Saw Down, Random (S&H)
+ * Per-voice (or processor-wide, in global mode) modulation source with
+ * multiple waveforms and tempo sync
+ * Supports: Sine, Triangle, Square, Saw Up, Saw Down, Random (S&H),
+ * Smooth Random, Noise
  */
 class LFO {
   constructor() {
     this.phase = 0.0;
     this.lastSampleHold = 0.0;
+    this.smoothFrom = 0.0; // Smooth random: value at the start of the cycle
+    this.smoothTo = 0.0; // Smooth random: value at the end of the cycle
     this.fadeInValue = 0.0;
     this.activationTime = 0;
   }
@@ -362,6 +1257,8 @@ class LFO {
   reset(initialPhase = 0.0) {
     this.phase = initialPhase;
     this.lastSampleHold = Math.random() * 2.0 - 1.0;
+    this.smoothFrom = this.lastSampleHold;
+    this.smoothTo = Math.random() * 2.0 - 1.0;
     this.fadeInValue = 0.0;
     this.activationTime = 0;
   }
@@ -379,7 +1276,8 @@ class LFO {
 
   /**
    * Generate LFO waveform sample
-   * @param {number} waveform - Waveform type (0=Sine, 1=Tri, 2=Sqr, 3=SawUp, 4=SawDown, 5=S&H)
+   * @param {number} waveform - Waveform type (0=Sine, 1=Tri, 2=Sqr, 3=SawUp,
+   *   4=SawDown, 5=S&H, 6=Smooth Random, 7=Noise)
    * @param {number} phase - Current phase (0-1)
    * @param {number} prevPhase - Previous phase (0-1) for wrap detection
    * @param {number} phaseInc - Phase increment per sample
@@ -413,16 +1311,32 @@ class LFO {
         }
         return this.lastSampleHold;
 
+      case 6: {
+        // Smooth Random: cosine glide to a new random target every cycle
+        if (phase < prevPhase) {
+          this.smoothFrom = this.smoothTo;
+          this.smoothTo = Math.random() * 2.0 - 1.0;
+        }
+        const t = 0.5 - 0.5 * Math.cos(Math.PI * phase);
+        return this.smoothFrom + (this.smoothTo - this.smoothFrom) * t;
+      }
+
+      case 7: // Noise (new random value every step, rate has no effect)
+        return Math.random() * 2.0 - 1.0;
+
       default:
         return 0.0;
     }
   }
 
   /**
-   * Process one sample of LFO output
+   * Advance the LFO by one step and return its output
+   * Global LFOs step every sample; per-voice LFOs step once per control
+   * block, with the control rate as sampleRate, so their noise waveform is
+   * a sample-and-hold at sampleRate / CONTROL_BLOCK_SIZE (3 kHz at 48 kHz).
    * @param {number} rate - LFO rate in Hz
    * @param {number} depth - LFO depth (0-1)
-   * @param {number} waveform - Waveform type (0-5)
+   * @param {number} waveform - Waveform type (0-7)
    * @param {number} fadeInTime - Fade-in time in seconds
    * @param {number} currentFrame - Current frame number
    * @param {number} sampleRate - Sample rate in Hz
@@ -445,20 +1359,28 @@ class LFO {
       phaseInc
     );
 
-    // Apply fade-in envelope (exponential curve)
-    if (fadeInTime > 0.0001) {
-      const fadeInCoeff =
-        1.0 - Math.exp(-1.0 / ((fadeInTime / 4.6) * sampleRate));
-      this.fadeInValue += (1.0 - this.fadeInValue) * fadeInCoeff;
+    return rawValue * depth * this.fadeIn(fadeInTime, sampleRate);
+  }
+
+  /**
+   * Advance the fade-in envelope by one step (see process)
+   * Also used on its own by voices following a global LFO.
+   * @param {number} fadeInTime - Fade-in time in seconds
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {number} Fade-in gain (0-1, 1 when fade-in is off)
+   */
+  fadeIn(fadeInTime, sampleRate) {
+    if (fadeInTime <= 0.0001) return 1.0;
 
-      // Clamp to prevent overshooting
-      if (this.fadeInValue > 0.9999) this.fadeInValue = 1.0;
+    // Exponential curve
+    const fadeInCoeff =
+      1.0 - Math.exp(-1.0 / ((fadeInTime / 4.6) * sampleRate));
+    this.fadeInValue += (1.0 - this.fadeInValue) * fadeInCoeff;
 
-      return rawValue * depth * this.fadeInValue;
-    }
+    // Clamp to prevent overshooting
+    if (this.fadeInValue > 0.9999) this.fadeInValue = 1.0;
 
-    // No fade-in
-    return rawValue * depth;
+    return this.fadeInValue;
   }
 }
 
@@ -584,6 +1506,9 @@ class Voice {
     // Envelopes
     this.ampEnv = new Envelope();
     this.filterEnv = new Envelope();
+    this.modEnv = new ModEnvelope();
+    this.mseg = new MultiSegmentEnvelope();
+    this.stepSeq = new StepSequencer();
 
     // LFOs
     this.lfo1 = new LFO();
@@ -595,12 +1520,44 @@ class Voice {
     this.lpf = new IIRFilter();
     this.hpf = new IIRFilter();
 
+    // Analog drift: each voice keeps its own wander rate and offsets (-1..1)
+    // for its whole life, so the same voice always sounds slightly different
+    // from the others. Not cleared by reset().
+    this.drift = new LFO();
+    this.drift.reset(Math.random());
+    this.driftRate = DRIFT_RATE_MIN + Math.random() * DRIFT_RATE_RANGE;
+    this.driftCutoff = Math.random() * 2.0 - 1.0;
+    this.driftEnvelope = Math.random() * 2.0 - 1.0;
+
     // Voice state
     this.midi = -1;
     this.velocity = 1.0;
     this.gate = false;
     this.active = false;
     this.activationTime = 0;
+
+    // Portamento: current (gliding) pitch in MIDI semitones
+    this.pitch = 0;
+    this.glideTarget = 0;
+    this.glideStep = 0; // semitones per sample, 0 = not gliding
+
+    // Unison: position of this voice within its note's stack
+    this.unisonDetune = 0; // semitones
+    this.unisonPan = 0; // -1 to +1
+    this.unisonGain = 1.0;
+
+    // Per-note matrix sources
+    this.keyRandom = 0.0; // 0-1, drawn once per note-on
+    this.alternate = 1.0; // +1/-1, flips with every note-on
+    this.releaseVelocity = 0.0; // 0-1, set on note-off
+    this.pressure = 0.0; // Polyphonic key or MPE pressure (0-1)
+
+    // MPE: member channel of the note (-1 = not an MPE note) and its
+    // per-note pitch bend (-1..1, and in semitones) and slide (CC74, 0-1)
+    this.channel = -1;
+    this.noteBend = 0.0;
+    this.noteBendSemitones = 0.0;
+    this.slide = 0.0;
   }
 
   /**
@@ -617,6 +1574,9 @@ class Voice {
     // Reset envelopes
     this.ampEnv.reset();
     this.filterEnv.reset();
+    this.modEnv.reset();
+    this.mseg.reset();
+    this.stepSeq.reset();
 
     // Reset LFOs
     this.lfo1.reset(0.0);
@@ -634,6 +1594,20 @@ class Voice {
     this.gate = false;
     this.active = false;
     this.activationTime = 0;
+
+    this.pitch = 0;
+    this.glideTarget = 0;
+    this.glideStep = 0;
+
+    this.unisonDetune = 0;
+    this.unisonPan = 0;
+    this.unisonGain = 1.0;
+
+    this.keyRandom = 0.0;
+    this.alternate = 1.0;
+    this.releaseVelocity = 0.0;
+    this.pressure = 0.0;
+    this.clearExpression();
   }
 
   /**
@@ -660,8 +1634,17 @@ class Voice {
     this.gate = true;
     this.active = true;
     this.activationTime = currentFrame;
+    this.pitch = midiNote;
+    this.glideTarget = midiNote;
+    this.glideStep = 0;
+    this.releaseVelocity = 0.0;
+    this.pressure = 0.0;
+    this.clearExpression();
     this.ampEnv.trigger();
     this.filterEnv.trigger();
+    this.modEnv.trigger();
+    this.mseg.trigger();
+    this.stepSeq.trigger();
 
     // Always reset LFO1 fade-in on note-on
     this.lfo1.fadeInValue = 0.0;
@@ -684,32 +1667,130 @@ class Voice {
 
   /**
    * Release voice (note off)
+   * @param {number} [velocity=0.5] - Release velocity (0-1); MIDI's default
+   *   of 64 when the note-off doesn't carry one
    */
-  release() {
+  release(velocity = 0.5) {
     this.gate = false;
+    this.releaseVelocity = velocity;
     this.ampEnv.release();
     this.filterEnv.release();
+    this.modEnv.release();
   }
 
   /**
-   * Check if voice is available for stealing
+   * Take a note's MPE member channel and expression
+   * @param {{channel: number, bend: number, bendRange: number,
+   *   pressure: number, slide: number}} expression - Channel state
    */
-  isStealable() {
-    return (
-      !this.active || this.ampEnv.state === 'release' || this.ampEnv.isIdle()
-    );
+  applyExpression(expression) {
+    this.channel = expression.channel;
+    this.noteBend = expression.bend;
+    this.noteBendSemitones = expression.bend * expression.bendRange;
+    this.pressure = expression.pressure;
+    this.slide = expression.slide;
   }
-}
 
-/**
+  /**
+   * Forget the MPE channel and per-note bend and slide
+   */
+  clearExpression() {
+    this.channel = -1;
+    this.noteBend = 0.0;
+    this.noteBendSemitones = 0.0;
+    this.slide = 0.0;
+  }
+
+  /**
+   * Glide from the current pitch to a target pitch
+   * @param {number} targetPitch - Target pitch (MIDI note)
+   * @param {number} time - Portamento time in seconds (0 = jump immediately)
+   * @param {number} mode - PORTAMENTO_CONSTANT_TIME or PORTAMENTO_CONSTANT_RATE
+   * @param {number} sampleRate - Sample rate in Hz
+   */
+  glideTo(targetPitch, time, mode, sampleRate) {
+    const distance = Math.abs(targetPitch - this.pitch);
+    this.glideTarget = targetPitch;
+
+    if (time <= 0 || distance === 0) {
+      this.pitch = targetPitch;
+      this.glideStep = 0;
+      return;
+    }
+
+    // Constant rate: time is per octave, so wider intervals take longer
+    const glideSamples =
+      mode === PORTAMENTO_CONSTANT_RATE
+        ? (time * sampleRate * distance) / 12
+        : time * sampleRate;
+    this.glideStep = distance / Math.max(1, glideSamples);
+  }
+
+  /**
+   * Advance portamento
+   * @param {number} [samples=1] - Samples to advance by
+   */
+  advanceGlide(samples = 1) {
+    if (this.glideStep === 0) return;
+
+    const step = this.glideStep * samples;
+    if (this.pitch < this.glideTarget) {
+      this.pitch = Math.min(this.glideTarget, this.pitch + step);
+    } else {
+      this.pitch = Math.max(this.glideTarget, this.pitch - step);
+    }
+    if (this.pitch === this.glideTarget) {
+      this.glideStep = 0;
+    }
+  }
+
+  /**
+   * Check if voice is available for stealing
+   */
+  isStealable() {
+    return (
+      !this.active || this.ampEnv.state === 'release' || this.ampEnv.isIdle()
+    );
+  }
+}
+
+/**
  * Voice Allocator
  * Manages polyphonic voice allocation with intelligent voice stealing
+ * In unison mode every note claims a stack of voices from the same pool.
  */
 class VoiceAllocator {
-  constructor(maxVoices) {
+  constructor(maxVoices, sampleRate = 48000) {
     this.maxVoices = maxVoices;
+    this.sampleRate = sampleRate;
     this.voices = [];
-    this.noteToVoice = new Map(); // MIDI note -> voice index
+    this.noteToVoice = new Map(); // MIDI note -> array of voice indices
+
+    // Playable voices (voices[0..polyphony-1]) and stealing policy
+    this.polyphony = maxVoices;
+    this.voiceStealing = STEAL_RELEASED_FIRST;
+
+    // Mono/legato state (the first voice(s) of the pool play all notes)
+    this.voiceMode = VOICE_MODE_POLY;
+    this.notePriority = NOTE_PRIORITY_LAST;
+    this.portamentoTime = 0;
+    this.portamentoMode = PORTAMENTO_CONSTANT_TIME;
+    this.portamentoLegatoOnly = false;
+    this.heldNotes = []; // Held-note stack: { midi, velocity } in press order
+    this.lastMonoPitch = -1; // Glide start point, survives voice release
+
+    // Unison settings
+    this.unisonVoices = 1; // Voices stacked per note (1 = unison off)
+    this.unisonDetune = 0; // Cents offset of the outermost stacked voices
+    this.unisonSpread = 0; // Stereo spread of the stack (0-1)
+    this.unisonPhaseRandom = 0; // Oscillator start phase randomization (0-1)
+
+    // Analog drift: oscillator phase randomization on note-on (0-1)
+    this.driftPhase = 0;
+
+    // Per-note matrix sources shared by every voice of the latest note
+    this.noteRandom = 0.0;
+    this.noteAlternate = -1.0; // Flipped before use: the first note gets +1
 
     // Initialize voice pool
     for (let i = 0; i < maxVoices; i++) {
@@ -717,35 +1798,172 @@ class VoiceAllocator {
     }
   }
 
+  /**
+   * Change the number of playable voices
+   * Voices above the new limit are released and left to finish their tails.
+   * @param {number} count - Polyphony (clamped to 1..maxVoices)
+   */
+  setPolyphony(count) {
+    const polyphony = Math.max(1, Math.min(this.maxVoices, Math.round(count)));
+    if (polyphony === this.polyphony) return;
+
+    for (let i = polyphony; i < this.polyphony; i++) {
+      const voice = this.voices[i];
+      if (voice.gate) {
+        voice.release();
+      }
+      this.unmapVoice(i);
+    }
+    this.polyphony = polyphony;
+  }
+
+  /**
+   * Number of voices each note claims (unison stack size, limited by polyphony)
+   * @returns {number} Stack size
+   */
+  getStackSize() {
+    return Math.max(1, Math.min(this.unisonVoices, this.polyphony));
+  }
+
+  /**
+   * Remove a voice from the note mapping
+   * @param {number} voiceIndex - Voice index
+   */
+  unmapVoice(voiceIndex) {
+    const midi = this.voices[voiceIndex].midi;
+    if (midi < 0) return;
+
+    const stack = this.noteToVoice.get(midi);
+    if (!stack) return;
+    const position = stack.indexOf(voiceIndex);
+    if (position >= 0) {
+      stack.splice(position, 1);
+    }
+    if (stack.length === 0) {
+      this.noteToVoice.delete(midi);
+    }
+  }
+
   /**
    * Allocate a voice for a new note
    * @param {number} midiNote - MIDI note number
+   * @param {number[]} [claimed] - Voices already claimed by this note's stack
    * @returns {number} Voice index
    */
-  allocate(midiNote) {
+  allocate(midiNote, claimed = []) {
     // First try to find a free voice
-    for (let i = 0; i < this.maxVoices; i++) {
-      if (!this.voices[i].active) {
+    for (let i = 0; i < this.polyphony; i++) {
+      if (!this.voices[i].active && !claimed.includes(i)) {
         return i;
       }
     }
 
-    // No free voices, steal the oldest (first active voice in release or idle)
-    for (let i = 0; i < this.maxVoices; i++) {
-      if (this.voices[i].isStealable()) {
-        // Remove old note mapping
-        if (this.voices[i].midi >= 0) {
-          this.noteToVoice.delete(this.voices[i].midi);
-        }
-        return i;
+    // No free voices, steal according to the stealing policy
+    let victim = -1;
+    for (let i = 0; i < this.polyphony; i++) {
+      if (claimed.includes(i)) continue;
+      if (victim < 0 || this.shouldStealBefore(i, victim)) {
+        victim = i;
       }
     }
+    if (victim < 0) return 0;
+
+    this.unmapVoice(victim);
+    return victim;
+  }
+
+  /**
+   * Steal ranking of a voice under the current policy (lower = steal first)
+   * @param {Voice} voice - Candidate voice
+   * @returns {number} Ranking; ties are broken by age
+   */
+  stealRank(voice) {
+    switch (this.voiceStealing) {
+      case STEAL_QUIETEST:
+        return voice.ampEnv.value;
+      case STEAL_LOWEST:
+        return voice.midi;
+      case STEAL_HIGHEST:
+        return -voice.midi;
+      case STEAL_RELEASED_FIRST:
+        return voice.isStealable() ? 0 : 1;
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Compare two steal candidates
+   * @param {number} a - Voice index
+   * @param {number} b - Voice index
+   * @returns {boolean} True if voice a should be stolen before voice b
+   */
+  shouldStealBefore(a, b) {
+    const voiceA = this.voices[a];
+    const voiceB = this.voices[b];
+    const rankA = this.stealRank(voiceA);
+    const rankB = this.stealRank(voiceB);
+    if (rankA !== rankB) return rankA < rankB;
+    return voiceA.activationTime < voiceB.activationTime;
+  }
+
+  /**
+   * Apply unison detune, pan and start phase to a stacked voice
+   * @param {Voice} voice - Voice to configure
+   * @param {number} index - Position in the stack (0..count-1)
+   * @param {number} count - Stack size
+   */
+  applyUnison(voice, index, count) {
+    if (count <= 1) {
+      voice.unisonDetune = 0;
+      voice.unisonPan = 0;
+      voice.unisonGain = 1;
+      return;
+    }
 
-    // All voices active, steal voice 0
-    if (this.voices[0].midi >= 0) {
-      this.noteToVoice.delete(this.voices[0].midi);
+    // Spread stacked voices evenly across -1..+1
+    const position = (index / (count - 1)) * 2 - 1;
+    voice.unisonDetune = (position * this.unisonDetune) / 100; // semitones
+    voice.unisonPan = position * this.unisonSpread;
+    // Keep perceived loudness roughly constant as voices are added
+    voice.unisonGain = 1 / Math.sqrt(count);
+
+    if (this.unisonPhaseRandom > 0) {
+      voice.osc1.phase = Math.random() * this.unisonPhaseRandom;
+      voice.osc2.phase = Math.random() * this.unisonPhaseRandom;
+      voice.subOsc1.phase = Math.random() * this.unisonPhaseRandom;
+      voice.subOsc2.phase = Math.random() * this.unisonPhaseRandom;
     }
-    return 0;
+  }
+
+  /**
+   * Offset a voice's oscillator phases by a random amount (analog drift)
+   * Offsets add to any unison phase randomization.
+   * @param {Voice} voice - Voice starting a note
+   */
+  applyDriftPhase(voice) {
+    if (this.driftPhase <= 0) return;
+    this.driftOscillatorPhase(voice.osc1);
+    this.driftOscillatorPhase(voice.osc2);
+    this.driftOscillatorPhase(voice.subOsc1);
+    this.driftOscillatorPhase(voice.subOsc2);
+  }
+
+  /**
+   * Offset one oscillator's phase by up to driftPhase of a cycle
+   * @param {Oscillator} osc - Oscillator to offset
+   */
+  driftOscillatorPhase(osc) {
+    osc.phase = (osc.phase + Math.random() * this.driftPhase) % 1.0;
+  }
+
+  /**
+   * Hand the latest note's Key Random and Alternate values to a voice
+   * @param {Voice} voice - Voice playing the note
+   */
+  applyNoteSources(voice) {
+    voice.keyRandom = this.noteRandom;
+    voice.alternate = this.noteAlternate;
   }
 
   /**
@@ -767,22 +1985,67 @@ class VoiceAllocator {
     lfo2Phase = 0.0,
     lfo2Retrigger = true
   ) {
-    // If note is already playing, retrigger it
+    this.noteRandom = Math.random();
+    this.noteAlternate = -this.noteAlternate;
+
+    if (this.voiceMode !== VOICE_MODE_POLY) {
+      this.monoNoteOn(
+        midiNote,
+        velocity,
+        currentFrame,
+        lfo1Phase,
+        lfo1Retrigger,
+        lfo2Phase,
+        lfo2Retrigger
+      );
+      return;
+    }
+
+    // If note is already playing, retrigger its voices
     if (this.noteToVoice.has(midiNote)) {
-      const voiceIndex = this.noteToVoice.get(midiNote);
-      const voice = this.voices[voiceIndex];
+      const stack = this.noteToVoice.get(midiNote);
+      for (let i = 0; i < stack.length; i++) {
+        const voice = this.voices[stack[i]];
+
+        // Hard retrigger: reset oscillator phases
+        voice.osc1.phase = 0.0;
+        voice.osc2.phase = 0.0;
+        voice.subOsc1.phase = 0.0;
+        voice.subOsc2.phase = 0.0;
+
+        // Reset filters
+        voice.lpf.reset();
+        voice.hpf.reset();
+
+        // Trigger with new velocity
+        voice.trigger(
+          midiNote,
+          velocity,
+          currentFrame,
+          lfo1Phase,
+          lfo1Retrigger,
+          lfo2Phase,
+          lfo2Retrigger
+        );
+        this.applyUnison(voice, i, stack.length);
+        this.applyDriftPhase(voice);
+        this.applyNoteSources(voice);
+      }
+      return;
+    }
 
-      // Hard retrigger: reset oscillator phases
-      voice.osc1.phase = 0.0;
-      voice.osc2.phase = 0.0;
-      voice.subOsc1.phase = 0.0;
-      voice.subOsc2.phase = 0.0;
+    // Allocate a new voice (or a unison stack of voices)
+    const count = this.getStackSize();
+    const stack = [];
+    for (let i = 0; i < count; i++) {
+      const voiceIndex = this.allocate(midiNote, stack);
+      const voice = this.voices[voiceIndex];
 
-      // Reset filters
-      voice.lpf.reset();
-      voice.hpf.reset();
+      // Reset voice completely if it was previously used (voice stealing)
+      if (voice.active || !voice.ampEnv.isIdle()) {
+        voice.reset();
+      }
 
-      // Trigger with new velocity
       voice.trigger(
         midiNote,
         velocity,
@@ -792,38 +2055,73 @@ class VoiceAllocator {
         lfo2Phase,
         lfo2Retrigger
       );
-      return;
+      this.applyUnison(voice, i, count);
+      this.applyDriftPhase(voice);
+      this.applyNoteSources(voice);
+      stack.push(voiceIndex);
     }
+    this.noteToVoice.set(midiNote, stack);
+  }
 
-    // Allocate new voice
-    const voiceIndex = this.allocate(midiNote);
-    const voice = this.voices[voiceIndex];
+  /**
+   * Release a note
+   * @param {number} midiNote - MIDI note number
+   * @param {number} [releaseVelocity=0.5] - Note-off velocity (0-1)
+   */
+  noteOff(midiNote, releaseVelocity = 0.5) {
+    if (this.voiceMode !== VOICE_MODE_POLY) {
+      this.monoNoteOff(midiNote, releaseVelocity);
+      return;
+    }
 
-    // Reset voice completely if it was previously used (voice stealing)
-    if (voice.active || !voice.ampEnv.isIdle()) {
-      voice.reset();
+    const stack = this.noteToVoice.get(midiNote);
+    if (stack) {
+      for (let i = 0; i < stack.length; i++) {
+        this.voices[stack[i]].release(releaseVelocity);
+      }
     }
+  }
 
-    voice.trigger(
-      midiNote,
-      velocity,
-      currentFrame,
-      lfo1Phase,
-      lfo1Retrigger,
-      lfo2Phase,
-      lfo2Retrigger
-    );
-    this.noteToVoice.set(midiNote, voiceIndex);
+  /**
+   * Set the polyphonic key pressure of the voices holding a note
+   * @param {number} midiNote - MIDI note number
+   * @param {number} pressure - Pressure (0-1)
+   */
+  setPressure(midiNote, pressure) {
+    for (let i = 0; i < this.maxVoices; i++) {
+      const voice = this.voices[i];
+      if (voice.gate && voice.midi === midiNote) {
+        voice.pressure = pressure;
+      }
+    }
   }
 
   /**
-   * Release a note
+   * Tie the voices holding a new MPE note to its member channel
    * @param {number} midiNote - MIDI note number
+   * @param {Object} expression - Channel state (see Voice.applyExpression)
    */
-  noteOff(midiNote) {
-    if (this.noteToVoice.has(midiNote)) {
-      const voiceIndex = this.noteToVoice.get(midiNote);
-      this.voices[voiceIndex].release();
+  setNoteExpression(midiNote, expression) {
+    for (let i = 0; i < this.maxVoices; i++) {
+      const voice = this.voices[i];
+      if (voice.gate && voice.midi === midiNote) {
+        voice.applyExpression(expression);
+      }
+    }
+  }
+
+  /**
+   * Update the per-note bend, pressure and slide of an MPE member channel
+   * Released voices keep their last values: the channel may already be
+   * playing the next note.
+   * @param {Object} expression - Channel state (see Voice.applyExpression)
+   */
+  setChannelExpression(expression) {
+    for (let i = 0; i < this.maxVoices; i++) {
+      const voice = this.voices[i];
+      if (voice.gate && voice.channel === expression.channel) {
+        voice.applyExpression(expression);
+      }
     }
   }
 
@@ -831,6 +2129,7 @@ class VoiceAllocator {
    * Release all notes (MIDI panic)
    */
   allNotesOff() {
+    this.heldNotes.length = 0;
     for (let i = 0; i < this.maxVoices; i++) {
       if (this.voices[i].active) {
         this.voices[i].release();
@@ -838,6 +2137,178 @@ class VoiceAllocator {
     }
   }
 
+  /**
+   * Switch between poly, mono and legato modes
+   * Changing mode releases all sounding notes so no voice is left hanging
+   * @param {number} mode - VOICE_MODE_POLY, VOICE_MODE_MONO or VOICE_MODE_LEGATO
+   */
+  setVoiceMode(mode) {
+    if (mode === this.voiceMode) return;
+    this.allNotesOff();
+    this.noteToVoice.clear();
+    this.lastMonoPitch = -1;
+    this.voiceMode = mode;
+  }
+
+  /**
+   * Pick the note that should sound from the held-note stack
+   * @returns {Object|null} Held note entry ({ midi, velocity }) or null
+   */
+  selectHeldNote() {
+    const notes = this.heldNotes;
+    if (notes.length === 0) return null;
+
+    let selected = notes[notes.length - 1];
+    if (this.notePriority === NOTE_PRIORITY_LOW) {
+      for (let i = 0; i < notes.length; i++) {
+        if (notes[i].midi < selected.midi) selected = notes[i];
+      }
+    } else if (this.notePriority === NOTE_PRIORITY_HIGH) {
+      for (let i = 0; i < notes.length; i++) {
+        if (notes[i].midi > selected.midi) selected = notes[i];
+      }
+    }
+    return selected;
+  }
+
+  removeHeldNote(midiNote) {
+    const notes = this.heldNotes;
+    for (let i = 0; i < notes.length; i++) {
+      if (notes[i].midi === midiNote) {
+        notes.splice(i, 1);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Move a mono voice to a note, gliding if portamento applies
+   * @param {Voice} voice - Mono voice
+   * @param {number} fromPitch - Pitch to glide from (-1 = none)
+   * @param {number} midiNote - Target note
+   * @param {boolean} legato - True if another note was still held
+   */
+  glideMonoVoice(voice, fromPitch, midiNote, legato) {
+    const canGlide =
+      this.portamentoTime > 0 &&
+      fromPitch >= 0 &&
+      (legato || !this.portamentoLegatoOnly);
+
+    if (canGlide) {
+      voice.pitch = fromPitch;
+      voice.glideTo(
+        midiNote,
+        this.portamentoTime,
+        this.portamentoMode,
+        this.sampleRate
+      );
+    } else {
+      voice.glideTo(midiNote, 0, this.portamentoMode, this.sampleRate);
+    }
+    this.lastMonoPitch = midiNote;
+  }
+
+  /**
+   * Note on in mono/legato mode
+   * Pushes the note onto the held-note stack and moves the mono voice (the
+   * first voice, or the first N voices in unison) to the note chosen by the
+   * note priority
+   */
+  monoNoteOn(
+    midiNote,
+    velocity,
+    currentFrame,
+    lfo1Phase,
+    lfo1Retrigger,
+    lfo2Phase,
+    lfo2Retrigger
+  ) {
+    const voice = this.voices[0];
+    const legato = this.heldNotes.length > 0 && voice.gate;
+    // Glide from wherever the voice is now (may be mid-glide or releasing)
+    const fromPitch = voice.active ? voice.pitch : this.lastMonoPitch;
+
+    // Re-pressing a held note moves it to the top of the stack
+    this.removeHeldNote(midiNote);
+    this.heldNotes.push({ midi: midiNote, velocity });
+
+    const target = this.selectHeldNote();
+    if (legato && target.midi === voice.midi) {
+      // Priority keeps the current note sounding (e.g. low priority + higher key)
+      return;
+    }
+
+    const count = this.getStackSize();
+    const legatoTransition = this.voiceMode === VOICE_MODE_LEGATO && legato;
+    for (let i = 0; i < count; i++) {
+      const stacked = this.voices[i];
+      if (legatoTransition && stacked.gate) {
+        // Legato transition: change pitch only, envelopes keep running
+        stacked.midi = target.midi;
+        stacked.activationTime = currentFrame;
+      } else {
+        // Retrigger without resetting oscillators/filters (no clicks on mono lines)
+        stacked.trigger(
+          target.midi,
+          target.velocity,
+          currentFrame,
+          lfo1Phase,
+          lfo1Retrigger,
+          lfo2Phase,
+          lfo2Retrigger
+        );
+        this.applyUnison(stacked, i, count);
+      }
+      this.applyNoteSources(stacked);
+      this.glideMonoVoice(stacked, fromPitch, target.midi, legato);
+    }
+
+    // Unison size shrank since the last note: release the leftover voices
+    for (let i = count; i < this.maxVoices; i++) {
+      if (this.voices[i].gate) {
+        this.voices[i].release();
+      }
+    }
+  }
+
+  /**
+   * Note off in mono/legato mode
+   * Falls back to the next held note according to note priority
+   */
+  monoNoteOff(midiNote, releaseVelocity = 0.5) {
+    if (!this.removeHeldNote(midiNote)) return;
+
+    const voice = this.voices[0];
+    const target = this.selectHeldNote();
+    if (!target) {
+      for (let i = 0; i < this.maxVoices; i++) {
+        if (this.voices[i].gate) {
+          this.voices[i].release(releaseVelocity);
+        }
+      }
+      return;
+    }
+    if (target.midi === voice.midi || !voice.gate) return;
+
+    for (let i = 0; i < this.maxVoices; i++) {
+      const stacked = this.voices[i];
+      if (!stacked.gate) continue;
+
+      stacked.midi = target.midi;
+      if (this.voiceMode === VOICE_MODE_MONO) {
+        // Mono mode retriggers envelopes when falling back to a held note
+        stacked.velocity = target.velocity;
+        stacked.ampEnv.trigger();
+        stacked.filterEnv.trigger();
+        stacked.modEnv.trigger();
+        stacked.mseg.trigger();
+        stacked.stepSeq.trigger();
+      }
+      this.glideMonoVoice(stacked, stacked.pitch, target.midi, true);
+    }
+  }
+
   /**
    * Clean up finished voices
    * Removes voices from note mapping when envelope is idle
@@ -846,16 +2317,25 @@ class VoiceAllocator {
     for (let i = 0; i < this.maxVoices; i++) {
       const voice = this.voices[i];
       if (voice.active && voice.ampEnv.isIdle()) {
-        if (voice.midi >= 0) {
-          this.noteToVoice.delete(voice.midi);
-        }
+        this.unmapVoice(i);
         voice.reset();
       }
     }
   }
 
   /**
-   * Count active voices
+   * Check whether any voice is still held
+   * @returns {boolean} True if a voice's gate is open
+   */
+  hasGatedVoice() {
+    for (let i = 0; i < this.voices.length; i++) {
+      if (this.voices[i].gate) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Count active voices (each voice of a unison stack counts separately)
    * @returns {number} Number of active voices
    */
   getActiveVoiceCount() {
@@ -878,15 +2358,120 @@ class VoiceAllocator {
       const voice = this.voices[i];
       if (voice.active && currentFrame - voice.activationTime > maxFrames) {
         // Force voice to idle state
-        if (voice.midi >= 0) {
-          this.noteToVoice.delete(voice.midi);
-        }
+        this.unmapVoice(i);
         voice.reset();
       }
     }
   }
 }
 
+// Relative distance at which a smoothed parameter snaps to its target
+const SMOOTHING_EPSILON = 1e-6;
+
+// Name the MIDI CC matrix source's smoothing time goes by (see
+// getSmoothingTimes); CCs aren't parameters, so it isn't one of theirs
+const MIDI_CC_SMOOTHING = 'midiCC';
+
+/**
+ * One-pole smoothing for stepped parameters
+ * k-rate parameters change once per block and MIDI CCs arrive in 7-bit
+ * steps; both zipper on cutoff and volume sweeps. Each smoothed parameter
+ * gets a per-sample buffer gliding toward its value, which the voice code
+ * reads like any a-rate parameter array.
+ */
+class ParameterSmoother {
+  /**
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {Object<string, number>} times - Smoothing time in seconds by
+   *   parameter name (see getSmoothingTimes in the parameter registry)
+   */
+  constructor(sampleRate, times = {}) {
+    this.sampleRate = sampleRate;
+    this.states = new Map(); // name -> { coeff, value, buffer }
+    this.setTimes(times);
+  }
+
+  /**
+   * Set smoothing times; parameters not listed keep theirs
+   * @param {Object<string, number>} times - Seconds by parameter name (0 = off)
+   */
+  setTimes(times) {
+    for (const [name, time] of Object.entries(times)) {
+      const coeff = time > 0 ? 1 - Math.exp(-1 / (time * this.sampleRate)) : 1;
+      const state = this.states.get(name);
+      if (state) {
+        state.coeff = coeff;
+      } else {
+        this.states.set(name, {
+          coeff,
+          value: NaN,
+          buffer: new Float32Array(0),
+        });
+      }
+    }
+  }
+
+  /**
+   * Per-sample one-pole coefficient for a smoothing time
+   * @param {string} name - Parameter name
+   * @returns {number} Coefficient (1 = not smoothed)
+   */
+  getCoefficient(name) {
+    return this.states.get(name)?.coeff ?? 1;
+  }
+
+  /**
+   * Smooth one block of a parameter
+   * The first block starts at the parameter's value, so nothing glides in
+   * when the processor starts.
+   * @param {string} name - Parameter name
+   * @param {Float32Array} input - Parameter values (1 or frames long)
+   * @param {number} frames - Block length
+   * @returns {Float32Array} Smoothed values, or the input if not smoothed
+   */
+  process(name, input, frames) {
+    const state = this.states.get(name);
+    if (!state) return input;
+    if (state.coeff >= 1) {
+      // Still track the value, so turning smoothing back on doesn't jump
+      state.value = input[input.length - 1];
+      return input;
+    }
+
+    if (state.buffer.length !== frames) {
+      state.buffer = new Float32Array(frames);
+    }
+    const out = state.buffer;
+    const coeff = state.coeff;
+    let value = Number.isNaN(state.value) ? input[0] : state.value;
+
+    if (input.length > 1) {
+      for (let i = 0; i < frames; i++) {
+        value += (input[i] - value) * coeff;
+        out[i] = value;
+      }
+    } else {
+      const target = input[0];
+      if (value === target) {
+        out.fill(target);
+      } else {
+        for (let i = 0; i < frames; i++) {
+          value += (target - value) * coeff;
+          out[i] = value;
+        }
+        if (
+          Math.abs(target - value) <=
+          SMOOTHING_EPSILON * Math.max(1, Math.abs(target))
+        ) {
+          value = target;
+        }
+      }
+    }
+    state.value = value;
+    return out;
+  }
+}
+
 /**
  * Message Queue for thread-safe communication
  * Queues messages from main thread to be processed in audio thread
@@ -981,6 +2566,20 @@ class PolyPWMSynthProcessor extends AudioWorkletProcessor {
         maxValue: 1.0,
         automationRate: 'a-rate',
       },
+      {
+        name: 'oscillatorWaveform',
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 4,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'oscillatorMorph',
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: 'k-rate',
+      },
       {
         name: 'pulseWidth',
         defaultValue: 0.5,
@@ -1069,11 +2668,25 @@ class PolyPWMSynthProcessor extends AudioWorkletProcessor {
         name: 'oscillator2Waveform',
         defaultValue: 0,
         minValue: 0,
-        maxValue: 3,
+        maxValue: 4,
         automationRate: 'k-rate',
       },
       {
-        name: 'oscillator2CoarseTune',
+        name: 'oscillator2Wavetable',
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 4,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'oscillator2WavetablePosition',
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'oscillator2CoarseTune',
         defaultValue: 0,
         minValue: -48,
         maxValue: 48,
@@ -1135,7 +2748,7 @@ class PolyPWMSynthProcessor extends AudioWorkletProcessor {
         maxValue: 1.0,
         automationRate: 'k-rate',
       },
-      // Aftertouch modulation slots (4 destinations)
+      // Aftertouch modulation slots (4 destinations, see AFTERTOUCH_MOD_TARGETS)
       // Destination: 0=none, 1=osc1Pitch, 2=osc1Volume, 3=sub1Volume, 4=osc1PW,
       // 5=pwmRate, 6=fmDepth, 7=osc2Pitch, 8=osc2Volume, 9=sub2Volume, 10=ringVolume,
       // 11=noiseMix, 12=lpCutoff, 13=lpResonance, 14=hpCutoff, 15=hpResonance, 16=panDepth, 17=panRate
@@ -1153,6 +2766,13 @@ class PolyPWMSynthProcessor extends AudioWorkletProcessor {
         maxValue: 1.0,
         automationRate: 'k-rate',
       },
+      {
+        name: 'aftertouchPerVoice1',
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: 'k-rate',
+      },
       {
         name: 'aftertouchDest2',
         defaultValue: 0,
@@ -1167,6 +2787,13 @@ class PolyPWMSynthProcessor extends AudioWorkletProcessor {
         maxValue: 1.0,
         automationRate: 'k-rate',
       },
+      {
+        name: 'aftertouchPerVoice2',
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: 'k-rate',
+      },
       {
         name: 'aftertouchDest3',
         defaultValue: 0,
@@ -1181,6 +2808,13 @@ class PolyPWMSynthProcessor extends AudioWorkletProcessor {
         maxValue: 1.0,
         automationRate: 'k-rate',
       },
+      {
+        name: 'aftertouchPerVoice3',
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: 'k-rate',
+      },
       {
         name: 'aftertouchDest4',
         defaultValue: 0,
@@ -1195,6 +2829,13 @@ class PolyPWMSynthProcessor extends AudioWorkletProcessor {
         maxValue: 1.0,
         automationRate: 'k-rate',
       },
+      {
+        name: 'aftertouchPerVoice4',
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: 'k-rate',
+      },
       {
         name: 'filterCutoff',
         defaultValue: 5000,
@@ -1209,6 +2850,20 @@ class PolyPWMSynthProcessor extends AudioWorkletProcessor {
         maxValue: 0.95,
         automationRate: 'a-rate',
       },
+      {
+        name: 'filterMode',
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 5,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'filterMorph',
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: 'k-rate',
+      },
       {
         name: 'hpfCutoff',
         defaultValue: 20,
@@ -1223,6 +2878,41 @@ class PolyPWMSynthProcessor extends AudioWorkletProcessor {
         maxValue: 0.95,
         automationRate: 'a-rate',
       },
+      {
+        name: 'filterRouting',
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 3,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'filterBalance',
+        defaultValue: 0.5,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'lpKeyTrack',
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'hpKeyTrack',
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'keyTrackPivot',
+        defaultValue: 60,
+        minValue: 0,
+        maxValue: 127,
+        automationRate: 'k-rate',
+      },
       {
         name: 'filterEnvAttack',
         defaultValue: 0.005,
@@ -1265,6 +2955,325 @@ class PolyPWMSynthProcessor extends AudioWorkletProcessor {
         maxValue: 1.0,
         automationRate: 'k-rate',
       },
+      {
+        name: 'filterEnvVelocity',
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'modEnvDelay',
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 6,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'modEnvAttack',
+        defaultValue: 0.005,
+        minValue: 0,
+        maxValue: 6,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'modEnvHold',
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 6,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'modEnvDecay',
+        defaultValue: 0.3,
+        minValue: 0,
+        maxValue: 6,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'modEnvSustain',
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'modEnvRelease',
+        defaultValue: 0.2,
+        minValue: 0,
+        maxValue: 6,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'modEnvAttackCurve',
+        defaultValue: 0,
+        minValue: -1,
+        maxValue: 1,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'modEnvDecayCurve',
+        defaultValue: 0,
+        minValue: -1,
+        maxValue: 1,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'modEnvReleaseCurve',
+        defaultValue: 0,
+        minValue: -1,
+        maxValue: 1,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'msegPointCount',
+        defaultValue: 4,
+        minValue: 2,
+        maxValue: 16,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'msegLength',
+        defaultValue: 1,
+        minValue: 0.01,
+        maxValue: 30,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'msegTempoSync',
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'msegSyncDivision',
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 13,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'msegRetrigger',
+        defaultValue: 1,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'msegLoop',
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'msegLoopStart',
+        defaultValue: 1,
+        minValue: 0,
+        maxValue: 15,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'msegLoopEnd',
+        defaultValue: 2,
+        minValue: 0,
+        maxValue: 15,
+        automationRate: 'k-rate',
+      },
+      ...Array.from({ length: MSEG_POINTS }, (_, i) => [
+        {
+          name: MSEG_TIME_PARAMS[i],
+          defaultValue: [0, 0.1, 0.4, 1][i] ?? 1,
+          minValue: 0,
+          maxValue: 1,
+          automationRate: 'k-rate',
+        },
+        {
+          name: MSEG_LEVEL_PARAMS[i],
+          defaultValue: [0, 1, 0.5, 0][i] ?? 0,
+          minValue: 0,
+          maxValue: 1,
+          automationRate: 'k-rate',
+        },
+        {
+          name: MSEG_CURVE_PARAMS[i],
+          defaultValue: 0,
+          minValue: -1,
+          maxValue: 1,
+          automationRate: 'k-rate',
+        },
+      ]).flat(),
+      {
+        name: 'stepSeqSteps',
+        defaultValue: 16,
+        minValue: 1,
+        maxValue: 16,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'stepSeqSyncDivision',
+        defaultValue: 10,
+        minValue: 0,
+        maxValue: 13,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'stepSeqSwing',
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'stepSeqRetrigger',
+        defaultValue: 1,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: 'k-rate',
+      },
+      ...Array.from({ length: STEP_SEQUENCER_STEPS }, (_, i) => [
+        {
+          name: STEP_SEQ_VALUE_PARAMS[i],
+          defaultValue: 0,
+          minValue: 0,
+          maxValue: 1,
+          automationRate: 'k-rate',
+        },
+        {
+          name: STEP_SEQ_GLIDE_PARAMS[i],
+          defaultValue: 0,
+          minValue: 0,
+          maxValue: 1,
+          automationRate: 'k-rate',
+        },
+      ]).flat(),
+      {
+        name: 'voiceMode',
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 2,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'notePriority',
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 2,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'portamentoTime',
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 5,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'portamentoMode',
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'portamentoLegato',
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'polyphony',
+        defaultValue: 8,
+        minValue: 1,
+        maxValue: 32,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'voiceStealing',
+        defaultValue: 4,
+        minValue: 0,
+        maxValue: 4,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'unisonVoices',
+        defaultValue: 1,
+        minValue: 1,
+        maxValue: 8,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'unisonDetune',
+        defaultValue: 15,
+        minValue: 0,
+        maxValue: 50,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'unisonSpread',
+        defaultValue: 0.5,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'unisonPhaseRandom',
+        defaultValue: 1,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'tuning',
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 3,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'tuningReference',
+        defaultValue: 440,
+        minValue: 400,
+        maxValue: 480,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'driftAmount',
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'driftPitch',
+        defaultValue: 0.5,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'driftCutoff',
+        defaultValue: 0.5,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'driftEnvelope',
+        defaultValue: 0.5,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: 'k-rate',
+      },
+      {
+        name: 'driftPhase',
+        defaultValue: 0.5,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: 'k-rate',
+      },
     ];
   }
 
@@ -1286,12 +3295,51 @@ class PolyPWMSynthProcessor extends AudioWorkletProcessor {
 
     // Aftertouch state (channel pressure, 0.0 to 1.0)
     this.aftertouch = 0.0;
+    // MIDI CC matrix source: the latest value of each CC (0-1) and the value
+    // gliding toward it at the start of the block (see ccValueAt)
+    this.ccTargets = new Float32Array(128);
+    this.ccValues = new Float32Array(128);
+    this.ccDecay = new Float32Array(0); // Share of the glide left per sample
+    this.ccDecayCoeff = NaN; // Coefficient ccDecay was computed for
+
+    // Parameter smoothing; times come from the registry when it is inlined,
+    // otherwise from the 'smoothing' message the main thread sends
+    this.smoother = new ParameterSmoother(
+      sampleRate,
+      typeof getSmoothingTimes === 'function' ? getSmoothingTimes() : {}
+    );
+
+    // Microtuning: note -> pitch table from audio/tuning.js (null = 12-TET),
+    // the keys it leaves unmapped (1 = silent), and the frequency of A4
+    // (tuningReference parameter)
+    this.tuningTable = null;
+    this.tuningUnmapped = null;
+    this.referenceFrequency = 440;
+
+    // Oscillator 2 wavetable, band-limited on the main thread (see
+    // audio/wavetables.js): { name, frameCount, size, levels[] }, where
+    // level k holds (size / 2) >> k harmonics. Null until one is loaded.
+    this.wavetable = null;
+
+    // MSEG breakpoints (shared by all voices, refreshed every block)
+    this.msegShape = new MsegShape();
+
+    // Step sequencer pattern (shared by all voices, refreshed every block)
+    this.stepSequence = new StepSequence();
+
+    // LFOs in global mode: one phase for all voices, rendered once per block
+    this.globalLfo1 = new LFO();
+    this.globalLfo2 = new LFO();
+    this.globalLfo1.reset(0.0);
+    this.globalLfo2.reset(0.0);
+    this.globalLfo1Buffer = new Float32Array(128);
+    this.globalLfo2Buffer = new Float32Array(128);
 
     // Global white noise generator state (monophonic)
     this.noiseState = Math.random() * 4294967296; // 32-bit seed
 
     // Voice allocator with polyphonic voice management
-    this.voiceAllocator = new VoiceAllocator(MAX_VOICES);
+    this.voiceAllocator = new VoiceAllocator(MAX_VOICES, this.sampleRate);
 
     // Watchdog counter for periodic stuck voice detection
     this.watchdogCounter = 0;
@@ -1301,11 +3349,33 @@ class PolyPWMSynthProcessor extends AudioWorkletProcessor {
     this.voiceCountReportCounter = 0;
     this.voiceCountReportInterval = this.sampleRate * 0.1; // Report every 100ms
     this.lastActiveVoiceCount = 0;
+    this.lastTotalVoiceCount = 0;
 
     // Message queue for thread-safe voice state changes
     // Messages are queued in onmessage and processed in process() callback
     this.messageQueue = new MessageQueue(256);
 
+    // FX parameter destinations: per-slot values sent to the FX chain over a
+    // direct port (see 'connectFX'), only when they change
+    this.fxPort = null;
+    this.fxModVoice = null; // Voice the FX slots read from this block
+    this.fxModulation = new Float32Array(MATRIX_SLOTS);
+    this.fxModulationSent = new Float32Array(MATRIX_SLOTS);
+    // postMessage copies the message, so one is reused for every update
+    this.fxModulationMessage = {
+      type: 'matrixModulation',
+      values: this.fxModulationSent,
+    };
+
+    // Parameters cached for the block being rendered, filled in place by
+    // process() so rendering a block allocates nothing
+    this.params = { modEnv: {} };
+
+    // Decoded matrix routing and the per-destination sums a voice builds
+    // each control step
+    this.matrixRouting = new MatrixRouting();
+    this.matrixMods = new Float64Array(MATRIX_DEST_COUNT);
+
     this.port.onmessage = (e) => {
       const msg = e.data;
       // Validate message structure
@@ -1330,12 +3400,19 @@ class PolyPWMSynthProcessor extends AudioWorkletProcessor {
           console.error('Invalid noteOn: velocity must be a number', msg);
           return;
         }
+        // MPE notes carry their member channel's expression
+        const expression =
+          msg.expression === undefined
+            ? null
+            : this.parseExpression(msg.expression);
+        if (expression === undefined) return;
         // Add to queue if not full
         if (
           !this.messageQueue.push({
             type: 'noteOn',
             midi: msg.midi | 0,
             velocity: Math.max(0, Math.min(1, +msg.velocity)),
+            expression,
           })
         ) {
           console.warn('Message queue full, dropping noteOn message');
@@ -1343,26 +3420,129 @@ class PolyPWMSynthProcessor extends AudioWorkletProcessor {
       } else if (msg.type === 'noteOff') {
         // Validate required fields
         if (typeof msg.midi !== 'number' || isNaN(msg.midi)) {
-          console.error('Invalid noteOff: midi must be a number', msg);
+          console.error('Invalid noteOff: midi must be a number', msg);
+          return;
+        }
+        // Release velocity is optional (0.5 = MIDI's default of 64)
+        const velocity =
+          typeof msg.velocity === 'number' && !isNaN(msg.velocity)
+            ? Math.max(0, Math.min(1, +msg.velocity))
+            : 0.5;
+        // Add to queue if not full
+        if (
+          !this.messageQueue.push({
+            type: 'noteOff',
+            midi: msg.midi | 0,
+            velocity,
+          })
+        ) {
+          console.warn('Message queue full, dropping noteOff message');
+        }
+      } else if (msg.type === 'aftertouch') {
+        // Validate required fields
+        if (typeof msg.value !== 'number' || isNaN(msg.value)) {
+          console.error('Invalid aftertouch: value must be a number', msg);
+          return;
+        }
+        // Aftertouch can be applied immediately (no voice allocation)
+        this.aftertouch = Math.max(0, Math.min(1, +msg.value / 127.0));
+      } else if (msg.type === 'polyPressure') {
+        // Validate required fields
+        if (typeof msg.midi !== 'number' || isNaN(msg.midi)) {
+          console.error('Invalid polyPressure: midi must be a number', msg);
           return;
         }
-        // Add to queue if not full
+        if (typeof msg.value !== 'number' || isNaN(msg.value)) {
+          console.error('Invalid polyPressure: value must be a number', msg);
+          return;
+        }
+        // Queued: it targets the voices holding the note
         if (
           !this.messageQueue.push({
-            type: 'noteOff',
+            type: 'polyPressure',
             midi: msg.midi | 0,
+            value: Math.max(0, Math.min(1, +msg.value / 127.0)),
           })
         ) {
-          console.warn('Message queue full, dropping noteOff message');
+          console.warn('Message queue full, dropping polyPressure message');
         }
-      } else if (msg.type === 'aftertouch') {
+      } else if (msg.type === 'noteExpression') {
+        const expression = this.parseExpression(msg);
+        if (expression === undefined) return;
+        // Queued: it targets the voices playing on the member channel
+        if (!this.messageQueue.push({ type: 'noteExpression', expression })) {
+          console.warn('Message queue full, dropping noteExpression message');
+        }
+      } else if (msg.type === 'controlChange') {
         // Validate required fields
+        const cc = msg.cc;
+        if (typeof cc !== 'number' || !(cc >= 0 && cc <= 127)) {
+          console.error('Invalid controlChange: cc must be 0-127', msg);
+          return;
+        }
         if (typeof msg.value !== 'number' || isNaN(msg.value)) {
-          console.error('Invalid aftertouch: value must be a number', msg);
+          console.error('Invalid controlChange: value must be a number', msg);
           return;
         }
-        // Aftertouch can be applied immediately (no voice allocation)
-        this.aftertouch = Math.max(0, Math.min(1, +msg.value / 127.0));
+        // Read by the MIDI CC matrix source, which glides to it
+        this.ccTargets[cc | 0] = Math.max(0, Math.min(1, +msg.value / 127.0));
+      } else if (msg.type === 'wavetable') {
+        // Swapped immediately: voices read the table per sample, never cache it
+        const { frameCount, size, levels } = msg;
+        if (
+          !(frameCount >= 1) ||
+          !(size >= 2) ||
+          !Array.isArray(levels) ||
+          levels.length === 0 ||
+          levels.some((level) => !level || level.length !== frameCount * size)
+        ) {
+          console.error('Invalid wavetable message', msg);
+          return;
+        }
+        this.wavetable = { name: msg.name, frameCount, size, levels };
+      } else if (msg.type === 'smoothing') {
+        // Smoothing times in seconds by parameter name
+        const { times } = msg;
+        if (
+          !times ||
+          typeof times !== 'object' ||
+          !Object.values(times).every((t) => Number.isFinite(t) && t >= 0)
+        ) {
+          console.error('Invalid smoothing message', msg);
+          return;
+        }
+        this.smoother.setTimes(times);
+      } else if (msg.type === 'tuning') {
+        // Swapped immediately, like wavetables; a null table restores 12-TET
+        const { table } = msg;
+        if (table === null) {
+          this.tuningTable = null;
+          this.tuningUnmapped = null;
+          return;
+        }
+        // Unmapped keys arrive as NaN, but at least one key must be mapped
+        if (
+          !table ||
+          table.length !== 128 ||
+          !Array.prototype.every.call(
+            table,
+            (v) => typeof v === 'number' && v !== Infinity && v !== -Infinity
+          ) ||
+          !Array.prototype.some.call(table, Number.isFinite)
+        ) {
+          console.error('Invalid tuning message', msg);
+          return;
+        }
+        this.tuningUnmapped = Uint8Array.from(table, Number.isNaN);
+        this.tuningTable = fillUnmappedKeys(Float64Array.from(table));
+      } else if (msg.type === 'connectFX') {
+        // MessagePort to fx-chain-processor.js for FX parameter destinations
+        if (!msg.port || typeof msg.port.postMessage !== 'function') {
+          console.error('Invalid connectFX: port must be a MessagePort', msg);
+          return;
+        }
+        this.fxPort = msg.port;
+        this.fxModulationSent.fill(0);
       } else if (msg.type === 'allNotesOff') {
         // Add to queue if not full
         if (!this.messageQueue.push({ type: 'allNotesOff' })) {
@@ -1374,8 +3554,48 @@ class PolyPWMSynthProcessor extends AudioWorkletProcessor {
     };
   }
 
+  /**
+   * Validate and clamp an MPE expression from a message
+   * @param {Object} data - { channel, bend, bendRange, pressure, slide }
+   * @returns {Object|undefined} Clamped expression, or undefined if invalid
+   */
+  parseExpression(data) {
+    const fields = ['channel', 'bend', 'bendRange', 'pressure', 'slide'];
+    if (
+      !data ||
+      fields.some((f) => typeof data[f] !== 'number' || isNaN(data[f]))
+    ) {
+      console.error('Invalid MPE expression', data);
+      return undefined;
+    }
+    return {
+      channel: data.channel | 0,
+      bend: Math.max(-1, Math.min(1, data.bend)),
+      bendRange: Math.max(0, Math.min(96, data.bendRange)),
+      pressure: Math.max(0, Math.min(1, data.pressure)),
+      slide: Math.max(0, Math.min(1, data.slide)),
+    };
+  }
+
   midiToHz(m) {
-    return 440 * Math.pow(2, (m - 69) / 12);
+    return this.referenceFrequency * Math.pow(2, (m - 69) / 12);
+  }
+
+  /**
+   * Map a (possibly gliding) note through the tuning table
+   * Fractional notes interpolate between neighbouring keys, so glides move
+   * smoothly from one tuned pitch to the next (unmapped keys in between are
+   * filled in, see fillUnmappedKeys).
+   * @param {number} note - MIDI note (0-127, may be fractional)
+   * @returns {number} Pitch in 12-TET semitones
+   */
+  tunePitch(note) {
+    const table = this.tuningTable;
+    if (!table) return note;
+    const clamped = Math.max(0, Math.min(table.length - 1, note));
+    const index = Math.min(table.length - 2, Math.floor(clamped));
+    const frac = clamped - index;
+    return table[index] + (table[index + 1] - table[index]) * frac;
   }
 
   // Global white noise generator using linear congruential generator (LCG)
@@ -1431,849 +3651,1047 @@ class PolyPWMSynthProcessor extends AudioWorkletProcessor {
     }
   }
 
-  processVoice(voice, params, sampleIndex) {
-    if (!voice.active) return { left: 0, right: 0 };
-
-    const sr = this.sampleRate;
-    const twoPi = 2 * Math.PI;
-
-    // ===== MATRIX MODULATION - FIRST PASS (LFO destinations only) =====
-    // Process matrix modulation for LFO Rate/Depth before calculating LFO outputs
-    // This allows modulating LFO parameters (but LFO can't modulate itself in same frame)
-
-    const lfoMatrixMods = {
-      lfo1Rate: 0,
-      lfo1Depth: 0,
-      lfo2Rate: 0,
-      lfo2Depth: 0,
-    };
-
-    // Helper to process one matrix slot for LFO destinations only (18-21)
-    const processLFOMatrixSlot = (slotNum) => {
-      const sourceIdx = Math.round(params[`matrixSource${slotNum}`]);
-      const destIdx = Math.round(params[`matrixDest${slotNum}`]);
-      const amount = params[`matrixAmount${slotNum}`] / 100.0;
-
-      // Only process LFO destinations (18=LFO1 Rate, 19=LFO1 Depth, 20=LFO2 Rate, 21=LFO2 Depth)
-      if (sourceIdx === 0 || destIdx === 0 || destIdx < 18 || destIdx > 21)
-        return;
-
-      // Get source value (use previous frame's LFO output for LFO sources)
-      let sourceValue = 0;
-      switch (sourceIdx) {
-        case 1:
-          sourceValue = voice.midi / 127.0;
-          break; // Note Number
-        case 2:
-          sourceValue = voice.velocity;
-          break; // Velocity
-        case 3:
-          sourceValue =
-            (params.pitchBend.length > 1
-              ? params.pitchBend[sampleIndex]
-              : params.pitchBend[0]) / 12.0;
-          break; // Pitch Bend
-        case 4:
-          sourceValue = params.modWheel;
-          break; // Mod Wheel
-        case 5:
-          sourceValue = this.aftertouch;
-          break; // Aftertouch
-        case 6:
-          sourceValue = voice.lfo1Output;
-          break; // LFO1 (from previous frame)
-        case 7:
-          sourceValue = voice.lfo2Output;
-          break; // LFO2 (from previous frame)
-        case 8:
-          sourceValue = voice.ampEnv.level;
-          break; // Amp Env
-        case 9:
-          sourceValue = voice.filterEnv.level;
-          break; // Filter Env
-      }
-
-      const modValue = sourceValue * amount;
-
-      // Apply to LFO destinations
-      switch (destIdx) {
-        case 18:
-          lfoMatrixMods.lfo1Rate += modValue;
-          break;
-        case 19:
-          lfoMatrixMods.lfo1Depth += modValue;
-          break;
-        case 20:
-          lfoMatrixMods.lfo2Rate += modValue;
-          break;
-        case 21:
-          lfoMatrixMods.lfo2Depth += modValue;
-          break;
-      }
-    };
-
-    // Process all 12 matrix slots for LFO modulation
-    for (let slot = 1; slot <= 12; slot++) {
-      processLFOMatrixSlot(slot);
-    }
-
-    // ===== CALCULATE LFO VALUES (with matrix modulation applied) =====
-    // Calculate LFO1 output (will be used as modulation source in main matrix pass)
-    let lfo1RateHz =
-      params.lfo1Rate.length > 1
-        ? params.lfo1Rate[sampleIndex]
-        : params.lfo1Rate[0];
-
-    if (params.lfo1TempoSync > 0) {
-      const divisionIndex = Math.round(params.lfo1SyncDivision);
-      const divisionName = TEMPO_DIVISION_NAMES[divisionIndex] || '1/4';
-      const multiplier = TEMPO_DIVISIONS[divisionName] || 1.0;
-      lfo1RateHz = (params.bpm / 60.0) * multiplier;
+  /**
+   * Oscillator 2 wavetable sample
+   * Picks the mipmap level whose harmonics stay below Nyquist at this
+   * frequency, then interpolates within and between frames.
+   * @param {number} phase - Oscillator phase (0-1)
+   * @param {number} frequency - Oscillator frequency in Hz
+   * @param {number} position - Table position (0-1, first to last frame)
+   * @returns {number} Sample value (about -1 to 1)
+   */
+  generateWavetable(phase, frequency, position) {
+    const table = this.wavetable;
+    if (!table) {
+      // Nothing loaded yet: fall back to the saw
+      return this.generateWaveform(phase, frequency / this.sampleRate, 0);
     }
 
-    // Apply matrix modulation to LFO1 Rate (scale modValue to reasonable Hz range)
-    lfo1RateHz = Math.max(
-      0.01,
-      Math.min(50.0, lfo1RateHz + lfoMatrixMods.lfo1Rate * 25)
-    );
-
-    let lfo1DepthNow =
-      params.lfo1Depth.length > 1
-        ? params.lfo1Depth[sampleIndex]
-        : params.lfo1Depth[0];
-
-    // Apply matrix modulation to LFO1 Depth
-    lfo1DepthNow = Math.max(
+    const { size, frameCount, levels } = table;
+    const maxHarmonics = (this.sampleRate * 0.5) / Math.max(1, frequency);
+    const level = Math.max(
       0,
-      Math.min(1, lfo1DepthNow + lfoMatrixMods.lfo1Depth)
-    );
-
-    const lfo1Output = voice.lfo1.process(
-      lfo1RateHz,
-      lfo1DepthNow,
-      params.lfo1Waveform,
-      params.lfo1FadeIn,
-      this.currentFrame + sampleIndex,
-      sr
+      Math.min(
+        levels.length - 1,
+        Math.ceil(Math.log2(size / 2 / Math.max(1, maxHarmonics)))
+      )
     );
+    const samples = levels[level];
+
+    const index = phase * size;
+    const i0 = Math.floor(index) % size;
+    const i1 = (i0 + 1) % size;
+    const frac = index - Math.floor(index);
+
+    const framePos = Math.max(0, Math.min(1, position)) * (frameCount - 1);
+    const frame = Math.min(Math.max(0, frameCount - 2), Math.floor(framePos));
+    const offsetA = frame * size;
+    const a =
+      samples[offsetA + i0] +
+      (samples[offsetA + i1] - samples[offsetA + i0]) * frac;
+    if (frameCount === 1) return a;
+
+    const offsetB = offsetA + size;
+    const b =
+      samples[offsetB + i0] +
+      (samples[offsetB + i1] - samples[offsetB + i0]) * frac;
+    return a + (b - a) * (framePos - frame);
+  }
 
-    // Store LFO1 output for use in next frame's matrix modulation
-    voice.lfo1Output = lfo1Output;
-
-    // Calculate LFO2 output (will be used as modulation source in main matrix pass)
-    let lfo2RateHz =
-      params.lfo2Rate.length > 1
-        ? params.lfo2Rate[sampleIndex]
-        : params.lfo2Rate[0];
+  /**
+   * Osc1 waveform: pulse (at the given PWM duty) or saw/triangle/sine
+   * @param {number} phase - Oscillator phase (0-1)
+   * @param {number} phInc - Phase increment per sample
+   * @param {number} shape - OSC1_WAVEFORM_PULSE..OSC1_WAVEFORM_SINE
+   * @param {number} duty - Pulse width (0.01-0.99)
+   * @returns {number} Sample value (-1 to 1)
+   */
+  generateOsc1Waveform(phase, phInc, shape, duty) {
+    if (shape === OSC1_WAVEFORM_PULSE) {
+      let pulse = phase < duty ? 1.0 : -1.0;
+      pulse -= this.polyBLEP(phase, phInc);
+      pulse += this.polyBLEP((phase - duty + 1.0) % 1.0, phInc);
+      return pulse;
+    }
+    // Saw, triangle and sine are generateWaveform's 0-2
+    return this.generateWaveform(phase, phInc, shape - OSC1_WAVEFORM_SAW);
+  }
 
-    if (params.lfo2TempoSync > 0) {
-      const divisionIndex = Math.round(params.lfo2SyncDivision);
-      const divisionName = TEMPO_DIVISION_NAMES[divisionIndex] || '1/4';
+  /**
+   * LFO rate in Hz from its rate parameter or tempo-synced division
+   * @param {Float32Array} rate - Rate parameter values (a-rate or k-rate)
+   * @param {number} tempoSync - Tempo sync switch (> 0 = on)
+   * @param {number} syncDivision - Index into TEMPO_DIVISION_NAMES
+   * @param {number} bpm - Tempo
+   * @param {number} sampleIndex - Sample within the block
+   * @returns {number} Rate in Hz (before matrix modulation)
+   */
+  getLfoRate(rate, tempoSync, syncDivision, bpm, sampleIndex) {
+    if (tempoSync > 0) {
+      const divisionName =
+        TEMPO_DIVISION_NAMES[Math.round(syncDivision)] || '1/4';
       const multiplier = TEMPO_DIVISIONS[divisionName] || 1.0;
-      lfo2RateHz = (params.bpm / 60.0) * multiplier;
+      return (bpm / 60.0) * multiplier;
     }
+    return rate.length > 1 ? rate[sampleIndex] : rate[0];
+  }
 
-    // Apply matrix modulation to LFO2 Rate (scale modValue to reasonable Hz range)
-    lfo2RateHz = Math.max(
-      0.01,
-      Math.min(50.0, lfo2RateHz + lfoMatrixMods.lfo2Rate * 25)
-    );
+  /**
+   * Render the shared waveform of an LFO in global mode for one block
+   * @param {LFO} lfo - Global LFO
+   * @param {Float32Array} buffer - Output (raw waveform, -1 to 1)
+   * @param {number} frames - Block length
+   * @param {Float32Array} rate - Rate parameter values (Hz)
+   * @param {number} tempoSync - Tempo sync on (> 0)
+   * @param {number} syncDivision - Tempo division index
+   * @param {number} waveform - Waveform index
+   * @param {number} bpm - Tempo
+   */
+  renderGlobalLfo(
+    lfo,
+    buffer,
+    frames,
+    rate,
+    tempoSync,
+    syncDivision,
+    waveform,
+    bpm
+  ) {
+    for (let i = 0; i < frames; i++) {
+      buffer[i] = lfo.process(
+        Math.max(
+          0.01,
+          Math.min(50.0, this.getLfoRate(rate, tempoSync, syncDivision, bpm, i))
+        ),
+        1.0,
+        waveform,
+        0,
+        this.currentFrame + i,
+        this.sampleRate
+      );
+    }
+  }
 
-    let lfo2DepthNow =
-      params.lfo2Depth.length > 1
-        ? params.lfo2Depth[sampleIndex]
-        : params.lfo2Depth[0];
+  /**
+   * Current value of a modulation matrix source for a voice
+   * @param {Voice|null} voice - Voice being rendered (null when only
+   *   voice-independent sources are read)
+   * @param {number} sourceIdx - Index into MATRIX_SOURCES
+   * @param {number} slotNum - Matrix slot (1-12), for the MIDI CC source
+   * @param {object} params - Cached parameters
+   * @param {number} sampleIndex - Sample within the block
+   * @param {number} lfo1Value - LFO1 output to read (current or previous frame)
+   * @param {number} lfo2Value - LFO2 output to read
+   * @returns {number} Source value (0..1, or -1..1 for bipolar sources)
+   */
+  getMatrixSourceValue(
+    voice,
+    sourceIdx,
+    slotNum,
+    params,
+    sampleIndex,
+    lfo1Value,
+    lfo2Value
+  ) {
+    switch (sourceIdx) {
+      case 1: // Note Number (0-127 MIDI note, normalized to 0..1)
+        return voice.midi / 127.0;
+      case 2: // Velocity (0..1)
+        return voice.velocity;
+      case 3: // Pitch Bend (already in semitones, normalize to -1..1 assuming ±12 semitones)
+        return (
+          (params.pitchBend.length > 1
+            ? params.pitchBend[sampleIndex]
+            : params.pitchBend[0]) / 12.0
+        );
+      case 4: // Mod Wheel (0..1)
+        return params.modWheel.length > 1
+          ? params.modWheel[sampleIndex]
+          : params.modWheel[0];
+      case 5: // Aftertouch (0..1)
+        return this.aftertouch;
+      case 6: // LFO1 (-depth..+depth)
+        return lfo1Value;
+      case 7: // LFO2 (-depth..+depth)
+        return lfo2Value;
+      case 8: // Amp Env (0..1)
+        return voice.ampEnv.level;
+      case 9: // Filter Env (0..1)
+        return voice.filterEnv.level;
+      case 10: // Mod Env (0..1)
+        return voice.modEnv.level;
+      case 11: // MSEG (0..1)
+        return voice.mseg.level;
+      case 12: // Step Seq (0..1)
+        return voice.stepSeq.level;
+      case 13: // Key Random (0..1, per note)
+        return voice.keyRandom;
+      case 14: // Alternate (-1/+1, flips each note)
+        return voice.alternate;
+      case 15: // Release Velocity (0..1, 0 while the key is held)
+        return voice.releaseVelocity;
+      case 16: // MIDI CC (0..1, controller chosen per slot)
+        return this.ccValueAt(
+          this.matrixRouting.slots[slotNum - 1].cc,
+          sampleIndex
+        );
+      case 17: // Sustain Pedal (0 or 1)
+        return params.sustainPedal;
+      case 18: // Poly Pressure (0..1, also MPE per-note pressure)
+        return voice.pressure;
+      case 19: // MPE Bend (-1..1, per-note pitch bend)
+        return voice.noteBend;
+      case 20: // MPE Slide (0..1, per-note CC74)
+        return voice.slide;
+      default:
+        return 0;
+    }
+  }
 
-    // Apply matrix modulation to LFO2 Depth
-    lfo2DepthNow = Math.max(
-      0,
-      Math.min(1, lfo2DepthNow + lfoMatrixMods.lfo2Depth)
+  /**
+   * Modulation a matrix slot sends to its destination
+   * The source is shaped by the slot's polarity and curve, then multiplied by
+   * the amount and, if a via source is set, by the via source's value.
+   * @param {Voice|null} voice - Voice being rendered (see getMatrixSourceValue)
+   * @param {object} slot - Decoded slot (see MatrixRouting)
+   * @param {object} params - Cached parameters
+   * @param {number} sampleIndex - Sample within the block
+   * @param {number} lfo1Value - LFO1 output to read (current or previous step)
+   * @param {number} lfo2Value - LFO2 output to read
+   * @returns {number} Modulation value (amount-scaled)
+   */
+  getMatrixModulation(voice, slot, params, sampleIndex, lfo1Value, lfo2Value) {
+    const value = shapeMatrixValue(
+      this.getMatrixSourceValue(
+        voice,
+        slot.source,
+        slot.slot,
+        params,
+        sampleIndex,
+        lfo1Value,
+        lfo2Value
+      ),
+      slot.bipolar,
+      slot.polarity,
+      slot.curve
     );
 
-    const lfo2Output = voice.lfo2.process(
-      lfo2RateHz,
-      lfo2DepthNow,
-      params.lfo2Waveform,
-      params.lfo2FadeIn,
-      this.currentFrame + sampleIndex,
-      sr
-    );
+    let amount = paramAt(slot.amounts, sampleIndex) / 100.0;
+    if (slot.via !== 0) {
+      amount *= this.getMatrixSourceValue(
+        voice,
+        slot.via,
+        slot.slot,
+        params,
+        sampleIndex,
+        lfo1Value,
+        lfo2Value
+      );
+    }
+    return value * amount;
+  }
 
-    // Store LFO2 output for use in next frame's matrix modulation
-    voice.lfo2Output = lfo2Output;
-
-    // ===== MODULATION MATRIX =====
-    // 12 slots, each with: source (0-9), destination (0-25), amount (-100 to +100)
-    // Sources: 0=None, 1=Note Number, 2=Velocity, 3=Pitch Bend, 4=Mod Wheel,
-    //          5=Aftertouch, 6=LFO1, 7=LFO2, 8=Amp Env, 9=Filter Env
-    // Destinations: 0=None, 1=OSC1 Pitch, 2=OSC1 PWM, 3=OSC1 PWM Depth, 4=OSC1 PWM Rate,
-    //               5=OSC1 Volume, 6=Sub1 Volume, 7=OSC1 FM, 8=OSC2 Pitch, 9=OSC2 Volume,
-    //               10=Sub2 Volume, 11=Ring Volume, 12=Noise Volume, 13=F1 Cutoff,
-    //               14=F1 Resonance, 15=F2 Cutoff, 16=F2 Resonance, 17=Filter Saturation,
-    //               18=LFO1 Rate, 19=LFO1 Amount, 20=LFO2 Rate, 21=LFO2 Amount,
-    //               22=Pan Position, 23=Pan Depth, 24=Pan Rate, 25=Master Volume
-
-    // Initialize modulation accumulator for all destinations
-    const matrixMods = {
-      osc1Pitch: 0,
-      osc1PW: 0,
-      osc1PWMDepth: 0,
-      osc1PWMRate: 0,
-      osc1Volume: 0,
-      sub1Volume: 0,
-      osc1FM: 0,
-      osc2Pitch: 0,
-      osc2Volume: 0,
-      sub2Volume: 0,
-      ringVolume: 0,
-      noiseVolume: 0,
-      f1Cutoff: 0,
-      f1Resonance: 0,
-      f2Cutoff: 0,
-      f2Resonance: 0,
-      filterSaturation: 0,
-      lfo1Rate: 0,
-      lfo1Amount: 0,
-      lfo2Rate: 0,
-      lfo2Amount: 0,
-      panPosition: 0,
-      panDepth: 0,
-      panRate: 0,
-      masterVolume: 0,
-    };
+  /**
+   * Whether a matrix source reads the same for every voice
+   * @param {number} sourceIdx - Index into MATRIX_SOURCES (0 = none)
+   * @param {object} params - Cached parameters
+   * @returns {boolean} True for performance controls and global-mode LFOs
+   */
+  isGlobalMatrixSource(sourceIdx, params) {
+    switch (sourceIdx) {
+      case 0: // None
+      case 3: // Pitch Bend
+      case 4: // Mod Wheel
+      case 5: // Aftertouch
+      case 16: // MIDI CC
+      case 17: // Sustain Pedal
+        return true;
+      case 6: // LFO1
+        return params.lfo1Global;
+      case 7: // LFO2
+        return params.lfo2Global;
+      default:
+        return false;
+    }
+  }
 
-    // Process all 12 matrix slots
-    // Slot 1
-    let sourceIdx = Math.round(params.matrixSource1);
-    let destIdx = Math.round(params.matrixDest1);
-    let amount = params.matrixAmount1 / 100.0;
-
-    if (sourceIdx !== 0 && destIdx !== 0) {
-      // Get source value (normalized to -1..1 or 0..1 depending on source type)
-      let sourceValue = 0;
-      switch (sourceIdx) {
-        case 1: // Note Number (0-127 MIDI note, normalized to 0..1)
-          sourceValue = voice.midi / 127.0;
-          break;
-        case 2: // Velocity (0..1)
-          sourceValue = voice.velocity;
-          break;
-        case 3: // Pitch Bend (already in semitones, normalize to -1..1 assuming ±12 semitones)
-          sourceValue =
-            (params.pitchBend.length > 1
-              ? params.pitchBend[sampleIndex]
-              : params.pitchBend[0]) / 12.0;
-          break;
-        case 4: // Mod Wheel (0..1)
-          sourceValue = params.modWheel;
-          break;
-        case 5: // Aftertouch (0..1)
-          sourceValue = this.aftertouch;
-          break;
-        case 6: // LFO1
-          sourceValue = lfo1Output;
-          break;
-        case 7: // LFO2
-          sourceValue = lfo2Output;
-          break;
-        case 8: // Amp Env (0..1)
-          sourceValue = voice.ampEnv.level;
-          break;
-        case 9: // Filter Env (0..1)
-          sourceValue = voice.filterEnv.level;
-          break;
+  /**
+   * Evaluate the FX parameter destinations for the block
+   * Slots whose source and via are voice-independent are evaluated here, so
+   * they follow e.g. the mod wheel with no note held. The rest read from the
+   * newest voice (picked here, read in processVoice) and keep their last
+   * value while no voice is sounding. Slots not routed to the FX chain
+   * (rerouted, bypassed or with no source) are zeroed.
+   * @param {object} params - Cached parameters
+   */
+  prepareFxModulation(params) {
+    const voices = this.voiceAllocator.voices;
+    let newest = null;
+    for (let i = 0; i < voices.length; i++) {
+      const voice = voices[i];
+      if (
+        voice.active &&
+        (!newest || voice.activationTime > newest.activationTime)
+      ) {
+        newest = voice;
+      }
+    }
+    this.fxModVoice = newest;
+
+    // Global-mode LFOs at full depth, without a voice's fade-in
+    const lfo1Value = params.lfo1Global
+      ? this.globalLfo1Buffer[0] * paramAt(params.lfo1Depth, 0)
+      : 0;
+    const lfo2Value = params.lfo2Global
+      ? this.globalLfo2Buffer[0] * paramAt(params.lfo2Depth, 0)
+      : 0;
+
+    const slots = this.matrixRouting.slots;
+    for (let i = 0; i < slots.length; i++) {
+      const slot = slots[i];
+      slot.fxGlobal =
+        slot.fx &&
+        this.isGlobalMatrixSource(slot.source, params) &&
+        this.isGlobalMatrixSource(slot.via, params);
+      if (!slot.fx) {
+        this.fxModulation[slot.slot - 1] = 0;
+      } else if (slot.fxGlobal) {
+        this.fxModulation[slot.slot - 1] = this.getMatrixModulation(
+          null,
+          slot,
+          params,
+          0,
+          lfo1Value,
+          lfo2Value
+        );
       }
+    }
+  }
 
-      // Apply modulation to destination (amount is -1..1, sourceValue is typically 0..1 or -1..1)
-      const modValue = sourceValue * amount;
-
-      switch (destIdx) {
-        case 1: // OSC1 Pitch
-          matrixMods.osc1Pitch += modValue;
-          break;
-        case 2: // OSC1 PWM
-          matrixMods.osc1PW += modValue;
-          break;
-        case 3: // OSC1 PWM Depth
-          matrixMods.osc1PWMDepth += modValue;
-          break;
-        case 4: // OSC1 PWM Rate
-          matrixMods.osc1PWMRate += modValue;
-          break;
-        case 5: // OSC1 Volume
-          matrixMods.osc1Volume += modValue;
-          break;
-        case 6: // Sub1 Volume
-          matrixMods.sub1Volume += modValue;
-          break;
-        case 7: // OSC1 FM
-          matrixMods.osc1FM += modValue;
-          break;
-        case 8: // OSC2 Pitch
-          matrixMods.osc2Pitch += modValue;
-          break;
-        case 9: // OSC2 Volume
-          matrixMods.osc2Volume += modValue;
-          break;
-        case 10: // Sub2 Volume
-          matrixMods.sub2Volume += modValue;
-          break;
-        case 11: // Ring Volume
-          matrixMods.ringVolume += modValue;
-          break;
-        case 12: // Noise Volume
-          matrixMods.noiseVolume += modValue;
-          break;
-        case 13: // F1 Cutoff (LPF)
-          matrixMods.f1Cutoff += modValue;
-          break;
-        case 14: // F1 Resonance (LPF)
-          matrixMods.f1Resonance += modValue;
-          break;
-        case 15: // F2 Cutoff (HPF)
-          matrixMods.f2Cutoff += modValue;
-          break;
-        case 16: // F2 Resonance (HPF)
-          matrixMods.f2Resonance += modValue;
-          break;
-        case 17: // Filter Saturation (TODO: not yet implemented)
-          matrixMods.filterSaturation += modValue;
-          break;
-        case 18: // LFO1 Rate
-          matrixMods.lfo1Rate += modValue;
-          break;
-        case 19: // LFO1 Amount
-          matrixMods.lfo1Amount += modValue;
-          break;
-        case 20: // LFO2 Rate
-          matrixMods.lfo2Rate += modValue;
-          break;
-        case 21: // LFO2 Amount
-          matrixMods.lfo2Amount += modValue;
-          break;
-        case 22: // Pan Position
-          matrixMods.panPosition += modValue;
-          break;
-        case 23: // Pan Depth
-          matrixMods.panDepth += modValue;
-          break;
-        case 24: // Pan Rate
-          matrixMods.panRate += modValue;
-          break;
-        case 25: // Master Volume
-          matrixMods.masterVolume += modValue;
-          break;
+  /**
+   * Send FX parameter modulation to the FX chain if any slot changed
+   */
+  sendFxModulation() {
+    if (!this.fxPort) return;
+    let changed = false;
+    for (let i = 0; i < MATRIX_SLOTS; i++) {
+      if (this.fxModulation[i] !== this.fxModulationSent[i]) {
+        this.fxModulationSent[i] = this.fxModulation[i];
+        changed = true;
       }
     }
+    if (changed) {
+      this.fxPort.postMessage(this.fxModulationMessage);
+    }
+  }
+
+  /**
+   * Render one voice for a block, adding into the output buffers
+   * Runs in sub-blocks of CONTROL_BLOCK_SIZE samples: modulation sources,
+   * the matrix, pitch, filter coefficients and pan are computed once at the
+   * start of each, then the oscillators, filters and amp envelope run per
+   * sample. Nothing is allocated, and a voice whose amp envelope finishes
+   * stops rendering (it's freed by cleanup() on the next block).
+   * @param {Voice} voice - Active voice
+   * @param {object} params - Cached parameters
+   * @param {Float32Array} outL - Left output
+   * @param {Float32Array} outR - Right output
+   * @param {number} frames - Block length
+   */
+  processVoice(voice, params, outL, outR, frames) {
+    if (!voice.active || voice.ampEnv.isIdle()) return;
 
-    // Process matrix helper function to avoid code duplication
-    const processMatrixSlot = (slotNum) => {
-      const sourceIdx = Math.round(params[`matrixSource${slotNum}`]);
-      const destIdx = Math.round(params[`matrixDest${slotNum}`]);
-      const amount = params[`matrixAmount${slotNum}`] / 100.0;
-
-      if (sourceIdx === 0 || destIdx === 0) return;
-
-      // Get source value
-      let sourceValue = 0;
-      switch (sourceIdx) {
-        case 1:
-          sourceValue = voice.midi / 127.0;
-          break;
-        case 2:
-          sourceValue = voice.velocity;
-          break;
-        case 3:
-          sourceValue =
-            (params.pitchBend.length > 1
-              ? params.pitchBend[sampleIndex]
-              : params.pitchBend[0]) / 12.0;
-          break;
-        case 4:
-          sourceValue = params.modWheel;
-          break; // Mod Wheel (0..1)
-        case 5:
-          sourceValue = this.aftertouch;
-          break;
-        case 6:
-          sourceValue = lfo1Output;
-          break; // LFO1 output (-depth..+depth)
-        case 7:
-          sourceValue = lfo2Output;
-          break; // LFO2 output (-depth..+depth)
-        case 8:
-          sourceValue = voice.ampEnv.level;
-          break;
-        case 9:
-          sourceValue = voice.filterEnv.level;
-          break;
+    const sr = this.sampleRate;
+    const twoPi = 2 * Math.PI;
+    const routing = this.matrixRouting;
+    const mods = this.matrixMods;
+
+    for (let start = 0; start < frames; start += CONTROL_BLOCK_SIZE) {
+      const end = Math.min(frames, start + CONTROL_BLOCK_SIZE);
+      const count = end - start;
+      // Per-sample state machines advance a whole sub-block in one step
+      const controlRate = sr / count;
+
+      voice.advanceGlide(count);
+
+      // Mod envelope, MSEG and step sequencer only feed the matrix, so advance
+      // them before any slot reads them
+      voice.modEnv.process(params.modEnv, controlRate);
+      voice.mseg.process(this.msegShape, voice.gate, controlRate);
+      voice.stepSeq.process(this.stepSequence, controlRate);
+
+      // ===== MATRIX - LFO DESTINATIONS =====
+      // Slots modulating LFO rate/amount run before the LFOs, reading their
+      // previous outputs (an LFO can't modulate itself in the same step)
+      let lfo1RateMod = 0;
+      let lfo1DepthMod = 0;
+      let lfo2RateMod = 0;
+      let lfo2DepthMod = 0;
+      for (let n = 0; n < routing.lfoSlotCount; n++) {
+        const slot = routing.lfoSlots[n];
+        const modValue = this.getMatrixModulation(
+          voice,
+          slot,
+          params,
+          start,
+          voice.lfo1Output,
+          voice.lfo2Output
+        );
+        switch (slot.dest) {
+          case MATRIX_DEST_LFO1_RATE:
+            lfo1RateMod += modValue;
+            break;
+          case MATRIX_DEST_LFO1_AMOUNT:
+            lfo1DepthMod += modValue;
+            break;
+          case MATRIX_DEST_LFO2_RATE:
+            lfo2RateMod += modValue;
+            break;
+          case MATRIX_DEST_LFO2_AMOUNT:
+            lfo2DepthMod += modValue;
+            break;
+        }
       }
 
-      const modValue = sourceValue * amount;
-
-      // Apply to destination
-      switch (destIdx) {
-        case 1:
-          matrixMods.osc1Pitch += modValue;
-          break;
-        case 2:
-          matrixMods.osc1PW += modValue;
-          break;
-        case 3:
-          matrixMods.osc1PWMDepth += modValue;
-          break;
-        case 4:
-          matrixMods.osc1PWMRate += modValue;
-          break;
-        case 5:
-          matrixMods.osc1Volume += modValue;
-          break;
-        case 6:
-          matrixMods.sub1Volume += modValue;
-          break;
-        case 7:
-          matrixMods.osc1FM += modValue;
-          break;
-        case 8:
-          matrixMods.osc2Pitch += modValue;
-          break;
-        case 9:
-          matrixMods.osc2Volume += modValue;
-          break;
-        case 10:
-          matrixMods.sub2Volume += modValue;
-          break;
-        case 11:
-          matrixMods.ringVolume += modValue;
-          break;
-        case 12:
-          matrixMods.noiseVolume += modValue;
-          break;
-        case 13:
-          matrixMods.f1Cutoff += modValue;
-          break;
-        case 14:
-          matrixMods.f1Resonance += modValue;
-          break;
-        case 15:
-          matrixMods.f2Cutoff += modValue;
-          break;
-        case 16:
-          matrixMods.f2Resonance += modValue;
-          break;
-        case 17:
-          matrixMods.filterSaturation += modValue;
-          break;
-        case 18:
-          matrixMods.lfo1Rate += modValue;
-          break;
-        case 19:
-          matrixMods.lfo1Amount += modValue;
-          break;
-        case 20:
-          matrixMods.lfo2Rate += modValue;
-          break;
-        case 21:
-          matrixMods.lfo2Amount += modValue;
-          break;
-        case 22:
-          matrixMods.panPosition += modValue;
-          break;
-        case 23:
-          matrixMods.panDepth += modValue;
-          break;
-        case 24:
-          matrixMods.panRate += modValue;
-          break;
-        case 25:
-          matrixMods.masterVolume += modValue;
-          break;
+      // ===== LFOS =====
+      // Rate modulation is scaled to Hz; global mode shares one waveform
+      // across voices (rate modulation doesn't apply to it)
+      const lfo1Output = this.voiceLfoValue(
+        voice.lfo1,
+        params.lfo1Global ? this.globalLfo1Buffer[start] : null,
+        Math.max(
+          0.01,
+          Math.min(
+            50.0,
+            this.getLfoRate(
+              params.lfo1Rate,
+              params.lfo1TempoSync,
+              params.lfo1SyncDivision,
+              params.bpm,
+              start
+            ) +
+              lfo1RateMod * 25
+          )
+        ),
+        Math.max(
+          0,
+          Math.min(1, paramAt(params.lfo1Depth, start) + lfo1DepthMod)
+        ),
+        params.lfo1Waveform,
+        params.lfo1FadeIn,
+        start,
+        controlRate
+      );
+      voice.lfo1Output = lfo1Output;
+
+      const lfo2Output = this.voiceLfoValue(
+        voice.lfo2,
+        params.lfo2Global ? this.globalLfo2Buffer[start] : null,
+        Math.max(
+          0.01,
+          Math.min(
+            50.0,
+            this.getLfoRate(
+              params.lfo2Rate,
+              params.lfo2TempoSync,
+              params.lfo2SyncDivision,
+              params.bpm,
+              start
+            ) +
+              lfo2RateMod * 25
+          )
+        ),
+        Math.max(
+          0,
+          Math.min(1, paramAt(params.lfo2Depth, start) + lfo2DepthMod)
+        ),
+        params.lfo2Waveform,
+        params.lfo2FadeIn,
+        start,
+        controlRate
+      );
+      voice.lfo2Output = lfo2Output;
+
+      // ===== MODULATION MATRIX =====
+      // 12 slots, each with: source (0-20), destination (0-29), amount
+      // (-100 to +100), plus via source, response curve, polarity and bypass.
+      // Sources: 0=None, 1=Note Number, 2=Velocity, 3=Pitch Bend, 4=Mod Wheel,
+      //          5=Aftertouch, 6=LFO1, 7=LFO2, 8=Amp Env, 9=Filter Env,
+      //          10=Mod Env, 11=MSEG, 12=Step Seq, 13=Key Random,
+      //          14=Alternate, 15=Release Vel, 16=MIDI CC (CC number per slot),
+      //          17=Sustain, 18=Poly Pressure, 19=MPE Bend, 20=MPE Slide
+      // Destinations: see the MATRIX_DEST_* constants
+      mods.fill(0);
+      for (let n = 0; n < routing.mainSlotCount; n++) {
+        const slot = routing.mainSlots[n];
+        const modValue = this.getMatrixModulation(
+          voice,
+          slot,
+          params,
+          start,
+          lfo1Output,
+          lfo2Output
+        );
+        if (slot.dest === MATRIX_DEST_FX) {
+          // Applied by the FX chain, not the voice
+          if (voice === this.fxModVoice && !slot.fxGlobal) {
+            this.fxModulation[slot.slot - 1] = modValue;
+          }
+        } else {
+          mods[slot.dest] += modValue;
+        }
       }
-    };
 
-    // Process remaining slots 2-12
-    for (let slot = 2; slot <= 12; slot++) {
-      processMatrixSlot(slot);
-    }
-
-    // LFO outputs were already calculated above (before matrix) for use as modulation sources
-    // Matrix modulation of LFO rate/depth is applied in the first pass before LFO calculation
-
-    // Get FM parameters first
-    let fmDepthNow =
-      params.fmDepth.length > 1
-        ? params.fmDepth[sampleIndex]
-        : params.fmDepth[0];
-    // Apply matrix modulation to FM depth and clamp to [0, 1]
-    fmDepthNow = Math.max(0, Math.min(1, fmDepthNow + matrixMods.osc1FM));
-
-    // Calculate Osc2 first for FM modulation
-    const osc2WaveformNow = params.osc2Waveform;
-    const osc2CoarseNow = params.osc2Coarse;
-    const osc2FineNow = params.osc2Fine;
-    const hardSyncNow = params.hardSync;
-
-    // Oscillator 2 frequency calculation with matrix pitch modulation
-    const osc2Semi =
-      voice.midi +
-      osc2CoarseNow +
-      osc2FineNow / 100.0 +
-      matrixMods.osc2Pitch * 12;
-    const osc2Freq = this.midiToHz(osc2Semi);
-    const osc2PhInc = osc2Freq / sr;
-
-    // Advance Osc2 phase first
-    voice.osc2.phase += osc2PhInc;
-    voice.osc2.phase %= 1.0;
-
-    // Generate Osc2 raw waveform for FM modulation
-    const osc2Raw = this.generateWaveform(
-      voice.osc2.phase,
-      osc2PhInc,
-      osc2WaveformNow
-    );
+      // Aftertouch slots: channel pressure, or the voice's own key pressure
+      // when set to per voice, so poly aftertouch moves only the pressed key
+      for (let n = 0; n < AFTERTOUCH_SLOT_COUNT; n++) {
+        const slot = routing.aftertouch[n];
+        if (slot.dest === 0) continue;
+        mods[slot.dest] +=
+          slot.amount * (slot.perVoice ? voice.pressure : this.aftertouch);
+      }
 
-    // Frequency with coarse semitone offset, fine tune (cents), and pitch bend
-    const coarseNow =
-      params.coarse.length > 1 ? params.coarse[sampleIndex] : params.coarse[0];
-    const fineNow =
-      params.fine.length > 1 ? params.fine[sampleIndex] : params.fine[0];
-    const pitchBendNow =
-      params.pitchBend.length > 1
-        ? params.pitchBend[sampleIndex]
-        : params.pitchBend[0];
-    // Note: pitchBend already comes scaled by pitchBendRange from MIDI layer
-    // The pitchBendRange parameter is used by the MIDI layer, not here
-
-    const baseSemi =
-      voice.midi +
-      coarseNow +
-      fineNow / 100.0 +
-      pitchBendNow +
-      matrixMods.osc1Pitch * 12;
-    const baseFreq = this.midiToHz(baseSemi);
-
-    // Apply FM modulation: modulate frequency with Osc2 output
-    const fmModulation = osc2Raw * fmDepthNow * baseFreq * 0.5; // Scale modulation amount
-    // Clamp modulated frequency to prevent negative values and aliasing
-    const modulatedFreq = Math.max(
-      20,
-      Math.min(this.sampleRate * 0.48, baseFreq + fmModulation)
-    );
+      // ===== PITCH =====
+      // Analog drift: slow per-voice pitch wander (semitones)
+      const driftSemi =
+        params.driftPitch > 0
+          ? voice.drift.process(
+              voice.driftRate,
+              (params.driftPitch * DRIFT_PITCH_CENTS) / 100.0,
+              LFO_WAVEFORM_SMOOTH_RANDOM,
+              0,
+              0,
+              controlRate
+            )
+          : 0;
+
+      // Tuned note pitch; bend, detune and modulation are added in semitones.
+      // MPE per-note bend moves the whole note, key tracking included.
+      const notePitch = this.tunePitch(voice.pitch) + voice.noteBendSemitones;
+
+      const osc2Freq = this.midiToHz(
+        notePitch +
+          voice.unisonDetune +
+          driftSemi +
+          params.osc2Coarse +
+          paramAt(params.osc2Fine, start) / 100.0 +
+          mods[MATRIX_DEST_OSC2_PITCH] * 12
+      );
+      const osc2PhInc = osc2Freq / sr;
+      const sub2Freq = osc2Freq * 0.5;
+      const sub2PhInc = sub2Freq / sr;
 
-    // Store previous Osc1 phase for hard sync detection
-    const prevOsc1Phase = voice.osc1.phase;
+      // Note: pitchBend already comes scaled by pitchBendRange from the MIDI
+      // layer; the pitchBendRange parameter is used there, not here
+      const baseFreq = this.midiToHz(
+        notePitch +
+          voice.unisonDetune +
+          driftSemi +
+          paramAt(params.coarse, start) +
+          paramAt(params.fine, start) / 100.0 +
+          paramAt(params.pitchBend, start) +
+          mods[MATRIX_DEST_OSC1_PITCH] * 12
+      );
+      const subPhInc = (baseFreq * 0.5) / sr;
+      const maxFreq = sr * 0.48;
 
-    // Phase advance for Osc1 with FM
-    const phInc = modulatedFreq / sr;
-    voice.osc1.phase += phInc;
-    voice.osc1.phase %= 1.0;
+      // ===== OSCILLATOR SETTINGS =====
+      const fmDepthNow = Math.max(
+        0,
+        Math.min(1, paramAt(params.fmDepth, start) + mods[MATRIX_DEST_OSC1_FM])
+      );
+      const osc2WaveformNow = params.osc2Waveform;
+      const wavetableMode = osc2WaveformNow === OSC2_WAVEFORM_WAVETABLE;
+      const wavetablePositionNow = Math.max(
+        0,
+        Math.min(
+          1,
+          paramAt(params.wavetablePosition, start) +
+            mods[MATRIX_DEST_WT_POSITION]
+        )
+      );
+      const hardSyncNow = params.hardSync > 0;
+
+      // PWM LFO oscillates the duty cycle around the pulse width
+      const pwmRateNow = Math.max(
+        0.1,
+        Math.min(
+          10,
+          paramAt(params.pwmRate, start) + mods[MATRIX_DEST_OSC1_PWM_RATE] * 5
+        )
+      );
+      const pulseWidthNow = Math.max(
+        0.01,
+        Math.min(
+          0.99,
+          paramAt(params.pulseWidth, start) + mods[MATRIX_DEST_OSC1_PW] * 0.4
+        )
+      );
+      const pwmDepthNow = Math.max(
+        0,
+        Math.min(
+          1,
+          paramAt(params.pwmDepth, start) + mods[MATRIX_DEST_OSC1_PWM_DEPTH]
+        )
+      );
+      voice.osc1.pwmLfoPhase += (pwmRateNow * count) / sr;
+      voice.osc1.pwmLfoPhase %= 1.0;
+      const pwmMod = Math.sin(twoPi * voice.osc1.pwmLfoPhase);
+      // Clamp to 1%-99% to avoid extreme values
+      const duty = Math.max(
+        0.01,
+        Math.min(0.99, pulseWidthNow + pwmMod * (0.45 * pwmDepthNow))
+      );
 
-    // Apply hard sync: reset Osc2 phase when Osc1 phase wraps
-    if (hardSyncNow > 0) {
-      if (prevOsc1Phase > voice.osc1.phase) {
-        // Phase wrapped from >1 to <1
-        voice.osc2.phase = 0.0;
+      // Morph mode crossfades neighbours pulse -> saw -> tri -> sine
+      const morphMode = params.osc1Waveform === OSC1_WAVEFORM_MORPH;
+      let osc1Shape = params.osc1Waveform;
+      let osc1Blend = 0;
+      if (morphMode) {
+        const morph = Math.max(
+          0,
+          Math.min(
+            1,
+            paramAt(params.osc1Morph, start) + mods[MATRIX_DEST_OSC1_MORPH]
+          )
+        );
+        const position = morph * OSC1_WAVEFORM_SINE;
+        osc1Shape = Math.min(OSC1_WAVEFORM_SINE - 1, Math.floor(position));
+        osc1Blend = position - osc1Shape;
       }
-    }
 
-    // Sub oscillator (one octave down = half frequency)
-    const subFreq = baseFreq * 0.5;
-    const subPhInc = subFreq / sr;
-    voice.subOsc1.phase += subPhInc;
-    voice.subOsc1.phase %= 1.0;
+      // Levels, clamped to [0, 1]
+      const subVolNow = Math.max(
+        0,
+        Math.min(
+          1,
+          paramAt(params.subVol, start) + mods[MATRIX_DEST_SUB1_VOLUME]
+        )
+      );
+      const oscVolNow = Math.max(
+        0,
+        Math.min(
+          1,
+          paramAt(params.oscVol, start) + mods[MATRIX_DEST_OSC1_VOLUME]
+        )
+      );
+      const osc2VolNow = Math.max(
+        0,
+        Math.min(
+          1,
+          paramAt(params.osc2Vol, start) + mods[MATRIX_DEST_OSC2_VOLUME]
+        )
+      );
+      const sub2VolNow = Math.max(
+        0,
+        Math.min(
+          1,
+          paramAt(params.sub2Vol, start) + mods[MATRIX_DEST_SUB2_VOLUME]
+        )
+      );
+      const ringVolNow = Math.max(
+        0,
+        Math.min(
+          1,
+          paramAt(params.ringVol, start) + mods[MATRIX_DEST_RING_VOLUME]
+        )
+      );
+      const noiseVolNow = Math.max(
+        0,
+        Math.min(
+          1,
+          paramAt(params.noiseVol, start) + mods[MATRIX_DEST_NOISE_VOLUME]
+        )
+      );
 
-    // PWM LFO
-    let pwmRateNow =
-      params.pwmRate.length > 1
-        ? params.pwmRate[sampleIndex]
-        : params.pwmRate[0];
-    // Apply matrix modulation to PWM rate and clamp to [0.1, 10]
-    pwmRateNow = Math.max(
-      0.1,
-      Math.min(10, pwmRateNow + matrixMods.osc1PWMRate * 5)
-    );
+      // ===== FILTERS =====
+      // Analog drift: this voice's envelopes run slightly faster or slower
+      const envTimeScale =
+        1.0 + voice.driftEnvelope * params.driftEnvelope * DRIFT_ENV_TIME;
+
+      const filterEnvValue = voice.filterEnv.process(
+        params.filterEnvA * envTimeScale,
+        params.filterEnvD * envTimeScale,
+        params.filterEnvS,
+        params.filterEnvR * envTimeScale,
+        controlRate,
+        voice.gate
+      );
 
-    let pulseWidthNow =
-      params.pulseWidth.length > 1
-        ? params.pulseWidth[sampleIndex]
-        : params.pulseWidth[0];
-    // Apply matrix modulation to pulse width and clamp to [0.01, 0.99]
-    pulseWidthNow = Math.max(
-      0.01,
-      Math.min(0.99, pulseWidthNow + matrixMods.osc1PW * 0.4)
-    );
+      // Keyboard tracking: octaves from the pivot note (100% = 1V/oct)
+      const keyOctaves = (notePitch - params.keyTrackPivot) / 12;
+      // Velocity sensitivity scales both filter envelope amounts
+      const envVelocityScale =
+        1.0 -
+        params.filterEnvVelocity +
+        voice.velocity * params.filterEnvVelocity;
+      // Analog drift: fixed per-voice offset on both filters
+      const driftRatio =
+        params.driftCutoff > 0
+          ? Math.pow(
+              2,
+              voice.driftCutoff * params.driftCutoff * DRIFT_CUTOFF_OCTAVES
+            )
+          : 1.0;
+
+      const hpfCutoffNow = this.filterCutoff(
+        paramAt(params.hpfCutoff, start) + mods[MATRIX_DEST_F2_CUTOFF] * 5000,
+        filterEnvValue,
+        paramAt(params.hpEnvAmount, start) * envVelocityScale,
+        keyOctaves * params.hpKeyTrack,
+        driftRatio
+      );
+      const hpfResonanceNow = Math.max(
+        0,
+        Math.min(
+          0.95,
+          paramAt(params.hpfResonance, start) +
+            mods[MATRIX_DEST_F2_RESONANCE] * 0.5
+        )
+      );
+      const lpfCutoffNow = this.filterCutoff(
+        paramAt(params.filterCutoff, start) +
+          mods[MATRIX_DEST_F1_CUTOFF] * 5000,
+        filterEnvValue,
+        paramAt(params.lpEnvAmount, start) * envVelocityScale,
+        keyOctaves * params.lpKeyTrack,
+        driftRatio
+      );
+      const lpfResonanceNow = Math.max(
+        0,
+        Math.min(
+          0.95,
+          paramAt(params.filterResonance, start) +
+            mods[MATRIX_DEST_F1_RESONANCE] * 0.5
+        )
+      );
+      // Main filter is a 24dB LPF unless another mode is selected
+      const filterMorphNow = Math.max(
+        0,
+        Math.min(
+          1,
+          paramAt(params.filterMorph, start) + mods[MATRIX_DEST_FILTER_MORPH]
+        )
+      );
+      voice.lpf.updateCoefficients(
+        lpfCutoffNow,
+        lpfResonanceNow,
+        sr,
+        params.filterType,
+        filterMorphNow
+      );
+      voice.hpf.updateCoefficients(
+        hpfCutoffNow,
+        hpfResonanceNow,
+        sr,
+        FILTER_HP18
+      );
 
-    let pwmDepthNow =
-      params.pwmDepth.length > 1
-        ? params.pwmDepth[sampleIndex]
-        : params.pwmDepth[0];
-    // Apply matrix modulation to PWM depth and clamp to [0, 1]
-    pwmDepthNow = Math.max(
-      0,
-      Math.min(1, pwmDepthNow + matrixMods.osc1PWMDepth)
-    );
+      // Parallel balance: 0 = main filter only, 0.5 = both at full level,
+      // 1 = HPF only
+      const balance = paramAt(params.filterBalance, start);
+      const lpBalance = Math.min(1, 2 - balance * 2);
+      const hpBalance = Math.min(1, balance * 2);
+
+      // ===== AMP AND PAN =====
+      const envA = params.envA * envTimeScale;
+      const envD = params.envD * envTimeScale;
+      const envS = params.envS;
+      const envR = params.envR * envTimeScale;
+
+      const panRateNow = Math.max(
+        0.1,
+        Math.min(
+          10,
+          paramAt(params.panRate, start) + mods[MATRIX_DEST_PAN_RATE] * 5
+        )
+      );
+      const panDepthNow = Math.max(
+        0,
+        Math.min(
+          1,
+          paramAt(params.panDepth, start) + mods[MATRIX_DEST_PAN_DEPTH]
+        )
+      );
+      const panPosNow = Math.max(
+        -1,
+        Math.min(
+          1,
+          paramAt(params.panPos, start) + mods[MATRIX_DEST_PAN_POSITION]
+        )
+      );
+      voice.panLfo.phase += (panRateNow * count) / sr;
+      voice.panLfo.phase %= 1.0;
+      const panMod = Math.sin(twoPi * voice.panLfo.phase) * panDepthNow;
+      // Clamp final pan position (including unison spread) to [-1, 1]
+      const pan = Math.max(
+        -1,
+        Math.min(1, panPosNow + panMod + voice.unisonPan)
+      );
+      // Equal-power panning
+      const lg = Math.sqrt(0.5 * (1 - pan));
+      const rg = Math.sqrt(0.5 * (1 + pan));
+
+      const masterNow = Math.max(
+        0,
+        Math.min(
+          1,
+          paramAt(params.master, start) + mods[MATRIX_DEST_MASTER_VOLUME]
+        )
+      );
+      // Mix between fixed velocity (1.0) and actual velocity based on velocityAmt
+      const effectiveVelocity =
+        1.0 - params.velocityAmt + voice.velocity * params.velocityAmt;
+      // Reduced volume for polyphony
+      const gainScale = effectiveVelocity * masterNow * voice.unisonGain * 0.6;
+
+      // ===== AUDIO =====
+      // Phases wrap with a compare and Math.floor, much cheaper than % on
+      // doubles
+      for (let i = start; i < end; i++) {
+        // Osc2 runs first: it frequency-modulates Osc1
+        voice.osc2.phase += osc2PhInc;
+        if (voice.osc2.phase >= 1.0)
+          voice.osc2.phase -= Math.floor(voice.osc2.phase);
+        const osc2Raw = wavetableMode
+          ? this.generateWavetable(
+              voice.osc2.phase,
+              osc2Freq,
+              wavetablePositionNow
+            )
+          : this.generateWaveform(voice.osc2.phase, osc2PhInc, osc2WaveformNow);
+
+        // FM, clamped to prevent negative frequencies and aliasing
+        const modulatedFreq = Math.max(
+          20,
+          Math.min(maxFreq, baseFreq + osc2Raw * fmDepthNow * baseFreq * 0.5)
+        );
+        const phInc = modulatedFreq / sr;
+        const prevOsc1Phase = voice.osc1.phase;
+        voice.osc1.phase += phInc;
+        if (voice.osc1.phase >= 1.0)
+          voice.osc1.phase -= Math.floor(voice.osc1.phase);
+
+        // Hard sync: reset Osc2 when Osc1 wraps
+        if (hardSyncNow && prevOsc1Phase > voice.osc1.phase) {
+          voice.osc2.phase = 0.0;
+        }
 
-    voice.osc1.pwmLfoPhase += pwmRateNow / sr;
-    voice.osc1.pwmLfoPhase %= 1.0;
+        // Sub oscillator (one octave down)
+        voice.subOsc1.phase += subPhInc;
+        if (voice.subOsc1.phase >= 1.0)
+          voice.subOsc1.phase -= Math.floor(voice.subOsc1.phase);
+
+        // Osc1: bandlimited pulse (polyBLEP) unless another waveform is set
+        let osc1Raw =
+          this.generateOsc1Waveform(voice.osc1.phase, phInc, osc1Shape, duty) *
+          (1 - osc1Blend);
+        if (osc1Blend > 0) {
+          osc1Raw +=
+            this.generateOsc1Waveform(
+              voice.osc1.phase,
+              phInc,
+              osc1Shape + 1,
+              duty
+            ) * osc1Blend;
+        }
 
-    const pwmMod = Math.sin(twoPi * voice.osc1.pwmLfoPhase);
-    // Oscillate around pulseWidth (PW ± modulation)
-    let duty = pulseWidthNow + pwmMod * (0.45 * pwmDepthNow);
-    // Clamp to 1%-99% to avoid extreme values
-    duty = Math.max(0.01, Math.min(0.99, duty));
+        let subOsc = 0.0;
+        if (subVolNow > 0) {
+          let subSquare = voice.subOsc1.phase < 0.5 ? 1.0 : -1.0;
+          subSquare -= this.polyBLEP(voice.subOsc1.phase, subPhInc);
+          const subHalf = voice.subOsc1.phase - 0.5;
+          subSquare += this.polyBLEP(
+            subHalf < 0 ? subHalf + 1.0 : subHalf,
+            subPhInc
+          );
+          subOsc = subSquare * subVolNow;
+        }
 
-    // Bandlimited pulse wave with polyBLEP anti-aliasing (Osc1 raw signal)
-    let osc1Raw = voice.osc1.phase < duty ? 1.0 : -1.0;
-    osc1Raw -= this.polyBLEP(voice.osc1.phase, phInc);
-    osc1Raw += this.polyBLEP((voice.osc1.phase - duty + 1.0) % 1.0, phInc);
-
-    // Sub oscillator
-    let subVolNow =
-      params.subVol.length > 1 ? params.subVol[sampleIndex] : params.subVol[0];
-    // Apply matrix modulation to sub volume and clamp to [0, 1]
-    subVolNow = Math.max(0, Math.min(1, subVolNow + matrixMods.sub1Volume));
-    let subOsc = 0.0;
-    if (subVolNow > 0) {
-      let subSquare = voice.subOsc1.phase < 0.5 ? 1.0 : -1.0;
-      subSquare -= this.polyBLEP(voice.subOsc1.phase, subPhInc);
-      subSquare += this.polyBLEP(
-        (voice.subOsc1.phase - 0.5 + 1.0) % 1.0,
-        subPhInc
-      );
-      subOsc = subSquare * subVolNow;
-    }
-
-    // Apply main oscillator volume and mix with sub oscillator
-    let oscVolNow =
-      params.oscVol.length > 1 ? params.oscVol[sampleIndex] : params.oscVol[0];
-    // Apply matrix modulation to oscillator volume and clamp to [0, 1]
-    oscVolNow = Math.max(0, Math.min(1, oscVolNow + matrixMods.osc1Volume));
-    let osc1Output = osc1Raw * oscVolNow + subOsc;
-
-    // Apply Osc2 volume (osc2Raw already calculated above for FM)
-    let osc2VolNow =
-      params.osc2Vol.length > 1
-        ? params.osc2Vol[sampleIndex]
-        : params.osc2Vol[0];
-    // Apply matrix modulation to osc2 volume and clamp to [0, 1]
-    osc2VolNow = Math.max(0, Math.min(1, osc2VolNow + matrixMods.osc2Volume));
-    let osc2Output = 0.0;
-    if (osc2VolNow > 0) {
-      osc2Output = osc2Raw * osc2VolNow * 1.5;
-    }
-
-    // Get sub2 volume parameter
-    let sub2VolNow =
-      params.sub2Vol.length > 1
-        ? params.sub2Vol[sampleIndex]
-        : params.sub2Vol[0];
-    // Apply matrix modulation to sub2 volume and clamp to [0, 1]
-    sub2VolNow = Math.max(0, Math.min(1, sub2VolNow + matrixMods.sub2Volume));
-
-    // Sub oscillator 2 (one octave down, same waveform as Osc2)
-    let sub2Output = 0.0;
-    if (sub2VolNow > 0) {
-      const sub2Freq = osc2Freq * 0.5;
-      const sub2PhInc = sub2Freq / sr;
-      voice.subOsc2.phase += sub2PhInc;
-      voice.subOsc2.phase %= 1.0;
-      sub2Output =
-        this.generateWaveform(voice.subOsc2.phase, sub2PhInc, osc2WaveformNow) *
-        sub2VolNow;
-    }
-
-    // Ring Modulator (multiply raw Osc1 and Osc2 signals)
-    let ringVolNow =
-      params.ringVol.length > 1
-        ? params.ringVol[sampleIndex]
-        : params.ringVol[0];
-    // Apply matrix modulation to ring volume and clamp to [0, 1]
-    ringVolNow = Math.max(0, Math.min(1, ringVolNow + matrixMods.ringVolume));
-    let ringOutput = 0.0;
-    if (ringVolNow > 0) {
-      ringOutput = osc1Raw * osc2Raw * ringVolNow;
-    }
-
-    // Mix all oscillators
-    let y = osc1Output + osc2Output + sub2Output + ringOutput;
-
-    // Add noise (global monophonic noise with volume control)
-    let noiseVolNow =
-      params.noiseVol.length > 1
-        ? params.noiseVol[sampleIndex]
-        : params.noiseVol[0];
-    // Apply matrix modulation to noise volume and clamp to [0, 1]
-    noiseVolNow = Math.max(
-      0,
-      Math.min(1, noiseVolNow + matrixMods.noiseVolume)
-    );
-    if (noiseVolNow > 0) {
-      const noiseSignal = this.generateNoise();
-      // Add noise to oscillator mix
-      y += noiseSignal * noiseVolNow;
-    }
-
-    // Filter ADSR envelope - use Envelope class (computed BEFORE filter processing)
-    const filterEnvA = params.filterEnvA;
-    const filterEnvD = params.filterEnvD;
-    const filterEnvS = params.filterEnvS;
-    const filterEnvR = params.filterEnvR;
-
-    // Process filter envelope
-    const filterEnvValue = voice.filterEnv.process(
-      filterEnvA,
-      filterEnvD,
-      filterEnvS,
-      filterEnvR,
-      sr,
-      voice.gate
-    );
+        let y = osc1Raw * oscVolNow + subOsc;
+        if (osc2VolNow > 0) {
+          y += osc2Raw * osc2VolNow * 1.5;
+        }
 
-    // Apply filters (HPF -> LPF in series)
-    let hpfCutoffNow =
-      params.hpfCutoff.length > 1
-        ? params.hpfCutoff[sampleIndex]
-        : params.hpfCutoff[0];
-    // Apply matrix modulation to HPF cutoff and clamp to [20, 20000]
-    hpfCutoffNow = Math.max(
-      20,
-      Math.min(20000, hpfCutoffNow + matrixMods.f2Cutoff * 5000)
-    );
+        // Sub oscillator 2 (one octave down, same waveform as Osc2)
+        if (sub2VolNow > 0) {
+          voice.subOsc2.phase += sub2PhInc;
+          if (voice.subOsc2.phase >= 1.0)
+            voice.subOsc2.phase -= Math.floor(voice.subOsc2.phase);
+          const sub2Raw = wavetableMode
+            ? this.generateWavetable(
+                voice.subOsc2.phase,
+                sub2Freq,
+                wavetablePositionNow
+              )
+            : this.generateWaveform(
+                voice.subOsc2.phase,
+                sub2PhInc,
+                osc2WaveformNow
+              );
+          y += sub2Raw * sub2VolNow;
+        }
 
-    // Apply filter envelope modulation to HPF cutoff
-    const hpEnvAmount = params.hpEnvAmount;
-    if (hpEnvAmount !== 0) {
-      // Scale envelope from 0-1 to -1 to +1 based on amount, then apply exponential scaling
-      const envMod = (filterEnvValue * 2 - 1) * hpEnvAmount;
-      // Apply exponential scaling: positive values boost frequency, negative values cut
-      const freqMultiplier = Math.pow(2, envMod * 5); // ±5 octaves max
-      hpfCutoffNow = Math.max(
-        20,
-        Math.min(20000, hpfCutoffNow * freqMultiplier)
-      );
-    }
+        // Ring modulator (raw Osc1 times raw Osc2)
+        if (ringVolNow > 0) {
+          y += osc1Raw * osc2Raw * ringVolNow;
+        }
 
-    let hpfResonanceNow =
-      params.hpfResonance.length > 1
-        ? params.hpfResonance[sampleIndex]
-        : params.hpfResonance[0];
-    // Apply matrix modulation to HPF resonance and clamp to [0, 0.95]
-    hpfResonanceNow = Math.max(
-      0,
-      Math.min(0.95, hpfResonanceNow + matrixMods.f2Resonance * 0.5)
-    );
+        // Global monophonic noise
+        if (noiseVolNow > 0) {
+          y += this.generateNoise() * noiseVolNow;
+        }
 
-    let lpfCutoffNow =
-      params.filterCutoff.length > 1
-        ? params.filterCutoff[sampleIndex]
-        : params.filterCutoff[0];
-    // Apply matrix modulation to LPF cutoff and clamp to [20, 20000]
-    lpfCutoffNow = Math.max(
-      20,
-      Math.min(20000, lpfCutoffNow + matrixMods.f1Cutoff * 5000)
-    );
+        // Route through the 18dB HPF and the main filter; yRight differs
+        // from y only in stereo split mode
+        let yRight;
+        switch (params.filterRouting) {
+          case FILTER_ROUTING_LP_HP:
+            y = voice.hpf.filterSample(voice.lpf.filterSample(y));
+            yRight = y;
+            break;
+          case FILTER_ROUTING_PARALLEL: {
+            const lpOut = voice.lpf.filterSample(y);
+            const hpOut = voice.hpf.filterSample(y);
+            y = lpOut * lpBalance + hpOut * hpBalance;
+            yRight = y;
+            break;
+          }
+          case FILTER_ROUTING_SPLIT:
+            yRight = voice.hpf.filterSample(y);
+            y = voice.lpf.filterSample(y);
+            break;
+          default:
+            y = voice.lpf.filterSample(voice.hpf.filterSample(y));
+            yRight = y;
+        }
 
-    // Apply filter envelope modulation to LPF cutoff
-    const lpEnvAmount = params.lpEnvAmount;
-    if (lpEnvAmount !== 0) {
-      // Scale envelope from 0-1 to -1 to +1 based on amount, then apply exponential scaling
-      const envMod = (filterEnvValue * 2 - 1) * lpEnvAmount;
-      // Apply exponential scaling: positive values boost frequency, negative values cut
-      const freqMultiplier = Math.pow(2, envMod * 5); // ±5 octaves max
-      lpfCutoffNow = Math.max(
-        20,
-        Math.min(20000, lpfCutoffNow * freqMultiplier)
-      );
+        const gain =
+          voice.ampEnv.process(envA, envD, envS, envR, sr, voice.gate) *
+          gainScale;
+        outL[i] += y * gain * lg;
+        outR[i] += yRight * gain * rg;
+      }
+
+      // Finished: the rest of the block is silent
+      if (voice.ampEnv.isIdle()) return;
     }
+  }
 
-    let lpfResonanceNow =
-      params.filterResonance.length > 1
-        ? params.filterResonance[sampleIndex]
-        : params.filterResonance[0];
-    // Apply matrix modulation to LPF resonance and clamp to [0, 0.95]
-    lpfResonanceNow = Math.max(
-      0,
-      Math.min(0.95, lpfResonanceNow + matrixMods.f1Resonance * 0.5)
+  /**
+   * LFO value for one control step of a voice
+   * @param {LFO} lfo - The voice's LFO
+   * @param {number|null} globalValue - Shared waveform value in global mode
+   * @param {number} rate - Rate in Hz
+   * @param {number} depth - Depth (0-1)
+   * @param {number} waveform - Waveform type (0-7)
+   * @param {number} fadeIn - Fade-in time in seconds
+   * @param {number} sampleIndex - Sample within the block
+   * @param {number} controlRate - Control steps per second
+   * @returns {number} LFO output (-depth to +depth)
+   */
+  voiceLfoValue(
+    lfo,
+    globalValue,
+    rate,
+    depth,
+    waveform,
+    fadeIn,
+    sampleIndex,
+    controlRate
+  ) {
+    // Depth and fade-in stay per voice in global mode
+    if (globalValue !== null) {
+      return globalValue * depth * lfo.fadeIn(fadeIn, controlRate);
+    }
+    return lfo.process(
+      rate,
+      depth,
+      waveform,
+      fadeIn,
+      this.currentFrame + sampleIndex,
+      controlRate
     );
+  }
 
-    // First apply 18dB HPF
-    y = voice.hpf.processSample(
-      y,
-      hpfCutoffNow,
-      hpfResonanceNow,
-      this.sampleRate,
-      1
-    );
-    // Then apply 24dB LPF
-    y = voice.lpf.processSample(
-      y,
-      lpfCutoffNow,
-      lpfResonanceNow,
-      this.sampleRate,
-      0
-    );
+  /**
+   * Filter cutoff after envelope, key tracking and drift
+   * @param {number} cutoff - Cutoff with matrix modulation (Hz)
+   * @param {number} envValue - Filter envelope (0-1)
+   * @param {number} envAmount - Envelope amount (-1 to 1, ±5 octaves)
+   * @param {number} keyTrackOctaves - Key tracking offset in octaves
+   * @param {number} driftRatio - Analog drift multiplier
+   * @returns {number} Cutoff in Hz (20-20000)
+   */
+  filterCutoff(cutoff, envValue, envAmount, keyTrackOctaves, driftRatio) {
+    cutoff = Math.max(20, Math.min(20000, cutoff));
+    if (envAmount !== 0) {
+      // Envelope 0-1 maps to -1..+1 times the amount, exponentially scaled
+      const envMod = (envValue * 2 - 1) * envAmount;
+      cutoff = Math.max(20, Math.min(20000, cutoff * Math.pow(2, envMod * 5)));
+    }
+    if (keyTrackOctaves !== 0) {
+      cutoff = Math.max(
+        20,
+        Math.min(20000, cutoff * Math.pow(2, keyTrackOctaves))
+      );
+    }
+    if (driftRatio !== 1.0) {
+      cutoff = Math.max(20, Math.min(20000, cutoff * driftRatio));
+    }
+    return cutoff;
+  }
 
-    // ADSR envelope - use Envelope class
-    const envA = params.envA;
-    const envD = params.envD;
-    const envS = params.envS;
-    const envR = params.envR;
-
-    // Process amplitude envelope
-    const envValue = voice.ampEnv.process(
-      envA,
-      envD,
-      envS,
-      envR,
-      sr,
-      voice.gate
-    );
+  /**
+   * Value of the MIDI CC matrix source within the block
+   * Each CC glides to its latest value with a one-pole at the MIDI CC
+   * smoothing time, in closed form so CCs no slot reads cost nothing.
+   * @param {number} cc - Controller number
+   * @param {number} sampleIndex - Sample within the block
+   * @returns {number} CC value (0..1)
+   */
+  ccValueAt(cc, sampleIndex) {
+    const target = this.ccTargets[cc];
+    return target + (this.ccValues[cc] - target) * this.ccDecay[sampleIndex];
+  }
 
-    // Pan LFO
-    let panRateNow =
-      params.panRate.length > 1
-        ? params.panRate[sampleIndex]
-        : params.panRate[0];
-    // Apply matrix modulation to pan rate and clamp to [0.1, 10]
-    panRateNow = Math.max(
-      0.1,
-      Math.min(10, panRateNow + matrixMods.panRate * 5)
-    );
+  /**
+   * Compute the MIDI CC glide for a block: ccDecay[i] is the share of each
+   * CC's distance to its target left after sample i
+   * @param {number} frames - Block length
+   */
+  prepareCcSmoothing(frames) {
+    const coeff = this.smoother.getCoefficient(MIDI_CC_SMOOTHING);
+    if (coeff === this.ccDecayCoeff && this.ccDecay.length === frames) return;
+    if (this.ccDecay.length !== frames) this.ccDecay = new Float32Array(frames);
+    let decay = 1;
+    for (let i = 0; i < frames; i++) {
+      decay *= 1 - coeff;
+      this.ccDecay[i] = decay;
+    }
+    this.ccDecayCoeff = coeff;
+  }
 
-    let panDepthNow =
-      params.panDepth.length > 1
-        ? params.panDepth[sampleIndex]
-        : params.panDepth[0];
-    // Apply matrix modulation to pan depth and clamp to [0, 1]
-    panDepthNow = Math.max(0, Math.min(1, panDepthNow + matrixMods.panDepth));
-    let panPosNow =
-      params.panPos.length > 1 ? params.panPos[sampleIndex] : params.panPos[0];
-    // Apply matrix modulation to pan position and clamp to [-1, 1]
-    panPosNow = Math.max(-1, Math.min(1, panPosNow + matrixMods.panPosition));
-    voice.panLfo.phase += panRateNow / sr;
-    voice.panLfo.phase %= 1.0;
-    const panMod = Math.sin(twoPi * voice.panLfo.phase) * panDepthNow;
-    // Clamp final pan position to [-1, 1]
-    let pan = Math.max(-1, Math.min(1, panPosNow + panMod));
-
-    // Equal-power panning
-    const lg = Math.sqrt(0.5 * (1 - pan));
-    const rg = Math.sqrt(0.5 * (1 + pan));
-
-    let masterNow =
-      params.master.length > 1 ? params.master[sampleIndex] : params.master[0];
-    // Apply matrix modulation to master volume and clamp to [0, 1]
-    masterNow = Math.max(0, Math.min(1, masterNow + matrixMods.masterVolume));
-    // Mix between fixed velocity (1.0) and actual velocity based on velocityAmt
-    const effectiveVelocity =
-      1.0 - params.velocityAmt + voice.velocity * params.velocityAmt;
-    const out = y * envValue * effectiveVelocity * masterNow * 0.6; // Reduced volume for polyphony
+  // Move every CC to where its glide ends the block
+  advanceCcValues(frames) {
+    const decay = this.ccDecay[frames - 1];
+    for (let cc = 0; cc < 128; cc++) {
+      const target = this.ccTargets[cc];
+      const value = target + (this.ccValues[cc] - target) * decay;
+      this.ccValues[cc] =
+        Math.abs(target - value) <= SMOOTHING_EPSILON ? target : value;
+    }
+  }
 
-    return {
-      left: out * lg,
-      right: out * rg,
-    };
+  /**
+   * Block of a parameter read through the smoother (see getSmoothingTimes)
+   * @param {Object<string, Float32Array>} parameters - AudioParam values
+   * @param {string} name - Parameter name
+   * @param {number} frames - Block length
+   * @returns {Float32Array} Smoothed values
+   */
+  smoothed(parameters, name, frames) {
+    return this.smoother.process(name, parameters[name], frames);
   }
 
   process(inputs, outputs, parameters) {
@@ -2283,6 +4701,22 @@ class PolyPWMSynthProcessor extends AudioWorkletProcessor {
 
     if (!L || !R) return true;
 
+    // Voice mode and portamento settings apply to the notes queued below
+    const allocator = this.voiceAllocator;
+    allocator.setVoiceMode(Math.round(parameters.voiceMode[0]));
+    allocator.notePriority = Math.round(parameters.notePriority[0]);
+    allocator.portamentoTime = parameters.portamentoTime[0];
+    allocator.portamentoMode = Math.round(parameters.portamentoMode[0]);
+    allocator.portamentoLegatoOnly = parameters.portamentoLegato[0] > 0;
+    allocator.setPolyphony(parameters.polyphony[0]);
+    allocator.voiceStealing = Math.round(parameters.voiceStealing[0]);
+    allocator.unisonVoices = Math.round(parameters.unisonVoices[0]);
+    allocator.unisonDetune = parameters.unisonDetune[0];
+    allocator.unisonSpread = parameters.unisonSpread[0];
+    allocator.unisonPhaseRandom = parameters.unisonPhaseRandom[0];
+    const driftAmount = parameters.driftAmount[0];
+    allocator.driftPhase = driftAmount * parameters.driftPhase[0];
+
     // Process queued messages BEFORE audio rendering
     // This ensures all voice state changes happen atomically
     // before we start reading voice data
@@ -2290,6 +4724,10 @@ class PolyPWMSynthProcessor extends AudioWorkletProcessor {
       const msg = this.messageQueue.pop();
 
       if (msg.type === 'noteOn') {
+        // Keys the tuning leaves unmapped don't sound
+        const unmapped = this.tuningUnmapped;
+        if (unmapped && unmapped[Math.round(msg.midi)]) continue;
+
         // Get LFO1 parameters for note trigger
         const lfo1PhaseNorm = (parameters.lfo1Phase[0] || 0) / 360.0; // Convert degrees to 0-1
         const lfo1Retrigger = (parameters.lfo1Retrigger[0] || 0) > 0;
@@ -2298,6 +4736,16 @@ class PolyPWMSynthProcessor extends AudioWorkletProcessor {
         const lfo2PhaseNorm = (parameters.lfo2Phase[0] || 0) / 360.0; // Convert degrees to 0-1
         const lfo2Retrigger = (parameters.lfo2Retrigger[0] || 0) > 0;
 
+        // Global LFOs restart only on the first note of a phrase
+        if (!this.voiceAllocator.hasGatedVoice()) {
+          if (lfo1Retrigger && parameters.lfo1Mode[0] > 0) {
+            this.globalLfo1.trigger(lfo1PhaseNorm, this.currentFrame);
+          }
+          if (lfo2Retrigger && parameters.lfo2Mode[0] > 0) {
+            this.globalLfo2.trigger(lfo2PhaseNorm, this.currentFrame);
+          }
+        }
+
         this.voiceAllocator.noteOn(
           msg.midi,
           msg.velocity,
@@ -2307,8 +4755,15 @@ class PolyPWMSynthProcessor extends AudioWorkletProcessor {
           lfo2PhaseNorm,
           lfo2Retrigger
         );
+        if (msg.expression) {
+          this.voiceAllocator.setNoteExpression(msg.midi, msg.expression);
+        }
       } else if (msg.type === 'noteOff') {
-        this.voiceAllocator.noteOff(msg.midi);
+        this.voiceAllocator.noteOff(msg.midi, msg.velocity);
+      } else if (msg.type === 'noteExpression') {
+        this.voiceAllocator.setChannelExpression(msg.expression);
+      } else if (msg.type === 'polyPressure') {
+        this.voiceAllocator.setPressure(msg.midi, msg.value);
       } else if (msg.type === 'allNotesOff') {
         this.voiceAllocator.allNotesOff();
       }
@@ -2328,100 +4783,163 @@ class PolyPWMSynthProcessor extends AudioWorkletProcessor {
       this.voiceAllocator.watchdog(this.currentFrame, maxVoiceFrames);
     }
 
-    // Cache parameters
-    const params = {
-      coarse: parameters.oscillatorCoarseTune,
-      fine: parameters.oscillatorFineTune,
-      pitchBend: parameters.pitchBend,
-      modWheel: parameters.modWheel[0],
-      oscVol: parameters.oscillatorVolume,
-      pulseWidth: parameters.pulseWidth,
-      pwmDepth: parameters.pulseWidthModulationDepth,
-      pwmRate: parameters.pulseWidthModulationRate,
-      panPos: parameters.panningPosition,
-      panDepth: parameters.panningModulationDepth,
-      panRate: parameters.panningModulationRate,
-      envA: parameters.envelopeAttack[0],
-      envD: parameters.envelopeDecay[0],
-      envS: parameters.envelopeSustain[0],
-      envR: parameters.envelopeRelease[0],
-      subVol: parameters.subOscillatorVolume,
-      fmDepth: parameters.frequencyModulationDepth,
-      osc2Waveform: parameters.oscillator2Waveform[0],
-      osc2Coarse: parameters.oscillator2CoarseTune[0],
-      osc2Fine: parameters.oscillator2FineTune[0],
-      osc2Vol: parameters.oscillator2Volume,
-      sub2Vol: parameters.subOscillator2Volume,
-      hardSync: parameters.oscillator2HardSync[0],
-      ringVol: parameters.ringModulatorVolume,
-      noiseVol: parameters.noiseVolume,
-      master: parameters.masterVolume,
-      velocityAmt: parameters.velocityAmount[0],
-      filterCutoff: parameters.filterCutoff,
-      filterResonance: parameters.filterResonance,
-      hpfCutoff: parameters.hpfCutoff,
-      hpfResonance: parameters.hpfResonance,
-      filterEnvA: parameters.filterEnvAttack[0],
-      filterEnvD: parameters.filterEnvDecay[0],
-      filterEnvS: parameters.filterEnvSustain[0],
-      filterEnvR: parameters.filterEnvRelease[0],
-      lpEnvAmount: parameters.lpEnvAmount[0],
-      hpEnvAmount: parameters.hpEnvAmount[0],
-      // Modulation Matrix (12 slots)
-      matrixSource1: parameters.matrixSource1[0],
-      matrixDest1: parameters.matrixDest1[0],
-      matrixAmount1: parameters.matrixAmount1[0],
-      matrixSource2: parameters.matrixSource2[0],
-      matrixDest2: parameters.matrixDest2[0],
-      matrixAmount2: parameters.matrixAmount2[0],
-      matrixSource3: parameters.matrixSource3[0],
-      matrixDest3: parameters.matrixDest3[0],
-      matrixAmount3: parameters.matrixAmount3[0],
-      matrixSource4: parameters.matrixSource4[0],
-      matrixDest4: parameters.matrixDest4[0],
-      matrixAmount4: parameters.matrixAmount4[0],
-      matrixSource5: parameters.matrixSource5[0],
-      matrixDest5: parameters.matrixDest5[0],
-      matrixAmount5: parameters.matrixAmount5[0],
-      matrixSource6: parameters.matrixSource6[0],
-      matrixDest6: parameters.matrixDest6[0],
-      matrixAmount6: parameters.matrixAmount6[0],
-      matrixSource7: parameters.matrixSource7[0],
-      matrixDest7: parameters.matrixDest7[0],
-      matrixAmount7: parameters.matrixAmount7[0],
-      matrixSource8: parameters.matrixSource8[0],
-      matrixDest8: parameters.matrixDest8[0],
-      matrixAmount8: parameters.matrixAmount8[0],
-      matrixSource9: parameters.matrixSource9[0],
-      matrixDest9: parameters.matrixDest9[0],
-      matrixAmount9: parameters.matrixAmount9[0],
-      matrixSource10: parameters.matrixSource10[0],
-      matrixDest10: parameters.matrixDest10[0],
-      matrixAmount10: parameters.matrixAmount10[0],
-      matrixSource11: parameters.matrixSource11[0],
-      matrixDest11: parameters.matrixDest11[0],
-      matrixAmount11: parameters.matrixAmount11[0],
-      matrixSource12: parameters.matrixSource12[0],
-      matrixDest12: parameters.matrixDest12[0],
-      matrixAmount12: parameters.matrixAmount12[0],
-      bpm: parameters.bpm[0],
-      lfo1Rate: parameters.lfo1Rate,
-      lfo1Depth: parameters.lfo1Depth,
-      lfo1Waveform: parameters.lfo1Waveform[0],
-      lfo1Phase: parameters.lfo1Phase[0],
-      lfo1TempoSync: parameters.lfo1TempoSync[0],
-      lfo1SyncDivision: parameters.lfo1SyncDivision[0],
-      lfo1Retrigger: parameters.lfo1Retrigger[0],
-      lfo1FadeIn: parameters.lfo1FadeIn[0],
-      lfo2Rate: parameters.lfo2Rate,
-      lfo2Depth: parameters.lfo2Depth,
-      lfo2Waveform: parameters.lfo2Waveform[0],
-      lfo2Phase: parameters.lfo2Phase[0],
-      lfo2TempoSync: parameters.lfo2TempoSync[0],
-      lfo2SyncDivision: parameters.lfo2SyncDivision[0],
-      lfo2Retrigger: parameters.lfo2Retrigger[0],
-      lfo2FadeIn: parameters.lfo2FadeIn[0],
-    };
+    this.msegShape.update(parameters);
+    this.stepSequence.update(parameters);
+    this.referenceFrequency = parameters.tuningReference[0];
+
+    // Cache parameters in place (see this.params)
+    const frames = L.length;
+    const params = this.params;
+    params.coarse = parameters.oscillatorCoarseTune;
+    params.fine = parameters.oscillatorFineTune;
+    params.pitchBend = this.smoothed(parameters, 'pitchBend', frames);
+    params.modWheel = this.smoothed(parameters, 'modWheel', frames);
+    params.sustainPedal = parameters.sustainPedal[0];
+    params.oscVol = this.smoothed(parameters, 'oscillatorVolume', frames);
+    params.pulseWidth = this.smoothed(parameters, 'pulseWidth', frames);
+    params.pwmDepth = this.smoothed(
+      parameters,
+      'pulseWidthModulationDepth',
+      frames
+    );
+    params.pwmRate = parameters.pulseWidthModulationRate;
+    params.panPos = this.smoothed(parameters, 'panningPosition', frames);
+    params.panDepth = this.smoothed(
+      parameters,
+      'panningModulationDepth',
+      frames
+    );
+    params.panRate = parameters.panningModulationRate;
+    params.envA = parameters.envelopeAttack[0];
+    params.envD = parameters.envelopeDecay[0];
+    params.envS = parameters.envelopeSustain[0];
+    params.envR = parameters.envelopeRelease[0];
+    params.subVol = this.smoothed(parameters, 'subOscillatorVolume', frames);
+    params.fmDepth = this.smoothed(
+      parameters,
+      'frequencyModulationDepth',
+      frames
+    );
+    params.osc1Waveform = Math.round(parameters.oscillatorWaveform[0]);
+    params.osc1Morph = this.smoothed(parameters, 'oscillatorMorph', frames);
+    params.osc2Waveform = parameters.oscillator2Waveform[0];
+    params.wavetablePosition = this.smoothed(
+      parameters,
+      'oscillator2WavetablePosition',
+      frames
+    );
+    params.osc2Coarse = parameters.oscillator2CoarseTune[0];
+    params.osc2Fine = this.smoothed(parameters, 'oscillator2FineTune', frames);
+    params.osc2Vol = this.smoothed(parameters, 'oscillator2Volume', frames);
+    params.sub2Vol = this.smoothed(parameters, 'subOscillator2Volume', frames);
+    params.hardSync = parameters.oscillator2HardSync[0];
+    params.ringVol = this.smoothed(parameters, 'ringModulatorVolume', frames);
+    params.noiseVol = this.smoothed(parameters, 'noiseVolume', frames);
+    params.master = this.smoothed(parameters, 'masterVolume', frames);
+    params.velocityAmt = parameters.velocityAmount[0];
+    params.filterCutoff = this.smoothed(parameters, 'filterCutoff', frames);
+    params.filterResonance = this.smoothed(
+      parameters,
+      'filterResonance',
+      frames
+    );
+    params.filterType =
+      FILTER_MODE_TYPES[Math.round(parameters.filterMode[0])] ?? FILTER_LP24;
+    params.filterMorph = this.smoothed(parameters, 'filterMorph', frames);
+    params.filterRouting = Math.round(parameters.filterRouting[0]);
+    params.filterBalance = this.smoothed(parameters, 'filterBalance', frames);
+    params.hpfCutoff = this.smoothed(parameters, 'hpfCutoff', frames);
+    params.hpfResonance = this.smoothed(parameters, 'hpfResonance', frames);
+    params.filterEnvA = parameters.filterEnvAttack[0];
+    params.filterEnvD = parameters.filterEnvDecay[0];
+    params.filterEnvS = parameters.filterEnvSustain[0];
+    params.filterEnvR = parameters.filterEnvRelease[0];
+    params.lpEnvAmount = this.smoothed(parameters, 'lpEnvAmount', frames);
+    params.hpEnvAmount = this.smoothed(parameters, 'hpEnvAmount', frames);
+    params.filterEnvVelocity = parameters.filterEnvVelocity[0];
+    // Modulation envelope
+    const modEnv = params.modEnv;
+    modEnv.delay = parameters.modEnvDelay[0];
+    modEnv.attack = parameters.modEnvAttack[0];
+    modEnv.hold = parameters.modEnvHold[0];
+    modEnv.decay = parameters.modEnvDecay[0];
+    modEnv.sustain = parameters.modEnvSustain[0];
+    modEnv.release = parameters.modEnvRelease[0];
+    modEnv.attackCurve = parameters.modEnvAttackCurve[0];
+    modEnv.decayCurve = parameters.modEnvDecayCurve[0];
+    modEnv.releaseCurve = parameters.modEnvReleaseCurve[0];
+    params.lpKeyTrack = parameters.lpKeyTrack[0];
+    params.hpKeyTrack = parameters.hpKeyTrack[0];
+    params.keyTrackPivot = parameters.keyTrackPivot[0];
+    // Analog drift depths, scaled by the global amount
+    params.driftPitch = driftAmount * parameters.driftPitch[0];
+    params.driftCutoff = driftAmount * parameters.driftCutoff[0];
+    params.driftEnvelope = driftAmount * parameters.driftEnvelope[0];
+    // Modulation matrix amounts (the rest is decoded by MatrixRouting)
+    params.matrixAmount1 = this.smoothed(parameters, 'matrixAmount1', frames);
+    params.matrixAmount2 = this.smoothed(parameters, 'matrixAmount2', frames);
+    params.matrixAmount3 = this.smoothed(parameters, 'matrixAmount3', frames);
+    params.matrixAmount4 = this.smoothed(parameters, 'matrixAmount4', frames);
+    params.matrixAmount5 = this.smoothed(parameters, 'matrixAmount5', frames);
+    params.matrixAmount6 = this.smoothed(parameters, 'matrixAmount6', frames);
+    params.matrixAmount7 = this.smoothed(parameters, 'matrixAmount7', frames);
+    params.matrixAmount8 = this.smoothed(parameters, 'matrixAmount8', frames);
+    params.matrixAmount9 = this.smoothed(parameters, 'matrixAmount9', frames);
+    params.matrixAmount10 = this.smoothed(parameters, 'matrixAmount10', frames);
+    params.matrixAmount11 = this.smoothed(parameters, 'matrixAmount11', frames);
+    params.matrixAmount12 = this.smoothed(parameters, 'matrixAmount12', frames);
+    params.bpm = parameters.bpm[0];
+    params.lfo1Rate = parameters.lfo1Rate;
+    params.lfo1Depth = parameters.lfo1Depth;
+    params.lfo1Waveform = parameters.lfo1Waveform[0];
+    params.lfo1Phase = parameters.lfo1Phase[0];
+    params.lfo1TempoSync = parameters.lfo1TempoSync[0];
+    params.lfo1SyncDivision = parameters.lfo1SyncDivision[0];
+    params.lfo1Retrigger = parameters.lfo1Retrigger[0];
+    params.lfo1FadeIn = parameters.lfo1FadeIn[0];
+    params.lfo1Global = parameters.lfo1Mode[0] > 0;
+    params.lfo2Rate = parameters.lfo2Rate;
+    params.lfo2Depth = parameters.lfo2Depth;
+    params.lfo2Waveform = parameters.lfo2Waveform[0];
+    params.lfo2Phase = parameters.lfo2Phase[0];
+    params.lfo2TempoSync = parameters.lfo2TempoSync[0];
+    params.lfo2SyncDivision = parameters.lfo2SyncDivision[0];
+    params.lfo2Retrigger = parameters.lfo2Retrigger[0];
+    params.lfo2FadeIn = parameters.lfo2FadeIn[0];
+    params.lfo2Global = parameters.lfo2Mode[0] > 0;
+
+    this.matrixRouting.update(parameters, params);
+    this.prepareCcSmoothing(frames);
+
+    // Shared waveforms for LFOs in global mode
+    if (this.globalLfo1Buffer.length < L.length) {
+      this.globalLfo1Buffer = new Float32Array(L.length);
+      this.globalLfo2Buffer = new Float32Array(L.length);
+    }
+    if (params.lfo1Global) {
+      this.renderGlobalLfo(
+        this.globalLfo1,
+        this.globalLfo1Buffer,
+        frames,
+        params.lfo1Rate,
+        params.lfo1TempoSync,
+        params.lfo1SyncDivision,
+        params.lfo1Waveform,
+        params.bpm
+      );
+    }
+    if (params.lfo2Global) {
+      this.renderGlobalLfo(
+        this.globalLfo2,
+        this.globalLfo2Buffer,
+        frames,
+        params.lfo2Rate,
+        params.lfo2TempoSync,
+        params.lfo2SyncDivision,
+        params.lfo2Waveform,
+        params.bpm
+      );
+    }
 
     // Clear output buffers
     for (let i = 0; i < L.length; i++) {
@@ -2429,6 +4947,8 @@ class PolyPWMSynthProcessor extends AudioWorkletProcessor {
       R[i] = 0;
     }
 
+    this.prepareFxModulation(params);
+
     // Process each voice and mix
     for (
       let voiceIndex = 0;
@@ -2436,14 +4956,12 @@ class PolyPWMSynthProcessor extends AudioWorkletProcessor {
       voiceIndex++
     ) {
       const voice = this.voiceAllocator.voices[voiceIndex];
-
-      for (let i = 0; i < L.length; i++) {
-        const voiceOutput = this.processVoice(voice, params, i);
-        L[i] += voiceOutput.left;
-        R[i] += voiceOutput.right;
-      }
+      if (voice.active) this.processVoice(voice, params, L, R, L.length);
     }
 
+    this.sendFxModulation();
+    this.advanceCcValues(frames);
+
     // NaN guard: Protect against corrupted audio output
     // If filter goes unstable or any voice generates NaN, clamp to valid range
     for (let i = 0; i < L.length; i++) {
@@ -2468,13 +4986,19 @@ class PolyPWMSynthProcessor extends AudioWorkletProcessor {
       // Count active voices using VoiceAllocator
       const activeCount = this.voiceAllocator.getActiveVoiceCount();
 
-      // Only send update if count changed
-      if (activeCount !== this.lastActiveVoiceCount) {
+      const totalCount = this.voiceAllocator.polyphony;
+
+      // Only send update if count or polyphony changed
+      if (
+        activeCount !== this.lastActiveVoiceCount ||
+        totalCount !== this.lastTotalVoiceCount
+      ) {
         this.lastActiveVoiceCount = activeCount;
+        this.lastTotalVoiceCount = totalCount;
         this.port.postMessage({
           type: 'voiceCount',
           active: activeCount,
-          total: this.voiceAllocator.maxVoices,
+          total: totalCount,
         });
       }
     }